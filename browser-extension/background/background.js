@@ -2,11 +2,30 @@
 // Manifest V3 Implementation
 'use strict';
 
+importScripts(
+    '/shared/vsix-core.js',
+    '/shared/gallery-client.js',
+    '/shared/zip.js',
+    '/shared/dependency-resolver.js',
+    '/shared/openvsx-client.js',
+    '/shared/integrity.js',
+    '/shared/signature.js',
+    '/shared/history.js',
+    '/shared/download-queue.js',
+    '/shared/download-location.js',
+    '/shared/settings.js',
+    '/shared/context-menu.js',
+    '/shared/extension-list.js',
+    '/shared/omnibox.js'
+);
+
 /**
  * Production features:
  * - Comprehensive error handling
  * - Security validation
- * - Download tracking
+ * - Download tracking, with a persistent history in chrome.storage.local
+ * - Download queue with a concurrency limit, priorities and retries,
+ *   persisted across worker restarts
  * - Performance monitoring
  * - Graceful degradation
  */
@@ -14,19 +33,38 @@
 // State management
 const state = {
     downloads: new Map(),
-    settings: {
-        autoInject: true,
-        showNotifications: true,
-        downloadLocation: 'default'
-    }
+    settings: Object.assign({}, VSIXSettings.DEFAULTS)
+};
+
+// Downloads waiting for a free slot or a retry; saved to chrome.storage.local on every change
+const downloadQueue = {
+    items: [],
+    // Queue item id -> resolve() of the message waiting for its result (lost on restart)
+    waiters: new Map(),
+    timer: null,
+    ready: null
 };
 
+const QUEUE_ALARM = 'downloadQueue';
+
+// A package request is given up after this long without data
+const FETCH_TIMEOUT = 30000;
+
+// Fetched packages waiting to be saved, keyed by queue item id. Service workers
+// cannot create blob: URLs, so the bytes go through Cache Storage to an
+// offscreen document that does.
+const PACKAGE_CACHE = 'vsix-packages';
+const OFFSCREEN_DOCUMENT = 'offscreen/offscreen.html';
+const packageUrls = new Map();
+let offscreenCreating = null;
+
 // Initialize on service worker startup
 initialize();
 
 function initialize() {
     setupListeners();
-    loadSettings();
+    // The queue waits for the settings so restored downloads use the configured concurrency
+    downloadQueue.ready = loadSettings().then(loadQueue);
 }
 
 function setupListeners() {
@@ -39,26 +77,43 @@ function setupListeners() {
     // Download lifecycle events
     chrome.downloads.onChanged.addListener(handleDownloadChanged);
     chrome.downloads.onCreated.addListener(handleDownloadCreated);
+    
+    // Wakes the worker when a queued retry is due
+    chrome.alarms.onAlarm.addListener(handleAlarm);
+    
+    // "Download VSIX" on right-clicked marketplace links
+    chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+    
+    // "vsix <id>" in the address bar
+    chrome.omnibox.setDefaultSuggestion({ description: VSIXOmnibox.describeInput('') });
+    chrome.omnibox.onInputChanged.addListener(handleOmniboxInput);
+    chrome.omnibox.onInputEntered.addListener(handleOmniboxEntered);
 }
 
+/**
+ * Reads the stored settings, migrated and validated in memory: settings an
+ * older schema (or another device) stored are only rewritten by
+ * migrateStoredSettings after an update, and must not reach the download
+ * path unchecked before that. Invalid values fall back to their defaults.
+ */
 async function loadSettings() {
     try {
-        const settings = await chrome.storage.sync.get({
-            autoInject: true,
-            showNotifications: true,
-            downloadLocation: 'default'
-        });
+        const stored = await chrome.storage.sync.get(null);
+        const { settings } = VSIXSettings.validateSettings(VSIXSettings.migrateSettings(stored).settings);
         
-        Object.assign(state.settings, settings);
+        Object.assign(state.settings, VSIXSettings.DEFAULTS, settings);
     } catch (error) {
         // Fallback to default state configs without noise
     }
 }
 
 function handleInstall(details) {
+    // Context menus persist across restarts but are created again on install and update
+    createContextMenu();
+    
     if (details.reason === 'install') {
         // First time installation
-        chrome.storage.sync.set(state.settings)
+        chrome.storage.sync.set(Object.assign({}, state.settings, { [VSIXSettings.VERSION_KEY]: VSIXSettings.SCHEMA_VERSION }))
             .then(() => {
                 showWelcomeNotification();
             })
@@ -66,13 +121,161 @@ function handleInstall(details) {
                 console.error('[VSIX Downloader] Settings initialization failed:', error);
             });
     } else if (details.reason === 'update') {
-        const manifest = chrome.runtime.getManifest();
-        const previousVersion = details.previousVersion;
-        const currentVersion = manifest.version;
-        // Handle migration if needed
+        migrateStoredSettings();
     }
 }
 
+/**
+ * Runs the settings migrations on the stored settings after an update,
+ * then reloads them. Synced settings may have been written by an older
+ * version on another device, so this is safe to repeat.
+ */
+async function migrateStoredSettings() {
+    try {
+        const stored = await chrome.storage.sync.get(null);
+        const result = VSIXSettings.migrateSettings(stored);
+        
+        if (result.version === stored[VSIXSettings.VERSION_KEY]) {
+            return;
+        }
+        
+        if (result.removed.length > 0) {
+            await chrome.storage.sync.remove(result.removed);
+        }
+        await chrome.storage.sync.set(Object.assign({}, result.settings, { [VSIXSettings.VERSION_KEY]: result.version }));
+        
+        // Removed keys come back as their defaults
+        await loadSettings();
+    } catch (error) {
+        console.error('[VSIX Downloader] Settings migration failed:', error);
+    }
+}
+
+async function createContextMenu() {
+    try {
+        await chrome.contextMenus.removeAll();
+        VSIXContextMenu.buildMenuItems().forEach(item => {
+            chrome.contextMenus.create(item, () => {
+                // Reading lastError marks a failed create as handled
+                return chrome.runtime.lastError;
+            });
+        });
+    } catch (error) {
+        return false; // The extension works without the menu
+    }
+}
+
+/**
+ * Downloads the latest version of a right-clicked marketplace link, in the
+ * format and for the platform the menu item names (or the defaults).
+ * Failures are reported as notifications.
+ */
+async function handleContextMenuClick(info) {
+    const choice = VSIXContextMenu.parseMenuItemId(info.menuItemId);
+    const extension = choice && VSIXCore.parseMarketplaceUrl(info.linkUrl);
+    if (!extension) {
+        return;
+    }
+    
+    try {
+        await downloadSpec({ identifier: extension.identifier, version: '', platform: choice.platform }, choice.format);
+    } catch (error) {
+        showNotification('Download Failed', `${extension.identifier}: ${error.message}`, 'error');
+    }
+}
+
+// The latest input, so gallery results for older keystrokes are dropped
+let omniboxInput = '';
+
+async function handleOmniboxInput(text, suggest) {
+    omniboxInput = text;
+    chrome.omnibox.setDefaultSuggestion({ description: VSIXOmnibox.describeInput(text) });
+    
+    let history = [];
+    let extensions = [];
+    try {
+        const stored = await chrome.storage.local.get({ [VSIXHistory.STORAGE_KEY]: [] });
+        history = stored[VSIXHistory.STORAGE_KEY];
+    } catch (error) {
+        // Suggestions work without the history
+    }
+    
+    const query = VSIXOmnibox.searchText(text);
+    if (query) {
+        try {
+            extensions = await VSIXGallery.searchExtensions(query, { pageSize: VSIXOmnibox.MAX_SUGGESTIONS });
+        } catch (error) {
+            // Offline or rate limited: history suggestions only
+        }
+    }
+    
+    if (text === omniboxInput) {
+        suggest(VSIXOmnibox.buildSuggestions(text, history, extensions));
+    }
+}
+
+/**
+ * Downloads "publisher.name[@version[@platform]]" from the address bar in
+ * the default format; without a version the latest one for the default
+ * channel is taken.
+ */
+async function handleOmniboxEntered(text) {
+    const spec = VSIXOmnibox.parseInput(text);
+    if (!spec) {
+        showNotification('Download Failed', `"${text.trim()}" is not an extension id like publisher.name or publisher.name@1.2.3`, 'error');
+        return;
+    }
+    
+    try {
+        await downloadSpec({ identifier: spec.identifier, version: spec.version, platform: spec.platform || 'default' }, 'default');
+    } catch (error) {
+        showNotification('Download Failed', `${spec.identifier}: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Resolves { identifier, version, platform } and downloads it with high
+ * priority. An empty version is the latest for the default channel;
+ * platform and format may be 'default' for the settings. Throws when the
+ * version cannot be resolved or the download fails.
+ */
+async function downloadSpec(spec, format) {
+    // The worker may have just woken up for this
+    await downloadQueue.ready;
+    
+    const platform = await resolvePlatformChoice(spec.platform);
+    const target = await VSIXDependencies.resolveTarget(
+        { identifier: spec.identifier, version: spec.version, platform },
+        { channel: state.settings.defaultChannel, platform, isCompatible: isEngineCompatible }
+    );
+    
+    const [outcome] = await queueDownloads([{
+        identifier: target.identifier,
+        displayName: target.displayName,
+        version: target.version,
+        platform: target.platform,
+        priority: 'high'
+    }], VSIXCore.normalizeFormat(format === 'default' ? state.settings.defaultFormat : format));
+    
+    if (!outcome.success) {
+        throw new Error(outcome.error || 'Download failed');
+    }
+    return outcome;
+}
+
+/**
+ * Platform for a menu or address bar choice: the defaultPlatform setting
+ * for 'default', where 'auto' is this browser's OS and 'universal' is no
+ * platform.
+ */
+async function resolvePlatformChoice(choice) {
+    const platform = choice === 'default' ? state.settings.defaultPlatform : choice;
+    if (platform === 'auto') {
+        return VSIXCore.detectPlatformAsync(navigator);
+    }
+    return VSIXCore.normalizePlatform(platform);
+}
+
 function showWelcomeNotification() {
     chrome.notifications.create('welcome', {
         type: 'basic',
@@ -98,6 +301,26 @@ function handleMessage(request, sender, sendResponse) {
             handleDownloadRequest(request, sender, sendResponse);
             return true; // Keep channel open for async response
             
+        case 'downloadWithDependencies':
+            handleDependencyDownload(request, sendResponse);
+            return true;
+            
+        case 'resolvePack':
+            handlePackResolve(request, sendResponse);
+            return true;
+            
+        case 'downloadItems':
+            handleItemsDownload(request, sendResponse);
+            return true;
+            
+        case 'lookupOpenVSX':
+            handleOpenVSXLookup(request, sendResponse);
+            return true;
+            
+        case 'downloadOpenVSX':
+            handleOpenVSXDownload(request, sendResponse);
+            return true;
+            
         case 'getSettings':
             sendResponse({ success: true, settings: state.settings });
             return false;
@@ -106,6 +329,22 @@ function handleMessage(request, sender, sendResponse) {
             handleSettingsUpdate(request, sendResponse);
             return true;
             
+        case 'redownload':
+            handleRedownload(request, sendResponse);
+            return true;
+            
+        case 'retryDownload':
+            handleRetry(request, sendResponse);
+            return true;
+            
+        case 'resumeDownload':
+            handleResume(request, sendResponse);
+            return true;
+            
+        case 'clearHistory':
+            handleHistoryClear(sendResponse);
+            return true;
+            
         default:
             sendResponse({ success: false, error: 'Unknown action' });
             return false;
@@ -113,35 +352,672 @@ function handleMessage(request, sender, sendResponse) {
 }
 
 async function handleDownloadRequest(request, sender, sendResponse) {
+    const filename = await applyFilenamePattern(request);
+    sendResponse(await processDownload(Object.assign({}, request, { filename: filename }), request.priority || 'high'));
+}
+
+/**
+ * Validates a download and queues it, to start no sooner than `delay`
+ * milliseconds from now when given. Resolves once the browser has
+ * started it to { success, downloadId, sha256, signature }, or to
+ * { success: false, error } when it failed after all retries.
+ */
+async function processDownload(request, priority, delay) {
     try {
         // Validate request
         const validation = validateDownloadRequest(request);
         if (!validation.valid) {
-            sendResponse({ success: false, error: validation.error });
+            return { success: false, error: validation.error };
+        }
+        if (validation.permissionHost && !(await hasHostPermission(validation.permissionHost))) {
+            return { success: false, error: `Access to ${validation.permissionHost} was not granted; allow it under "Extra download hosts" in the options` };
+        }
+        
+        // Only what is needed to run it again after a worker restart is saved
+        return await enqueueDownload({
+            url: request.url,
+            // The one place filenames are sanitized, whichever surface sent them
+            filename: VSIXCore.sanitizeFilename(request.filename),
+            identifier: typeof request.identifier === 'string' ? request.identifier : '',
+            version: typeof request.version === 'string' ? request.version : '',
+            platform: typeof request.platform === 'string' ? request.platform : '',
+            // Set when an interrupted download is restarted in place of its history entry
+            historyId: typeof request.historyId === 'string' ? request.historyId : '',
+            recoveries: Number.isInteger(request.recoveries) ? request.recoveries : 0
+        }, priority, delay);
+        
+    } catch (error) {
+        return { 
+            success: false, 
+            error: error.message || 'Download initialization failed'
+        };
+    }
+}
+
+/**
+ * One attempt at a queued download. The worker fetches the package once,
+ * hashes and checks those bytes, and hands the browser a blob: URL for
+ * them, so the checksum is the checksum of the saved file. Request errors
+ * (HTTP, timeouts, dropped connections) are thrown before the browser
+ * starts anything, so the queue can retry them. `key` names the package
+ * until it is saved (the queue item id).
+ */
+async function runDownload(request, key) {
+    const fetched = await fetchPackage(request.url);
+    
+    const download = {
+        url: request.url,
+        filename: request.filename,
+        identifier: request.identifier,
+        startTime: Date.now(),
+        status: 'in_progress',
+        sha256: null,
+        size: null,
+        signature: null,
+        checksumError: fetched.error || ''
+    };
+    let source = request.url;
+    let sigzip = null;
+    
+    if (fetched.bytes) {
+        try {
+            source = await createPackageUrl(key, fetched.bytes);
+            download.sha256 = await VSIXIntegrity.sha256(fetched.bytes);
+            download.size = fetched.bytes.length;
+            if (state.settings.verifySignature) {
+                ({ result: download.signature, sigzip } = await verifySignature(request, fetched.bytes));
+            }
+        } catch (error) {
+            // The browser downloads the URL itself; a hash of our bytes would not describe that file
+            source = request.url;
+            download.checksumError = `the downloaded bytes could not be handed to the browser: ${error.message}`;
+            releasePackageUrl(key);
+        }
+    }
+    
+    let downloadId;
+    try {
+        downloadId = await initiateDownload(source, request);
+    } catch (error) {
+        releasePackageUrl(key);
+        throw error;
+    }
+    
+    // Tracked before anything else is awaited so the completion event always finds it
+    state.downloads.set(downloadId, download);
+    
+    const fields = { downloadId: downloadId, sha256: download.sha256 || '', size: download.size, checksumError: download.checksumError };
+    if (download.signature) {
+        fields.signature = download.signature.status;
+    }
+    recordHistory(request, fields);
+    
+    if (sigzip) {
+        saveSignatureFile(request, sigzip);
+    }
+    
+    return {
+        success: true,
+        downloadId,
+        filename: request.filename,
+        sha256: download.sha256,
+        checksumError: download.checksumError,
+        signature: download.signature
+    };
+}
+
+async function loadQueue() {
+    try {
+        const stored = await chrome.storage.local.get({ [VSIXQueue.STORAGE_KEY]: [] });
+        // Keep anything queued while storage was being read
+        const restored = await attachDownloads(VSIXQueue.restoreItems(stored[VSIXQueue.STORAGE_KEY]));
+        downloadQueue.items = restored.concat(downloadQueue.items);
+        prunePackageCache();
+    } catch (error) {
+        return false; // Start with an empty queue
+    } finally {
+        pumpQueue();
+    }
+}
+
+/**
+ * Restored items the browser was already downloading keep their slot while
+ * that download runs; the ones it finished or interrupted while the worker
+ * was stopped are dropped (the history has their result), so nothing is
+ * downloaded twice.
+ */
+async function attachDownloads(items) {
+    const checks = items.map(async item => {
+        if (!Number.isInteger(item.downloadId)) {
+            return true;
+        }
+        try {
+            const [download] = await chrome.downloads.search({ id: item.downloadId });
+            return !!download && download.state === 'in_progress';
+        } catch (error) {
+            return false;
+        }
+    });
+    const keep = await Promise.all(checks);
+    
+    items.filter((item, index) => !keep[index]).forEach(item => releasePackageUrl(item.id));
+    return items.filter((item, index) => keep[index]);
+}
+
+function saveQueue() {
+    chrome.storage.local.set({ [VSIXQueue.STORAGE_KEY]: downloadQueue.items }).catch(() => false);
+}
+
+async function enqueueDownload(request, priority, delay) {
+    await downloadQueue.ready;
+    
+    const item = VSIXQueue.createItem(request, { priority: priority });
+    if (delay > 0) {
+        item.notBefore = item.queuedAt + delay;
+    }
+    const result = new Promise(resolve => downloadQueue.waiters.set(item.id, resolve));
+    
+    downloadQueue.items.push(item);
+    saveQueue();
+    pumpQueue();
+    
+    return result;
+}
+
+/**
+ * Starts as many queued downloads as the concurrency limit allows and
+ * schedules a wake-up for the next one still backing off.
+ */
+function pumpQueue() {
+    const now = Date.now();
+    const runnable = VSIXQueue.takeRunnable(downloadQueue.items, state.settings.maxConcurrentDownloads, now);
+    
+    for (const item of runnable) {
+        item.status = VSIXQueue.STATUS.running;
+        item.attempts++;
+        runQueueItem(item);
+    }
+    if (runnable.length) {
+        saveQueue();
+    }
+    
+    clearTimeout(downloadQueue.timer);
+    const wake = VSIXQueue.nextWakeTime(downloadQueue.items, now);
+    if (wake === null) {
+        chrome.alarms.clear(QUEUE_ALARM).catch(() => false);
+        return;
+    }
+    
+    downloadQueue.timer = setTimeout(pumpQueue, wake - now);
+    // Timers die with a suspended worker; the alarm starts it again for long waits
+    chrome.alarms.create(QUEUE_ALARM, { when: wake }).catch(() => false);
+}
+
+async function runQueueItem(item) {
+    let outcome;
+    try {
+        outcome = await runDownload(item.request, item.id);
+    } catch (error) {
+        const delay = VSIXQueue.getRetryDelay(error, item.attempts);
+        if (delay !== null) {
+            item.status = VSIXQueue.STATUS.queued;
+            item.notBefore = Date.now() + delay;
+            item.error = error.message;
+            saveQueue();
+            pumpQueue();
             return;
         }
         
-        // Perform download
-        const downloadId = await initiateDownload(request.url, request.filename);
+        const message = error.message || 'Download initialization failed';
+        recordHistory(item.request, { result: VSIXHistory.RESULTS.failed, error: message });
+        outcome = { success: false, error: item.attempts > 1 ? `${message} (after ${item.attempts} attempts)` : message };
         
-        // Track download
-        state.downloads.set(downloadId, {
-            url: request.url,
-            filename: request.filename,
-            startTime: Date.now(),
-            status: 'in_progress'
+        // Nobody is waiting for a download restored after a restart, so report it here
+        if (!downloadQueue.waiters.has(item.id)) {
+            showNotification('Download Failed', `Failed to download ${item.request.filename}: ${outcome.error}`, 'error');
+        }
+    }
+    
+    const resolve = downloadQueue.waiters.get(item.id);
+    downloadQueue.waiters.delete(item.id);
+    if (resolve) {
+        resolve(outcome);
+    }
+    
+    if (outcome.success) {
+        // The slot stays taken until the browser has saved the file (see finishQueueItem)
+        item.downloadId = outcome.downloadId;
+        saveQueue();
+        return;
+    }
+    
+    downloadQueue.items = downloadQueue.items.filter(entry => entry.id !== item.id);
+    saveQueue();
+    pumpQueue();
+}
+
+/**
+ * Frees the queue slot of a download the browser finished or interrupted,
+ * along with the saved package bytes.
+ */
+async function finishQueueItem(downloadId) {
+    await downloadQueue.ready;
+    
+    const item = downloadQueue.items.find(entry => entry.downloadId === downloadId);
+    if (!item) {
+        return false;
+    }
+    
+    releasePackageUrl(item.id);
+    downloadQueue.items = downloadQueue.items.filter(entry => entry !== item);
+    saveQueue();
+    pumpQueue();
+    return true;
+}
+
+function handleAlarm(alarm) {
+    if (alarm.name === QUEUE_ALARM) {
+        downloadQueue.ready.then(pumpQueue);
+    }
+}
+
+async function handleDependencyDownload(request, sendResponse) {
+    try {
+        const parsed = VSIXCore.parseIdentifier(request.identifier);
+        if (!parsed) {
+            sendResponse({ success: false, error: 'Invalid extension identifier' });
+            return;
+        }
+        
+        if (request.version && !VSIXCore.isValidVersion(request.version)) {
+            sendResponse({ success: false, error: 'Invalid version format' });
+            return;
+        }
+        
+        const platform = VSIXCore.normalizePlatform(request.platform);
+        const format = VSIXCore.normalizeFormat(request.format || state.settings.defaultFormat);
+        
+        const result = await VSIXDependencies.resolveDependencies(
+            { identifier: parsed.identifier, version: request.version || undefined, platform },
+            { channel: request.channel || state.settings.defaultChannel, platform, isCompatible: isEngineCompatible }
+        );
+        
+        const downloads = await queueDownloads(result.items, format);
+        
+        sendResponse({
+            success: result.items.length > 0,
+            error: result.items.length > 0 ? undefined : VSIXDependencies.describeProblems(result),
+            downloads,
+            cycles: result.cycles,
+            unresolved: result.unresolved,
+            summary: VSIXDependencies.describeProblems(result)
         });
         
-        sendResponse({ success: true, downloadId });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message || 'Dependency resolution failed' });
+    }
+}
+
+// Skips releases whose engines.vscode excludes the target VS Code version setting
+function isEngineCompatible(entry) {
+    return VSIXGallery.isEngineCompatible(entry, state.settings.targetVSCodeVersion);
+}
+
+async function handlePackResolve(request, sendResponse) {
+    try {
+        const parsed = VSIXCore.parseIdentifier(request.identifier);
+        if (!parsed) {
+            sendResponse({ success: false, error: 'Invalid extension identifier' });
+            return;
+        }
+        
+        if (request.version && !VSIXCore.isValidVersion(request.version)) {
+            sendResponse({ success: false, error: 'Invalid version format' });
+            return;
+        }
+        
+        const platform = VSIXCore.normalizePlatform(request.platform);
+        const result = await VSIXDependencies.resolvePack(
+            { identifier: parsed.identifier, version: request.version || undefined, platform },
+            { channel: request.channel || state.settings.defaultChannel, platform, isCompatible: isEngineCompatible }
+        );
+        
+        sendResponse({
+            success: result.members.length > 0,
+            error: result.members.length > 0 ? undefined : (VSIXDependencies.describeProblems(result) || 'Extension pack has no members'),
+            pack: result.pack,
+            members: result.members,
+            cycles: result.cycles,
+            unresolved: result.unresolved,
+            summary: VSIXDependencies.describeProblems(result)
+        });
         
     } catch (error) {
-        sendResponse({ 
-            success: false, 
-            error: error.message || 'Download initialization failed'
+        sendResponse({ success: false, error: error.message || 'Extension pack resolution failed' });
+    }
+}
+
+async function handleItemsDownload(request, sendResponse) {
+    try {
+        if (!Array.isArray(request.items) || request.items.length === 0) {
+            sendResponse({ success: false, error: 'No extensions selected' });
+            return;
+        }
+        
+        const format = VSIXCore.normalizeFormat(request.format || state.settings.defaultFormat);
+        const downloads = await queueDownloads(request.items, format);
+        
+        sendResponse({
+            success: downloads.some(item => item.success),
+            error: downloads.some(item => item.success) ? undefined : 'No downloads could be started',
+            downloads
         });
+        
+    } catch (error) {
+        sendResponse({ success: false, error: error.message || 'Download initialization failed' });
     }
 }
 
+// Content scripts cannot call open-vsx.org themselves (CORS), so lookups run here
+async function handleOpenVSXLookup(request, sendResponse) {
+    try {
+        const parsed = VSIXCore.parseIdentifier(request.identifier);
+        if (!parsed) {
+            sendResponse({ success: false, error: 'Invalid extension identifier' });
+            return;
+        }
+        
+        const extension = await VSIXOpenVSX.getExtension(parsed.identifier, {
+            platform: VSIXCore.normalizePlatform(request.platform)
+        });
+        
+        sendResponse({ success: true, found: !!extension, extension });
+        
+    } catch (error) {
+        sendResponse({ success: false, error: error.message || 'Open VSX lookup failed' });
+    }
+}
+
+/**
+ * Downloads the Open VSX build: the requested version when Open VSX has it,
+ * otherwise its latest version.
+ */
+async function handleOpenVSXDownload(request, sendResponse) {
+    try {
+        const parsed = VSIXCore.parseIdentifier(request.identifier);
+        if (!parsed) {
+            sendResponse({ success: false, error: 'Invalid extension identifier' });
+            return;
+        }
+        
+        if (request.version && !VSIXCore.isValidVersion(request.version)) {
+            sendResponse({ success: false, error: 'Invalid version format' });
+            return;
+        }
+        
+        const extension = await VSIXOpenVSX.getExtension(parsed.identifier, {
+            platform: VSIXCore.normalizePlatform(request.platform)
+        });
+        
+        if (!extension || !extension.downloadable) {
+            sendResponse({ success: false, error: `${parsed.identifier} is not available on Open VSX` });
+            return;
+        }
+        
+        const target = VSIXOpenVSX.pickDownload(extension, request.version);
+        const filename = await buildPatternFilename(Object.assign({ displayName: extension.displayName }, target), 'vsix');
+        const result = await processDownload({
+            url: VSIXOpenVSX.buildDownloadUrl(target),
+            filename: filename,
+            identifier: target.identifier,
+            version: target.version,
+            platform: target.platform
+        }, 'high');
+        
+        sendResponse(Object.assign({ filename: filename }, result, { version: target.version, platform: target.platform }));
+        
+    } catch (error) {
+        sendResponse({ success: false, error: error.message || 'Open VSX download failed' });
+    }
+}
+
+/**
+ * Queues resolved extensions ({ identifier, version, platform, displayName, priority })
+ * through the regular download path; they run side by side up to the
+ * concurrency limit. Invalid entries are reported, not thrown.
+ */
+async function queueDownloads(items, format) {
+    return Promise.all(items.map(async item => {
+        let filename = '';
+        let outcome;
+        try {
+            filename = await buildPatternFilename(item, format);
+            outcome = await processDownload({
+                url: VSIXCore.buildDownloadUrl(item, format),
+                filename: filename,
+                identifier: item.identifier,
+                version: item.version,
+                platform: item.platform
+            }, item.priority);
+        } catch (error) {
+            outcome = { success: false, error: error.message };
+        }
+        
+        return {
+            identifier: item.identifier,
+            version: item.version,
+            filename: outcome.filename || filename,
+            success: outcome.success,
+            error: outcome.error,
+            sha256: outcome.sha256,
+            signature: outcome.signature
+        };
+    }));
+}
+
+// Serializes read-modify-write cycles on the stored history
+let historyWrite = Promise.resolve();
+
+/**
+ * Applies transform(list) to the stored download history. Storage failures
+ * are swallowed: history is a convenience and must never block a download.
+ */
+function updateHistory(transform) {
+    historyWrite = historyWrite
+        .then(async () => {
+            const stored = await chrome.storage.local.get({ [VSIXHistory.STORAGE_KEY]: [] });
+            await chrome.storage.local.set({ [VSIXHistory.STORAGE_KEY]: transform(stored[VSIXHistory.STORAGE_KEY]) });
+        })
+        .catch(() => false);
+    return historyWrite;
+}
+
+function recordHistory(request, fields) {
+    const entry = VSIXHistory.createEntry(Object.assign({
+        id: request.historyId,
+        identifier: typeof request.identifier === 'string' ? request.identifier : '',
+        version: typeof request.version === 'string' ? request.version : '',
+        platform: VSIXCore.normalizePlatform(request.platform),
+        filename: request.filename,
+        url: request.url,
+        recoveries: request.recoveries
+    }, fields));
+    
+    return updateHistory(history => request.historyId
+        ? VSIXHistory.replaceEntry(history, entry)
+        : VSIXHistory.addEntry(history, entry));
+}
+
+async function readHistory() {
+    await historyWrite;
+    const stored = await chrome.storage.local.get({ [VSIXHistory.STORAGE_KEY]: [] });
+    return stored[VSIXHistory.STORAGE_KEY];
+}
+
+/**
+ * Stores the final state of a download. Looked up by the browser's download
+ * id, so it also works after the worker was suspended mid-download.
+ */
+async function recordDownloadResult(downloadId, result, error) {
+    let item = null;
+    try {
+        [item] = await chrome.downloads.search({ id: downloadId });
+    } catch (searchError) {
+        item = null; // The size is optional
+    }
+    
+    const changes = { result: result, error: error || '', canResume: !!(item && item.canResume) };
+    if (item && item.fileSize > 0) {
+        changes.size = item.fileSize;
+    }
+    
+    return updateHistory(history => VSIXHistory.updateEntry(history, downloadId, changes));
+}
+
+async function handleRedownload(request, sendResponse) {
+    try {
+        const entry = VSIXHistory.findEntry(await readHistory(), request.id);
+        
+        if (!entry) {
+            sendResponse({ success: false, error: 'History entry not found' });
+            return;
+        }
+        if (!VSIXHistory.canRedownload(entry)) {
+            sendResponse({ success: false, error: `${entry.filename} was assembled locally and cannot be downloaded again` });
+            return;
+        }
+        
+        const result = await processDownload({
+            url: entry.url,
+            filename: entry.filename,
+            identifier: entry.identifier,
+            version: entry.version,
+            platform: entry.platform
+        });
+        
+        sendResponse(Object.assign(result, { filename: entry.filename }));
+        
+    } catch (error) {
+        sendResponse({ success: false, error: error.message || 'Download failed' });
+    }
+}
+
+/**
+ * Downloads an interrupted or failed history entry again, in place of the
+ * entry. The automatic restart count starts over.
+ */
+async function handleRetry(request, sendResponse) {
+    try {
+        const entry = VSIXHistory.findEntry(await readHistory(), request.id);
+        
+        if (!entry) {
+            sendResponse({ success: false, error: 'History entry not found' });
+            return;
+        }
+        if (!VSIXHistory.canRedownload(entry)) {
+            sendResponse({ success: false, error: `${entry.filename} was assembled locally and cannot be downloaded again` });
+            return;
+        }
+        
+        const result = await restartDownload(entry, 0, 'high');
+        sendResponse(Object.assign(result, { filename: entry.filename }));
+        
+    } catch (error) {
+        sendResponse({ success: false, error: error.message || 'Download failed' });
+    }
+}
+
+async function handleResume(request, sendResponse) {
+    try {
+        const entry = VSIXHistory.findEntry(await readHistory(), request.id);
+        
+        if (!entry || entry.downloadId === null) {
+            sendResponse({ success: false, error: 'History entry not found' });
+            return;
+        }
+        
+        const [item] = await chrome.downloads.search({ id: entry.downloadId });
+        if (!item || !item.canResume) {
+            sendResponse({ success: false, error: `${entry.filename} can no longer be resumed; use Retry to download it again` });
+            return;
+        }
+        
+        await chrome.downloads.resume(entry.downloadId);
+        await updateHistory(history => VSIXHistory.updateEntry(history, entry.downloadId, {
+            result: VSIXHistory.RESULTS.inProgress,
+            error: '',
+            canResume: false
+        }));
+        
+        sendResponse({ success: true, filename: entry.filename });
+        
+    } catch (error) {
+        sendResponse({ success: false, error: error.message || 'Resume failed' });
+    }
+}
+
+function restartDownload(entry, recoveries, priority, delay) {
+    return processDownload({
+        url: entry.url,
+        filename: entry.filename,
+        identifier: entry.identifier,
+        version: entry.version,
+        platform: entry.platform,
+        historyId: entry.id,
+        recoveries: recoveries
+    }, priority, delay);
+}
+
+async function handleHistoryClear(sendResponse) {
+    await updateHistory(() => []);
+    sendResponse({ success: true });
+}
+
+/**
+ * Names a download request from a page or the popup after the filename
+ * pattern setting. Requests without a valid identifier and version (ZIP
+ * bundles) keep the filename they came with.
+ */
+async function applyFilenamePattern(request) {
+    const format = /\.(vsix|vsixpackage)$/i.exec(request.filename);
+    if (!format || typeof request.identifier !== 'string' || typeof request.version !== 'string') {
+        return request.filename;
+    }
+    
+    try {
+        return await buildPatternFilename({
+            identifier: request.identifier,
+            version: request.version,
+            platform: VSIXCore.normalizePlatform(request.platform),
+            displayName: request.displayName
+        }, format[1].toLowerCase());
+    } catch (error) {
+        return request.filename;
+    }
+}
+
+/**
+ * Filename for { identifier, version, platform, displayName } from the
+ * filename pattern setting. The display name is looked up in the gallery
+ * only when the pattern uses it and the caller did not know it; without
+ * it the placeholder is dropped.
+ */
+async function buildPatternFilename(item, format) {
+    const pattern = state.settings.filenamePattern;
+    let displayName = typeof item.displayName === 'string' ? item.displayName : '';
+    
+    if (!displayName && pattern.includes('{displayName}')) {
+        try {
+            const info = await VSIXGallery.getExtensionInfo(item.identifier);
+            displayName = info ? info.displayName : '';
+        } catch (error) {
+            displayName = ''; // Gallery unreachable; named without it
+        }
+    }
+    
+    return VSIXCore.formatFilename(Object.assign({}, item, { displayName: displayName }), format, pattern);
+}
+
 function validateDownloadRequest(request) {
     // Validate URL
     if (!request.url || typeof request.url !== 'string') {
@@ -153,6 +1029,13 @@ function validateDownloadRequest(request) {
         return { valid: false, error: 'Invalid or missing filename' };
     }
     
+    // ZIP bundles are assembled in extension pages and handed over as blob URLs
+    if (request.url.startsWith('blob:')) {
+        return request.url.startsWith(`blob:${self.location.origin}/`)
+            ? { valid: true }
+            : { valid: false, error: 'Blob URLs must belong to this extension' };
+    }
+    
     // Validate URL format
     let urlObj;
     try {
@@ -161,17 +1044,25 @@ function validateDownloadRequest(request) {
         return { valid: false, error: 'Malformed URL' };
     }
     
+    // Open VSX is allowed for package downloads only, not the rest of the site
+    if (urlObj.hostname === VSIXOpenVSX.REGISTRY_HOST) {
+        return VSIXOpenVSX.isDownloadUrl(request.url)
+            ? { valid: true }
+            : { valid: false, error: 'Only Open VSX package downloads are allowed' };
+    }
+    
     // Security: Validate domain whitelist
     const allowedDomains = [
         'marketplace.visualstudio.com',
         'gallery.vsassets.io'
     ];
     
-    const isAllowedDomain = allowedDomains.some(domain => 
+    const isBuiltInDomain = allowedDomains.some(domain => 
         urlObj.hostname === domain || urlObj.hostname.endsWith('.' + domain)
     );
+    const isExtraHost = !isBuiltInDomain && state.settings.allowedHosts.includes(urlObj.hostname);
     
-    if (!isAllowedDomain) {
+    if (!isBuiltInDomain && !isExtraHost) {
         return { 
             valid: false, 
             error: `Domain not allowed: ${urlObj.hostname}` 
@@ -183,53 +1074,250 @@ function validateDownloadRequest(request) {
         return { valid: false, error: 'Only HTTPS URLs are allowed' };
     }
     
-    return { valid: true };
+    // Extra hosts still need the optional host permission (checked by processDownload)
+    return isExtraHost ? { valid: true, permissionHost: urlObj.hostname } : { valid: true };
+}
+
+async function hasHostPermission(host) {
+    try {
+        return await chrome.permissions.contains({ origins: VSIXSettings.hostOrigins([host]) });
+    } catch (error) {
+        return false;
+    }
 }
 
-async function initiateDownload(url, filename) {
-    // Sanitize filename
-    const sanitizedFilename = sanitizeFilename(filename);
+/**
+ * Fetches a package. Resolves to { bytes }, or to { error } when the worker
+ * cannot reach the URL at all (network or CORS failure, e.g. a redirect to
+ * a host without permission); the browser then downloads the URL itself,
+ * without a checksum. HTTP errors are thrown with `status` and the raw
+ * `retryAfter` header, requests that send nothing for FETCH_TIMEOUT with
+ * code ETIMEDOUT and bodies cut off with code ECONNRESET, for the queue's
+ * retry decision.
+ */
+async function fetchPackage(url) {
+    const controller = new AbortController();
+    let timer = null;
+    const watch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+    };
     
+    let response;
     try {
-        const downloadId = await chrome.downloads.download({
-            url: url,
-            filename: sanitizedFilename,
-            saveAs: false,
-            conflictAction: 'uniquify'
-        });
-        
-        return downloadId;
-        
+        watch();
+        response = await fetch(url, { signal: controller.signal });
+    } catch (error) {
+        clearTimeout(timer);
+        if (error && error.name === 'AbortError') {
+            throw timeoutError();
+        }
+        return { error: 'the worker could not fetch the package, so the browser downloaded it directly' };
+    }
+    
+    if (!response.ok) {
+        clearTimeout(timer);
+        controller.abort();
+        const error = new Error(`Server responded with HTTP ${response.status}`);
+        error.status = response.status;
+        error.retryAfter = response.headers.get('Retry-After');
+        throw error;
+    }
+    
+    const chunks = [];
+    let size = 0;
+    try {
+        // A stalled body is aborted so it does not hold a queue slot
+        const reader = response.body ? response.body.getReader() : null;
+        while (reader) {
+            watch();
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            chunks.push(value);
+            size += value.length;
+        }
     } catch (error) {
-        throw new Error(`Download API initiation failed`);
+        if (error && error.name === 'AbortError') {
+            throw timeoutError();
+        }
+        const dropped = new Error(`Download incomplete: ${error.message}`);
+        dropped.code = 'ECONNRESET';
+        throw dropped;
+    } finally {
+        clearTimeout(timer);
     }
+    
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return { bytes };
+}
+
+function timeoutError() {
+    const error = new Error(`Download request timed out (no data for ${FETCH_TIMEOUT / 1000} seconds)`);
+    error.code = 'ETIMEDOUT';
+    return error;
 }
 
-function sanitizeFilename(filename) {
-    if (typeof filename !== 'string') {
-        return 'download.vsix';
+/**
+ * A blob: URL for package bytes. Where the worker cannot create one itself
+ * (Chrome's service worker), the bytes are put in Cache Storage and the
+ * offscreen document turns them into a URL, which stays valid until
+ * releasePackageUrl.
+ */
+async function createPackageUrl(key, bytes) {
+    const blob = new Blob([bytes], { type: 'application/octet-stream' });
+    
+    if (typeof URL.createObjectURL === 'function') {
+        const url = URL.createObjectURL(blob);
+        packageUrls.set(key, url);
+        return url;
     }
     
-    // Remove or replace dangerous characters
-    let sanitized = filename
-        .replace(/[<>:"/\\|?*]/g, '_')  // Windows and Unix forbidden chars
-        .replace(/\.\./g, '_')          // Path traversal
-        .replace(/^\./, '_')            // Hidden files
-        .replace(/\s+/g, '_')           // Spaces
-        .trim();
+    const cache = await caches.open(PACKAGE_CACHE);
+    await cache.put(packageCacheUrl(key), new Response(blob));
+    await ensureOffscreenDocument();
+    
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'createPackageUrl', cache: PACKAGE_CACHE, key: packageCacheUrl(key) });
+    if (!response || !response.success) {
+        throw new Error((response && response.error) || 'the offscreen document did not answer');
+    }
+    packageUrls.set(key, response.url);
+    return response.url;
+}
+
+async function releasePackageUrl(key) {
+    const url = packageUrls.get(key);
+    packageUrls.delete(key);
+    
+    if (typeof URL.createObjectURL === 'function') {
+        if (url) {
+            URL.revokeObjectURL(url);
+        }
+        return;
+    }
     
-    // Ensure it has a valid extension
-    if (!sanitized.endsWith('.vsix') && !sanitized.endsWith('.vsixpackage')) {
-        sanitized += '.vsix';
+    try {
+        // The offscreen document also holds URLs from before a worker restart
+        const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+        if (contexts.length > 0) {
+            await chrome.runtime.sendMessage({ target: 'offscreen', action: 'releasePackageUrl', key: packageCacheUrl(key) });
+        }
+        await (await caches.open(PACKAGE_CACHE)).delete(packageCacheUrl(key));
+    } catch (error) {
+        return false; // Removed by prunePackageCache on the next start
+    }
+}
+
+/**
+ * Drops saved packages no queue item refers to any more (left behind when
+ * the worker stopped before releasing them).
+ */
+async function prunePackageCache() {
+    if (typeof caches === 'undefined' || typeof URL.createObjectURL === 'function') {
+        return;
     }
     
-    // Limit length
-    if (sanitized.length > 200) {
-        const ext = sanitized.substring(sanitized.lastIndexOf('.'));
-        sanitized = sanitized.substring(0, 200 - ext.length) + ext;
+    try {
+        const cache = await caches.open(PACKAGE_CACHE);
+        const keep = new Set(downloadQueue.items.map(item => packageCacheUrl(item.id)));
+        const requests = await cache.keys();
+        await Promise.all(requests.filter(request => !keep.has(request.url)).map(request => cache.delete(request)));
+    } catch (error) {
+        return false;
+    }
+}
+
+function packageCacheUrl(key) {
+    return `${self.location.origin}/packages/${encodeURIComponent(key)}`;
+}
+
+function ensureOffscreenDocument() {
+    if (!offscreenCreating) {
+        offscreenCreating = chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] })
+            .then(contexts => contexts.length > 0 ? null : chrome.offscreen.createDocument({
+                url: OFFSCREEN_DOCUMENT,
+                reasons: ['BLOBS'],
+                justification: 'Save downloaded VSIX packages from the bytes that were checksummed'
+            }))
+            .finally(() => {
+                offscreenCreating = null;
+            });
+    }
+    return offscreenCreating;
+}
+
+/**
+ * Fetches the marketplace signature of a package and checks the package
+ * against it. Resolves to { result, sigzip }: a VSIXSignature result (null
+ * for packages that do not come from the marketplace, such as Open VSX and
+ * ZIP bundles) and the .sigzip bytes to save next to the package.
+ */
+async function verifySignature(request, bytes) {
+    const url = VSIXSignature.buildSignatureUrl(request.url);
+    if (!url) {
+        return { result: null, sigzip: null };
     }
     
-    return sanitized;
+    try {
+        const response = await fetch(url);
+        if (response.status === 404) {
+            return { result: await VSIXSignature.verifyPackage(bytes, null), sigzip: null };
+        }
+        if (!response.ok) {
+            throw new Error(`Signature request failed with HTTP ${response.status}`);
+        }
+        
+        const sigzip = new Uint8Array(await response.arrayBuffer());
+        return { result: await VSIXSignature.verifyPackage(bytes, sigzip), sigzip };
+    } catch (error) {
+        return { result: { status: VSIXSignature.STATUS.unavailable, files: 0, problems: [error.message] }, sigzip: null };
+    }
+}
+
+async function saveSignatureFile(request, sigzip) {
+    try {
+        await VSIXLocation.startDownload(
+            chrome.downloads,
+            bytesToDataUrl(sigzip, 'application/zip'),
+            VSIXSignature.buildSignatureFilename(request.filename),
+            state.settings,
+            { identifier: request.identifier, sidecar: true }
+        );
+    } catch (error) {
+        return false; // The package itself is saved; the check result is in the history
+    }
+}
+
+// For the small checksum and signature files; packages go through createPackageUrl
+function bytesToDataUrl(bytes, type) {
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+    }
+    return `data:${type};base64,${btoa(chunks.join(''))}`;
+}
+
+/**
+ * Hands a package to the browser, in the folder (or Save As dialog) the
+ * download location settings ask for.
+ */
+async function initiateDownload(url, request) {
+    try {
+        const downloadId = await VSIXLocation.startDownload(chrome.downloads, url, request.filename, state.settings, {
+            identifier: request.identifier
+        });
+        
+        return downloadId;
+        
+    } catch (error) {
+        throw new Error(`The browser did not start the download: ${error.message || 'unknown error'}`);
+    }
 }
 
 function handleDownloadCreated(downloadItem) {
@@ -239,6 +1327,14 @@ function handleDownloadCreated(downloadItem) {
 function handleDownloadChanged(delta) {
     const downloadId = delta.id;
     
+    // History lives in storage, so handle results even for downloads this worker instance did not start
+    if (delta.state && delta.state.current === 'complete') {
+        recordDownloadResult(downloadId, VSIXHistory.RESULTS.complete, '');
+        finishQueueItem(downloadId);
+    } else if (delta.state && delta.state.current === 'interrupted') {
+        handleDownloadInterrupted(downloadId, delta.error ? delta.error.current : '');
+    }
+    
     // Update state
     if (state.downloads.has(downloadId)) {
         const download = state.downloads.get(downloadId);
@@ -248,8 +1344,6 @@ function handleDownloadChanged(delta) {
             
             if (delta.state.current === 'complete') {
                 handleDownloadComplete(downloadId, download);
-            } else if (delta.state.current === 'interrupted') {
-                handleDownloadInterrupted(downloadId, download, delta);
             }
         }
         
@@ -259,29 +1353,80 @@ function handleDownloadChanged(delta) {
     }
 }
 
-function handleDownloadComplete(downloadId, download) {
+async function handleDownloadComplete(downloadId, download) {
     // Show notification
     if (state.settings.showNotifications) {
+        const checksum = download.sha256 ? `\nSHA-256: ${download.sha256}` : `\nSHA-256 unavailable (${download.checksumError || 'downloaded directly'})`;
+        const signature = download.signature ? `\n${VSIXSignature.describeResult(download.signature)}` : '';
         showNotification(
             'Download Complete',
-            `${download.filename} downloaded successfully`,
+            `${download.filename} downloaded successfully${checksum}${signature}`,
             'success'
         );
     }
     
+    if (state.settings.saveChecksumFile && download.sha256) {
+        saveChecksumFile(downloadId, download);
+    }
+    
     // Clean up after delay
     setTimeout(() => {
         state.downloads.delete(downloadId);
     }, 60000); // Keep for 1 minute
 }
 
-function handleDownloadInterrupted(downloadId, download, delta) {
+/**
+ * Writes "<hash>  <file>" next to the finished download, named after the
+ * file actually saved (which differs when the browser had to uniquify it).
+ */
+async function saveChecksumFile(downloadId, download) {
+    try {
+        const [item] = await chrome.downloads.search({ id: downloadId });
+        const savedName = item && item.filename ? item.filename.split(/[\\/]/).pop() : download.filename;
+        const text = VSIXIntegrity.formatChecksumFile([{ sha256: download.sha256, filename: savedName }]);
+        
+        await VSIXLocation.startDownload(
+            chrome.downloads,
+            bytesToDataUrl(new TextEncoder().encode(text), 'text/plain'),
+            VSIXIntegrity.buildChecksumFilename(savedName),
+            state.settings,
+            { identifier: download.identifier, sidecar: true, conflictAction: 'overwrite' }
+        );
+    } catch (error) {
+        return false; // The package itself is already saved
+    }
+}
+
+/**
+ * Resumes or restarts a download interrupted for a temporary reason
+ * (network, server, browser shutdown) and otherwise records it and tells
+ * the user. Only downloads in the history are handled; checksum and
+ * signature files are not.
+ */
+async function handleDownloadInterrupted(downloadId, reason) {
+    const entry = (await readHistory()).find(item => item.downloadId === downloadId);
+    if (!entry) {
+        finishQueueItem(downloadId);
+        return false;
+    }
+    
+    try {
+        if (await recoverDownload(entry, reason)) {
+            return true;
+        }
+    } catch (error) {
+        // Could not resume or restart; report the interruption below
+    }
+    
+    finishQueueItem(downloadId);
+    const description = VSIXQueue.describeInterrupt(reason);
+    await recordDownloadResult(downloadId, VSIXHistory.RESULTS.interrupted, description);
+    
     // Show notification
-    if (state.settings.showNotifications) {
-        const errorMsg = delta.error?.current || 'Download interrupted due to unknown error';
+    if (reason !== 'USER_CANCELED') {
         showNotification(
             'Download Failed',
-            `Failed to download ${download.filename}: ${errorMsg}`,
+            `Failed to download ${entry.filename}: ${description}`,
             'error'
         );
     }
@@ -292,6 +1437,36 @@ function handleDownloadInterrupted(downloadId, download, delta) {
     }, 5000);
 }
 
+async function recoverDownload(entry, reason) {
+    const [item] = await chrome.downloads.search({ id: entry.downloadId });
+    const action = VSIXQueue.getRecoveryAction(reason, {
+        canResume: !!(item && item.canResume),
+        recoveries: entry.recoveries || 0
+    });
+    
+    if (action === VSIXQueue.RECOVERY.resume) {
+        await updateHistory(history => VSIXHistory.updateEntry(history, entry.downloadId, { recoveries: (entry.recoveries || 0) + 1 }));
+        await chrome.downloads.resume(entry.downloadId);
+        return true;
+    }
+    
+    if (action === VSIXQueue.RECOVERY.restart && VSIXHistory.canRedownload(entry)) {
+        // The new download replaces the entry once it starts, after a backoff so a
+        // connection that just dropped has a chance to come back; report only if it cannot start at all
+        // A resumed download keeps its queue slot and package; a restart fetches the package again
+        const recoveries = (entry.recoveries || 0) + 1;
+        finishQueueItem(entry.downloadId);
+        restartDownload(entry, recoveries, 'normal', VSIXQueue.getRecoveryDelay(recoveries)).then(result => {
+            if (!result.success) {
+                showNotification('Download Failed', `Failed to download ${entry.filename}: ${result.error}`, 'error');
+            }
+        });
+        return true;
+    }
+    
+    return false;
+}
+
 async function showNotification(title, message, type = 'info') {
     if (!state.settings.showNotifications) {
         return;
@@ -319,13 +1494,12 @@ async function handleSettingsUpdate(request, sendResponse) {
             return;
         }
         
-        // Whitelist allowed setting keys to prevent arbitrary key injection
-        const allowedKeys = ['autoInject', 'showNotifications', 'downloadLocation'];
-        const sanitized = {};
-        for (const key of allowedKeys) {
-            if (key in request.settings) {
-                sanitized[key] = request.settings[key];
-            }
+        // Only known keys are kept (no arbitrary key injection); values are normalized
+        const { settings: sanitized, errors } = VSIXSettings.validateSettings(request.settings);
+        const invalid = Object.keys(errors);
+        if (invalid.length > 0) {
+            sendResponse({ success: false, error: errors[invalid[0]], errors });
+            return;
         }
         
         if (Object.keys(sanitized).length === 0) {
@@ -333,12 +1507,17 @@ async function handleSettingsUpdate(request, sendResponse) {
             return;
         }
         
-        // Update state with only whitelisted keys
+        // Update state with only validated keys
         Object.assign(state.settings, sanitized);
         
         // Persist to storage
         await chrome.storage.sync.set(sanitized);
         
+        // A higher limit can start waiting downloads right away
+        if ('maxConcurrentDownloads' in sanitized) {
+            pumpQueue();
+        }
+        
         sendResponse({ success: true, settings: state.settings });
         
     } catch (error) {
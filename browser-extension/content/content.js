@@ -18,6 +18,19 @@ class VSIXDownloader {
             name: ''
         };
         
+        // Target platform for platform-specific packages ('' = universal)
+        this.platform = VSIXCore.detectPlatform(navigator);
+        
+        // Gallery version list and release channel ('stable' or 'prerelease')
+        this.versions = [];
+        this.channel = 'stable';
+        
+        // Target VS Code version ('' = any); incompatible releases are skipped
+        this.engine = '';
+        
+        // Open VSX lookup: undefined until answered, null when not published there
+        this.openVsx = undefined;
+        
         // Performance and state management
         this.observer = null;
         this.processingTimeout = null;
@@ -53,10 +66,28 @@ class VSIXDownloader {
         }
         
         this.setupMessageListener();
+        this.detectPlatform();
         this.setupPageLoadHandlers();
         this.setupNavigationWatchers();
     }
 
+    async detectPlatform() {
+        const detected = await VSIXCore.detectPlatformAsync(navigator);
+        
+        try {
+            // 'auto' keeps the detected OS; 'universal' normalizes to ''
+            const settings = await chrome.storage.sync.get({ defaultPlatform: 'auto' });
+            this.platform = settings.defaultPlatform === 'auto' ? detected : VSIXCore.normalizePlatform(settings.defaultPlatform);
+        } catch (error) {
+            this.platform = detected;
+        }
+        
+        const select = document.getElementById('vsix-platform-select');
+        if (select) {
+            select.value = this.platform;
+        }
+    }
+
     isValidPage() {
         const url = window.location.href;
         return url.includes('marketplace.visualstudio.com/items') && 
@@ -129,6 +160,8 @@ class VSIXDownloader {
             name: ''
         };
         
+        this.versions = [];
+        this.openVsx = undefined;
         this.isInjected = false;
         this.isProcessing = false;
         this.retryAttempts = 0;
@@ -152,6 +185,8 @@ class VSIXDownloader {
             await this.extractMetadata();
             
             if (this.hasValidData()) {
+                this.loadVersions();
+                this.loadOpenVSX();
                 await this.checkAutoInject();
                 this.setupDOMObserver();
             } else if (this.retryAttempts < this.maxRetries) {
@@ -223,13 +258,14 @@ class VSIXDownloader {
                 return;
             }
             
-            this.extensionData.identifier = this.sanitizeText(itemName);
-            
-            const parts = itemName.split('.');
-            if (parts.length >= 2) {
-                this.extensionData.publisher = this.sanitizeText(parts[0]);
-                this.extensionData.name = this.sanitizeText(parts.slice(1).join('.'));
+            const parsed = VSIXCore.parseIdentifier(itemName);
+            if (!parsed) {
+                return;
             }
+            
+            this.extensionData.identifier = parsed.identifier;
+            this.extensionData.publisher = parsed.publisher;
+            this.extensionData.name = parsed.extension;
         } catch (error) {
             return false; // Extraction intentionally returns partial failures cleanly without crashing
         }
@@ -360,13 +396,7 @@ class VSIXDownloader {
     }
 
     isValidVersion(version) {
-        if (typeof version !== 'string') return false;
-        return /^\d+\.\d+\.\d+/.test(version);
-    }
-
-    sanitizeText(text) {
-        if (typeof text !== 'string') return '';
-        return text.replace(/[<>"'&]/g, '').trim();
+        return VSIXCore.isValidVersion(version);
     }
 
     async checkAutoInject() {
@@ -375,7 +405,9 @@ class VSIXDownloader {
         }
         
         try {
-            const settings = await chrome.storage.sync.get({ autoInject: true });
+            const settings = await chrome.storage.sync.get({ autoInject: true, defaultChannel: 'stable', targetVSCodeVersion: '' });
+            this.channel = VSIXGallery.normalizeChannel(settings.defaultChannel);
+            this.engine = settings.targetVSCodeVersion;
             
             if (settings.autoInject) {
                 this.injectDownloadButtons();
@@ -387,6 +419,45 @@ class VSIXDownloader {
         }
     }
 
+    async loadVersions() {
+        const identifier = this.extensionData.identifier;
+        
+        try {
+            const versions = await VSIXGallery.getVersions(identifier);
+            
+            // Discard results if the user navigated to another extension
+            if (this.extensionData.identifier === identifier) {
+                this.versions = versions;
+                this.updateChannelLabels();
+                this.updatePackButton();
+                this.updateEngineWarning();
+                this.updateOpenVSXButton();
+            }
+        } catch (error) {
+            // Gallery unavailable: downloads fall back to the scraped version
+            return false;
+        }
+    }
+
+    loadOpenVSX() {
+        const identifier = this.extensionData.identifier;
+        
+        chrome.runtime.sendMessage({
+            action: 'lookupOpenVSX',
+            identifier: identifier,
+            platform: this.platform
+        }, (response) => {
+            // Unknown availability keeps the Open VSX controls hidden
+            if (chrome.runtime.lastError || !response || !response.success) {
+                return;
+            }
+            if (this.extensionData.identifier === identifier) {
+                this.openVsx = response.found ? response.extension : null;
+                this.updateOpenVSXButton();
+            }
+        });
+    }
+
     injectDownloadButtons() {
         if (this.isInjected || document.getElementById('vsix-downloader-container')) {
             return;
@@ -460,16 +531,176 @@ class VSIXDownloader {
         const buttons = [
             { text: 'Download VSIX', action: 'vsix', variant: 'primary', title: 'Download as .vsix file' },
             { text: 'Download Package', action: 'vsixpackage', variant: 'secondary', title: 'Download as .vsixpackage file' },
+            { text: 'With Dependencies', action: 'dependencies', variant: 'secondary', title: 'Download this extension and every extension it depends on' },
+            { text: 'Download Whole Pack', action: 'pack', variant: 'secondary', title: 'Choose and download the extensions in this pack' },
+            { text: 'Download from Open VSX', action: 'openvsx', variant: 'secondary', title: 'Download the Open VSX build of this extension' },
             { text: 'Copy URL', action: 'copy', variant: 'tertiary', title: 'Copy download URLs to clipboard' }
         ];
         
         buttons.forEach(btn => {
-            container.appendChild(this.createButton(btn.text, btn.action, btn.variant, btn.title));
+            const button = this.createButton(btn.text, btn.action, btn.variant, btn.title);
+            button.dataset.action = btn.action;
+            container.appendChild(button);
         });
         
+        container.appendChild(this.createChannelSelect());
+        container.appendChild(this.createPlatformSelect());
+        
+        const openVsxStatus = document.createElement('span');
+        openVsxStatus.className = 'vsix-openvsx-status';
+        openVsxStatus.hidden = true;
+        container.appendChild(openVsxStatus);
+        
+        const engineWarning = document.createElement('span');
+        engineWarning.className = 'vsix-engine-warning';
+        engineWarning.setAttribute('role', 'status');
+        engineWarning.hidden = true;
+        container.appendChild(engineWarning);
+        
+        this.updatePackButton(container);
+        this.updateEngineWarning(container);
+        this.updateOpenVSXButton(container);
         return container;
     }
 
+    /**
+     * Version the marketplace buttons would download: the newest release
+     * on the selected channel, or the version scraped from the page.
+     */
+    getPreferredVersion() {
+        const latest = VSIXGallery.pickLatest(this.versions, this.channel, this.engine);
+        return latest ? latest.version : this.extensionData.version;
+    }
+
+    /**
+     * Shows whether Open VSX publishes this extension and which versions.
+     * The download button appears only when it does.
+     */
+    updateOpenVSXButton(container = document.getElementById('vsix-downloader-container')) {
+        const button = container && container.querySelector('[data-action="openvsx"]');
+        const status = container && container.querySelector('.vsix-openvsx-status');
+        if (!button || !status) {
+            return;
+        }
+        
+        const extension = this.openVsx;
+        status.hidden = extension === undefined;
+        status.textContent = `Open VSX: ${VSIXOpenVSX.describeAvailability(extension)}`;
+        status.title = extension ? `Versions on Open VSX: ${extension.versions.join(', ')}` : '';
+        
+        button.hidden = !extension || !extension.downloadable;
+        if (extension) {
+            const target = VSIXOpenVSX.pickDownload(extension, this.getPreferredVersion());
+            button.querySelector('span').textContent = `Download from Open VSX (${target.version})`;
+        }
+    }
+
+    /**
+     * Warns when the version shown on the page does not install on the
+     * target VS Code version, and names the release downloaded instead.
+     */
+    updateEngineWarning(container = document.getElementById('vsix-downloader-container')) {
+        const warning = container && container.querySelector('.vsix-engine-warning');
+        if (!warning) {
+            return;
+        }
+        
+        const scraped = this.versions.find(entry => entry.version === this.extensionData.version);
+        const compatible = !this.engine || !scraped || VSIXGallery.isEngineCompatible(scraped, this.engine);
+        warning.hidden = compatible;
+        
+        if (!compatible) {
+            const latest = VSIXGallery.pickLatest(this.versions, this.channel, this.engine);
+            warning.textContent = `${scraped.version} needs VS Code ${VSIXGallery.getEngineRange(scraped)}, not ${this.engine}. ` +
+                (latest ? `Downloading ${latest.version} instead.` : 'No release on this channel is compatible.');
+        }
+    }
+
+    /**
+     * The pack button is only shown when the version that would be
+     * downloaded lists extensionPack members.
+     */
+    updatePackButton(container = document.getElementById('vsix-downloader-container')) {
+        const button = container && container.querySelector('[data-action="pack"]');
+        if (!button) {
+            return;
+        }
+        
+        const latest = VSIXGallery.pickLatest(this.versions, this.channel, this.engine);
+        const members = VSIXGallery.listPackMembers(latest);
+        
+        button.hidden = members.length === 0;
+        button.querySelector('span').textContent = `Download Whole Pack (${members.length})`;
+    }
+
+    createChannelSelect() {
+        const select = document.createElement('select');
+        select.id = 'vsix-channel-select';
+        select.className = 'vsix-select';
+        select.title = 'Release channel to download';
+        select.setAttribute('aria-label', 'Release channel');
+        
+        Object.keys(VSIXGallery.CHANNELS).forEach(channel => {
+            const option = document.createElement('option');
+            option.value = channel;
+            select.appendChild(option);
+        });
+        
+        select.value = this.channel;
+        select.addEventListener('change', () => {
+            this.channel = VSIXGallery.normalizeChannel(select.value);
+            this.removePackPanel();
+            this.updatePackButton();
+            this.updateOpenVSXButton();
+            this.updateEngineWarning();
+        });
+        
+        this.updateChannelLabels(select);
+        return select;
+    }
+
+    updateChannelLabels(select = document.getElementById('vsix-channel-select')) {
+        if (!select) {
+            return;
+        }
+        
+        Array.from(select.options).forEach(option => {
+            const latest = VSIXGallery.pickLatest(this.versions, option.value, this.engine);
+            let label = VSIXGallery.CHANNELS[option.value];
+            
+            if (latest) {
+                label += latest.preRelease ? ` (${latest.version}, pre-release)` : ` (${latest.version})`;
+            } else if (this.versions.length > 0) {
+                label += ` (none for VS Code ${this.engine})`;
+            }
+            option.textContent = label;
+        });
+    }
+
+    createPlatformSelect() {
+        const select = document.createElement('select');
+        select.id = 'vsix-platform-select';
+        select.className = 'vsix-select';
+        select.title = 'Target platform for platform-specific extensions';
+        select.setAttribute('aria-label', 'Target platform');
+        
+        const options = [['', VSIXCore.platformLabel('')]].concat(Object.entries(VSIXCore.TARGET_PLATFORMS));
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        
+        select.value = this.platform;
+        select.addEventListener('change', () => {
+            this.platform = VSIXCore.normalizePlatform(select.value);
+            this.loadOpenVSX();
+        });
+        
+        return select;
+    }
+
     createButton(text, action, variant, title) {
         const button = document.createElement('button');
         button.className = `vsix-btn vsix-btn-${variant}`;
@@ -515,6 +746,9 @@ class VSIXDownloader {
         const icons = {
             vsix: 'M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4M7 10l5 5 5-5M12 15V3',
             vsixpackage: 'M21 16V8a2 2 0 00-1-1.73l-7-4a2 2 0 00-2 0l-7 4A2 2 0 003 8v8a2 2 0 001 1.73l7 4a2 2 0 002 0l7-4A2 2 0 0021 16z',
+            dependencies: 'M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5',
+            pack: 'M3 7h18M3 12h18M3 17h18',
+            openvsx: 'M12 2a10 10 0 100 20 10 10 0 000-20zM2 12h20M12 2a15 15 0 010 20M12 2a15 15 0 000 20',
             copy: 'M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2'
         };
         return icons[action] || '';
@@ -540,35 +774,78 @@ class VSIXDownloader {
     }
 
     performAction(action) {
-        const { publisher, name, version } = this.extensionData;
+        const { publisher, name } = this.extensionData;
         
-        if (!publisher || !name || !version) {
+        if (!publisher || !name || !this.extensionData.version) {
             this.showNotification('Invalid extension data', 'error');
             return;
         }
         
+        // Open VSX has its own version list; no marketplace build is needed
+        if (action === 'openvsx') {
+            this.downloadFromOpenVSX(this.getPreferredVersion());
+            return;
+        }
+        
+        let target;
+        try {
+            target = this.resolveDownloadTarget();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        
         if (action === 'copy') {
-            this.copyUrls(publisher, name, version);
+            this.copyUrls(publisher, name, target.version, target.platform);
+        } else if (action === 'dependencies') {
+            this.downloadWithDependencies(target.version, target.platform);
+        } else if (action === 'pack') {
+            this.resolvePack(target.version, target.platform);
         } else {
-            this.downloadFile(publisher, name, version, action);
+            this.downloadFile(publisher, name, target.version, action, target.platform);
         }
     }
 
-    downloadFile(publisher, extension, version, type) {
+    /**
+     * Version and platform to download: the newest release on the selected
+     * channel (compatible with the target VS Code version) when the gallery
+     * version list is available, otherwise the version scraped from the page.
+     */
+    resolveDownloadTarget() {
+        const latest = VSIXGallery.pickLatest(this.versions, this.channel, this.engine);
+        if (!latest && this.versions.length > 0) {
+            throw new Error(`No ${this.channel === 'stable' ? 'stable ' : ''}release is compatible with VS Code ${this.engine}`);
+        }
+        if (!latest) {
+            return { version: this.extensionData.version, platform: this.platform };
+        }
+        
+        const platform = VSIXGallery.matchPlatform(latest, this.platform);
+        if (platform === null) {
+            throw new Error(`Version ${latest.version} has no build for ${VSIXCore.platformLabel(this.platform)}`);
+        }
+        
+        return { version: latest.version, platform };
+    }
+
+    downloadFile(publisher, extension, version, type, platform) {
         let url, filename;
         
-        if (type === 'vsix') {
-            url = `https://${encodeURIComponent(publisher)}.gallery.vsassets.io/_apis/public/gallery/publisher/${encodeURIComponent(publisher)}/extension/${encodeURIComponent(extension)}/${encodeURIComponent(version)}/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage`;
-            filename = `${publisher}.${extension}-${version}.vsix`;
-        } else {
-            url = `https://marketplace.visualstudio.com/_apis/public/gallery/publishers/${encodeURIComponent(publisher)}/vsextensions/${encodeURIComponent(extension)}/${encodeURIComponent(version)}/vspackage`;
-            filename = `${publisher}.${extension}-${version}.vsixpackage`;
+        try {
+            url = VSIXCore.buildDownloadUrl({ publisher, extension, version, platform }, type);
+            filename = VSIXCore.buildFilename({ publisher, extension, version, platform }, type);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
         }
         
         chrome.runtime.sendMessage({
             action: 'download',
             url: url,
-            filename: filename
+            filename: filename,
+            identifier: `${publisher}.${extension}`,
+            version: version,
+            platform: platform
         }, (response) => {
             if (chrome.runtime.lastError) {
                 this.showNotification('Download failed. Opening in new tab...', 'error');
@@ -577,7 +854,10 @@ class VSIXDownloader {
             }
             
             if (response && response.success) {
-                this.showNotification('Download started successfully', 'success');
+                const checksum = response.sha256 ? ` (SHA-256 ${response.sha256})` : '';
+                const signature = response.signature ? `. Signature: ${response.signature.status}` : '';
+                const failedCheck = response.signature && response.signature.status === 'mismatch';
+                this.showNotification(`Download started successfully${checksum}${signature}`, failedCheck ? 'error' : 'success');
             } else {
                 const errorMsg = response?.error || 'Unknown error';
                 this.showNotification(`Download failed: ${errorMsg}`, 'error');
@@ -586,14 +866,200 @@ class VSIXDownloader {
         });
     }
 
-    async copyUrls(publisher, extension, version) {
-        const vsixUrl = `https://${encodeURIComponent(publisher)}.gallery.vsassets.io/_apis/public/gallery/publisher/${encodeURIComponent(publisher)}/extension/${encodeURIComponent(extension)}/${encodeURIComponent(version)}/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage`;
+    downloadFromOpenVSX(version) {
+        this.showNotification('Starting Open VSX download...', 'info');
         
-        const packageUrl = `https://marketplace.visualstudio.com/_apis/public/gallery/publishers/${encodeURIComponent(publisher)}/vsextensions/${encodeURIComponent(extension)}/${encodeURIComponent(version)}/vspackage`;
+        chrome.runtime.sendMessage({
+            action: 'downloadOpenVSX',
+            identifier: this.extensionData.identifier,
+            version: version,
+            platform: this.platform
+        }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                this.showNotification('Open VSX download failed: extension not responding', 'error');
+                return;
+            }
+            
+            if (!response.success) {
+                this.showNotification(`Open VSX download failed: ${response.error || 'Unknown error'}`, 'error');
+                return;
+            }
+            
+            const note = response.version !== version ? ` (Open VSX does not have ${version})` : '';
+            const checksum = response.sha256 ? ` (SHA-256 ${response.sha256})` : '';
+            this.showNotification(`Downloading ${response.version} from Open VSX${note}${checksum}`, 'success');
+        });
+    }
+
+    downloadWithDependencies(version, platform) {
+        this.showNotification('Resolving dependencies...', 'info');
         
-        const text = `VSIX Download URLs for ${publisher}.${extension} v${version}\n\nVSIX URL:\n${vsixUrl}\n\nVSIXPackage URL:\n${packageUrl}`;
+        chrome.runtime.sendMessage({
+            action: 'downloadWithDependencies',
+            identifier: this.extensionData.identifier,
+            version: version,
+            platform: platform,
+            channel: this.channel
+        }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                this.showNotification('Dependency download failed: extension not responding', 'error');
+                return;
+            }
+            
+            if (!response.success) {
+                this.showNotification(`Dependency download failed: ${response.error || 'Unknown error'}`, 'error');
+                return;
+            }
+            
+            const queued = response.downloads.filter(item => item.success).length;
+            const message = `Queued ${queued} of ${response.downloads.length} downloads` +
+                (response.summary ? `. ${response.summary}` : '');
+            this.showNotification(message, response.summary ? 'info' : 'success');
+        });
+    }
+
+    resolvePack(version, platform) {
+        this.showNotification('Resolving extension pack...', 'info');
         
+        chrome.runtime.sendMessage({
+            action: 'resolvePack',
+            identifier: this.extensionData.identifier,
+            version: version,
+            platform: platform,
+            channel: this.channel
+        }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                this.showNotification('Pack resolution failed: extension not responding', 'error');
+                return;
+            }
+            
+            if (!response.success) {
+                this.showNotification(`Pack resolution failed: ${response.error || 'Unknown error'}`, 'error');
+                return;
+            }
+            
+            this.showPackPanel(response.members);
+            if (response.summary) {
+                this.showNotification(response.summary, 'info');
+            }
+        });
+    }
+
+    /**
+     * Checklist of resolved pack members; every member starts selected.
+     */
+    showPackPanel(members) {
+        const container = document.getElementById('vsix-downloader-container');
+        if (!container) {
+            return;
+        }
+        
+        this.removePackPanel();
+        
+        const panel = document.createElement('div');
+        panel.id = 'vsix-pack-panel';
+        panel.className = 'vsix-pack-panel';
+        panel.setAttribute('role', 'group');
+        panel.setAttribute('aria-label', 'Extension pack members');
+        
+        const title = document.createElement('div');
+        title.className = 'vsix-pack-title';
+        title.textContent = `${members.length} extensions in this pack`;
+        panel.appendChild(title);
+        
+        members.forEach((member, index) => {
+            const item = document.createElement('label');
+            item.className = 'vsix-pack-item';
+            item.title = member.identifier;
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.value = String(index);
+            
+            const name = document.createElement('span');
+            name.textContent = `${member.displayName} (${member.identifier})`;
+            
+            const version = document.createElement('span');
+            version.className = 'vsix-pack-version';
+            version.textContent = member.version;
+            
+            item.appendChild(checkbox);
+            item.appendChild(name);
+            item.appendChild(version);
+            panel.appendChild(item);
+        });
+        
+        const actions = document.createElement('div');
+        actions.className = 'vsix-pack-actions';
+        
+        const downloadButton = document.createElement('button');
+        downloadButton.type = 'button';
+        downloadButton.className = 'vsix-btn vsix-btn-primary';
+        downloadButton.textContent = 'Download Selected';
+        downloadButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            const checked = panel.querySelectorAll('input[type="checkbox"]:checked');
+            const selected = Array.from(checked, checkbox => members[Number(checkbox.value)]);
+            this.downloadPackMembers(selected, downloadButton);
+        });
+        
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'vsix-btn vsix-btn-tertiary';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.removePackPanel();
+        });
+        
+        actions.appendChild(downloadButton);
+        actions.appendChild(cancelButton);
+        panel.appendChild(actions);
+        container.appendChild(panel);
+    }
+
+    removePackPanel() {
+        const panel = document.getElementById('vsix-pack-panel');
+        if (panel) {
+            panel.remove();
+        }
+    }
+
+    downloadPackMembers(members, button) {
+        if (members.length === 0) {
+            this.showNotification('Select at least one extension', 'error');
+            return;
+        }
+        
+        button.disabled = true;
+        
+        chrome.runtime.sendMessage({
+            action: 'downloadItems',
+            items: members.map(({ identifier, version, platform, displayName }) => ({ identifier, version, platform, displayName }))
+        }, (response) => {
+            button.disabled = false;
+            
+            if (chrome.runtime.lastError || !response || !response.success) {
+                const errorMsg = response?.error || 'extension not responding';
+                this.showNotification(`Pack download failed: ${errorMsg}`, 'error');
+                return;
+            }
+            
+            const failed = response.downloads.filter(item => !item.success).map(item => item.identifier);
+            const message = `Queued ${response.downloads.length - failed.length} of ${response.downloads.length} downloads` +
+                (failed.length ? `. Failed: ${failed.join(', ')}` : '');
+            this.showNotification(message, failed.length ? 'info' : 'success');
+            
+            if (failed.length === 0) {
+                this.removePackPanel();
+            }
+        });
+    }
+
+    async copyUrls(publisher, extension, version, platform) {
         try {
+            const text = VSIXCore.buildCopyText({ publisher, extension, version, platform });
             await navigator.clipboard.writeText(text);
             this.showNotification('URLs copied to clipboard', 'success');
         } catch (error) {
@@ -648,7 +1114,8 @@ class VSIXDownloader {
             if (request.action === 'getExtensionData') {
                 sendResponse({
                     success: this.hasValidData(),
-                    data: this.extensionData
+                    data: this.extensionData,
+                    platform: this.platform
                 });
             }
             return true;
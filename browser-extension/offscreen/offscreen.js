@@ -0,0 +1,62 @@
+// Offscreen document for VSIX Downloader
+'use strict';
+
+/**
+ * Turns packages the background worker fetched into blob: URLs, which a
+ * service worker cannot create itself. The worker puts the bytes in Cache
+ * Storage and sends:
+ * - createPackageUrl { cache, key }: resolves to { success, url }
+ * - releasePackageUrl { key }: revokes the URL once the browser saved the file
+ *
+ * Messages not addressed to 'offscreen' are left to the worker.
+ */
+class PackageUrls {
+    constructor() {
+        // Cache key -> blob: URL
+        this.urls = new Map();
+        
+        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+            if (!request || request.target !== 'offscreen') {
+                return false;
+            }
+            
+            this.handleMessage(request)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Will respond asynchronously
+        });
+    }
+    
+    async handleMessage(request) {
+        switch (request.action) {
+            case 'createPackageUrl':
+                return { success: true, url: await this.createUrl(request.cache, request.key) };
+            case 'releasePackageUrl':
+                this.release(request.key);
+                return { success: true };
+            default:
+                return { success: false, error: 'Unknown action' };
+        }
+    }
+    
+    async createUrl(cacheName, key) {
+        const response = await (await caches.open(cacheName)).match(key);
+        if (!response) {
+            throw new Error('The package is no longer cached');
+        }
+        
+        this.release(key);
+        const url = URL.createObjectURL(await response.blob());
+        this.urls.set(key, url);
+        return url;
+    }
+    
+    release(key) {
+        if (this.urls.has(key)) {
+            URL.revokeObjectURL(this.urls.get(key));
+            this.urls.delete(key);
+        }
+    }
+}
+
+new PackageUrls();
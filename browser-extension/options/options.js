@@ -0,0 +1,337 @@
+// Options page script for VSIX Downloader
+'use strict';
+
+/**
+ * Options page covering every extension setting:
+ * - Fields filled from chrome.storage.sync (defaults from VSIXSettings)
+ * - Inline validation with the same rules the background worker applies
+ * - Each change is sent as updateSettings so it takes effect immediately
+ * - Stays in sync with changes made from the popup or another options tab
+ * - JSON export and import of all settings
+ * - Host permission requests for the extra download hosts
+ */
+class OptionsManager {
+    constructor() {
+        this.settings = Object.assign({}, VSIXSettings.DEFAULTS);
+        // Example extension for the filename preview
+        this.example = {
+            publisher: 'ms-python',
+            extension: 'python',
+            displayName: 'Python',
+            version: '2024.2.1',
+            platform: 'linux-x64'
+        };
+        this.statusTimer = null;
+
+        this.init();
+    }
+
+    async init() {
+        this.fillChoices();
+
+        try {
+            this.settings = await chrome.storage.sync.get(VSIXSettings.DEFAULTS);
+        } catch (error) {
+            this.showSaveStatus('error', 'Could not load settings, showing defaults');
+        }
+
+        Object.keys(VSIXSettings.DEFAULTS).forEach(key => this.renderSetting(key));
+        this.updatePreview();
+        this.setupEventListeners();
+
+        // Hosts synced from another browser arrive without their permission
+        this.showHostAccess(await this.findHostsWithoutAccess(this.settings.allowedHosts));
+    }
+
+    /**
+     * Options that come from the shared modules rather than the markup.
+     */
+    fillChoices() {
+        const platformSelect = document.getElementById('defaultPlatform');
+        Object.keys(VSIXCore.TARGET_PLATFORMS).forEach(platform => {
+            const option = document.createElement('option');
+            option.value = platform;
+            option.textContent = VSIXCore.TARGET_PLATFORMS[platform];
+            platformSelect.appendChild(option);
+        });
+
+        const concurrencySelect = document.getElementById('maxConcurrentDownloads');
+        for (let count = 1; count <= VSIXQueue.MAX_CONCURRENCY; count++) {
+            const option = document.createElement('option');
+            option.value = String(count);
+            option.textContent = String(count);
+            concurrencySelect.appendChild(option);
+        }
+    }
+
+    setupEventListeners() {
+        Object.keys(VSIXSettings.DEFAULTS).forEach(key => {
+            const field = document.getElementById(key);
+            if (!field) {
+                return;
+            }
+
+            // Text fields are saved when left, not on every keystroke
+            const event = field.type === 'checkbox' || field.tagName === 'SELECT' ? 'change' : 'blur';
+            field.addEventListener(event, () => this.handleChange(key));
+        });
+
+        document.getElementById('filenamePattern').addEventListener('input', () => this.updatePreview());
+
+        document.getElementById('exportSettings').addEventListener('click', () => this.exportSettings());
+        document.getElementById('importSettings').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importSettings(e.target.files[0]);
+            }
+            // Allows importing the same file again after editing it
+            e.target.value = '';
+        });
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'sync') {
+                return;
+            }
+            Object.keys(changes).forEach(key => {
+                if (Object.prototype.hasOwnProperty.call(VSIXSettings.DEFAULTS, key)) {
+                    this.settings[key] = changes[key].newValue !== undefined ? changes[key].newValue : VSIXSettings.DEFAULTS[key];
+                    this.renderSetting(key);
+                }
+            });
+            this.updatePreview();
+        });
+    }
+
+    /**
+     * Current field value in the type the setting stores.
+     */
+    readField(key) {
+        const field = document.getElementById(key);
+
+        if (field.type === 'checkbox') {
+            return field.checked;
+        }
+        if (key === 'maxConcurrentDownloads') {
+            return Number(field.value);
+        }
+        if (key === 'allowedHosts') {
+            return field.value.split('\n');
+        }
+        return field.value;
+    }
+
+    renderSetting(key) {
+        const field = document.getElementById(key);
+        if (!field) {
+            return;
+        }
+
+        const value = this.settings[key];
+        if (field.type === 'checkbox') {
+            field.checked = !!value;
+        } else if (key === 'allowedHosts') {
+            field.value = (Array.isArray(value) ? value : []).join('\n');
+        } else if (key === 'downloadLocation') {
+            field.value = value === 'default' ? '' : value;
+        } else {
+            field.value = String(value);
+        }
+
+        this.showFieldError(key, '');
+    }
+
+    async handleChange(key) {
+        let value;
+        try {
+            value = VSIXSettings.validateSetting(key, this.readField(key));
+        } catch (error) {
+            this.showFieldError(key, error.message);
+            return;
+        }
+
+        this.showFieldError(key, '');
+        if (key === 'allowedHosts') {
+            // Asked first, while the page still counts as handling the user's action
+            const denied = await this.requestHostAccess(value);
+            if (denied.length > 0) {
+                this.showHostAccess(denied);
+                return;
+            }
+        }
+
+        if (JSON.stringify(value) === JSON.stringify(this.settings[key])) {
+            // Normalized to what is already saved, e.g. whitespace around a host
+            this.renderSetting(key);
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'updateSettings',
+                settings: { [key]: value }
+            });
+
+            if (!response || !response.success) {
+                this.showFieldError(key, response?.error || 'Settings update failed');
+                return;
+            }
+
+            if (key === 'allowedHosts') {
+                this.releaseHostAccess(this.settings.allowedHosts.filter(host => !value.includes(host)));
+            }
+
+            this.settings[key] = value;
+            this.renderSetting(key);
+            this.updatePreview();
+            this.showSaveStatus('success', 'Saved');
+        } catch (error) {
+            this.showSaveStatus('error', 'Could not reach the extension, try reloading this page');
+        }
+    }
+
+    exportSettings() {
+        const blob = new Blob([VSIXSettings.exportSettings(this.settings)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = VSIXSettings.buildExportFilename();
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    /**
+     * Applies a settings file as one update, so either every setting in it
+     * is saved or none is.
+     */
+    async importSettings(file) {
+        const importError = document.getElementById('importError');
+        importError.textContent = '';
+
+        let result;
+        try {
+            result = VSIXSettings.importSettings(await file.text());
+        } catch (error) {
+            importError.textContent = error.message;
+            return;
+        }
+
+        const invalid = Object.keys(result.errors);
+        if (invalid.length > 0) {
+            importError.textContent = `Nothing imported. ${invalid.map(key => result.errors[key]).join('; ')}`;
+            return;
+        }
+
+        const keys = Object.keys(result.settings);
+        if (keys.length === 0) {
+            importError.textContent = 'Nothing imported: the file contains no known settings';
+            return;
+        }
+
+        // Imported hosts are saved either way; the worker refuses them until access is granted
+        const denied = result.settings.allowedHosts ? await this.requestHostAccess(result.settings.allowedHosts) : [];
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'updateSettings',
+                settings: result.settings
+            });
+
+            if (!response || !response.success) {
+                importError.textContent = `Nothing imported. ${response?.error || 'Settings update failed'}`;
+                return;
+            }
+
+            Object.assign(this.settings, result.settings);
+            keys.forEach(key => this.renderSetting(key));
+            this.updatePreview();
+            this.showHostAccess(denied);
+            this.showSaveStatus('success', `Imported ${keys.length} setting${keys.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            this.showSaveStatus('error', 'Could not reach the extension, try reloading this page');
+        }
+    }
+
+    /**
+     * Asks for the host permission of the given extra download hosts.
+     * Resolves to the hosts still without access.
+     */
+    async requestHostAccess(hosts) {
+        if (hosts.length === 0) {
+            return [];
+        }
+
+        try {
+            if (await chrome.permissions.request({ origins: VSIXSettings.hostOrigins(hosts) })) {
+                return [];
+            }
+        } catch (error) {
+            // No prompt could be shown; report what is missing below
+        }
+        return this.findHostsWithoutAccess(hosts);
+    }
+
+    async findHostsWithoutAccess(hosts) {
+        const granted = await Promise.all(hosts.map(host =>
+            chrome.permissions.contains({ origins: VSIXSettings.hostOrigins([host]) }).catch(() => false)
+        ));
+        return hosts.filter((host, index) => !granted[index]);
+    }
+
+    releaseHostAccess(hosts) {
+        if (hosts.length > 0) {
+            chrome.permissions.remove({ origins: VSIXSettings.hostOrigins(hosts) }).catch(() => false);
+        }
+    }
+
+    showHostAccess(denied) {
+        if (denied.length > 0) {
+            this.showFieldError('allowedHosts', `Access to ${denied.join(', ')} was not granted, so downloads from it are refused. Leave this field to be asked again.`);
+        }
+    }
+
+    showFieldError(key, message) {
+        const option = document.querySelector(`.option[data-setting="${key}"]`);
+        if (!option) {
+            return;
+        }
+
+        option.classList.toggle('invalid', !!message);
+        option.querySelector('.option-error').textContent = message;
+    }
+
+    updatePreview() {
+        const preview = document.getElementById('filenamePreview');
+        const pattern = document.getElementById('filenamePattern').value;
+        const problem = VSIXCore.checkFilenamePattern(pattern);
+
+        if (problem) {
+            preview.textContent = '';
+            return;
+        }
+
+        // Shown the way the background worker will save it, with the download folders
+        const filename = VSIXCore.sanitizeFilename(VSIXCore.formatFilename(this.example, this.settings.defaultFormat, pattern));
+        preview.textContent = 'Example: ' + VSIXLocation.buildDownloadPath(filename, this.settings, 'ms-python.python');
+    }
+
+    showSaveStatus(type, message) {
+        const status = document.getElementById('saveStatus');
+        status.className = `save-status ${type}`;
+        status.textContent = message;
+
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => {
+            status.textContent = '';
+        }, 2000);
+    }
+}
+
+// Initialize options page when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        new OptionsManager();
+    });
+} else {
+    new OptionsManager();
+}
@@ -8,10 +8,28 @@
  * - Loading states
  * - Accessibility
  * - Performance optimization
+ * - Download history (search, download again, show in folder, export)
  */
 class PopupManager {
     constructor() {
         this.extensionData = null;
+        this.versions = [];
+        this.selectedVersion = '';
+        this.packMembers = [];
+        // "<sha256>  <file>" entries of the last downloads started from the popup
+        this.checksums = [];
+        // Stored download history, newest first (kept current through storage.onChanged)
+        this.history = [];
+        // Open VSX lookup: undefined while checking, null when not published there, false when unreachable
+        this.openVsx = undefined;
+        this.channel = 'stable';
+        // Format for dependency, pack and version-list downloads
+        this.format = 'vsix';
+        // Names the packages inside ZIP bundles, as the background worker names single downloads
+        this.filenamePattern = VSIXCore.DEFAULT_FILENAME_PATTERN;
+        // Target VS Code version ('' = any); incompatible releases are skipped
+        this.engine = '';
+        this.platform = VSIXCore.detectPlatform(navigator);
         this.currentTab = null;
         this.isLoading = false;
         this.retryAttempts = 0;
@@ -25,9 +43,15 @@ class PopupManager {
             // Setup UI event listeners
             this.attachEventListeners();
             
+            // Populate platform selector with the detected OS
+            this.populatePlatformSelect();
+            this.setPlatform(await VSIXCore.detectPlatformAsync(navigator));
+            
             // Load settings
             await this.loadSettings();
             
+            await this.loadHistory();
+            
             // Check current tab
             await this.checkCurrentTab();
             
@@ -38,20 +62,277 @@ class PopupManager {
 
     async loadSettings() {
         try {
-            const settings = await chrome.storage.sync.get({
-                autoInject: true,
-                showNotifications: true
-            });
+            const settings = await chrome.storage.sync.get(VSIXSettings.DEFAULTS);
+            
+            this.format = VSIXCore.normalizeFormat(settings.defaultFormat);
+            this.filenamePattern = settings.filenamePattern;
+            if (settings.defaultPlatform !== 'auto') {
+                this.setPlatform(settings.defaultPlatform);
+            }
             
             const autoInjectCheckbox = document.getElementById('autoInject');
             if (autoInjectCheckbox) {
                 autoInjectCheckbox.checked = settings.autoInject;
             }
+            
+            const saveChecksumCheckbox = document.getElementById('saveChecksumFile');
+            if (saveChecksumCheckbox) {
+                saveChecksumCheckbox.checked = settings.saveChecksumFile;
+            }
+            
+            const verifySignatureCheckbox = document.getElementById('verifySignature');
+            if (verifySignatureCheckbox) {
+                verifySignatureCheckbox.checked = settings.verifySignature;
+            }
+            
+            this.channel = VSIXGallery.normalizeChannel(settings.defaultChannel);
+            this.engine = settings.targetVSCodeVersion;
+            
+            const targetVersionInput = document.getElementById('targetVSCodeVersion');
+            if (targetVersionInput) {
+                targetVersionInput.value = this.engine;
+            }
+            
+            const defaultChannelSelect = document.getElementById('defaultChannel');
+            if (defaultChannelSelect) {
+                defaultChannelSelect.value = this.channel;
+            }
+            
+            const concurrencySelect = document.getElementById('maxConcurrentDownloads');
+            if (concurrencySelect) {
+                concurrencySelect.value = String(settings.maxConcurrentDownloads);
+            }
+            
+            const channelSelect = document.getElementById('channelSelect');
+            if (channelSelect) {
+                channelSelect.value = this.channel;
+            }
         } catch (error) {
             return false; // Silently use defaults if settings fail
         }
     }
 
+    async loadHistory() {
+        try {
+            const stored = await chrome.storage.local.get({ [VSIXHistory.STORAGE_KEY]: [] });
+            this.history = stored[VSIXHistory.STORAGE_KEY];
+        } catch (error) {
+            this.history = [];
+        }
+        this.renderHistory();
+    }
+
+    showTab(name) {
+        for (const tab of ['Download', 'History']) {
+            const button = document.getElementById('tab' + tab);
+            const panel = document.getElementById(tab.toLowerCase() + 'Panel');
+            const selected = tab.toLowerCase() === name;
+            
+            if (button) {
+                button.setAttribute('aria-selected', String(selected));
+            }
+            if (panel) {
+                panel.hidden = !selected;
+            }
+        }
+    }
+
+    /**
+     * Lists the history entries matching the search box, newest first.
+     */
+    renderHistory() {
+        const list = document.getElementById('historyList');
+        const empty = document.getElementById('historyEmpty');
+        const search = document.getElementById('historySearch');
+        if (!list) {
+            return;
+        }
+        
+        const entries = VSIXHistory.searchHistory(this.history, search ? search.value : '');
+        
+        list.textContent = '';
+        for (const entry of entries) {
+            list.appendChild(this.createHistoryItem(entry));
+        }
+        
+        if (empty) {
+            empty.textContent = this.history.length ? 'No downloads match the search' : 'No downloads yet';
+            empty.style.display = entries.length ? 'none' : 'block';
+        }
+        
+        for (const id of ['exportHistoryJson', 'exportHistoryCsv', 'clearHistory']) {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = this.history.length === 0;
+            }
+        }
+    }
+
+    createHistoryItem(entry) {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        item.dataset.result = entry.result;
+        
+        const title = document.createElement('div');
+        title.className = 'history-title';
+        const name = document.createElement('span');
+        name.textContent = entry.identifier || entry.filename;
+        const result = document.createElement('span');
+        result.className = 'history-result';
+        result.textContent = entry.result.replace('_', ' ');
+        title.append(name, result);
+        
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = [
+            entry.version,
+            entry.platform ? VSIXCore.platformLabel(entry.platform) : '',
+            typeof entry.size === 'number' ? VSIXZip.formatSize(entry.size) : '',
+            new Date(entry.time).toLocaleString()
+        ].filter(Boolean).join(' · ');
+        item.append(title, meta);
+        
+        const details = entry.error ||
+            (entry.sha256 ? 'SHA-256 ' + entry.sha256 : '') ||
+            (entry.checksumError ? 'SHA-256 unavailable: ' + entry.checksumError : '');
+        if (details) {
+            const detail = document.createElement('div');
+            detail.className = entry.error ? 'history-error' : 'history-hash';
+            detail.textContent = details;
+            item.appendChild(detail);
+        }
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'history-buttons';
+        
+        const failed = entry.result === VSIXHistory.RESULTS.interrupted || entry.result === VSIXHistory.RESULTS.failed;
+        
+        const again = document.createElement('button');
+        again.className = 'btn btn-secondary';
+        again.textContent = failed ? 'Retry' : 'Download again';
+        again.disabled = !VSIXHistory.canRedownload(entry);
+        again.addEventListener('click', () => this.handleHistoryAction(failed ? 'retryDownload' : 'redownload', entry, again));
+        buttons.appendChild(again);
+        
+        if (entry.result === VSIXHistory.RESULTS.interrupted && entry.canResume) {
+            const resume = document.createElement('button');
+            resume.className = 'btn btn-primary';
+            resume.textContent = 'Resume';
+            resume.addEventListener('click', () => this.handleHistoryAction('resumeDownload', entry, resume));
+            buttons.appendChild(resume);
+        }
+        
+        const show = document.createElement('button');
+        show.className = 'btn btn-tertiary';
+        show.textContent = 'Show in folder';
+        show.disabled = entry.result !== VSIXHistory.RESULTS.complete || entry.downloadId === null;
+        show.addEventListener('click', () => this.handleShowInFolder(entry));
+        
+        buttons.appendChild(show);
+        item.appendChild(buttons);
+        
+        return item;
+    }
+
+    showHistoryStatus(type, message) {
+        const status = document.getElementById('historyStatus');
+        if (!status) {
+            return;
+        }
+        status.dataset.type = type;
+        status.textContent = message;
+        status.hidden = !message;
+    }
+
+    /**
+     * "redownload" adds a new history entry; "retryDownload" and
+     * "resumeDownload" continue the interrupted one.
+     */
+    async handleHistoryAction(action, entry, button) {
+        button.disabled = true;
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: action, id: entry.id });
+            
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Download failed');
+            }
+            
+            this.showHistoryStatus('success', `${action === 'resumeDownload' ? 'Resuming' : 'Downloading'} ${response.filename}`);
+        } catch (error) {
+            this.showHistoryStatus('error', error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Opens the file manager at the saved file. The browser forgets
+     * downloads removed from its download list, and files can be deleted.
+     */
+    async handleShowInFolder(entry) {
+        try {
+            const [item] = await chrome.downloads.search({ id: entry.downloadId });
+            if (!item || !item.exists) {
+                throw new Error(`${entry.filename} is no longer on disk or in the browser's download list`);
+            }
+            chrome.downloads.show(entry.downloadId);
+        } catch (error) {
+            this.showHistoryStatus('error', error.message);
+        }
+    }
+
+    exportHistory(format) {
+        const text = format === 'csv' ? VSIXHistory.toCSV(this.history) : VSIXHistory.toJSON(this.history);
+        const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = VSIXHistory.buildExportFilename(format);
+        link.click();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    async handleClearHistory() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'clearHistory' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Could not clear the history');
+            }
+            this.showHistoryStatus('success', 'History cleared');
+        } catch (error) {
+            this.showHistoryStatus('error', error.message);
+        }
+    }
+
+    populatePlatformSelect() {
+        const select = document.getElementById('platformSelect');
+        if (!select) {
+            return;
+        }
+        
+        const options = [['', VSIXCore.platformLabel('')]].concat(Object.entries(VSIXCore.TARGET_PLATFORMS));
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        
+        select.value = this.platform;
+    }
+
+    setPlatform(platform) {
+        this.platform = VSIXCore.normalizePlatform(platform);
+        
+        const select = document.getElementById('platformSelect');
+        if (select) {
+            select.value = this.platform;
+        }
+    }
+
     async checkCurrentTab() {
         try {
             // Get active tab
@@ -125,7 +406,13 @@ class PopupManager {
             
             if (response && response.success && response.data) {
                 this.extensionData = response.data;
+                this.selectedVersion = response.data.version;
+                if (typeof response.platform === 'string') {
+                    this.setPlatform(response.platform);
+                }
                 this.showExtensionInfo();
+                this.loadVersions();
+                this.loadOpenVSX();
             } else {
                 this.showStatus(
                     'warning',
@@ -231,11 +518,276 @@ class PopupManager {
         this.showStatus('success', 'Extension Detected', 'Ready to download');
     }
 
+    async loadVersions() {
+        const versionField = document.getElementById('versionField');
+        
+        try {
+            this.versions = await VSIXGallery.getVersions(this.extensionData.identifier);
+        } catch (error) {
+            // Gallery unavailable: keep the version scraped from the page
+            this.versions = [];
+            if (versionField) versionField.style.display = 'none';
+            return;
+        }
+        
+        this.applyChannel(this.channel);
+        if (versionField) versionField.style.display = 'flex';
+    }
+
+    /**
+     * Selects the newest version on a channel ('stable' or 'prerelease').
+     * Without a gallery version list the scraped page version is kept.
+     */
+    applyChannel(channel) {
+        this.channel = VSIXGallery.normalizeChannel(channel);
+        
+        const latest = VSIXGallery.pickLatest(this.versions, this.channel, this.engine);
+        if (latest) {
+            this.selectVersion(latest.version);
+        } else {
+            this.updateEngineWarning();
+        }
+        
+        this.renderVersionOptions(document.getElementById('versionSearch')?.value || '');
+    }
+
+    renderVersionOptions(term) {
+        const select = document.getElementById('versionSelect');
+        if (!select) {
+            return;
+        }
+        
+        select.textContent = '';
+        VSIXGallery.filterVersions(this.versions, term).forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.version;
+            option.textContent = VSIXGallery.formatVersionLabel(entry);
+            if (!VSIXGallery.isEngineCompatible(entry, this.engine)) {
+                option.textContent += ` — needs VS Code ${VSIXGallery.getEngineRange(entry)}`;
+            }
+            option.title = option.textContent;
+            select.appendChild(option);
+        });
+        
+        select.value = this.selectedVersion;
+    }
+
+    selectVersion(version) {
+        this.selectedVersion = version;
+        
+        const entry = this.versions.find(item => item.version === version);
+        const label = entry && entry.preRelease ? `${version} (pre-release)` : version;
+        
+        const versionElement = document.getElementById('extensionVersion');
+        if (versionElement) {
+            versionElement.textContent = label;
+            versionElement.title = label;
+        }
+        
+        this.updatePackField(entry);
+        this.updateOpenVSXField();
+        this.updateEngineWarning();
+    }
+
+    /**
+     * Warns when the version on the page or the selected version does not
+     * install on the target VS Code version.
+     */
+    updateEngineWarning() {
+        const warning = document.getElementById('engineWarning');
+        if (!warning) {
+            return;
+        }
+        
+        const messages = [];
+        const describe = entry => `${entry.version} needs VS Code ${VSIXGallery.getEngineRange(entry)}`;
+        const scraped = this.versions.find(entry => entry.version === this.extensionData?.version);
+        const selected = this.versions.find(entry => entry.version === this.selectedVersion);
+        
+        if (this.engine && this.versions.length > 0) {
+            const latest = VSIXGallery.pickLatest(this.versions, this.channel, this.engine);
+            
+            if (scraped && !VSIXGallery.isEngineCompatible(scraped, this.engine)) {
+                messages.push(`The page shows ${describe(scraped)}.`);
+            }
+            if (selected && selected !== scraped && !VSIXGallery.isEngineCompatible(selected, this.engine)) {
+                messages.push(`Selected ${describe(selected)}.`);
+            }
+            if (!latest) {
+                messages.push(`No release on this channel is compatible with VS Code ${this.engine}.`);
+            } else if (messages.length > 0 && latest.version !== this.selectedVersion) {
+                messages.push(`Newest compatible release: ${latest.version}.`);
+            }
+        }
+        
+        warning.textContent = messages.length ? `Target VS Code ${this.engine}: ${messages.join(' ')}` : '';
+        warning.style.display = messages.length ? 'block' : 'none';
+    }
+
+    /**
+     * Validates and saves the target VS Code version, then re-picks the
+     * newest compatible release.
+     */
+    handleTargetVersionChange(input) {
+        const value = input.value.trim();
+        if (value && !VSIXGallery.parseEngineVersion(value)) {
+            this.showStatus('error', 'Invalid Version', 'Enter a VS Code version such as 1.85.2, or leave it empty');
+            input.value = this.engine;
+            return;
+        }
+        
+        this.engine = value;
+        input.value = value;
+        this.handleSettingChange('targetVSCodeVersion', value);
+        
+        if (this.extensionData) {
+            this.applyChannel(this.channel);
+            this.updateEngineWarning();
+        }
+    }
+
+    async loadOpenVSX() {
+        const identifier = this.extensionData.identifier;
+        this.openVsx = undefined;
+        this.updateOpenVSXField();
+        
+        let extension;
+        try {
+            extension = await VSIXOpenVSX.getExtension(identifier, { platform: this.platform });
+        } catch (error) {
+            extension = false; // Registry unreachable; shown as unknown
+        }
+        
+        if (this.extensionData && this.extensionData.identifier === identifier) {
+            this.openVsx = extension;
+            this.updateOpenVSXField();
+        }
+    }
+
+    /**
+     * Shows Open VSX availability and versions next to the marketplace
+     * details. The download button targets the selected version when Open
+     * VSX has it, otherwise its latest version.
+     */
+    updateOpenVSXField() {
+        const status = document.getElementById('openVsxStatus');
+        const button = document.getElementById('downloadOpenVsx');
+        const extension = this.openVsx;
+        
+        if (status) {
+            if (extension === undefined) {
+                status.textContent = 'Checking...';
+            } else if (extension === false) {
+                status.textContent = 'Could not reach Open VSX';
+            } else {
+                status.textContent = VSIXOpenVSX.describeAvailability(extension);
+            }
+            status.title = extension ? `Versions on Open VSX: ${extension.versions.join(', ')}` : '';
+        }
+        
+        if (button) {
+            const available = !!(extension && extension.downloadable);
+            button.style.display = available ? 'flex' : 'none';
+            if (available && !button.disabled) {
+                const target = VSIXOpenVSX.pickDownload(extension, this.selectedVersion);
+                button.querySelector('span').textContent = `Download from Open VSX (${target.version})`;
+            }
+        }
+    }
+
+    /**
+     * Shows "Download Whole Pack" when the selected version is an extension
+     * pack. Any previously resolved checklist belongs to another version and
+     * is discarded.
+     */
+    updatePackField(entry) {
+        const members = VSIXGallery.listPackMembers(entry);
+        const packField = document.getElementById('packField');
+        const packLabel = document.getElementById('packLabel');
+        
+        this.packMembers = [];
+        this.renderPackList();
+        
+        if (packLabel) {
+            packLabel.textContent = `Extension Pack (${members.length} extensions)`;
+        }
+        if (packField) {
+            packField.style.display = members.length ? 'flex' : 'none';
+        }
+    }
+
+    renderPackList() {
+        const list = document.getElementById('packList');
+        const downloadSelectedBtn = document.getElementById('downloadPackSelected');
+        const downloadZipBtn = document.getElementById('downloadPackZip');
+        if (!list) {
+            return;
+        }
+        
+        list.textContent = '';
+        this.packMembers.forEach((member, index) => {
+            const item = document.createElement('label');
+            item.className = 'pack-item';
+            item.title = member.identifier;
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.value = String(index);
+            
+            const name = document.createElement('span');
+            name.textContent = member.displayName;
+            
+            const version = document.createElement('span');
+            version.className = 'pack-item-version';
+            version.textContent = member.version;
+            
+            item.appendChild(checkbox);
+            item.appendChild(name);
+            item.appendChild(version);
+            list.appendChild(item);
+        });
+        
+        const hasMembers = this.packMembers.length > 0;
+        list.style.display = hasMembers ? 'flex' : 'none';
+        if (downloadSelectedBtn) {
+            downloadSelectedBtn.style.display = hasMembers ? 'flex' : 'none';
+        }
+        if (downloadZipBtn) {
+            downloadZipBtn.style.display = hasMembers ? 'flex' : 'none';
+        }
+    }
+
+    getSelectedPackMembers() {
+        const checked = document.querySelectorAll('#packList input[type="checkbox"]:checked');
+        return Array.from(checked, checkbox => this.packMembers[Number(checkbox.value)])
+            .filter(Boolean)
+            .map(({ identifier, version, platform, displayName }) => ({ identifier, version, platform, displayName }));
+    }
+
+    /**
+     * Resolves the version and platform to request. Universal versions
+     * ignore the platform selector; platform-specific versions must have
+     * a build for the selected platform.
+     */
+    getDownloadTarget() {
+        const version = this.selectedVersion || this.extensionData.version;
+        const entry = this.versions.find(item => item.version === version);
+        const platform = entry ? VSIXGallery.matchPlatform(entry, this.platform) : this.platform;
+        
+        if (platform === null) {
+            throw new Error(`Version ${version} has no build for ${VSIXCore.platformLabel(this.platform)}`);
+        }
+        
+        return { identifier: this.extensionData.identifier, version, platform };
+    }
+
     attachEventListeners() {
         // Download buttons
         const downloadVsixBtn = document.getElementById('downloadVsix');
         const downloadPackageBtn = document.getElementById('downloadPackage');
         const copyUrlBtn = document.getElementById('copyUrl');
+        const downloadDependenciesBtn = document.getElementById('downloadDependencies');
         
         if (downloadVsixBtn) {
             downloadVsixBtn.addEventListener('click', () => this.handleDownload('vsix', downloadVsixBtn));
@@ -249,6 +801,67 @@ class PopupManager {
             copyUrlBtn.addEventListener('click', () => this.handleCopyUrl(copyUrlBtn));
         }
         
+        if (downloadDependenciesBtn) {
+            downloadDependenciesBtn.addEventListener('click', () => this.handleDependencyDownload(downloadDependenciesBtn));
+        }
+        
+        const downloadOpenVsxBtn = document.getElementById('downloadOpenVsx');
+        if (downloadOpenVsxBtn) {
+            downloadOpenVsxBtn.addEventListener('click', () => this.handleOpenVSXDownload(downloadOpenVsxBtn));
+        }
+        
+        const downloadPackBtn = document.getElementById('downloadPack');
+        if (downloadPackBtn) {
+            downloadPackBtn.addEventListener('click', () => this.handlePackResolve(downloadPackBtn));
+        }
+        
+        const downloadPackSelectedBtn = document.getElementById('downloadPackSelected');
+        if (downloadPackSelectedBtn) {
+            downloadPackSelectedBtn.addEventListener('click', () => this.handlePackDownload(downloadPackSelectedBtn));
+        }
+        
+        const downloadPackZipBtn = document.getElementById('downloadPackZip');
+        if (downloadPackZipBtn) {
+            downloadPackZipBtn.addEventListener('click', () => this.handlePackBundle(downloadPackZipBtn));
+        }
+        
+        const versionSearch = document.getElementById('versionSearch');
+        if (versionSearch) {
+            versionSearch.addEventListener('input', (e) => {
+                this.renderVersionOptions(e.target.value);
+            });
+        }
+        
+        const versionSelect = document.getElementById('versionSelect');
+        if (versionSelect) {
+            versionSelect.addEventListener('change', (e) => {
+                this.selectVersion(e.target.value);
+            });
+            versionSelect.addEventListener('dblclick', () => {
+                const downloadBtn = document.getElementById('downloadVsix');
+                if (downloadBtn && !downloadBtn.disabled) {
+                    this.handleDownload(this.format, downloadBtn);
+                }
+            });
+        }
+        
+        const channelSelect = document.getElementById('channelSelect');
+        if (channelSelect) {
+            channelSelect.addEventListener('change', (e) => {
+                this.applyChannel(e.target.value);
+            });
+        }
+        
+        const platformSelect = document.getElementById('platformSelect');
+        if (platformSelect) {
+            platformSelect.addEventListener('change', (e) => {
+                this.setPlatform(e.target.value);
+                if (this.extensionData) {
+                    this.loadOpenVSX();
+                }
+            });
+        }
+        
         // Settings
         const autoInjectCheckbox = document.getElementById('autoInject');
         if (autoInjectCheckbox) {
@@ -257,6 +870,80 @@ class PopupManager {
             });
         }
         
+        const defaultChannelSelect = document.getElementById('defaultChannel');
+        if (defaultChannelSelect) {
+            defaultChannelSelect.addEventListener('change', (e) => {
+                this.handleSettingChange('defaultChannel', e.target.value);
+            });
+        }
+        
+        const concurrencySelect = document.getElementById('maxConcurrentDownloads');
+        if (concurrencySelect) {
+            concurrencySelect.addEventListener('change', (e) => {
+                this.handleSettingChange('maxConcurrentDownloads', Number(e.target.value));
+            });
+        }
+        
+        const saveChecksumCheckbox = document.getElementById('saveChecksumFile');
+        if (saveChecksumCheckbox) {
+            saveChecksumCheckbox.addEventListener('change', (e) => {
+                this.handleSettingChange('saveChecksumFile', e.target.checked);
+            });
+        }
+        
+        const targetVersionInput = document.getElementById('targetVSCodeVersion');
+        if (targetVersionInput) {
+            targetVersionInput.addEventListener('change', () => this.handleTargetVersionChange(targetVersionInput));
+        }
+        
+        const verifySignatureCheckbox = document.getElementById('verifySignature');
+        if (verifySignatureCheckbox) {
+            verifySignatureCheckbox.addEventListener('change', (e) => {
+                this.handleSettingChange('verifySignature', e.target.checked);
+            });
+        }
+        
+        const copyChecksumBtn = document.getElementById('copyChecksum');
+        if (copyChecksumBtn) {
+            copyChecksumBtn.addEventListener('click', () => this.handleCopyChecksums(copyChecksumBtn));
+        }
+        
+        // History tab
+        for (const tab of ['download', 'history']) {
+            const tabBtn = document.getElementById('tab' + tab[0].toUpperCase() + tab.slice(1));
+            if (tabBtn) {
+                tabBtn.addEventListener('click', () => this.showTab(tab));
+            }
+        }
+        
+        const historySearch = document.getElementById('historySearch');
+        if (historySearch) {
+            historySearch.addEventListener('input', () => this.renderHistory());
+        }
+        
+        const exportJsonBtn = document.getElementById('exportHistoryJson');
+        if (exportJsonBtn) {
+            exportJsonBtn.addEventListener('click', () => this.exportHistory('json'));
+        }
+        
+        const exportCsvBtn = document.getElementById('exportHistoryCsv');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', () => this.exportHistory('csv'));
+        }
+        
+        const clearHistoryBtn = document.getElementById('clearHistory');
+        if (clearHistoryBtn) {
+            clearHistoryBtn.addEventListener('click', () => this.handleClearHistory());
+        }
+        
+        // Downloads finishing while the popup is open update their entries
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes[VSIXHistory.STORAGE_KEY]) {
+                this.history = changes[VSIXHistory.STORAGE_KEY].newValue || [];
+                this.renderHistory();
+            }
+        });
+        
         // Footer links
         const openSettingsBtn = document.getElementById('openSettings');
         if (openSettingsBtn) {
@@ -295,73 +982,346 @@ class PopupManager {
         button.querySelector('span').textContent = 'Downloading...';
         
         try {
-            const { identifier, version } = this.extensionData;
-            const parts = identifier.split('.');
+            const target = this.getDownloadTarget();
+            const url = VSIXCore.buildDownloadUrl(target, type);
+            const filename = VSIXCore.buildFilename(target, type);
             
-            if (parts.length < 2) {
-                throw new Error('Invalid extension identifier format');
+            // The background worker fetches the package so it can hash it
+            const response = await chrome.runtime.sendMessage({
+                action: 'download',
+                url: url,
+                filename: filename,
+                identifier: target.identifier,
+                version: target.version,
+                platform: target.platform
+            });
+            
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Download failed');
             }
             
-            const publisher = parts[0];
-            const extension = parts.slice(1).join('.');
+            // The background may rename the file after the filename pattern setting
+            const saved = response.filename || filename;
+            this.showChecksums([{ filename: saved, sha256: response.sha256 }]);
+            this.showSignatures([{ filename: saved, signature: response.signature }]);
+            this.showStatus('success', 'Download Started', `Downloading ${saved}`);
             
-            let url, filename;
+        } catch (error) {
+            this.showStatus('error', 'Download Failed', error.message);
+        } finally {
+            // Re-enable button
+            setTimeout(() => {
+                button.disabled = false;
+                button.querySelector('span').textContent = originalText;
+            }, 1000);
+        }
+    }
+
+    async handleDependencyDownload(button) {
+        if (!this.extensionData || !this.extensionData.identifier || !this.extensionData.version) {
+            this.showStatus('error', 'Missing Data', 'Extension data not available');
+            return;
+        }
+        
+        button.disabled = true;
+        const originalText = button.querySelector('span').textContent;
+        button.querySelector('span').textContent = 'Resolving dependencies...';
+        
+        try {
+            const target = this.getDownloadTarget();
+            const response = await chrome.runtime.sendMessage({
+                action: 'downloadWithDependencies',
+                identifier: target.identifier,
+                version: target.version,
+                platform: target.platform,
+                channel: this.channel,
+                format: this.format
+            });
             
-            if (type === 'vsix') {
-                url = `https://${encodeURIComponent(publisher)}.gallery.vsassets.io/_apis/public/gallery/publisher/${encodeURIComponent(publisher)}/extension/${encodeURIComponent(extension)}/${encodeURIComponent(version)}/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage`;
-                filename = `${identifier}-${version}.vsix`;
-            } else {
-                url = `https://marketplace.visualstudio.com/_apis/public/gallery/publishers/${encodeURIComponent(publisher)}/vsextensions/${encodeURIComponent(extension)}/${encodeURIComponent(version)}/vspackage`;
-                filename = `${identifier}-${version}.vsixpackage`;
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Dependency resolution failed');
             }
             
-            await chrome.downloads.download({
-                url: url,
-                filename: filename,
-                saveAs: false,
-                conflictAction: 'uniquify'
+            this.showChecksums(response.downloads.filter(item => item.success));
+            this.showSignatures(response.downloads.filter(item => item.success));
+            
+            const queued = response.downloads.filter(item => item.success).length;
+            const failed = response.downloads.filter(item => !item.success).map(item => item.identifier);
+            const details = [response.summary, failed.length ? `Failed to start: ${failed.join(', ')}` : '']
+                .filter(Boolean)
+                .join('. ');
+            
+            this.showStatus(
+                'success',
+                `Queued ${queued} of ${response.downloads.length} Downloads`,
+                details || 'All dependencies resolved'
+            );
+            
+        } catch (error) {
+            this.showStatus('error', 'Dependency Download Failed', error.message);
+        } finally {
+            button.disabled = false;
+            button.querySelector('span').textContent = originalText;
+        }
+    }
+
+    async handleOpenVSXDownload(button) {
+        if (!this.extensionData || !this.extensionData.identifier || !this.openVsx) {
+            this.showStatus('error', 'Missing Data', 'Open VSX details not available');
+            return;
+        }
+        
+        button.disabled = true;
+        const originalText = button.querySelector('span').textContent;
+        button.querySelector('span').textContent = 'Downloading...';
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'downloadOpenVSX',
+                identifier: this.extensionData.identifier,
+                version: this.selectedVersion,
+                platform: this.platform
             });
             
-            this.showStatus('success', 'Download Started', `Downloading ${filename}`);
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Open VSX download failed');
+            }
+            
+            this.showChecksums([{ filename: response.filename, sha256: response.sha256 }]);
+            this.showSignatures([]);
+            
+            const note = response.version !== this.selectedVersion ? ` (Open VSX does not have ${this.selectedVersion})` : '';
+            this.showStatus('success', 'Download Started', `Downloading ${response.version} from Open VSX${note}`);
             
         } catch (error) {
-            this.showStatus('error', 'Download Failed', error.message);
+            this.showStatus('error', 'Open VSX Download Failed', error.message);
         } finally {
-            // Re-enable button
             setTimeout(() => {
                 button.disabled = false;
                 button.querySelector('span').textContent = originalText;
+                this.updateOpenVSXField();
             }, 1000);
         }
     }
 
-    async handleCopyUrl(button) {
-        if (!this.extensionData || !this.extensionData.identifier || !this.extensionData.version) {
+    async handlePackResolve(button) {
+        if (!this.extensionData || !this.extensionData.identifier) {
             this.showStatus('error', 'Missing Data', 'Extension data not available');
             return;
         }
         
-        // Disable button
         button.disabled = true;
         const originalText = button.querySelector('span').textContent;
-        button.querySelector('span').textContent = 'Copying...';
+        button.querySelector('span').textContent = 'Resolving pack...';
         
         try {
-            const { identifier, version } = this.extensionData;
-            const parts = identifier.split('.');
+            const target = this.getDownloadTarget();
+            const response = await chrome.runtime.sendMessage({
+                action: 'resolvePack',
+                identifier: target.identifier,
+                version: target.version,
+                platform: target.platform,
+                channel: this.channel
+            });
+            
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Extension pack resolution failed');
+            }
+            
+            this.packMembers = response.members;
+            this.renderPackList();
+            
+            this.showStatus(
+                'success',
+                `${response.members.length} Pack Members Resolved`,
+                response.summary || 'Deselect any extensions you do not need'
+            );
+            
+        } catch (error) {
+            this.showStatus('error', 'Pack Resolution Failed', error.message);
+        } finally {
+            button.disabled = false;
+            button.querySelector('span').textContent = originalText;
+        }
+    }
+
+    async handlePackDownload(button) {
+        const items = this.getSelectedPackMembers();
+        
+        if (items.length === 0) {
+            this.showStatus('error', 'Nothing Selected', 'Select at least one extension from the pack');
+            return;
+        }
+        
+        button.disabled = true;
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'downloadItems',
+                items: items,
+                format: this.format
+            });
             
-            if (parts.length < 2) {
-                throw new Error('Invalid extension identifier format');
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Download failed');
             }
             
-            const publisher = parts[0];
-            const extension = parts.slice(1).join('.');
+            this.showChecksums(response.downloads.filter(item => item.success));
+            this.showSignatures(response.downloads.filter(item => item.success));
+            
+            const failed = response.downloads.filter(item => !item.success).map(item => item.identifier);
+            this.showStatus(
+                'success',
+                `Queued ${response.downloads.length - failed.length} of ${response.downloads.length} Downloads`,
+                failed.length ? `Failed to start: ${failed.join(', ')}` : 'Pack members are downloading'
+            );
+            
+        } catch (error) {
+            this.showStatus('error', 'Pack Download Failed', error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Fetches the selected pack members into one ZIP (with manifest.json)
+     * and hands it to the background worker as a blob URL.
+     */
+    async handlePackBundle(button) {
+        const items = this.getSelectedPackMembers();
+        
+        if (items.length === 0) {
+            this.showStatus('error', 'Nothing Selected', 'Select at least one extension from the pack');
+            return;
+        }
+        
+        button.disabled = true;
+        const label = button.querySelector('span');
+        const originalText = label.textContent;
+        label.textContent = `Bundling 0 of ${items.length}...`;
+        
+        try {
+            const bundle = await VSIXBundle.createBundle(items, {
+                format: this.format,
+                filenamePattern: this.filenamePattern,
+                onProgress: (done, total) => {
+                    label.textContent = `Bundling ${done} of ${total}...`;
+                }
+            });
+            
+            const url = URL.createObjectURL(new Blob([bundle.data], { type: 'application/zip' }));
+            const response = await chrome.runtime.sendMessage({
+                action: 'download',
+                url: url,
+                filename: bundle.filename,
+                identifier: this.extensionData.identifier
+            });
+            
+            // The download reads the blob asynchronously; keep it alive for a while
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+            
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Download failed');
+            }
             
-            const vsixUrl = `https://${encodeURIComponent(publisher)}.gallery.vsassets.io/_apis/public/gallery/publisher/${encodeURIComponent(publisher)}/extension/${encodeURIComponent(extension)}/${encodeURIComponent(version)}/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage`;
+            this.showChecksums([{ filename: bundle.filename, sha256: response.sha256 }]);
+            this.showSignatures([]);
             
-            const packageUrl = `https://marketplace.visualstudio.com/_apis/public/gallery/publishers/${encodeURIComponent(publisher)}/vsextensions/${encodeURIComponent(extension)}/${encodeURIComponent(version)}/vspackage`;
+            const failed = bundle.failed.map(item => item.identifier);
+            this.showStatus(
+                'success',
+                'ZIP Download Started',
+                failed.length
+                    ? `${bundle.filename} (missing: ${failed.join(', ')})`
+                    : `${bundle.filename} with ${bundle.manifest.extensions.length} extensions`
+            );
             
-            const text = `VSIX Download URLs for ${identifier} v${version}\n\nVSIX URL:\n${vsixUrl}\n\nVSIXPackage URL:\n${packageUrl}`;
+        } catch (error) {
+            this.showStatus('error', 'ZIP Bundle Failed', error.message);
+        } finally {
+            button.disabled = false;
+            label.textContent = originalText;
+        }
+    }
+
+    /**
+     * Lists the SHA-256 of the downloads just started. Packages the worker
+     * could not fetch itself were downloaded directly and have no checksum.
+     */
+    showChecksums(entries) {
+        const field = document.getElementById('checksumField');
+        const value = document.getElementById('checksumValue');
+        
+        this.checksums = entries.filter(entry => entry.sha256 && entry.filename);
+        
+        if (value) {
+            value.textContent = this.checksums.length
+                ? VSIXIntegrity.formatChecksumFile(this.checksums).trim()
+                : 'Unavailable: the browser downloaded the package directly';
+        }
+        if (field) {
+            field.style.display = entries.length ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Shows the signature check of each download when "Verify signatures"
+     * is on. Downloads that were not checked are left out.
+     */
+    showSignatures(entries) {
+        const field = document.getElementById('signatureField');
+        const list = document.getElementById('signatureList');
+        const checked = entries.filter(entry => entry.signature);
+        
+        if (list) {
+            list.textContent = '';
+            for (const entry of checked) {
+                const item = document.createElement('li');
+                item.dataset.status = entry.signature.status;
+                item.textContent = checked.length > 1
+                    ? `${entry.filename}: ${VSIXSignature.describeResult(entry.signature)}`
+                    : VSIXSignature.describeResult(entry.signature);
+                list.appendChild(item);
+            }
+        }
+        if (field) {
+            field.style.display = checked.length ? 'flex' : 'none';
+        }
+    }
+
+    async handleCopyChecksums(button) {
+        if (this.checksums.length === 0) {
+            return;
+        }
+        
+        const label = button.querySelector('span');
+        const originalText = label.textContent;
+        
+        try {
+            await navigator.clipboard.writeText(VSIXIntegrity.formatChecksumFile(this.checksums));
+            label.textContent = 'Copied!';
+        } catch (error) {
+            this.showStatus('error', 'Copy Failed', error.message || 'Could not copy to clipboard');
+        } finally {
+            setTimeout(() => {
+                label.textContent = originalText;
+            }, 1500);
+        }
+    }
+
+    async handleCopyUrl(button) {
+        if (!this.extensionData || !this.extensionData.identifier || !this.extensionData.version) {
+            this.showStatus('error', 'Missing Data', 'Extension data not available');
+            return;
+        }
+        
+        // Disable button
+        button.disabled = true;
+        const originalText = button.querySelector('span').textContent;
+        button.querySelector('span').textContent = 'Copying...';
+        
+        try {
+            const text = VSIXCore.buildCopyText(this.getDownloadTarget());
             
             await navigator.clipboard.writeText(text);
             
@@ -375,7 +1335,7 @@ class PopupManager {
             }, 2000);
             
         } catch (error) {
-            this.showStatus('error', 'Copy Failed', 'Could not copy to clipboard');
+            this.showStatus('error', 'Copy Failed', error.message || 'Could not copy to clipboard');
         } finally {
             // Re-enable button
             setTimeout(() => {
@@ -386,22 +1346,23 @@ class PopupManager {
     }
 
     async handleSettingChange(key, value) {
+        // Route through the background worker so its settings stay in sync
         try {
-            await chrome.storage.sync.set({ [key]: value });
+            const response = await chrome.runtime.sendMessage({
+                action: 'updateSettings',
+                settings: { [key]: value }
+            });
+            
+            if (!response || !response.success) {
+                this.showStatus('error', 'Settings', response?.error || 'Settings update failed');
+            }
         } catch (error) {
-            return false; // Silently handle if storage failure
+            return false; // Silently handle if the worker is unavailable
         }
     }
 
     openSettings() {
-        // For now, just show a message
-        // In future, could open options page
-        this.showStatus('info', 'Settings', 'Settings are managed via the toggle below');
-        setTimeout(() => {
-            if (this.extensionData) {
-                this.showStatus('success', 'Extension Detected', 'Ready to download');
-            }
-        }, 2000);
+        chrome.runtime.openOptionsPage();
     }
 
     openHelp() {
@@ -0,0 +1,152 @@
+// Multi-extension ZIP bundles for VSIX Downloader
+'use strict';
+
+/**
+ * Packs several VSIX downloads into one ZIP archive:
+ * - Fetches each package with the configured fetch implementation
+ * - Names the packages after the filename pattern, like single downloads
+ * - Adds a generated manifest.json (id, version, platform, source URL)
+ * - Reports packages that could not be fetched instead of failing the bundle
+ *
+ * Depends on vsix-core.js and zip.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vsix-core.js'), require('./zip.js'));
+    } else {
+        root.VSIXBundle = factory(root.VSIXCore, root.VSIXZip);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (VSIXCore, VSIXZip) {
+
+    const MANIFEST_NAME = 'manifest.json';
+
+    function resolveFetch(options) {
+        const fetchImpl = (options && options.fetch) || (typeof fetch === 'function' ? fetch : null);
+        if (!fetchImpl) {
+            throw new Error('No fetch implementation available');
+        }
+        return fetchImpl;
+    }
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    /**
+     * Archive name such as "vsix-bundle-2024-05-01-12-extensions.zip".
+     */
+    function buildBundleFilename(count, date) {
+        const day = date || new Date();
+        const stamp = `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+        return `vsix-bundle-${stamp}-${count}-extension${count === 1 ? '' : 's'}.zip`;
+    }
+
+    function buildManifest(entries, date) {
+        return {
+            generator: 'VSIX Downloader',
+            created: (date || new Date()).toISOString(),
+            extensions: entries.map(entry => ({
+                id: entry.identifier,
+                version: entry.version,
+                platform: entry.platform || 'universal',
+                url: entry.url,
+                file: entry.filename,
+                size: entry.size
+            }))
+        };
+    }
+
+    /**
+     * Entry name for a package: the filename pattern applied and sanitized
+     * the way single downloads are, with " (2)", " (3)", ... before the
+     * extension when the pattern gives two packages the same name.
+     */
+    function buildEntryName(item, format, pattern, taken) {
+        const filename = VSIXCore.sanitizeFilename(VSIXCore.formatFilename(item, format, pattern));
+        const dot = filename.lastIndexOf('.');
+        let name = filename;
+
+        for (let copy = 2; taken.has(name.toLowerCase()); copy++) {
+            name = `${filename.slice(0, dot)} (${copy})${filename.slice(dot)}`;
+        }
+
+        taken.add(name.toLowerCase());
+        return name;
+    }
+
+    /**
+     * Downloads every item ({ identifier, version, platform, displayName })
+     * and returns { data, filename, manifest, failed }. data is a Uint8Array
+     * holding the ZIP. Throws only when no package at all could be fetched.
+     *
+     * options: { format = 'vsix', filenamePattern, fetch, mapUrl,
+     *            onProgress(done, total, item) }
+     */
+    async function createBundle(items, options) {
+        const opts = options || {};
+        const fetchImpl = resolveFetch(opts);
+        const mapUrl = opts.mapUrl || (url => url);
+        const format = VSIXCore.normalizeFormat(opts.format);
+        const files = [];
+        const entries = [];
+        const failed = [];
+        const taken = new Set([MANIFEST_NAME]);
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+
+            try {
+                const url = VSIXCore.buildDownloadUrl(item, format);
+                const response = await fetchImpl(mapUrl(url));
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const data = new Uint8Array(await response.arrayBuffer());
+                const filename = buildEntryName(item, format, opts.filenamePattern, taken);
+                files.push({ name: filename, data });
+                entries.push({
+                    identifier: VSIXCore.parseIdentifier(item.identifier || `${item.publisher}.${item.extension}`).identifier,
+                    version: item.version,
+                    platform: item.platform || '',
+                    url,
+                    filename,
+                    size: data.length
+                });
+            } catch (error) {
+                failed.push({
+                    identifier: item.identifier || `${item.publisher}.${item.extension}`,
+                    version: item.version,
+                    error: error.message || 'Download failed'
+                });
+            }
+
+            if (opts.onProgress) {
+                opts.onProgress(i + 1, items.length, item);
+            }
+        }
+
+        if (files.length === 0) {
+            throw new Error('None of the selected extensions could be downloaded');
+        }
+
+        const date = new Date();
+        const manifest = buildManifest(entries, date);
+        files.unshift({ name: MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) });
+
+        return {
+            data: VSIXZip.createArchive(files, date),
+            filename: buildBundleFilename(entries.length, date),
+            manifest,
+            failed
+        };
+    }
+
+    return {
+        MANIFEST_NAME: MANIFEST_NAME,
+        buildBundleFilename: buildBundleFilename,
+        buildManifest: buildManifest,
+        createBundle: createBundle
+    };
+});
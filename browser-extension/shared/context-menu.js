@@ -0,0 +1,100 @@
+// Link context menu for VSIX Downloader
+'use strict';
+
+/**
+ * "Download VSIX" on right-clicked marketplace links:
+ * - Menu items for chrome.contextMenus.create, shown only on
+ *   marketplace.visualstudio.com/items?itemName=... links
+ * - "Latest version" with the default format and platform, plus .vsix and
+ *   .vsixpackage submenus with a platform each
+ * - Reading the format and platform back from a clicked item's id
+ *
+ * The background worker creates the menu on install and update, resolves
+ * the latest version and downloads it.
+ *
+ * Depends on vsix-core.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vsix-core.js'));
+    } else {
+        root.VSIXContextMenu = factory(root.VSIXCore);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (VSIXCore) {
+
+    const MENU_ID = 'vsix-link';
+
+    const LINK_PATTERNS = ['*://' + VSIXCore.MARKETPLACE_HOST + '/items?itemName=*'];
+
+    const FORMATS = {
+        vsix: '.vsix',
+        vsixpackage: '.vsixpackage'
+    };
+
+    // Platform choices besides the target platforms; 'default' uses the defaultPlatform setting
+    const PLATFORM_CHOICES = {
+        default: 'Default platform',
+        universal: 'Universal'
+    };
+
+    // Item ids are "vsix-link:<format>:<platform>"; 'default' stands for the setting
+    function itemId(format, platform) {
+        return [MENU_ID, format, platform].filter(Boolean).join(':');
+    }
+
+    function linkItem(fields) {
+        return Object.assign({ contexts: ['link'], targetUrlPatterns: LINK_PATTERNS }, fields);
+    }
+
+    /**
+     * Everything to pass to chrome.contextMenus.create, parents first.
+     */
+    function buildMenuItems() {
+        const items = [
+            linkItem({ id: MENU_ID, title: 'Download VSIX' }),
+            linkItem({ id: itemId('default', 'default'), parentId: MENU_ID, title: 'Latest version' }),
+            linkItem({ id: MENU_ID + '-separator', parentId: MENU_ID, type: 'separator' })
+        ];
+
+        const platforms = Object.assign({}, PLATFORM_CHOICES, VSIXCore.TARGET_PLATFORMS);
+
+        Object.keys(FORMATS).forEach(format => {
+            items.push(linkItem({ id: itemId(format), parentId: MENU_ID, title: 'Latest ' + FORMATS[format] }));
+            Object.keys(platforms).forEach(platform => {
+                items.push(linkItem({ id: itemId(format, platform), parentId: itemId(format), title: platforms[platform] }));
+            });
+        });
+
+        return items;
+    }
+
+    /**
+     * { format, platform } of a clicked item, or null for anything that is
+     * not a download item. format and platform are 'default' when the
+     * settings decide.
+     */
+    function parseMenuItemId(id) {
+        const parts = String(id).split(':');
+        if (parts.length !== 3 || parts[0] !== MENU_ID) {
+            return null;
+        }
+
+        const format = parts[1];
+        const platform = parts[2];
+        if (format !== 'default' && !Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+            return null;
+        }
+        if (!Object.prototype.hasOwnProperty.call(PLATFORM_CHOICES, platform) && !VSIXCore.isValidPlatform(platform)) {
+            return null;
+        }
+
+        return { format: format, platform: platform };
+    }
+
+    return {
+        MENU_ID: MENU_ID,
+        LINK_PATTERNS: LINK_PATTERNS,
+        buildMenuItems: buildMenuItems,
+        parseMenuItemId: parseMenuItemId
+    };
+});
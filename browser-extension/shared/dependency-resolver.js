@@ -0,0 +1,238 @@
+// Extension dependency resolver for VSIX Downloader
+'use strict';
+
+/**
+ * Walks the extensionDependencies (or extensionPack) graph of an extension:
+ * - Reads each package.json from the Microsoft.VisualStudio.Code.Manifest
+ *   asset, falling back to extension/package.json inside the VSIX
+ * - Picks a compatible version per extension (channel and platform)
+ * - Returns install order (dependencies first), cycles and anything that
+ *   could not be resolved, without throwing for individual failures
+ *
+ * Depends on vsix-core.js, gallery-client.js and zip.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vsix-core.js'), require('./gallery-client.js'), require('./zip.js'));
+    } else {
+        root.VSIXDependencies = factory(root.VSIXCore, root.VSIXGallery, root.VSIXZip);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (VSIXCore, VSIXGallery, VSIXZip) {
+
+    const PACKAGE_JSON_PATH = 'extension/package.json';
+
+    function resolveFetch(options) {
+        const fetchImpl = (options && options.fetch) || (typeof fetch === 'function' ? fetch : null);
+        if (!fetchImpl) {
+            throw new Error('No fetch implementation available');
+        }
+        return fetchImpl;
+    }
+
+    /**
+     * Chooses the version to use for an extension. An explicit version must
+     * exist; otherwise the newest version on the channel that has a build for
+     * the requested platform wins. Like VSIXGallery.pickLatest, the stable
+     * channel takes the newest pre-release of an extension that has never
+     * shipped a stable release.
+     * Resolves to { identifier, displayName, version, platform, entry }.
+     * Missing extensions, versions and builds reject with status 404.
+     */
+    async function resolveTarget(spec, options) {
+        const info = await VSIXGallery.getExtensionInfo(spec.identifier, options);
+        if (!info) {
+            throw notFound('Extension not found: ' + spec.identifier);
+        }
+        const versions = info.versions;
+        const platform = spec.platform !== undefined ? spec.platform : (options.platform || '');
+        let entry;
+
+        if (spec.version) {
+            entry = versions.find(item => item.version === spec.version);
+            if (!entry) {
+                throw notFound(`Version ${spec.version} not found`);
+            }
+        } else {
+            const stableOnly = VSIXGallery.normalizeChannel(options.channel) === 'stable' && versions.some(item => !item.preRelease);
+            const usable = versions.filter(item =>
+                VSIXGallery.matchPlatform(item, platform) !== null &&
+                (!options.isCompatible || options.isCompatible(item))
+            );
+            entry = usable.find(item => !stableOnly || !item.preRelease);
+            if (!entry) {
+                const label = VSIXCore.platformLabel(platform);
+                throw notFound(usable.length > 0
+                    ? `No compatible stable version for ${label}; choose the pre-release channel for ${usable[0].version}`
+                    : `No compatible version for ${label}`);
+            }
+        }
+
+        const matched = VSIXGallery.matchPlatform(entry, platform);
+        if (matched === null) {
+            throw notFound(`Version ${entry.version} has no build for ${VSIXCore.platformLabel(platform)}`);
+        }
+
+        return {
+            identifier: VSIXCore.parseIdentifier(spec.identifier).identifier,
+            displayName: info.displayName,
+            version: entry.version,
+            platform: matched,
+            entry: entry
+        };
+    }
+
+    /**
+     * Fetches an extension's package.json: the manifest asset first, then
+     * the full VSIX as a fallback.
+     */
+    async function fetchManifest(target, options) {
+        const fetchImpl = resolveFetch(options);
+        const mapUrl = options.mapUrl || (url => VSIXGallery.mapToGallery(url, options));
+
+        try {
+            const response = await fetchImpl(mapUrl(VSIXCore.buildAssetUrl(target, 'manifest')));
+            if (response.ok) {
+                return await response.json();
+            }
+        } catch (error) {
+            // Fall through to reading the manifest from the VSIX itself
+        }
+
+        const response = await fetchImpl(mapUrl(VSIXCore.buildDownloadUrl(target, 'vsix')));
+        if (!response.ok) {
+            throw new Error(`Manifest unavailable (HTTP ${response.status})`);
+        }
+
+        const manifest = await VSIXZip.readJson(await response.arrayBuffer(), PACKAGE_JSON_PATH);
+        if (!manifest) {
+            throw new Error('VSIX has no extension/package.json');
+        }
+        return manifest;
+    }
+
+    function notFound(message) {
+        const error = new Error(message);
+        error.status = 404;
+        return error;
+    }
+
+    function listField(manifest, field) {
+        const value = manifest && manifest[field];
+        return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : [];
+    }
+
+    /**
+     * Resolves the transitive closure of a manifest list field.
+     *
+     * root:    { identifier, version?, platform? }
+     * options: { field = 'extensionDependencies', channel, platform,
+     *            isCompatible(entry), fetch, galleryUrl, mapUrl, onProgress(node) }
+     *
+     * Resolves to:
+     *   items:      [{ identifier, version, platform, displayName, dependencies }]
+     *               in install order (dependencies before dependents)
+     *   cycles:     [['a.b', 'c.d', 'a.b'], ...]
+     *   unresolved: [{ identifier, requiredBy, reason }]
+     */
+    async function resolveDependencies(root, options) {
+        const opts = Object.assign({ field: 'extensionDependencies' }, options);
+        const state = new Map();
+        const items = [];
+        const cycles = [];
+        const unresolved = [];
+
+        async function visit(spec, stack) {
+            const parsed = VSIXCore.parseIdentifier(spec.identifier);
+            const requiredBy = stack.length ? stack[stack.length - 1] : null;
+
+            if (!parsed) {
+                unresolved.push({ identifier: String(spec.identifier), requiredBy, reason: 'Invalid extension identifier' });
+                return;
+            }
+
+            const key = parsed.identifier.toLowerCase();
+            if (state.get(key) === 'visiting') {
+                const start = stack.findIndex(id => id.toLowerCase() === key);
+                cycles.push(stack.slice(start).concat(parsed.identifier));
+                return;
+            }
+            if (state.has(key)) {
+                return;
+            }
+
+            state.set(key, 'visiting');
+
+            try {
+                const target = await resolveTarget(Object.assign({}, spec, { identifier: parsed.identifier }), opts);
+                const manifest = await fetchManifest(target, opts);
+                const node = {
+                    identifier: target.identifier,
+                    version: target.version,
+                    platform: target.platform,
+                    displayName: (manifest && manifest.displayName) || target.identifier,
+                    dependencies: listField(manifest, opts.field)
+                };
+
+                for (const dependency of node.dependencies) {
+                    await visit({ identifier: dependency }, stack.concat(node.identifier));
+                }
+
+                items.push(node);
+                if (opts.onProgress) {
+                    opts.onProgress(node);
+                }
+            } catch (error) {
+                unresolved.push({ identifier: parsed.identifier, requiredBy, reason: error.message || 'Resolution failed' });
+            } finally {
+                state.set(key, 'done');
+            }
+        }
+
+        await visit(root, []);
+
+        return { items, cycles, unresolved };
+    }
+
+    /**
+     * Expands an extension pack into its members, including members of
+     * nested packs. The pack itself is returned separately so callers can
+     * offer the members alone.
+     *
+     * Resolves to { pack, members, cycles, unresolved }.
+     */
+    async function resolvePack(root, options) {
+        const result = await resolveDependencies(root, Object.assign({}, options, { field: 'extensionPack' }));
+        const parsed = VSIXCore.parseIdentifier(root.identifier);
+        const rootKey = parsed ? parsed.identifier.toLowerCase() : '';
+        const isRoot = item => item.identifier.toLowerCase() === rootKey;
+
+        return {
+            pack: result.items.find(isRoot) || null,
+            members: result.items.filter(item => !isRoot(item)),
+            cycles: result.cycles,
+            unresolved: result.unresolved
+        };
+    }
+
+    /**
+     * One-line human readable summary of cycles and unresolved extensions.
+     */
+    function describeProblems(result) {
+        const parts = [];
+        if (result.cycles.length) {
+            parts.push('Cycles: ' + result.cycles.map(cycle => cycle.join(' → ')).join('; '));
+        }
+        if (result.unresolved.length) {
+            parts.push('Unresolved: ' + result.unresolved.map(item => item.identifier + ' (' + item.reason + ')').join('; '));
+        }
+        return parts.join('. ');
+    }
+
+    return {
+        resolveTarget: resolveTarget,
+        fetchManifest: fetchManifest,
+        resolveDependencies: resolveDependencies,
+        resolvePack: resolvePack,
+        describeProblems: describeProblems
+    };
+});
@@ -0,0 +1,81 @@
+// Download location for VSIX Downloader
+'use strict';
+
+/**
+ * Where the browser extension saves files, from the download settings:
+ * - downloadLocation: 'default' (the browser's download folder) or a
+ *   subfolder of it
+ * - downloadLayout: 'flat', or 'extension' for a {publisher}/{name}/
+ *   folder per extension inside it
+ * - askWhereToSave: open the browser's Save As dialog for every package
+ *
+ * Checksum and signature files are saved next to the package path without
+ * asking, so one download never opens more than one dialog.
+ *
+ * Depends on vsix-core.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vsix-core.js'));
+    } else {
+        root.VSIXLocation = factory(root.VSIXCore);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (VSIXCore) {
+
+    const LAYOUTS = {
+        flat: 'flat',
+        extension: 'extension'
+    };
+
+    /**
+     * Path relative to the browser's download folder, e.g.
+     * "vsix/ms-python/python/ms-python.python-2024.2.1.vsix". Files
+     * without a valid identifier (ZIP bundles) skip the per-extension
+     * folders. The filename must already be sanitized.
+     */
+    function buildDownloadPath(filename, settings, identifier) {
+        const parts = [];
+
+        if (settings.downloadLocation && settings.downloadLocation !== 'default') {
+            parts.push(settings.downloadLocation);
+        }
+
+        const parsed = settings.downloadLayout === LAYOUTS.extension ? VSIXCore.parseIdentifier(identifier) : null;
+        if (parsed) {
+            parts.push(parsed.publisher, parsed.extension);
+        }
+
+        parts.push(filename);
+        return parts.join('/');
+    }
+
+    /**
+     * chrome.downloads.download options. options.identifier places the file
+     * in its extension folder; options.sidecar marks checksum and signature
+     * files, which never ask; options.conflictAction defaults to "uniquify".
+     */
+    function buildDownloadOptions(url, filename, settings, options) {
+        const opts = options || {};
+        return {
+            url: url,
+            filename: buildDownloadPath(filename, settings, opts.identifier),
+            saveAs: !opts.sidecar && settings.askWhereToSave === true,
+            conflictAction: opts.conflictAction || 'uniquify'
+        };
+    }
+
+    /**
+     * Starts a download through chrome.downloads (passed in as `downloads`).
+     * Resolves to the download id.
+     */
+    function startDownload(downloads, url, filename, settings, options) {
+        return downloads.download(buildDownloadOptions(url, filename, settings, options));
+    }
+
+    return {
+        LAYOUTS: LAYOUTS,
+        buildDownloadPath: buildDownloadPath,
+        buildDownloadOptions: buildDownloadOptions,
+        startDownload: startDownload
+    };
+});
@@ -0,0 +1,302 @@
+// Download queue scheduling for VSIX Downloader
+'use strict';
+
+/**
+ * Scheduling rules for the background download queue:
+ * - Queue items with a priority, kept as plain objects so the queue can be
+ *   saved to chrome.storage.local and picked up after a worker restart
+ * - Which items to start next under a concurrency limit (higher priority
+ *   first, then first in, first out)
+ * - Retries with exponential backoff for timeouts, dropped connections,
+ *   HTTP 429 and 5xx, waiting for the server's `Retry-After` when it sends one
+ * - Recovery of downloads the browser interrupted: resume, restart or give
+ *   up, depending on chrome.downloads' interrupt reason
+ *
+ * The background worker owns the queue and runs the downloads; this module
+ * only decides what runs when.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.VSIXQueue = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+
+    const STORAGE_KEY = 'downloadQueue';
+
+    const DEFAULT_CONCURRENCY = 3;
+    const MAX_CONCURRENCY = 6;
+
+    // Attempts per item, including the first one
+    const MAX_ATTEMPTS = 4;
+    const BASE_DELAY = 2000;
+    const MAX_DELAY = 60000;
+
+    const PRIORITY = {
+        high: 2,
+        normal: 1,
+        low: 0
+    };
+
+    const STATUS = {
+        queued: 'queued',
+        running: 'running'
+    };
+
+    // Automatic resumes and restarts per interrupted download
+    const MAX_RECOVERIES = 3;
+
+    const RECOVERY = {
+        resume: 'resume',
+        restart: 'restart'
+    };
+
+    // Interrupt reasons that are not worth another attempt without the user
+    const PERMANENT_INTERRUPTS = [
+        'NETWORK_INVALID_REQUEST',
+        'SERVER_BAD_CONTENT',
+        'SERVER_UNAUTHORIZED',
+        'SERVER_CERT_PROBLEM',
+        'SERVER_FORBIDDEN',
+        'SERVER_CROSS_ORIGIN_REDIRECT'
+    ];
+
+    // Partial data that cannot be continued: start over instead of resuming
+    const RESTART_INTERRUPTS = ['SERVER_NO_RANGE', 'SERVER_CONTENT_LENGTH_MISMATCH'];
+
+    // fetch() rejects with a bare TypeError when the connection fails or drops:
+    // "Failed to fetch" and "network error" in Chrome, "fetch failed" and "terminated" in Node
+    const NETWORK_ERROR_MESSAGE = /fetch|network|terminated/i;
+
+    // Timeouts and socket errors reported by code (Node, the vsix-dl CLI)
+    const NETWORK_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+    function normalizePriority(value) {
+        return Object.prototype.hasOwnProperty.call(PRIORITY, value) ? value : 'normal';
+    }
+
+    function normalizeConcurrency(value) {
+        const number = Number(value);
+        return Number.isInteger(number) && number >= 1 && number <= MAX_CONCURRENCY ? number : DEFAULT_CONCURRENCY;
+    }
+
+    /**
+     * Wraps a download request ({ url, filename, identifier, version,
+     * platform }) in a queue item.
+     */
+    function createItem(request, options) {
+        const now = (options && options.now) || Date.now();
+        return {
+            id: now.toString(36) + '-' + Math.random().toString(36).slice(2, 8),
+            request: request,
+            priority: normalizePriority(options && options.priority),
+            status: STATUS.queued,
+            attempts: 0,
+            queuedAt: now,
+            // Earliest time the next attempt may start (backoff)
+            notBefore: 0,
+            error: ''
+        };
+    }
+
+    function compareItems(a, b) {
+        return (PRIORITY[b.priority] - PRIORITY[a.priority]) || (a.queuedAt - b.queuedAt);
+    }
+
+    /**
+     * Items to start now: queued items whose backoff has passed, in priority
+     * order, as many as the concurrency limit leaves room for.
+     */
+    function takeRunnable(items, concurrency, now) {
+        const running = items.filter(item => item.status === STATUS.running).length;
+        const room = normalizeConcurrency(concurrency) - running;
+
+        if (room <= 0) {
+            return [];
+        }
+
+        return items
+            .filter(item => item.status === STATUS.queued && item.notBefore <= now)
+            .sort(compareItems)
+            .slice(0, room);
+    }
+
+    /**
+     * Time at which the next waiting item becomes runnable, or null when
+     * nothing is waiting for a backoff to pass.
+     */
+    function nextWakeTime(items, now) {
+        const waiting = items
+            .filter(item => item.status === STATUS.queued && item.notBefore > now)
+            .map(item => item.notBefore);
+        return waiting.length ? Math.min.apply(null, waiting) : null;
+    }
+
+    /**
+     * Items saved while running were cut off by a worker restart; they go
+     * back into the queue without counting the lost attempt. Items with a
+     * `downloadId` had already been handed to the browser and stay running,
+     * attached to that download.
+     */
+    function restoreItems(items) {
+        return (Array.isArray(items) ? items : [])
+            .filter(item => item && item.request && item.id)
+            .map(item => item.status === STATUS.running && !Number.isInteger(item.downloadId)
+                ? Object.assign({}, item, { status: STATUS.queued, attempts: Math.max(0, item.attempts - 1) })
+                : item);
+    }
+
+    /**
+     * Milliseconds to wait from a `Retry-After` header (seconds or an HTTP
+     * date), or null when the header is missing or unreadable.
+     */
+    function parseRetryAfter(value, now) {
+        if (value === null || value === undefined || String(value).trim() === '') {
+            return null;
+        }
+
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) * 1000;
+        }
+
+        const date = Date.parse(text);
+        return Number.isNaN(date) ? null : Math.max(0, date - (now || Date.now()));
+    }
+
+    /**
+     * Timeouts, network failures, rate limiting and server errors are worth
+     * another attempt; other HTTP errors (404, 403, ...) and local failures
+     * are not.
+     */
+    function isRetryable(error) {
+        if (!error) {
+            return false;
+        }
+        if (NETWORK_ERROR_CODES.includes(error.code)) {
+            return true;
+        }
+        if (error.name === 'TypeError' && error.status === undefined && NETWORK_ERROR_MESSAGE.test(error.message)) {
+            return true;
+        }
+        return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+
+    /**
+     * Delay before attempt number `attempts + 1`, or null when the error is
+     * final or the attempts are used up. A `Retry-After` on the error
+     * (error.retryAfter, the raw header) wins over the backoff.
+     */
+    function getRetryDelay(error, attempts, options) {
+        const maxAttempts = (options && options.maxAttempts) || MAX_ATTEMPTS;
+        if (!isRetryable(error) || attempts >= maxAttempts) {
+            return null;
+        }
+
+        const retryAfter = parseRetryAfter(error.retryAfter, options && options.now);
+        if (retryAfter !== null) {
+            return retryAfter;
+        }
+
+        return backoffDelay(attempts, options);
+    }
+
+    /**
+     * Delay before an interrupted download is started again for the
+     * `recoveries`-th time, with the same backoff as failed attempts.
+     */
+    function getRecoveryDelay(recoveries, options) {
+        return backoffDelay(Math.max(1, recoveries), options);
+    }
+
+    function backoffDelay(attempts, options) {
+        const base = (options && options.baseDelay) || BASE_DELAY;
+        const random = (options && options.random) || Math.random;
+        const delay = Math.min(base * Math.pow(2, attempts - 1), (options && options.maxDelay) || MAX_DELAY);
+
+        // +/-25% jitter so items that failed together do not retry together
+        return Math.round(delay * (0.75 + random() * 0.5));
+    }
+
+    /**
+     * Groups a chrome.downloads interrupt reason (NETWORK_FAILED,
+     * SERVER_FAILED, USER_CANCELED, ...) into { kind, transient }. kind is
+     * "network", "server", "file", "user" or "crash"; transient tells
+     * whether trying again can help.
+     */
+    function classifyInterrupt(reason) {
+        const code = String(reason || '');
+        const kind = code === 'CRASH' ? 'crash' : (code.split('_')[0] || 'unknown').toLowerCase();
+
+        switch (kind) {
+            case 'network':
+            case 'server':
+                return { kind: kind, transient: !PERMANENT_INTERRUPTS.includes(code) };
+            case 'file':
+                return { kind: kind, transient: code === 'FILE_TRANSIENT_ERROR' };
+            case 'user':
+                // Browser shutdown is not a decision about this download
+                return { kind: kind, transient: code === 'USER_SHUTDOWN' };
+            case 'crash':
+                return { kind: kind, transient: true };
+            default:
+                return { kind: 'unknown', transient: false };
+        }
+    }
+
+    /**
+     * What to do about an interrupted download: "resume" when the browser
+     * can continue it, "restart" to download it again, or null to leave it
+     * to the user (cancelled, permanent error, recoveries used up).
+     */
+    function getRecoveryAction(reason, options) {
+        const recoveries = (options && options.recoveries) || 0;
+        const maxRecoveries = (options && options.maxRecoveries) || MAX_RECOVERIES;
+
+        if (!classifyInterrupt(reason).transient || recoveries >= maxRecoveries) {
+            return null;
+        }
+        return options && options.canResume && !RESTART_INTERRUPTS.includes(reason) ? RECOVERY.resume : RECOVERY.restart;
+    }
+
+    /**
+     * "Network error (NETWORK_FAILED)"
+     */
+    function describeInterrupt(reason) {
+        const labels = {
+            network: 'Network error',
+            server: 'Server error',
+            file: 'File error',
+            user: 'Cancelled',
+            crash: 'Browser crashed'
+        };
+        const kind = classifyInterrupt(reason).kind;
+        const label = reason === 'USER_SHUTDOWN' ? 'Browser closed' : labels[kind] || 'Interrupted';
+        return reason ? `${label} (${reason})` : label;
+    }
+
+    return {
+        STORAGE_KEY: STORAGE_KEY,
+        DEFAULT_CONCURRENCY: DEFAULT_CONCURRENCY,
+        MAX_CONCURRENCY: MAX_CONCURRENCY,
+        MAX_ATTEMPTS: MAX_ATTEMPTS,
+        PRIORITY: PRIORITY,
+        STATUS: STATUS,
+        MAX_RECOVERIES: MAX_RECOVERIES,
+        RECOVERY: RECOVERY,
+        normalizePriority: normalizePriority,
+        normalizeConcurrency: normalizeConcurrency,
+        createItem: createItem,
+        takeRunnable: takeRunnable,
+        nextWakeTime: nextWakeTime,
+        restoreItems: restoreItems,
+        parseRetryAfter: parseRetryAfter,
+        isRetryable: isRetryable,
+        getRetryDelay: getRetryDelay,
+        classifyInterrupt: classifyInterrupt,
+        getRecoveryAction: getRecoveryAction,
+        getRecoveryDelay: getRecoveryDelay,
+        describeInterrupt: describeInterrupt
+    };
+});
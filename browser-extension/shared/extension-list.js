@@ -0,0 +1,169 @@
+// Extension list parsing for VSIX Downloader
+'use strict';
+
+/**
+ * Reads the extension lists people share and writes retry lists:
+ * - `code --list-extensions --show-versions` output (publisher.name@version)
+ * - Plain text lists with bare ids (latest version) and # comments;
+ *   publisher.name@version@platform pins a target platform
+ * - JSON: arrays of ids or { id, version, platform } objects,
+ *   .vscode/extensions.json ({ recommendations }) and bundle manifests
+ *   ({ extensions })
+ *
+ * Depends on vsix-core.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vsix-core.js'));
+    } else {
+        root.VSIXExtensionList = factory(root.VSIXCore);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (VSIXCore) {
+
+    /**
+     * Parses "publisher.name", "publisher.name@version" or
+     * "publisher.name@version@platform".
+     * Returns { identifier, version, platform? } or null.
+     */
+    function parseSpec(spec) {
+        const match = /^([^@\s]+)(?:@([^@\s]+))?(?:@([^@\s]+))?$/.exec(String(spec || '').trim());
+        const parsed = match && VSIXCore.parseIdentifier(match[1]);
+
+        if (!parsed || (match[2] && !VSIXCore.isValidVersion(match[2])) || (match[3] && !VSIXCore.isValidPlatform(match[3]))) {
+            return null;
+        }
+
+        const result = { identifier: parsed.identifier, version: match[2] || '' };
+        if (match[3]) {
+            result.platform = match[3];
+        }
+        return result;
+    }
+
+    function fromObject(value) {
+        const id = value.id || value.identifier || value.extensionId;
+        const spec = parseSpec(id);
+        if (!spec) {
+            return null;
+        }
+        if (value.version) {
+            if (!VSIXCore.isValidVersion(value.version)) {
+                return null;
+            }
+            spec.version = value.version;
+        }
+
+        const platform = value.platform || value.targetPlatform || '';
+        if (platform && platform !== 'universal') {
+            if (!VSIXCore.isValidPlatform(platform)) {
+                return null;
+            }
+            spec.platform = platform;
+        }
+        return spec;
+    }
+
+    // .vscode/extensions.json allows comments; strip whole-line ones
+    function parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return JSON.parse(text.replace(/^\s*\/\/.*$/gm, ''));
+        }
+    }
+
+    function jsonEntries(data) {
+        if (Array.isArray(data)) {
+            return data;
+        }
+        if (data && Array.isArray(data.recommendations)) {
+            return data.recommendations;
+        }
+        if (data && Array.isArray(data.extensions)) {
+            return data.extensions;
+        }
+        throw new Error('JSON lists must be an array, { "recommendations": [...] } or { "extensions": [...] }');
+    }
+
+    /**
+     * Parses list text in any supported format.
+     * Returns { items: [{ identifier, version, platform? }], errors: [{ line, text, reason }] }.
+     * Duplicate entries are dropped; bare ids have an empty version.
+     */
+    function parseExtensionList(text) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const trimmed = source.trim();
+        const items = [];
+        const errors = [];
+        const seen = new Set();
+
+        function add(spec, line, raw) {
+            if (!spec) {
+                errors.push({ line, text: raw, reason: 'Not a valid extension id or id@version' });
+                return;
+            }
+            const key = [spec.identifier.toLowerCase(), spec.version, spec.platform || ''].join('@');
+            if (!seen.has(key)) {
+                seen.add(key);
+                items.push(spec);
+            }
+        }
+
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            let entries;
+            try {
+                entries = jsonEntries(parseJson(trimmed));
+            } catch (error) {
+                errors.push({ line: 0, text: '', reason: `Invalid JSON: ${error.message}` });
+                return { items, errors };
+            }
+
+            entries.forEach((entry, index) => {
+                const spec = typeof entry === 'string' ? parseSpec(entry) : (entry && typeof entry === 'object' ? fromObject(entry) : null);
+                add(spec, index + 1, typeof entry === 'string' ? entry : JSON.stringify(entry));
+            });
+            return { items, errors };
+        }
+
+        source.split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.replace(/#.*$/, '').trim();
+            if (line) {
+                add(parseSpec(line), index + 1, raw.trim());
+            }
+        });
+
+        return { items, errors };
+    }
+
+    function formatSpec(item) {
+        if (!item.version) {
+            return item.identifier;
+        }
+        return item.platform ? `${item.identifier}@${item.version}@${item.platform}` : `${item.identifier}@${item.version}`;
+    }
+
+    /**
+     * Writes items as a plain text list that parseExtensionList reads back.
+     * A `reason` on an item is emitted as a comment above it.
+     */
+    function formatExtensionList(items, header) {
+        const lines = [];
+        if (header) {
+            String(header).split('\n').forEach(line => lines.push(`# ${line}`));
+        }
+        items.forEach(item => {
+            if (item.reason) {
+                lines.push(`# ${String(item.reason).replace(/\s+/g, ' ')}`);
+            }
+            lines.push(formatSpec(item));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    return {
+        parseSpec: parseSpec,
+        parseExtensionList: parseExtensionList,
+        formatSpec: formatSpec,
+        formatExtensionList: formatExtensionList
+    };
+});
@@ -0,0 +1,450 @@
+// Gallery API client for VSIX Downloader
+'use strict';
+
+/**
+ * Thin client for the public marketplace extensionquery endpoint:
+ * - Extension metadata lookup
+ * - Full version history with publish dates and target platforms
+ * - Stable / pre-release channel resolution
+ * - Extension pack detection from version properties
+ * - engines.vscode compatibility with a target VS Code version
+ * - Configurable gallery URL and fetch implementation, so the same code
+ *   can talk to a local stand-in for the endpoint
+ *
+ * Depends on vsix-core.js (loaded first in browsers, required in Node).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vsix-core.js'));
+    } else {
+        root.VSIXGallery = factory(root.VSIXCore);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (VSIXCore) {
+
+    const DEFAULT_GALLERY_URL = 'https://marketplace.visualstudio.com/_apis/public/gallery';
+    const GALLERY_PATH = '/_apis/public/gallery';
+    const API_VERSION = '3.0-preview.1';
+    const DEFAULT_TIMEOUT = 15000;
+
+    // extensionquery filter types and flags (see the VS Code gallery service)
+    const FILTER_TYPE = {
+        extensionName: 7,
+        target: 8,
+        searchText: 10
+    };
+
+    const QUERY_FLAGS = {
+        includeVersions: 0x1,
+        includeFiles: 0x2,
+        includeVersionProperties: 0x10,
+        includeAssetUri: 0x80,
+        includeStatistics: 0x100,
+        includeLatestVersionOnly: 0x200
+    };
+
+    const PRE_RELEASE_PROPERTY = 'Microsoft.VisualStudio.Code.PreRelease';
+    const EXTENSION_PACK_PROPERTY = 'Microsoft.VisualStudio.Code.ExtensionPack';
+    const ENGINE_PROPERTY = 'Microsoft.VisualStudio.Code.Engine';
+
+    // engines.vscode ranges as VS Code reads them: optional ^ or >=, x wildcards, ignored -suffix
+    const ENGINE_RANGE = /^(\^|>=)?(\d+|x)\.(\d+|x)\.(\d+|x)(?:-.*)?$/;
+    const ENGINE_VERSION = /^(\d+)\.(\d+)(?:\.(\d+))?(?:-.*)?$/;
+
+    const CHANNELS = {
+        stable: 'Latest stable',
+        prerelease: 'Latest pre-release'
+    };
+
+    const SEARCH_PAGE_SIZE = 10;
+
+    const DEFAULT_FLAGS = QUERY_FLAGS.includeVersions |
+        QUERY_FLAGS.includeVersionProperties |
+        QUERY_FLAGS.includeAssetUri |
+        QUERY_FLAGS.includeStatistics;
+
+    function resolveFetch(options) {
+        const fetchImpl = (options && options.fetch) || (typeof fetch === 'function' ? fetch : null);
+        if (!fetchImpl) {
+            throw new Error('No fetch implementation available');
+        }
+        return fetchImpl;
+    }
+
+    function galleryUrl(options) {
+        return String((options && options.galleryUrl) || DEFAULT_GALLERY_URL).replace(/\/+$/, '');
+    }
+
+    /**
+     * Rewrites a marketplace or CDN URL built by vsix-core.js to the
+     * configured gallery, keeping everything after /_apis/public/gallery.
+     * URLs are returned unchanged when no galleryUrl is configured.
+     */
+    function mapToGallery(url, options) {
+        if (!options || !options.galleryUrl) {
+            return url;
+        }
+
+        const parsed = new URL(url);
+        const index = parsed.pathname.indexOf(GALLERY_PATH);
+        if (index === -1) {
+            return url;
+        }
+
+        return galleryUrl(options) + parsed.pathname.slice(index + GALLERY_PATH.length) + parsed.search;
+    }
+
+    /**
+     * POSTs an extensionquery request and returns the parsed JSON body.
+     * Errors carry an HTTP `status` when the server answered.
+     */
+    async function postQuery(body, options) {
+        const fetchImpl = resolveFetch(options);
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timeout = (options && options.timeout) || DEFAULT_TIMEOUT;
+        const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+        try {
+            const response = await fetchImpl(galleryUrl(options) + '/extensionquery', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json;api-version=' + API_VERSION,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body),
+                signal: controller ? controller.signal : undefined
+            });
+
+            if (!response.ok) {
+                const error = new Error('Gallery request failed with HTTP ' + response.status);
+                error.status = response.status;
+                throw error;
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (error && error.name === 'AbortError') {
+                const timeoutError = new Error('Gallery request timed out');
+                timeoutError.code = 'ETIMEDOUT';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            if (timer) {
+                clearTimeout(timer);
+            }
+        }
+    }
+
+    function buildQuery(criteria, flags, pageSize) {
+        return {
+            filters: [{
+                criteria: criteria.concat([{ filterType: FILTER_TYPE.target, value: 'Microsoft.VisualStudio.Code' }]),
+                pageNumber: 1,
+                pageSize: pageSize || 1,
+                sortBy: 0,
+                sortOrder: 0
+            }],
+            assetTypes: [],
+            flags: flags
+        };
+    }
+
+    /**
+     * Returns the raw gallery extension object for "publisher.extension",
+     * or null when the gallery does not know it.
+     */
+    async function queryExtension(identifier, options) {
+        const parsed = VSIXCore.parseIdentifier(identifier);
+        if (!parsed) {
+            throw new Error('Invalid extension identifier format');
+        }
+
+        const flags = (options && options.flags) || DEFAULT_FLAGS;
+        const body = buildQuery([{ filterType: FILTER_TYPE.extensionName, value: parsed.identifier }], flags, 1);
+        const data = await postQuery(body, options);
+        const extensions = (data && data.results && data.results[0] && data.results[0].extensions) || [];
+
+        return extensions.find(ext =>
+            ext.publisher && (ext.publisher.publisherName + '.' + ext.extensionName).toLowerCase() === parsed.identifier.toLowerCase()
+        ) || null;
+    }
+
+    function propertyMap(version) {
+        const map = {};
+        (version.properties || []).forEach(prop => {
+            map[prop.key] = prop.value;
+        });
+        return map;
+    }
+
+    function statistic(ext, name) {
+        const stat = (ext.statistics || []).find(item => item.statisticName === name);
+        return stat ? stat.value : null;
+    }
+
+    /**
+     * Collapses the per-platform version entries returned by the gallery
+     * into one entry per version, newest first (gallery order preserved).
+     * Each entry: { version, lastUpdated, targetPlatforms, preRelease, properties }.
+     * An empty targetPlatforms list means a universal package.
+     */
+    function groupVersions(rawVersions) {
+        const byVersion = new Map();
+
+        (rawVersions || []).forEach(raw => {
+            let entry = byVersion.get(raw.version);
+            if (!entry) {
+                const properties = propertyMap(raw);
+                entry = {
+                    version: raw.version,
+                    lastUpdated: raw.lastUpdated || null,
+                    targetPlatforms: [],
+                    preRelease: properties[PRE_RELEASE_PROPERTY] === 'true',
+                    properties: properties,
+                    assetUri: raw.assetUri || null,
+                    fallbackAssetUri: raw.fallbackAssetUri || null
+                };
+                byVersion.set(raw.version, entry);
+            }
+            if (raw.targetPlatform && !entry.targetPlatforms.includes(raw.targetPlatform)) {
+                entry.targetPlatforms.push(raw.targetPlatform);
+            }
+        });
+
+        return Array.from(byVersion.values());
+    }
+
+    function normalizeExtension(ext) {
+        const publisher = ext.publisher.publisherName;
+        return {
+            identifier: publisher + '.' + ext.extensionName,
+            publisher: publisher,
+            extension: ext.extensionName,
+            displayName: ext.displayName || ext.extensionName,
+            description: ext.shortDescription || '',
+            publisherDisplayName: ext.publisher.displayName || publisher,
+            installs: statistic(ext, 'install'),
+            versions: groupVersions(ext.versions)
+        };
+    }
+
+    /**
+     * Normalized extension metadata including every published version.
+     * Resolves to null when the extension does not exist.
+     */
+    async function getExtensionInfo(identifier, options) {
+        const ext = await queryExtension(identifier, options);
+        return ext ? normalizeExtension(ext) : null;
+    }
+
+    /**
+     * Marketplace search, most relevant first. Resolves to normalized
+     * extensions whose versions list holds only the latest version.
+     * options.pageSize limits the results (default 10).
+     */
+    async function searchExtensions(text, options) {
+        const value = String(text || '').trim();
+        if (!value) {
+            return [];
+        }
+
+        const flags = QUERY_FLAGS.includeLatestVersionOnly | QUERY_FLAGS.includeVersionProperties | QUERY_FLAGS.includeStatistics;
+        const pageSize = (options && options.pageSize) || SEARCH_PAGE_SIZE;
+        const body = buildQuery([{ filterType: FILTER_TYPE.searchText, value: value }], flags, pageSize);
+        const data = await postQuery(body, options);
+        const extensions = (data && data.results && data.results[0] && data.results[0].extensions) || [];
+
+        return extensions.filter(ext => ext.publisher && ext.extensionName).slice(0, pageSize).map(normalizeExtension);
+    }
+
+    async function getVersions(identifier, options) {
+        const info = await getExtensionInfo(identifier, options);
+        if (!info) {
+            const error = new Error('Extension not found: ' + identifier);
+            error.status = 404;
+            throw error;
+        }
+        return info.versions;
+    }
+
+    function normalizeChannel(channel) {
+        return channel === 'prerelease' ? 'prerelease' : 'stable';
+    }
+
+    /**
+     * A VS Code version such as "1.85" or "1.85.2" as [major, minor, patch],
+     * or null when it is not one.
+     */
+    function parseEngineVersion(version) {
+        const match = ENGINE_VERSION.exec(String(version || '').trim());
+        return match ? [Number(match[1]), Number(match[2]), Number(match[3] || 0)] : null;
+    }
+
+    /**
+     * Whether VS Code `version` satisfies an engines.vscode range, using the
+     * rules VS Code applies when installing: "^1.80.0" needs 1.x from 1.80.0
+     * (0.x ranges also pin the minor), ">=1.80.0" any later release, "1.80.x"
+     * that minor, "*" and "^1.0.0" anything. Resolves to null when either
+     * side cannot be read.
+     */
+    function satisfiesEngine(range, version) {
+        const target = parseEngineVersion(version);
+        const text = String(range || '').trim();
+        if (!target) {
+            return null;
+        }
+        if (text === '*') {
+            return true;
+        }
+
+        const match = ENGINE_RANGE.exec(text);
+        if (!match) {
+            return null;
+        }
+
+        const base = [match[2], match[3], match[4]].map(part => (part === 'x' ? 0 : Number(part)));
+        const mustEqual = [match[2], match[3], match[4]].map(part => part !== 'x');
+
+        if (match[1] === '>=') {
+            for (let i = 0; i < 3; i++) {
+                if (target[i] !== base[i]) {
+                    return target[i] > base[i];
+                }
+            }
+            return true;
+        }
+
+        if (match[1] === '^') {
+            mustEqual[2] = false;
+            if (base[0] !== 0) {
+                mustEqual[1] = false;
+            }
+        }
+
+        // Ranges from before VS Code 1.0 accept every release
+        if (base[0] === 1 && base[1] === 0 && base[2] === 0 && mustEqual.includes(false)) {
+            return true;
+        }
+
+        for (let i = 0; i < 3; i++) {
+            if (target[i] > base[i]) {
+                return !mustEqual[i];
+            }
+            if (target[i] < base[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function getEngineRange(entry) {
+        return entry && entry.properties ? entry.properties[ENGINE_PROPERTY] || '' : '';
+    }
+
+    /**
+     * Whether a version entry installs on VS Code `version`. Entries that do
+     * not declare a readable range, and an empty target, count as compatible.
+     */
+    function isEngineCompatible(entry, version) {
+        if (!version) {
+            return true;
+        }
+        return satisfiesEngine(getEngineRange(entry), version) !== false;
+    }
+
+    /**
+     * Newest version for a channel. 'stable' skips pre-releases; 'prerelease'
+     * takes the newest version of either kind, the way VS Code resolves
+     * updates for users who opted into pre-releases. Falls back to the newest
+     * version when an extension has only ever shipped pre-releases.
+     * With a target VS Code version only compatible versions are considered,
+     * and null is returned when there is none.
+     */
+    function pickLatest(versions, channel, engineVersion) {
+        const candidates = (versions || []).filter(entry => isEngineCompatible(entry, engineVersion));
+        if (candidates.length === 0) {
+            return null;
+        }
+        if (normalizeChannel(channel) === 'prerelease') {
+            return candidates[0];
+        }
+        const stable = candidates.find(entry => !entry.preRelease);
+        if (stable || versions.some(entry => !entry.preRelease)) {
+            return stable || null;
+        }
+        return candidates[0];
+    }
+
+    /**
+     * Picks the platform to request for a version entry: '' for universal
+     * packages, the requested platform when published, or null when the
+     * version has no build for that platform.
+     */
+    function matchPlatform(entry, platform) {
+        if (!entry || entry.targetPlatforms.length === 0) {
+            return '';
+        }
+        return entry.targetPlatforms.includes(platform) ? platform : null;
+    }
+
+    /**
+     * Member identifiers of an extension pack version, taken from the
+     * comma-separated ExtensionPack property. Empty for regular extensions.
+     */
+    function listPackMembers(entry) {
+        const value = entry && entry.properties ? entry.properties[EXTENSION_PACK_PROPERTY] : '';
+        return String(value || '')
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Case-insensitive filter used by the searchable version pickers.
+     * Matches on version number, publish date and platform names.
+     */
+    function filterVersions(versions, term) {
+        const needle = String(term || '').trim().toLowerCase();
+        if (!needle) {
+            return versions;
+        }
+        return versions.filter(entry =>
+            entry.version.toLowerCase().includes(needle) ||
+            (entry.preRelease && 'pre-release'.includes(needle)) ||
+            String(entry.lastUpdated || '').toLowerCase().includes(needle) ||
+            entry.targetPlatforms.some(platform => platform.includes(needle))
+        );
+    }
+
+    function formatVersionLabel(entry) {
+        const date = entry.lastUpdated ? String(entry.lastUpdated).slice(0, 10) : 'unknown date';
+        const platforms = entry.targetPlatforms.length ? entry.targetPlatforms.join(', ') : 'universal';
+        const tag = entry.preRelease ? ' [pre-release]' : '';
+        return entry.version + tag + ' — ' + date + ' (' + platforms + ')';
+    }
+
+    return {
+        DEFAULT_GALLERY_URL: DEFAULT_GALLERY_URL,
+        QUERY_FLAGS: QUERY_FLAGS,
+        mapToGallery: mapToGallery,
+        CHANNELS: CHANNELS,
+        PRE_RELEASE_PROPERTY: PRE_RELEASE_PROPERTY,
+        EXTENSION_PACK_PROPERTY: EXTENSION_PACK_PROPERTY,
+        ENGINE_PROPERTY: ENGINE_PROPERTY,
+        queryExtension: queryExtension,
+        getExtensionInfo: getExtensionInfo,
+        searchExtensions: searchExtensions,
+        getVersions: getVersions,
+        groupVersions: groupVersions,
+        normalizeChannel: normalizeChannel,
+        parseEngineVersion: parseEngineVersion,
+        satisfiesEngine: satisfiesEngine,
+        getEngineRange: getEngineRange,
+        isEngineCompatible: isEngineCompatible,
+        pickLatest: pickLatest,
+        matchPlatform: matchPlatform,
+        listPackMembers: listPackMembers,
+        filterVersions: filterVersions,
+        formatVersionLabel: formatVersionLabel
+    };
+});
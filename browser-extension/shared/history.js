@@ -0,0 +1,171 @@
+// Download history for VSIX Downloader
+'use strict';
+
+/**
+ * Persistent record of the downloads started by the browser extension
+ * (kept in chrome.storage.local by the background worker):
+ * - One entry per download: id, version, platform, filename, size,
+ *   SHA-256, time and result
+ * - Newest-first list capped at MAX_ENTRIES
+ * - Search across identifier, filename, version, platform, hash and result
+ * - Export as JSON or CSV
+ *
+ * Entries are plain objects so the list can be stored as-is. Every helper
+ * returns a new list instead of changing the one passed in.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.VSIXHistory = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+
+    const STORAGE_KEY = 'downloadHistory';
+    const MAX_ENTRIES = 500;
+
+    const RESULTS = {
+        inProgress: 'in_progress',
+        complete: 'complete',
+        interrupted: 'interrupted',
+        // The download never started (HTTP error, rejected by the browser)
+        failed: 'failed'
+    };
+
+    const CSV_COLUMNS = ['time', 'identifier', 'version', 'platform', 'filename', 'size', 'sha256', 'signature', 'result', 'error', 'url'];
+
+    function createId(time) {
+        return time.toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+    }
+
+    /**
+     * Builds a history entry from what is known when a download starts.
+     * Missing fields are stored as empty strings or null so exported rows
+     * always have the same columns.
+     */
+    function createEntry(fields, now) {
+        const time = now instanceof Date ? now : new Date();
+        return {
+            id: fields.id || createId(time.getTime()),
+            downloadId: typeof fields.downloadId === 'number' ? fields.downloadId : null,
+            identifier: fields.identifier || '',
+            version: fields.version || '',
+            platform: fields.platform || '',
+            filename: fields.filename || '',
+            url: fields.url || '',
+            size: typeof fields.size === 'number' ? fields.size : null,
+            sha256: fields.sha256 || '',
+            signature: fields.signature || '',
+            // Why no SHA-256 could be computed, when the worker could not read a copy
+            checksumError: fields.checksumError || '',
+            time: time.toISOString(),
+            result: fields.result || RESULTS.inProgress,
+            error: fields.error || '',
+            // Automatic resumes and restarts after interruptions
+            recoveries: fields.recoveries || 0,
+            // Whether the browser can resume the interrupted download
+            canResume: !!fields.canResume
+        };
+    }
+
+    /**
+     * Puts an entry at the top of the list and drops the oldest entries
+     * beyond the limit.
+     */
+    function addEntry(history, entry, limit) {
+        const list = Array.isArray(history) ? history : [];
+        return [entry].concat(list).slice(0, limit || MAX_ENTRIES);
+    }
+
+    /**
+     * Applies changes to the entry of a browser download id. The list is
+     * returned unchanged when no entry has that id.
+     */
+    function updateEntry(history, downloadId, changes) {
+        const list = Array.isArray(history) ? history : [];
+        return list.map(entry => entry.downloadId === downloadId ? Object.assign({}, entry, changes) : entry);
+    }
+
+    /**
+     * Puts a new version of the entry with the same id at the top, e.g.
+     * when an interrupted download is restarted.
+     */
+    function replaceEntry(history, entry, limit) {
+        const list = Array.isArray(history) ? history : [];
+        return addEntry(list.filter(item => item.id !== entry.id), entry, limit);
+    }
+
+    function findEntry(history, id) {
+        return (Array.isArray(history) ? history : []).find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Entries matching every whitespace-separated word of the search term
+     * (case-insensitive). An empty term matches everything.
+     */
+    function searchHistory(history, term) {
+        const list = Array.isArray(history) ? history : [];
+        const words = String(term || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        if (words.length === 0) {
+            return list;
+        }
+
+        return list.filter(entry => {
+            const text = [entry.identifier, entry.filename, entry.version, entry.platform, entry.sha256, entry.result]
+                .join(' ')
+                .toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    /**
+     * Only packages fetched from a marketplace or Open VSX URL can be
+     * downloaded again; ZIP bundles came from a blob URL that no longer exists.
+     */
+    function canRedownload(entry) {
+        return !!entry && /^https:\/\//.test(entry.url);
+    }
+
+    function toJSON(history) {
+        return JSON.stringify(Array.isArray(history) ? history : [], null, 2) + '\n';
+    }
+
+    function csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    /**
+     * RFC 4180 CSV with a header row and one row per entry.
+     */
+    function toCSV(history) {
+        const rows = (Array.isArray(history) ? history : []).map(entry => CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+        return [CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * "vsix-history-2026-10-19.csv"
+     */
+    function buildExportFilename(format, now) {
+        const date = (now instanceof Date ? now : new Date()).toISOString().slice(0, 10);
+        return `vsix-history-${date}.${format === 'csv' ? 'csv' : 'json'}`;
+    }
+
+    return {
+        STORAGE_KEY: STORAGE_KEY,
+        MAX_ENTRIES: MAX_ENTRIES,
+        RESULTS: RESULTS,
+        CSV_COLUMNS: CSV_COLUMNS,
+        createEntry: createEntry,
+        addEntry: addEntry,
+        updateEntry: updateEntry,
+        replaceEntry: replaceEntry,
+        findEntry: findEntry,
+        searchHistory: searchHistory,
+        canRedownload: canRedownload,
+        toJSON: toJSON,
+        toCSV: toCSV,
+        buildExportFilename: buildExportFilename
+    };
+});
@@ -0,0 +1,230 @@
+// VSIX package inspector for VSIX Downloader
+'use strict';
+
+/**
+ * Reads what is inside a VSIX without installing it:
+ * - extension.vsixmanifest identity, display metadata, properties and assets
+ * - The install-relevant package.json fields (engines, activationEvents,
+ *   contributes, dependencies, main/browser entry points)
+ * - The full file tree with uncompressed and compressed sizes
+ *
+ * The manifest parser is shared with the offline gallery server.
+ * Depends on zip.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./zip.js'));
+    } else {
+        root.VSIXInspector = factory(root.VSIXZip);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (VSIXZip) {
+
+    const VSIX_MANIFEST_PATH = 'extension.vsixmanifest';
+    const PACKAGE_JSON_PATH = 'extension/package.json';
+    const PACKAGE_JSON_ASSET = 'Microsoft.VisualStudio.Code.Manifest';
+
+    const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+    function decodeXml(text) {
+        return String(text).replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const hex = entity[1] === 'x' || entity[1] === 'X';
+                return String.fromCodePoint(parseInt(entity.slice(hex ? 2 : 1), hex ? 16 : 10));
+            }
+            return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+        });
+    }
+
+    function readAttributes(source) {
+        const attributes = {};
+        const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+
+        while ((match = pattern.exec(source))) {
+            attributes[match[1]] = decodeXml(match[2] !== undefined ? match[2] : match[3]);
+        }
+        return attributes;
+    }
+
+    function elementText(xml, name) {
+        const match = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`).exec(xml);
+        return match ? decodeXml(match[1].trim()) : '';
+    }
+
+    function elementAttributes(xml, name) {
+        return Array.from(xml.matchAll(new RegExp(`<${name}\\s([^>]*?)/?>`, 'g')), match => readAttributes(match[1]));
+    }
+
+    function splitList(value) {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * Reads the identity and metadata of an extension.vsixmanifest.
+     * Throws when the manifest has no complete Identity element.
+     */
+    function parseVsixManifest(xml) {
+        const identity = elementAttributes(xml, 'Identity')[0];
+        if (!identity || !identity.Publisher || !identity.Id || !identity.Version) {
+            throw new Error('extension.vsixmanifest has no Identity');
+        }
+
+        const targetPlatform = identity.TargetPlatform && identity.TargetPlatform !== 'universal' ? identity.TargetPlatform : '';
+
+        return {
+            publisher: identity.Publisher,
+            name: identity.Id,
+            version: identity.Version,
+            targetPlatform,
+            displayName: elementText(xml, 'DisplayName') || identity.Id,
+            description: elementText(xml, 'Description'),
+            tags: splitList(elementText(xml, 'Tags')),
+            categories: splitList(elementText(xml, 'Categories')),
+            properties: elementAttributes(xml, 'Property').map(item => ({ key: item.Id, value: item.Value || '' })),
+            assets: elementAttributes(xml, 'Asset').map(item => ({ assetType: item.Type, path: item.Path }))
+        };
+    }
+
+    function asList(value) {
+        return Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+    }
+
+    function asMap(value) {
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    }
+
+    /**
+     * Picks the fields that decide whether and how an extension runs.
+     * contributes is kept whole; contributionCounts lists how many entries
+     * each contribution point has.
+     */
+    function summarizePackageJson(pkg) {
+        const contributes = asMap(pkg.contributes);
+
+        return {
+            name: pkg.name || '',
+            publisher: pkg.publisher || '',
+            version: pkg.version || '',
+            engines: asMap(pkg.engines),
+            activationEvents: asList(pkg.activationEvents),
+            main: typeof pkg.main === 'string' ? pkg.main : '',
+            browser: typeof pkg.browser === 'string' ? pkg.browser : '',
+            extensionKind: asList(pkg.extensionKind),
+            dependencies: asMap(pkg.dependencies),
+            extensionDependencies: asList(pkg.extensionDependencies),
+            extensionPack: asList(pkg.extensionPack),
+            contributes: contributes,
+            contributionCounts: Object.keys(contributes).map(point => ({
+                point: point,
+                count: Array.isArray(contributes[point]) ? contributes[point].length : Object.keys(asMap(contributes[point])).length || 1
+            }))
+        };
+    }
+
+    /**
+     * Nests ZIP entries into { name, path, size, compressedSize, children }
+     * nodes. Directory sizes are the sum of their files; directories sort
+     * before files, then by name.
+     */
+    function buildFileTree(entries) {
+        const root = { name: '', path: '', size: 0, compressedSize: 0, children: [] };
+
+        for (const entry of entries) {
+            const parts = entry.name.split('/').filter(Boolean);
+            const isDirectory = entry.name.endsWith('/');
+            let node = root;
+
+            parts.forEach((part, index) => {
+                const isFile = index === parts.length - 1 && !isDirectory;
+                if (!isDirectory) {
+                    node.size += entry.size;
+                    node.compressedSize += entry.compressedSize;
+                }
+
+                let child = node.children && node.children.find(item => item.name === part);
+                if (!child) {
+                    child = {
+                        name: part,
+                        path: parts.slice(0, index + 1).join('/'),
+                        size: 0,
+                        compressedSize: 0,
+                        children: isFile ? null : []
+                    };
+                    node.children.push(child);
+                }
+                if (isFile) {
+                    child.size = entry.size;
+                    child.compressedSize = entry.compressedSize;
+                }
+                node = child;
+            });
+        }
+
+        (function sort(node) {
+            if (!node.children) {
+                return;
+            }
+            node.children.sort((a, b) => (!a.children - !b.children) || a.name.localeCompare(b.name));
+            node.children.forEach(sort);
+        })(root);
+
+        return root;
+    }
+
+    /**
+     * Inspects a VSIX (ArrayBuffer or bytes). Resolves to { manifest,
+     * manifestXml, packageJson, tree, files, problems }; a missing or
+     * unreadable manifest or package.json is listed in problems instead of
+     * failing the whole inspection. Throws only when the file is not a ZIP.
+     */
+    async function inspectPackage(data) {
+        const entries = VSIXZip.readEntries(data);
+        const problems = [];
+        let manifest = null;
+        let manifestXml = null;
+        let packageJson = null;
+
+        try {
+            manifestXml = await VSIXZip.readText(data, VSIX_MANIFEST_PATH, entries);
+            if (manifestXml === null) {
+                problems.push(`${VSIX_MANIFEST_PATH} not found`);
+            } else {
+                manifest = parseVsixManifest(manifestXml);
+            }
+        } catch (error) {
+            problems.push(error.message);
+        }
+
+        const asset = manifest && manifest.assets.find(item => item.assetType === PACKAGE_JSON_ASSET);
+        const packagePath = asset && asset.path ? asset.path : PACKAGE_JSON_PATH;
+
+        try {
+            const pkg = await VSIXZip.readJson(data, packagePath, entries);
+            if (pkg === null) {
+                problems.push(`${packagePath} not found`);
+            } else {
+                packageJson = summarizePackageJson(pkg);
+            }
+        } catch (error) {
+            problems.push(`${packagePath} is not valid JSON: ${error.message}`);
+        }
+
+        return {
+            manifest: manifest,
+            manifestXml: manifestXml,
+            packageJson: packageJson,
+            tree: buildFileTree(entries),
+            files: entries.filter(entry => !entry.name.endsWith('/')).length,
+            problems: problems
+        };
+    }
+
+    return {
+        VSIX_MANIFEST_PATH: VSIX_MANIFEST_PATH,
+        PACKAGE_JSON_PATH: PACKAGE_JSON_PATH,
+        parseVsixManifest: parseVsixManifest,
+        summarizePackageJson: summarizePackageJson,
+        buildFileTree: buildFileTree,
+        inspectPackage: inspectPackage
+    };
+});
@@ -0,0 +1,52 @@
+// Integrity helpers for VSIX Downloader
+'use strict';
+
+/**
+ * Checksums for downloaded packages:
+ * - SHA-256 of a byte array as lowercase hex (Web Crypto)
+ * - `.sha256` sidecar files in the `sha256sum` format, so they can be
+ *   checked with `sha256sum -c`
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('crypto').webcrypto);
+    } else {
+        root.VSIXIntegrity = factory(root.crypto);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (webCrypto) {
+
+    const CHECKSUM_EXTENSION = '.sha256';
+
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Resolves to the SHA-256 of an ArrayBuffer or typed array as 64
+     * lowercase hex characters.
+     */
+    async function sha256(data) {
+        if (!webCrypto || !webCrypto.subtle) {
+            throw new Error('Web Crypto is not available in this environment');
+        }
+        return toHex(await webCrypto.subtle.digest('SHA-256', data));
+    }
+
+    function buildChecksumFilename(filename) {
+        return filename + CHECKSUM_EXTENSION;
+    }
+
+    /**
+     * One `sha256sum` line per file: "<hash>  <filename>".
+     */
+    function formatChecksumFile(entries) {
+        return entries.map(entry => entry.sha256 + '  ' + entry.filename + '\n').join('');
+    }
+
+    return {
+        CHECKSUM_EXTENSION: CHECKSUM_EXTENSION,
+        sha256: sha256,
+        buildChecksumFilename: buildChecksumFilename,
+        formatChecksumFile: formatChecksumFile
+    };
+});
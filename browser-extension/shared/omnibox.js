@@ -0,0 +1,155 @@
+// Address bar keyword for VSIX Downloader
+'use strict';
+
+/**
+ * "vsix <id>" in the address bar:
+ * - Reads "publisher.name", "publisher.name@version" and
+ *   "publisher.name@version@platform" the way extension lists do
+ * - Suggestions from the download history first, then from the gallery
+ *   search, without duplicates
+ * - Suggestion descriptions in the XML the omnibox API expects
+ *
+ * The background worker registers the keyword, resolves the version and
+ * downloads it.
+ *
+ * Depends on vsix-core.js and extension-list.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vsix-core.js'), require('./extension-list.js'));
+    } else {
+        root.VSIXOmnibox = factory(root.VSIXCore, root.VSIXExtensionList);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (VSIXCore, VSIXExtensionList) {
+
+    const KEYWORD = 'vsix';
+    const MAX_SUGGESTIONS = 6;
+
+    // Shorter input matches too much of the gallery to be useful
+    const MIN_SEARCH_LENGTH = 2;
+
+    const HELP = 'Download a VS Code extension: <match>publisher.name</match> or <match>publisher.name@version</match>';
+
+    function escapeXml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&apos;'
+        })[char]);
+    }
+
+    /**
+     * { identifier, version, platform? } for the typed text, or null.
+     * version is '' for the latest version.
+     */
+    function parseInput(text) {
+        return VSIXExtensionList.parseSpec(text);
+    }
+
+    function formatSpec(spec) {
+        return [spec.identifier, spec.version, spec.platform].filter(Boolean).join('@');
+    }
+
+    /**
+     * Default suggestion (the first line, used when Enter is pressed on
+     * what was typed) for the current input.
+     */
+    function describeInput(text) {
+        const spec = parseInput(text);
+        if (!spec) {
+            return HELP;
+        }
+
+        const version = spec.version ? 'version ' + spec.version : 'latest version';
+        const platform = spec.platform ? ' for ' + VSIXCore.platformLabel(spec.platform) : '';
+        return `Download <match>${escapeXml(spec.identifier)}</match> <dim>${escapeXml(version + platform)}</dim>`;
+    }
+
+    /**
+     * Text the gallery is searched for: the id part of the input, or ''
+     * when it is too short or already names a version.
+     */
+    function searchText(text) {
+        const value = String(text || '').trim();
+        return value.length >= MIN_SEARCH_LENGTH && !value.includes('@') ? value : '';
+    }
+
+    /**
+     * History suggestions, newest first. Plain ids are suggested until an
+     * "@" is typed; after that the downloaded versions are.
+     */
+    function historySuggestions(history, text) {
+        const needle = String(text || '').trim().toLowerCase();
+        const pinned = needle.includes('@');
+        const seen = new Set();
+        const suggestions = [];
+
+        (Array.isArray(history) ? history : []).forEach(entry => {
+            if (!VSIXCore.parseIdentifier(entry.identifier)) {
+                return;
+            }
+
+            const content = pinned ? formatSpec(entry) : entry.identifier;
+            const key = content.toLowerCase();
+            if (seen.has(key) || !key.includes(needle)) {
+                return;
+            }
+
+            seen.add(key);
+            const detail = pinned ? 'downloaded ' + entry.time.slice(0, 10) : 'last downloaded ' + entry.version;
+            suggestions.push({
+                content: content,
+                description: `<match>${escapeXml(content)}</match> <dim>${escapeXml(detail)}</dim>`
+            });
+        });
+
+        return suggestions;
+    }
+
+    /**
+     * Gallery search results ({ identifier, displayName, versions }) as
+     * suggestions for the latest version.
+     */
+    function gallerySuggestions(extensions) {
+        return (Array.isArray(extensions) ? extensions : []).map(ext => {
+            const latest = ext.versions && ext.versions[0] ? ' ' + ext.versions[0].version : '';
+            return {
+                content: ext.identifier,
+                description: `<match>${escapeXml(ext.identifier)}</match> <dim>${escapeXml(ext.displayName + latest)}</dim>`
+            };
+        });
+    }
+
+    /**
+     * History first, then the gallery; drops duplicates and the typed text
+     * itself, which the default suggestion already covers.
+     */
+    function buildSuggestions(text, history, extensions) {
+        const typed = String(text || '').trim().toLowerCase();
+        const seen = new Set([typed]);
+
+        return historySuggestions(history, text).concat(gallerySuggestions(extensions))
+            .filter(suggestion => {
+                const key = suggestion.content.toLowerCase();
+                if (seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            })
+            .slice(0, MAX_SUGGESTIONS);
+    }
+
+    return {
+        KEYWORD: KEYWORD,
+        MAX_SUGGESTIONS: MAX_SUGGESTIONS,
+        escapeXml: escapeXml,
+        parseInput: parseInput,
+        describeInput: describeInput,
+        searchText: searchText,
+        historySuggestions: historySuggestions,
+        buildSuggestions: buildSuggestions
+    };
+});
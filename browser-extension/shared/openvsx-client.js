@@ -0,0 +1,214 @@
+// Open VSX registry client for VSIX Downloader
+'use strict';
+
+/**
+ * Looks up extensions on the Open VSX registry (open-vsx.org), the
+ * gallery used by VSCodium and other open builds of VS Code:
+ * - Availability, latest version and published versions of publisher.name
+ * - Platform-specific builds, falling back to the universal package
+ * - Download URLs, and recognition of them (the only Open VSX URLs the
+ *   background script accepts for downloads)
+ *
+ * Depends on vsix-core.js (loaded first in browsers, required in Node).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vsix-core.js'));
+    } else {
+        root.VSIXOpenVSX = factory(root.VSIXCore);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (VSIXCore) {
+
+    const REGISTRY_HOST = 'open-vsx.org';
+    const DEFAULT_REGISTRY_URL = 'https://' + REGISTRY_HOST;
+    const DEFAULT_TIMEOUT = 15000;
+
+    // allVersions keys that name a version instead of being one
+    const VERSION_ALIASES = ['latest', 'pre-release'];
+
+    // /api/<namespace>/<name>[/<platform>]/<version>/file/<file>.vsix
+    const DOWNLOAD_PATH = /^\/api\/[^/]+\/[^/]+(?:\/[^/]+)?\/[^/]+\/file\/[^/]+\.vsix$/i;
+
+    function resolveFetch(options) {
+        const fetchImpl = (options && options.fetch) || (typeof fetch === 'function' ? fetch : null);
+        if (!fetchImpl) {
+            throw new Error('No fetch implementation available');
+        }
+        return fetchImpl;
+    }
+
+    function registryUrl(options) {
+        return String((options && options.registryUrl) || DEFAULT_REGISTRY_URL).replace(/\/+$/, '');
+    }
+
+    function requireIdentifier(identifier) {
+        const parsed = VSIXCore.parseIdentifier(identifier);
+        if (!parsed) {
+            throw new Error('Invalid extension identifier format');
+        }
+        return parsed;
+    }
+
+    /**
+     * REST API URL of an extension, optionally narrowed to a target
+     * platform and a version.
+     */
+    function buildApiUrl(identifier, version, platform, options) {
+        const parsed = requireIdentifier(identifier);
+        const segments = ['api', parsed.publisher, parsed.extension];
+        if (platform) {
+            segments.push(platform);
+        }
+        if (version) {
+            segments.push(version);
+        }
+        return registryUrl(options) + '/' + segments.map(encodeURIComponent).join('/');
+    }
+
+    /**
+     * Package URL for { identifier, version, platform }. The file name
+     * follows Open VSX: publisher.name-version[@platform].vsix.
+     */
+    function buildDownloadUrl(ext, options) {
+        const parsed = requireIdentifier(ext.identifier);
+        const platform = VSIXCore.normalizePlatform(ext.platform);
+
+        if (!VSIXCore.isValidVersion(ext.version)) {
+            throw new Error('Invalid version format');
+        }
+
+        const file = parsed.identifier + '-' + ext.version + (platform ? '@' + platform : '') + '.vsix';
+        return buildApiUrl(parsed.identifier, ext.version, platform, options) + '/file/' + encodeURIComponent(file).replace('%40', '@');
+    }
+
+    function isDownloadUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return false;
+        }
+        return parsed.protocol === 'https:' &&
+            parsed.hostname === REGISTRY_HOST &&
+            !parsed.search &&
+            DOWNLOAD_PATH.test(parsed.pathname);
+    }
+
+    /**
+     * GETs a registry URL. Resolves to null for 404; other failures throw
+     * with the HTTP `status`, or `code = 'ETIMEDOUT'` on timeout.
+     */
+    async function getJson(url, options) {
+        const fetchImpl = resolveFetch(options);
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timeout = (options && options.timeout) || DEFAULT_TIMEOUT;
+        const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+        try {
+            const response = await fetchImpl(url, {
+                headers: { 'Accept': 'application/json' },
+                signal: controller ? controller.signal : undefined
+            });
+
+            if (response.status === 404) {
+                return null;
+            }
+            if (!response.ok) {
+                const error = new Error('Open VSX request failed with HTTP ' + response.status);
+                error.status = response.status;
+                throw error;
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (error && error.name === 'AbortError') {
+                const timeoutError = new Error('Open VSX request timed out');
+                timeoutError.code = 'ETIMEDOUT';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            if (timer) {
+                clearTimeout(timer);
+            }
+        }
+    }
+
+    function toSummary(data, options) {
+        const identifier = data.namespace + '.' + data.name;
+        const versions = Object.keys(data.allVersions || {})
+            .filter(key => !VERSION_ALIASES.includes(key) && VSIXCore.isValidVersion(key));
+
+        if (!versions.includes(data.version)) {
+            versions.unshift(data.version);
+        }
+
+        return {
+            identifier: identifier,
+            displayName: data.displayName || data.name,
+            version: data.version,
+            preRelease: !!data.preRelease,
+            platform: data.targetPlatform && data.targetPlatform !== 'universal' ? data.targetPlatform : '',
+            versions: versions,
+            downloadable: data.downloadable !== false,
+            url: registryUrl(options) + '/extension/' + encodeURIComponent(data.namespace) + '/' + encodeURIComponent(data.name)
+        };
+    }
+
+    /**
+     * Looks up publisher.name. Resolves to null when Open VSX does not have
+     * it, otherwise to { identifier, displayName, version, preRelease,
+     * platform, versions, downloadable, url } with versions newest first.
+     * With options.platform the build for that platform is preferred.
+     */
+    async function getExtension(identifier, options) {
+        const parsed = requireIdentifier(identifier);
+        const platform = VSIXCore.normalizePlatform(options && options.platform);
+        let data = null;
+
+        if (platform) {
+            data = await getJson(buildApiUrl(parsed.identifier, '', platform, options), options);
+        }
+        if (!data) {
+            data = await getJson(buildApiUrl(parsed.identifier, '', '', options), options);
+        }
+
+        return data && data.namespace && data.name && data.version ? toSummary(data, options) : null;
+    }
+
+    /**
+     * Download target for a looked-up extension: the preferred version when
+     * Open VSX has it (e.g. the version picked on the marketplace), else its
+     * latest version.
+     */
+    function pickDownload(summary, preferredVersion) {
+        const version = preferredVersion && summary.versions.includes(preferredVersion) ? preferredVersion : summary.version;
+        return {
+            identifier: summary.identifier,
+            version: version,
+            platform: summary.platform
+        };
+    }
+
+    /**
+     * Short availability text, e.g. "1.2.0 (latest of 14 versions)".
+     */
+    function describeAvailability(summary) {
+        if (!summary) {
+            return 'Not on Open VSX';
+        }
+        const count = summary.versions.length;
+        return summary.version + (count > 1 ? ' (latest of ' + count + ' versions)' : '');
+    }
+
+    return {
+        REGISTRY_HOST: REGISTRY_HOST,
+        DEFAULT_REGISTRY_URL: DEFAULT_REGISTRY_URL,
+        buildApiUrl: buildApiUrl,
+        buildDownloadUrl: buildDownloadUrl,
+        isDownloadUrl: isDownloadUrl,
+        getExtension: getExtension,
+        pickDownload: pickDownload,
+        describeAvailability: describeAvailability
+    };
+});
@@ -0,0 +1,340 @@
+// Settings schema for VSIX Downloader
+'use strict';
+
+/**
+ * Every browser extension setting in one place:
+ * - Defaults (also the list of known keys; anything else is ignored)
+ * - Validation and normalization of a new value, with the error message
+ *   shown to the user
+ * - A schema version with ordered migration steps for stored settings
+ * - JSON export and import of all settings
+ *
+ * The background worker validates every updateSettings message with it and
+ * migrates stored settings on update; the options page uses it to check
+ * fields before sending them and for import/export.
+ *
+ * Depends on vsix-core.js, gallery-client.js and download-queue.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vsix-core.js'), require('./gallery-client.js'), require('./download-queue.js'));
+    } else {
+        root.VSIXSettings = factory(root.VSIXCore, root.VSIXGallery, root.VSIXQueue);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (VSIXCore, VSIXGallery, VSIXQueue) {
+
+    const DEFAULTS = {
+        autoInject: true,
+        showNotifications: true,
+        // 'default' = the browser's download folder, otherwise a subfolder of it
+        downloadLocation: 'default',
+        // 'flat', or 'extension' for {publisher}/{name}/ folders
+        downloadLayout: 'flat',
+        askWhereToSave: false,
+        defaultChannel: 'stable',
+        defaultFormat: 'vsix',
+        // 'auto' = the detected OS, 'universal' = no platform, or a target platform
+        defaultPlatform: 'auto',
+        filenamePattern: VSIXCore.DEFAULT_FILENAME_PATTERN,
+        saveChecksumFile: false,
+        verifySignature: false,
+        targetVSCodeVersion: '',
+        maxConcurrentDownloads: VSIXQueue.DEFAULT_CONCURRENCY,
+        // Extra download hosts (private galleries, mirrors) besides the marketplace and Open VSX
+        allowedHosts: []
+    };
+
+    const MAX_ALLOWED_HOSTS = 20;
+
+    // Stored next to the settings in chrome.storage.sync; missing means version 1
+    const VERSION_KEY = 'settingsVersion';
+    const SCHEMA_VERSION = 2;
+    const EXPORT_FORMAT = 'vsix-downloader-settings';
+    const HOSTNAME = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+    const FOLDER_SEGMENT = /^[^<>:"/\\|?*\x00-\x1f]+$/;
+
+    function requireBoolean(key) {
+        return value => {
+            if (typeof value !== 'boolean') {
+                throw new Error(`Invalid ${key}: must be true or false`);
+            }
+            return value;
+        };
+    }
+
+    function requireString(value, message) {
+        if (typeof value !== 'string') {
+            throw new Error(message);
+        }
+        return value.trim();
+    }
+
+    /**
+     * A subfolder of the download folder: relative, without "." or ".."
+     * segments or characters that are invalid in file names.
+     */
+    function normalizeFolder(value) {
+        const folder = requireString(value, 'Invalid downloadLocation: must be a folder name')
+            .replace(/\\/g, '/')
+            .replace(/^\/+|\/+$/g, '');
+
+        if (folder === '' || folder === 'default') {
+            return 'default';
+        }
+
+        const segments = folder.split('/').map(segment => segment.trim());
+        if (segments.some(segment => segment === '' || segment === '.' || segment === '..' || !FOLDER_SEGMENT.test(segment))) {
+            throw new Error('Invalid downloadLocation: use a folder inside the download folder, e.g. "vsix" or "vsix/extensions"');
+        }
+        return segments.join('/');
+    }
+
+    function normalizeHosts(value) {
+        const list = typeof value === 'string' ? value.split(/[\s,]+/) : value;
+        if (!Array.isArray(list)) {
+            throw new Error('Invalid allowedHosts: must be a list of host names');
+        }
+
+        const hosts = [];
+        for (const item of list) {
+            const host = requireString(item, 'Invalid allowedHosts: must be a list of host names').toLowerCase();
+            if (!host) {
+                continue;
+            }
+            if (!HOSTNAME.test(host)) {
+                throw new Error(`Invalid allowedHosts: "${host}" is not a host name (leave out https:// and paths)`);
+            }
+            if (!hosts.includes(host)) {
+                hosts.push(host);
+            }
+        }
+
+        if (hosts.length > MAX_ALLOWED_HOSTS) {
+            throw new Error(`Invalid allowedHosts: at most ${MAX_ALLOWED_HOSTS} hosts`);
+        }
+        return hosts;
+    }
+
+    /**
+     * Match patterns for the optional host permission each allowed host
+     * needs (requested by the options page, checked by the worker).
+     */
+    function hostOrigins(hosts) {
+        return hosts.map(host => `https://${host}/*`);
+    }
+
+    const VALIDATORS = {
+        autoInject: requireBoolean('autoInject'),
+        showNotifications: requireBoolean('showNotifications'),
+        saveChecksumFile: requireBoolean('saveChecksumFile'),
+        verifySignature: requireBoolean('verifySignature'),
+        askWhereToSave: requireBoolean('askWhereToSave'),
+        downloadLocation: normalizeFolder,
+        downloadLayout(value) {
+            if (!['flat', 'extension'].includes(value)) {
+                throw new Error('Invalid downloadLayout: must be "flat" or "extension"');
+            }
+            return value;
+        },
+        defaultChannel(value) {
+            if (!['stable', 'prerelease'].includes(value)) {
+                throw new Error('Invalid channel: must be "stable" or "prerelease"');
+            }
+            return value;
+        },
+        defaultFormat(value) {
+            if (!['vsix', 'vsixpackage'].includes(value)) {
+                throw new Error('Invalid defaultFormat: must be "vsix" or "vsixpackage"');
+            }
+            return value;
+        },
+        defaultPlatform(value) {
+            if (value !== 'auto' && value !== 'universal' && !VSIXCore.isValidPlatform(value)) {
+                throw new Error('Invalid defaultPlatform: must be "auto", "universal" or a target platform such as linux-x64');
+            }
+            return value;
+        },
+        filenamePattern(value) {
+            const pattern = requireString(value, 'Invalid filenamePattern: must be text');
+            const problem = VSIXCore.checkFilenamePattern(pattern);
+            if (problem) {
+                throw new Error('Invalid filenamePattern: ' + problem);
+            }
+            return pattern;
+        },
+        targetVSCodeVersion(value) {
+            const version = requireString(value, 'Invalid targetVSCodeVersion: use a VS Code version such as 1.85.2, or leave it empty');
+            if (version && !VSIXGallery.parseEngineVersion(version)) {
+                throw new Error('Invalid targetVSCodeVersion: use a VS Code version such as 1.85.2, or leave it empty');
+            }
+            return version;
+        },
+        maxConcurrentDownloads(value) {
+            if (VSIXQueue.normalizeConcurrency(value) !== value) {
+                throw new Error(`Invalid maxConcurrentDownloads: must be a whole number from 1 to ${VSIXQueue.MAX_CONCURRENCY}`);
+            }
+            return value;
+        },
+        allowedHosts: normalizeHosts
+    };
+
+    /**
+     * Normalized value of one setting. Throws with a user-facing message
+     * when the value is invalid or the key unknown.
+     */
+    function validateSetting(key, value) {
+        if (!Object.prototype.hasOwnProperty.call(VALIDATORS, key)) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        return VALIDATORS[key](value);
+    }
+
+    /**
+     * Validates the known keys of a settings object. Returns
+     * { settings, errors }: the normalized valid values, and a message per
+     * invalid key. Unknown keys are dropped.
+     */
+    function validateSettings(changes) {
+        const settings = {};
+        const errors = {};
+
+        for (const key of Object.keys(DEFAULTS)) {
+            if (!changes || !Object.prototype.hasOwnProperty.call(changes, key)) {
+                continue;
+            }
+            try {
+                settings[key] = validateSetting(key, changes[key]);
+            } catch (error) {
+                errors[key] = error.message;
+            }
+        }
+
+        return { settings: settings, errors: errors };
+    }
+
+    /**
+     * Ordered steps from one schema version to the next. Each step gets the
+     * stored settings of the previous version and returns them for its own.
+     * Add a step (and bump SCHEMA_VERSION) whenever a key is renamed, removed
+     * or changes meaning.
+     */
+    const MIGRATIONS = [
+        {
+            // Schema 1 (settings stored without a settingsVersion key) saved
+            // popup changes without validation: keep valid values, let
+            // invalid ones fall back to their defaults and drop keys that
+            // are not settings
+            version: 2,
+            migrate(stored) {
+                return validateSettings(stored).settings;
+            }
+        }
+    ];
+
+    /**
+     * Brings stored settings up to SCHEMA_VERSION. Returns { settings,
+     * version, removed }: the migrated settings (only keys that were
+     * stored), the new version, and stored keys that no longer exist.
+     * Settings from a newer schema are returned as they are.
+     */
+    function migrateSettings(stored) {
+        const source = stored && typeof stored === 'object' ? stored : {};
+        const from = Number.isInteger(source[VERSION_KEY]) ? source[VERSION_KEY] : 1;
+
+        let settings = Object.assign({}, source);
+        delete settings[VERSION_KEY];
+
+        if (from >= SCHEMA_VERSION) {
+            return { settings: settings, version: from, removed: [] };
+        }
+
+        MIGRATIONS
+            .filter(step => step.version > from)
+            .forEach(step => {
+                settings = step.migrate(settings);
+            });
+
+        return {
+            settings: settings,
+            version: SCHEMA_VERSION,
+            removed: Object.keys(source).filter(key => key !== VERSION_KEY && !Object.prototype.hasOwnProperty.call(settings, key))
+        };
+    }
+
+    /**
+     * Settings file for sharing a configuration: every setting plus the
+     * schema version, as pretty-printed JSON.
+     */
+    function exportSettings(settings, now) {
+        const values = {};
+        Object.keys(DEFAULTS).forEach(key => {
+            values[key] = settings && Object.prototype.hasOwnProperty.call(settings, key) ? settings[key] : DEFAULTS[key];
+        });
+
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: (now instanceof Date ? now : new Date()).toISOString(),
+            settings: values
+        }, null, 2) + '\n';
+    }
+
+    /**
+     * Reads a settings file from exportSettings, migrating it from the
+     * schema it was exported with. Returns { settings, errors } like
+     * validateSettings; throws when the text is not a settings file. Files
+     * may contain only some settings. Values a migration dropped because
+     * they were invalid are reported in errors too.
+     */
+    function importSettings(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a settings file: the file is not valid JSON');
+        }
+
+        if (!data || data.format !== EXPORT_FORMAT || !data.settings || typeof data.settings !== 'object') {
+            throw new Error('Not a settings file: export one from the options page');
+        }
+        if (Number.isInteger(data.schemaVersion) && data.schemaVersion > SCHEMA_VERSION) {
+            throw new Error('These settings come from a newer version of VSIX Downloader; update it first');
+        }
+
+        const version = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+        const migrated = migrateSettings(Object.assign({}, data.settings, { [VERSION_KEY]: version }));
+        const result = validateSettings(migrated.settings);
+
+        // Migrations discard invalid values silently; an import must not
+        const invalid = validateSettings(data.settings).errors;
+        migrated.removed
+            .filter(key => Object.prototype.hasOwnProperty.call(invalid, key))
+            .forEach(key => {
+                result.errors[key] = invalid[key];
+            });
+
+        return result;
+    }
+
+    /**
+     * "vsix-downloader-settings-2026-10-19.json"
+     */
+    function buildExportFilename(now) {
+        const date = (now instanceof Date ? now : new Date()).toISOString().slice(0, 10);
+        return `vsix-downloader-settings-${date}.json`;
+    }
+
+    return {
+        DEFAULTS: DEFAULTS,
+        MAX_ALLOWED_HOSTS: MAX_ALLOWED_HOSTS,
+        VERSION_KEY: VERSION_KEY,
+        SCHEMA_VERSION: SCHEMA_VERSION,
+        validateSetting: validateSetting,
+        validateSettings: validateSettings,
+        migrateSettings: migrateSettings,
+        hostOrigins: hostOrigins,
+        exportSettings: exportSettings,
+        importSettings: importSettings,
+        buildExportFilename: buildExportFilename
+    };
+});
@@ -0,0 +1,240 @@
+// Marketplace signature checks for VSIX Downloader
+'use strict';
+
+/**
+ * Checks a VSIX against the signature archive the marketplace publishes for
+ * signed extensions (the Microsoft.VisualStudio.Services.VsixSignature
+ * asset, saved as a .sigzip):
+ * - Signature asset URLs for marketplace VSIX and VSIXPackage URLs
+ * - `.signature.manifest` parsing (package and per-file SHA-256 digests)
+ * - Comparison of every file in the VSIX with the signed digests,
+ *   reported as "signed", "mismatch" or "unsigned"
+ *
+ * The PKCS#7 signature over the manifest (`.signature.p7s`) is only checked
+ * for presence; validating the certificate chain is left to VS Code, which
+ * does it on install.
+ *
+ * Depends on vsix-core.js, zip.js and integrity.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vsix-core.js'), require('./zip.js'), require('./integrity.js'));
+    } else {
+        root.VSIXSignature = factory(root.VSIXCore, root.VSIXZip, root.VSIXIntegrity);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (VSIXCore, VSIXZip, VSIXIntegrity) {
+
+    const SIGNATURE_EXTENSION = '.sigzip';
+    const MANIFEST_ENTRY = '.signature.manifest';
+    const SIGNATURE_ENTRY = '.signature.p7s';
+
+    const STATUS = {
+        signed: 'signed',
+        mismatch: 'mismatch',
+        unsigned: 'unsigned',
+        // The signature could not be fetched, so nothing was checked
+        unavailable: 'unavailable'
+    };
+
+    const PACKAGE_ASSET = /\/assetbyname\/Microsoft\.VisualStudio\.Services\.VSIXPackage$/i;
+    const VSPACKAGE_PATH = /^\/_apis\/public\/gallery\/publishers\/([^/]+)\/vsextensions\/([^/]+)\/([^/]+)\/vspackage$/i;
+
+    /**
+     * URL of the signature asset that belongs to a marketplace package URL
+     * (CDN VSIX or VSIXPackage), or null for any other URL.
+     */
+    function buildSignatureUrl(packageUrl) {
+        let parsed;
+        try {
+            parsed = new URL(packageUrl);
+        } catch (error) {
+            return null;
+        }
+
+        if (parsed.protocol !== 'https:') {
+            return null;
+        }
+
+        if (parsed.hostname.endsWith('.gallery.vsassets.io') && PACKAGE_ASSET.test(parsed.pathname)) {
+            parsed.pathname = parsed.pathname.replace(PACKAGE_ASSET, '/assetbyname/' + VSIXCore.ASSET_TYPES.signature);
+            return parsed.toString();
+        }
+
+        const match = parsed.hostname === VSIXCore.MARKETPLACE_HOST && parsed.pathname.match(VSPACKAGE_PATH);
+        if (match) {
+            return VSIXCore.buildAssetUrl({
+                publisher: decodeURIComponent(match[1]),
+                extension: decodeURIComponent(match[2]),
+                version: decodeURIComponent(match[3]),
+                platform: VSIXCore.normalizePlatform(parsed.searchParams.get('targetPlatform'))
+            }, 'signature');
+        }
+
+        return null;
+    }
+
+    /**
+     * "publisher.name-1.0.0.vsix" -> "publisher.name-1.0.0.sigzip"
+     */
+    function buildSignatureFilename(filename) {
+        return filename.replace(/\.(vsix|vsixpackage)$/i, '') + SIGNATURE_EXTENSION;
+    }
+
+    function hexToBase64(hex) {
+        const binary = hex.match(/../g).map(pair => String.fromCharCode(parseInt(pair, 16))).join('');
+        return btoa(binary);
+    }
+
+    function normalizeBase64(value) {
+        return value.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+    }
+
+    /**
+     * Signed digests are base64; hex is accepted as well.
+     */
+    function digestMatches(expected, actualHex) {
+        if (typeof expected !== 'string' || !expected) {
+            return false;
+        }
+        if (/^[0-9a-f]{64}$/i.test(expected)) {
+            return expected.toLowerCase() === actualHex;
+        }
+        return normalizeBase64(expected) === normalizeBase64(hexToBase64(actualHex));
+    }
+
+    /**
+     * Manifest entries are keyed by the base64 of the file path inside the
+     * VSIX. Keys that already are a path in the package are taken as-is.
+     */
+    function decodeEntryName(key, names) {
+        if (names.has(key)) {
+            return key;
+        }
+        try {
+            const base64 = normalizeBase64(key);
+            const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return key;
+        }
+    }
+
+    /**
+     * Reads a .sigzip. Resolves to { manifest, hasSignature }; throws when
+     * the archive has no signature manifest.
+     */
+    async function readSignatureArchive(sigzip) {
+        const entries = VSIXZip.readEntries(sigzip);
+        const manifest = await VSIXZip.readJson(sigzip, MANIFEST_ENTRY, entries);
+
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error('Signature archive has no ' + MANIFEST_ENTRY);
+        }
+
+        return {
+            manifest: manifest,
+            hasSignature: !!VSIXZip.findEntry(entries, SIGNATURE_ENTRY)
+        };
+    }
+
+    function sha256Of(manifestEntry) {
+        return manifestEntry && manifestEntry.digests ? manifestEntry.digests.sha256 : null;
+    }
+
+    /**
+     * Compares a VSIX with its signature archive (null when the marketplace
+     * has none). Resolves to { status, files, problems } where files is the
+     * number of signed files that matched and problems lists every
+     * difference found.
+     */
+    async function verifyPackage(vsix, sigzip) {
+        if (!sigzip) {
+            return { status: STATUS.unsigned, files: 0, problems: [] };
+        }
+
+        const { manifest, hasSignature } = await readSignatureArchive(sigzip);
+        const problems = [];
+
+        if (!hasSignature) {
+            problems.push('Signature archive has no ' + SIGNATURE_ENTRY);
+        }
+
+        const packageDigest = sha256Of(manifest.package);
+        if (packageDigest && !digestMatches(packageDigest, await VSIXIntegrity.sha256(vsix))) {
+            problems.push('Package digest does not match');
+        }
+
+        const entries = VSIXZip.readEntries(vsix).filter(entry => !entry.name.endsWith('/'));
+        const byName = new Map(entries.map(entry => [entry.name, entry]));
+        const signed = new Set();
+        let files = 0;
+
+        for (const [key, expected] of Object.entries(manifest.entries || {})) {
+            const name = decodeEntryName(key, byName);
+            const entry = byName.get(name);
+            signed.add(name);
+
+            if (!entry) {
+                problems.push(`${name} is signed but missing from the package`);
+                continue;
+            }
+            if (typeof expected.size === 'number' && expected.size !== entry.size) {
+                problems.push(`${name} has size ${entry.size}, signed ${expected.size}`);
+                continue;
+            }
+            if (!digestMatches(sha256Of(expected), await VSIXIntegrity.sha256(await VSIXZip.extract(vsix, entry)))) {
+                problems.push(`${name} does not match its signed digest`);
+                continue;
+            }
+            files++;
+        }
+
+        for (const entry of entries) {
+            if (!signed.has(entry.name)) {
+                problems.push(`${entry.name} is not covered by the signature`);
+            }
+        }
+
+        if (signed.size === 0 && !packageDigest) {
+            problems.push('Signature manifest lists no digests');
+        }
+
+        return {
+            status: problems.length ? STATUS.mismatch : STATUS.signed,
+            files: files,
+            problems: problems
+        };
+    }
+
+    /**
+     * One-line summary of a verifyPackage() result for the UI.
+     */
+    function describeResult(result) {
+        if (!result) {
+            return 'Signature not checked';
+        }
+        switch (result.status) {
+            case STATUS.signed:
+                return `Signed: ${result.files} files match the marketplace signature`;
+            case STATUS.mismatch: {
+                const more = result.problems.length > 1 ? ` (+${result.problems.length - 1} more)` : '';
+                return `Mismatch: ${result.problems[0]}${more}`;
+            }
+            case STATUS.unsigned:
+                return 'Unsigned: the marketplace has no signature for this package';
+            default:
+                return `Signature not checked${result.problems && result.problems.length ? ': ' + result.problems[0] : ''}`;
+        }
+    }
+
+    return {
+        SIGNATURE_EXTENSION: SIGNATURE_EXTENSION,
+        STATUS: STATUS,
+        buildSignatureUrl: buildSignatureUrl,
+        buildSignatureFilename: buildSignatureFilename,
+        readSignatureArchive: readSignatureArchive,
+        verifyPackage: verifyPackage,
+        describeResult: describeResult
+    };
+});
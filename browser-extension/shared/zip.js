@@ -0,0 +1,286 @@
+// ZIP archive reader for VSIX Downloader
+'use strict';
+
+/**
+ * Minimal ZIP support for VSIX packages (which are plain ZIP archives):
+ * - Central directory listing
+ * - Entry extraction (stored and deflated) via DecompressionStream
+ * - UTF-8 text and JSON helpers
+ * - Archive creation (stored entries; VSIX files are already compressed)
+ * - Size formatting for archive and entry sizes
+ *
+ * ZIP64 archives are not supported; VSIX packages stay well below 4 GB.
+ */
+(function (root, factory) {
+    const zip = factory();
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = zip;
+    } else {
+        root.VSIXZip = zip;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+
+    const SIGNATURES = {
+        localFile: 0x04034b50,
+        centralDirectory: 0x02014b50,
+        endOfCentralDirectory: 0x06054b50
+    };
+
+    const METHOD_STORED = 0;
+    const METHOD_DEFLATED = 8;
+
+    // General purpose flag: file names are UTF-8
+    const FLAG_UTF8 = 0x0800;
+    const VERSION_NEEDED = 20;
+
+    // End of central directory record is 22 bytes plus up to 64 KB of comment
+    const EOCD_MIN_SIZE = 22;
+    const EOCD_MAX_SEARCH = EOCD_MIN_SIZE + 0xffff;
+
+    function toBytes(data) {
+        if (data instanceof Uint8Array) {
+            return data;
+        }
+        if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data);
+        }
+        if (ArrayBuffer.isView(data)) {
+            return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        }
+        throw new Error('ZIP data must be an ArrayBuffer or Uint8Array');
+    }
+
+    function findEndOfCentralDirectory(view) {
+        const lowest = Math.max(0, view.byteLength - EOCD_MAX_SEARCH);
+        for (let offset = view.byteLength - EOCD_MIN_SIZE; offset >= lowest; offset--) {
+            if (view.getUint32(offset, true) === SIGNATURES.endOfCentralDirectory) {
+                return offset;
+            }
+        }
+        throw new Error('Not a ZIP archive (end of central directory not found)');
+    }
+
+    /**
+     * Lists the archive entries from the central directory.
+     * Each entry: { name, method, compressedSize, size, crc32, localHeaderOffset }.
+     */
+    function readEntries(data) {
+        const bytes = toBytes(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const eocd = findEndOfCentralDirectory(view);
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder('utf-8');
+        const entries = [];
+
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > bytes.byteLength || view.getUint32(offset, true) !== SIGNATURES.centralDirectory) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+
+            entries.push({
+                name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+                method: view.getUint16(offset + 10, true),
+                crc32: view.getUint32(offset + 16, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                localHeaderOffset: view.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    async function inflateRaw(compressed) {
+        if (typeof DecompressionStream !== 'function') {
+            throw new Error('DecompressionStream is not available in this environment');
+        }
+
+        const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Returns the uncompressed bytes of an entry from readEntries().
+     */
+    async function extract(data, entry) {
+        const bytes = toBytes(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const header = entry.localHeaderOffset;
+
+        if (view.getUint32(header, true) !== SIGNATURES.localFile) {
+            throw new Error(`Corrupt ZIP local header for ${entry.name}`);
+        }
+
+        // Local name/extra lengths may differ from the central directory copy
+        const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+        const compressed = bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === METHOD_STORED) {
+            return compressed;
+        }
+        if (entry.method === METHOD_DEFLATED) {
+            return inflateRaw(compressed);
+        }
+        throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+    }
+
+    function findEntry(entries, name) {
+        const wanted = name.toLowerCase();
+        return entries.find(entry => entry.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Reads a UTF-8 text entry by name (case-insensitive). Resolves to null
+     * when the archive has no such entry.
+     */
+    async function readText(data, name, entries) {
+        const entry = findEntry(entries || readEntries(data), name);
+        if (!entry) {
+            return null;
+        }
+        const text = new TextDecoder('utf-8').decode(await extract(data, entry));
+        return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    }
+
+    async function readJson(data, name, entries) {
+        const text = await readText(data, name, entries);
+        return text === null ? null : JSON.parse(text);
+    }
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    function dosDateTime(date) {
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Builds a ZIP archive from [{ name, data }] where data is a string,
+     * ArrayBuffer or Uint8Array. Entries are stored uncompressed.
+     * Returns a Uint8Array.
+     */
+    function createArchive(files, date) {
+        const encoder = new TextEncoder();
+        const stamp = dosDateTime(date || new Date());
+        const names = new Set();
+        const records = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            if (names.has(file.name)) {
+                throw new Error(`Duplicate ZIP entry ${file.name}`);
+            }
+            names.add(file.name);
+
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : toBytes(file.data);
+            records.push({ name, data, crc: crc32(data), offset });
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = records.reduce((total, record) => total + 46 + record.name.length, 0);
+        const output = new Uint8Array(offset + centralSize + EOCD_MIN_SIZE);
+        const view = new DataView(output.buffer);
+
+        records.forEach(record => {
+            const at = record.offset;
+            view.setUint32(at, SIGNATURES.localFile, true);
+            view.setUint16(at + 4, VERSION_NEEDED, true);
+            view.setUint16(at + 6, FLAG_UTF8, true);
+            view.setUint16(at + 8, METHOD_STORED, true);
+            view.setUint16(at + 10, stamp.time, true);
+            view.setUint16(at + 12, stamp.date, true);
+            view.setUint32(at + 14, record.crc, true);
+            view.setUint32(at + 18, record.data.length, true);
+            view.setUint32(at + 22, record.data.length, true);
+            view.setUint16(at + 26, record.name.length, true);
+            view.setUint16(at + 28, 0, true);
+            output.set(record.name, at + 30);
+            output.set(record.data, at + 30 + record.name.length);
+        });
+
+        let at = offset;
+        records.forEach(record => {
+            view.setUint32(at, SIGNATURES.centralDirectory, true);
+            view.setUint16(at + 4, VERSION_NEEDED, true);
+            view.setUint16(at + 6, VERSION_NEEDED, true);
+            view.setUint16(at + 8, FLAG_UTF8, true);
+            view.setUint16(at + 10, METHOD_STORED, true);
+            view.setUint16(at + 12, stamp.time, true);
+            view.setUint16(at + 14, stamp.date, true);
+            view.setUint32(at + 16, record.crc, true);
+            view.setUint32(at + 20, record.data.length, true);
+            view.setUint32(at + 24, record.data.length, true);
+            view.setUint16(at + 28, record.name.length, true);
+            view.setUint32(at + 42, record.offset, true);
+            output.set(record.name, at + 46);
+            at += 46 + record.name.length;
+        });
+
+        view.setUint32(at, SIGNATURES.endOfCentralDirectory, true);
+        view.setUint16(at + 8, records.length, true);
+        view.setUint16(at + 10, records.length, true);
+        view.setUint32(at + 12, centralSize, true);
+        view.setUint32(at + 16, offset, true);
+
+        return output;
+    }
+
+    /**
+     * Human-readable byte size: "512 B", "4.2 KB", "12.8 MB".
+     */
+    function formatSize(bytes) {
+        if (bytes < 1024) {
+            return bytes + ' B';
+        }
+        const units = ['KB', 'MB', 'GB'];
+        let value = bytes / 1024;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return value.toFixed(1) + ' ' + units[unit];
+    }
+
+    return {
+        readEntries: readEntries,
+        extract: extract,
+        findEntry: findEntry,
+        readText: readText,
+        readJson: readJson,
+        crc32: crc32,
+        createArchive: createArchive,
+        formatSize: formatSize
+    };
+});
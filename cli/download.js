@@ -0,0 +1,146 @@
+// Network helpers for the vsix-dl command-line interface
+'use strict';
+
+/**
+ * Shared by every vsix-dl command:
+ * - fetch wrapper with retries and exponential backoff (honours Retry-After)
+ * - streaming downloads with progress callbacks
+ * - atomic writes through a temporary .part file
+ *
+ * Retry decisions and delays come from the browser extension's download
+ * queue rules (browser-extension/shared/download-queue.js).
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const VSIXQueue = require('../browser-extension/shared/download-queue.js');
+
+// A Retry-After longer than this is not waited for in full
+const MAX_RETRY_DELAY = 60000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay before attempt number `attempt + 1` after `error` (an Error, or
+ * { status, retryAfter } for an HTTP response), or null when the error is
+ * final or `retries` are used up. Same backoff as the extension's queue.
+ */
+function retryDelay(error, attempt, retries, baseDelay) {
+    const delay = VSIXQueue.getRetryDelay(error, attempt, { maxAttempts: retries + 1, baseDelay });
+    return delay === null ? null : Math.min(delay, MAX_RETRY_DELAY);
+}
+
+/**
+ * Wraps fetch so network errors and retryable HTTP statuses are retried.
+ * The last response is returned as-is once retries are exhausted, so callers
+ * still see the real status code.
+ *
+ * options: { fetch, retries = 3, retryDelay = 2000, onRetry({ url, attempt, delay, reason }) }
+ */
+function createRetryingFetch(options) {
+    const opts = options || {};
+    const fetchImpl = opts.fetch || fetch;
+    const retries = opts.retries !== undefined ? opts.retries : 3;
+
+    return async function retryingFetch(url, init) {
+        for (let attempt = 1; ; attempt++) {
+            let response = null;
+            let failure = null;
+
+            try {
+                response = await fetchImpl(url, init);
+                failure = { status: response.status, retryAfter: response.headers.get('retry-after') };
+            } catch (error) {
+                // Aborted requests were cancelled on purpose (timeouts)
+                if (error && error.name === 'AbortError') {
+                    throw error;
+                }
+                failure = error;
+            }
+
+            const delay = retryDelay(failure, attempt, retries, opts.retryDelay);
+            if (delay === null) {
+                if (response) {
+                    return response;
+                }
+                throw failure;
+            }
+            if (opts.onRetry) {
+                opts.onRetry({
+                    url,
+                    attempt,
+                    delay,
+                    reason: response ? `HTTP ${response.status}` : (failure.cause && failure.cause.message) || failure.message
+                });
+            }
+            await sleep(delay);
+        }
+    };
+}
+
+/**
+ * Streams a URL to disk. Data goes to "<destination>.part" first and is
+ * renamed once complete, so an interrupted download never leaves a
+ * truncated VSIX behind.
+ *
+ * options: { fetch, onProgress({ received, total }) }
+ * Resolves to { path, size }. HTTP errors reject with a `status`.
+ */
+async function downloadToFile(url, destination, options) {
+    const opts = options || {};
+    const fetchImpl = opts.fetch || fetch;
+    const response = await fetchImpl(url);
+
+    if (!response.ok) {
+        const error = new Error(`Download failed with HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    const total = Number(response.headers.get('content-length')) || 0;
+    const partial = destination + '.part';
+    let received = 0;
+
+    const body = typeof response.body.getReader === 'function' ? Readable.fromWeb(response.body) : response.body;
+
+    try {
+        await pipeline(
+            body,
+            async function* (source) {
+                for await (const chunk of source) {
+                    received += chunk.length;
+                    if (opts.onProgress) {
+                        opts.onProgress({ received, total });
+                    }
+                    yield chunk;
+                }
+            },
+            fs.createWriteStream(partial)
+        );
+
+        if (total && received !== total) {
+            // The server closed the connection early; worth another attempt
+            const error = new Error(`Download incomplete (${received} of ${total} bytes)`);
+            error.code = 'ECONNRESET';
+            throw error;
+        }
+
+        await fs.promises.rename(partial, destination);
+    } catch (error) {
+        await fs.promises.rm(partial, { force: true });
+        throw error;
+    }
+
+    return { path: destination, size: received };
+}
+
+module.exports = {
+    retryDelay,
+    sleep,
+    createRetryingFetch,
+    downloadToFile
+};
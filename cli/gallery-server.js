@@ -0,0 +1,558 @@
+// Offline extension gallery server for VSIX Downloader
+'use strict';
+
+/**
+ * Serves a directory of VSIX files over the marketplace gallery protocol, so
+ * editors that accept a custom `extensionsGallery.serviceUrl` (code-server,
+ * VSCodium) can browse and install extensions without internet access:
+ * - POST <gallery>/extensionquery: name, id, search text, tag and category
+ *   filters with paging
+ * - GET <gallery>/publisher/<publisher>/extension/<name>/<version>/assetbyname/<asset>
+ *   (the vsix URL template, also the assetUri of every version)
+ * - GET <gallery>/publishers/<publisher>/vsextensions/<name>/<version>/vspackage
+ *   (the vsixpackage URL template)
+ * - GET <gallery>/vscode/<publisher>/<name>/latest
+ *
+ * Metadata comes from each package's extension.vsixmanifest. The directory
+ * (including subfolders) is rescanned on every query, so new downloads show
+ * up without a restart.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const VSIXCore = require('../browser-extension/shared/vsix-core.js');
+const VSIXGallery = require('../browser-extension/shared/gallery-client.js');
+const VSIXZip = require('../browser-extension/shared/zip.js');
+const { VSIX_MANIFEST_PATH, parseVsixManifest } = require('../browser-extension/shared/inspector.js');
+
+const GALLERY_PATH = '/_apis/public/gallery';
+const DEFAULT_PAGE_SIZE = 50;
+
+const ASSET_TYPES = {
+    vsix: 'Microsoft.VisualStudio.Services.VSIXPackage',
+    vsixManifest: 'Microsoft.VisualStudio.Services.VsixManifest'
+};
+
+// extensionquery filter types (see the VS Code gallery service)
+const FILTER_TYPE = {
+    tag: 1,
+    extensionId: 4,
+    category: 5,
+    extensionName: 7,
+    target: 8,
+    featured: 9,
+    searchText: 10,
+    excludeWithFlags: 12
+};
+
+const SORT_BY = {
+    lastUpdatedDate: 1,
+    title: 2
+};
+
+const CONTENT_TYPES = {
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.vsixmanifest': 'application/xml; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml'
+};
+
+async function readPackage(file) {
+    const data = await fs.promises.readFile(file);
+    const xml = await VSIXZip.readText(data, VSIX_MANIFEST_PATH);
+    if (xml === null) {
+        throw new Error(`${VSIX_MANIFEST_PATH} not found`);
+    }
+    return parseVsixManifest(xml);
+}
+
+// Numeric comparison of dotted versions; pre-release suffixes sort below the release
+function compareVersions(a, b) {
+    const [leftCore, leftTag] = String(a).split('-', 2);
+    const [rightCore, rightTag] = String(b).split('-', 2);
+    const left = leftCore.split('.').map(Number);
+    const right = rightCore.split('.').map(Number);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff) {
+            return diff;
+        }
+    }
+    if (leftTag === rightTag) {
+        return 0;
+    }
+    if (!leftTag || !rightTag) {
+        return leftTag ? -1 : 1;
+    }
+    return leftTag < rightTag ? -1 : 1;
+}
+
+// Stable GUID-shaped id, so extensionId filters keep working across restarts
+function stableId(value) {
+    const hex = crypto.createHash('sha1').update(String(value).toLowerCase()).digest('hex');
+    return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20, 32)].join('-');
+}
+
+async function listPackageFiles(dir) {
+    const files = [];
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listPackageFiles(full));
+        } else if (entry.isFile() && /\.vsix$/i.test(entry.name)) {
+            files.push(full);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Index of the VSIX packages below a directory. refresh() rescans it,
+ * re-reading only new or changed files, and resolves to
+ * { extensions, skipped: [{ file, error }] }. Each extension has its
+ * versions newest first, one record per package (version and platform).
+ */
+function createIndex(dir) {
+    const cache = new Map();
+    let pending = null;
+    let snapshot = { extensions: [], skipped: [] };
+
+    async function scan() {
+        const files = await listPackageFiles(dir);
+        const byId = new Map();
+        const skipped = [];
+
+        for (const file of files) {
+            const stat = await fs.promises.stat(file);
+            let cached = cache.get(file);
+
+            if (!cached || cached.mtimeMs !== stat.mtimeMs || cached.size !== stat.size) {
+                cached = { mtimeMs: stat.mtimeMs, size: stat.size, record: null, error: null };
+                try {
+                    cached.record = Object.assign(await readPackage(file), {
+                        file,
+                        size: stat.size,
+                        lastUpdated: stat.mtime.toISOString()
+                    });
+                } catch (error) {
+                    cached.error = error.message;
+                }
+                cache.set(file, cached);
+            }
+
+            if (!cached.record) {
+                skipped.push({ file, error: cached.error });
+                continue;
+            }
+
+            const record = cached.record;
+            const identifier = `${record.publisher}.${record.name}`;
+            const key = identifier.toLowerCase();
+            if (!byId.has(key)) {
+                byId.set(key, { id: stableId(identifier), identifier, versions: [] });
+            }
+
+            const extension = byId.get(key);
+            const duplicate = extension.versions.some(item => item.version === record.version && item.targetPlatform === record.targetPlatform);
+            if (!duplicate) {
+                extension.versions.push(record);
+            }
+        }
+
+        Array.from(cache.keys()).forEach(file => {
+            if (!files.includes(file)) {
+                cache.delete(file);
+            }
+        });
+
+        const extensions = Array.from(byId.values());
+        extensions.forEach(extension => {
+            extension.versions.sort((a, b) => compareVersions(b.version, a.version) || a.targetPlatform.localeCompare(b.targetPlatform));
+        });
+
+        snapshot = { extensions, skipped };
+        return snapshot;
+    }
+
+    return {
+        dir,
+        refresh() {
+            if (!pending) {
+                pending = scan().finally(() => {
+                    pending = null;
+                });
+            }
+            return pending;
+        },
+        current() {
+            return snapshot;
+        }
+    };
+}
+
+function buildAssetUri(baseUrl, record) {
+    return `${baseUrl}/publisher/${encodeURIComponent(record.publisher)}/extension/${encodeURIComponent(record.name)}/${encodeURIComponent(record.version)}/assetbyname`;
+}
+
+function listAssetTypes(record) {
+    const types = [ASSET_TYPES.vsix, ASSET_TYPES.vsixManifest];
+    record.assets.forEach(asset => {
+        if (asset.assetType && !types.includes(asset.assetType)) {
+            types.push(asset.assetType);
+        }
+    });
+    return types;
+}
+
+function toGalleryVersion(record, baseUrl) {
+    const assetUri = buildAssetUri(baseUrl, record);
+    const query = record.targetPlatform ? `?targetPlatform=${encodeURIComponent(record.targetPlatform)}` : '';
+    const version = {
+        version: record.version,
+        flags: 'validated',
+        lastUpdated: record.lastUpdated,
+        files: listAssetTypes(record).map(assetType => ({ assetType, source: `${assetUri}/${assetType}${query}` })),
+        properties: record.properties,
+        assetUri,
+        fallbackAssetUri: assetUri
+    };
+
+    if (record.targetPlatform) {
+        version.targetPlatform = record.targetPlatform;
+    }
+    return version;
+}
+
+/**
+ * Converts an index entry to the raw gallery extension shape VS Code reads.
+ * With includeLatestVersionOnly only the newest build per platform is kept.
+ */
+function toGalleryExtension(extension, baseUrl, flags) {
+    const latest = extension.versions[0];
+    const dates = extension.versions.map(record => record.lastUpdated).sort();
+    let versions = extension.versions;
+
+    if (flags & VSIXGallery.QUERY_FLAGS.includeLatestVersionOnly) {
+        const platforms = new Set();
+        versions = versions.filter(record => {
+            if (platforms.has(record.targetPlatform)) {
+                return false;
+            }
+            platforms.add(record.targetPlatform);
+            return true;
+        });
+    }
+
+    return {
+        extensionId: extension.id,
+        extensionName: latest.name,
+        displayName: latest.displayName,
+        shortDescription: latest.description,
+        flags: 'validated, public',
+        publisher: {
+            publisherId: stableId(latest.publisher),
+            publisherName: latest.publisher,
+            displayName: latest.publisher
+        },
+        publishedDate: dates[0],
+        releaseDate: dates[0],
+        lastUpdated: dates[dates.length - 1],
+        categories: latest.categories,
+        tags: latest.tags,
+        statistics: [],
+        versions: versions.map(record => toGalleryVersion(record, baseUrl))
+    };
+}
+
+function matchesFilter(extension, filterType, value) {
+    const latest = extension.versions[0];
+    const wanted = String(value || '').toLowerCase();
+
+    switch (filterType) {
+        case FILTER_TYPE.tag:
+            return latest.tags.some(tag => tag.toLowerCase() === wanted);
+        case FILTER_TYPE.extensionId:
+            return extension.id === wanted;
+        case FILTER_TYPE.category:
+            return latest.categories.some(category => category.toLowerCase() === wanted);
+        case FILTER_TYPE.extensionName:
+            return extension.identifier.toLowerCase() === wanted;
+        case FILTER_TYPE.searchText: {
+            const text = [extension.identifier, latest.displayName, latest.description].concat(latest.tags).join(' ').toLowerCase();
+            return wanted.split(/\s+/).every(word => text.includes(word));
+        }
+        case FILTER_TYPE.featured:
+            return false;
+        default:
+            // target and excludeWithFlags never exclude local packages
+            return true;
+    }
+}
+
+/**
+ * Applies one extensionquery filter. Criteria of the same type are
+ * alternatives (VS Code batches names that way); different types must
+ * all match.
+ */
+function applyFilter(extensions, filter) {
+    const groups = new Map();
+    (filter.criteria || []).forEach(criterion => {
+        if (!groups.has(criterion.filterType)) {
+            groups.set(criterion.filterType, []);
+        }
+        groups.get(criterion.filterType).push(criterion.value);
+    });
+
+    const matched = extensions.filter(extension =>
+        Array.from(groups.entries()).every(([filterType, values]) =>
+            values.some(value => matchesFilter(extension, filterType, value))
+        )
+    );
+
+    if (filter.sortBy === SORT_BY.lastUpdatedDate) {
+        matched.sort((a, b) => b.versions[0].lastUpdated.localeCompare(a.versions[0].lastUpdated));
+    } else {
+        matched.sort((a, b) => a.versions[0].displayName.localeCompare(b.versions[0].displayName, undefined, { sensitivity: 'base' }));
+    }
+
+    const pageSize = filter.pageSize > 0 ? filter.pageSize : DEFAULT_PAGE_SIZE;
+    const pageNumber = filter.pageNumber > 0 ? filter.pageNumber : 1;
+
+    return {
+        total: matched.length,
+        page: matched.slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+    };
+}
+
+/**
+ * Answers an extensionquery body with one result per filter, in the
+ * response shape of the public gallery.
+ */
+function runQuery(extensions, query, baseUrl) {
+    const filters = query && Array.isArray(query.filters) && query.filters.length ? query.filters : [{}];
+    const flags = Number(query && query.flags) || 0;
+
+    return {
+        results: filters.map(filter => {
+            const { total, page } = applyFilter(extensions, filter);
+            return {
+                extensions: page.map(extension => toGalleryExtension(extension, baseUrl, flags)),
+                pagingToken: null,
+                resultMetadata: [{
+                    metadataType: 'ResultCount',
+                    metadataItems: [{ name: 'TotalCount', count: total }]
+                }]
+            };
+        })
+    };
+}
+
+/**
+ * Picks the package for a requested platform: the exact build, otherwise the
+ * universal one. Without a platform the universal package (or the first
+ * build) is used.
+ */
+function findRecord(extensions, publisher, name, version, platform) {
+    const key = `${publisher}.${name}`.toLowerCase();
+    const extension = extensions.find(item => item.identifier.toLowerCase() === key);
+    const records = extension ? extension.versions.filter(record => record.version === version) : [];
+
+    return records.find(record => platform && record.targetPlatform === platform) ||
+        records.find(record => !record.targetPlatform) ||
+        (!platform ? records[0] : null) ||
+        null;
+}
+
+function sendJson(res, status, body) {
+    const data = Buffer.from(JSON.stringify(body));
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': data.length });
+    res.end(data);
+}
+
+function sendNotFound(res, message) {
+    sendJson(res, 404, { message: message || 'Not found' });
+}
+
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+async function sendAsset(req, res, record, assetType) {
+    if (assetType === ASSET_TYPES.vsix) {
+        res.writeHead(200, {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': record.size,
+            'Content-Disposition': `attachment; filename="${VSIXCore.buildFilename({ identifier: `${record.publisher}.${record.name}`, version: record.version, platform: record.targetPlatform })}"`
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        await new Promise((resolve, reject) => {
+            fs.createReadStream(record.file).on('error', reject).pipe(res).on('finish', resolve);
+        });
+        return;
+    }
+
+    const asset = assetType === ASSET_TYPES.vsixManifest
+        ? { path: VSIX_MANIFEST_PATH }
+        : record.assets.find(item => item.assetType === assetType);
+    if (!asset) {
+        sendNotFound(res, `Asset ${assetType} not found`);
+        return;
+    }
+
+    const data = await fs.promises.readFile(record.file);
+    const entries = VSIXZip.readEntries(data);
+    const entry = VSIXZip.findEntry(entries, asset.path);
+    if (!entry) {
+        sendNotFound(res, `Asset ${assetType} not found`);
+        return;
+    }
+
+    const bytes = await VSIXZip.extract(data, entry);
+    res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(asset.path).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': bytes.length
+    });
+    res.end(req.method === 'HEAD' ? undefined : Buffer.from(bytes));
+}
+
+/**
+ * Creates the HTTP server (not yet listening) for a directory of VSIX files.
+ * Options: { dir, publicUrl, log }. publicUrl is the gallery URL clients use
+ * when it differs from the Host header (reverse proxies); log receives one
+ * line per request.
+ */
+function createGalleryServer(options) {
+    const index = createIndex(path.resolve(options.dir));
+    const log = options.log || (() => {});
+
+    function galleryUrl(req) {
+        if (options.publicUrl) {
+            return options.publicUrl.replace(/\/+$/, '');
+        }
+        return `http://${req.headers.host || 'localhost'}${GALLERY_PATH}`;
+    }
+
+    async function route(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        let pathname;
+        try {
+            pathname = decodeURIComponent(url.pathname);
+        } catch (error) {
+            sendJson(res, 400, { message: 'Malformed percent-encoding in the request path' });
+            return;
+        }
+        const routePath = pathname.startsWith(GALLERY_PATH) ? pathname.slice(GALLERY_PATH.length) : pathname;
+        let match;
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': 'GET, HEAD, POST, OPTIONS',
+                'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || 'Content-Type'
+            });
+            res.end();
+            return;
+        }
+
+        if (routePath === '/extensionquery') {
+            if (req.method !== 'POST') {
+                sendJson(res, 405, { message: 'extensionquery expects POST' });
+                return;
+            }
+            let query;
+            try {
+                query = JSON.parse(await readBody(req) || '{}');
+            } catch (error) {
+                sendJson(res, 400, { message: `Invalid query: ${error.message}` });
+                return;
+            }
+            const { extensions } = await index.refresh();
+            sendJson(res, 200, runQuery(extensions, query, galleryUrl(req)));
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendJson(res, 405, { message: 'Method not allowed' });
+            return;
+        }
+
+        const platform = url.searchParams.get('targetPlatform') || '';
+
+        if ((match = /^\/publisher\/([^/]+)\/extension\/([^/]+)\/([^/]+)\/assetbyname\/([^/]+)$/.exec(routePath))) {
+            const record = findRecord((await index.refresh()).extensions, match[1], match[2], match[3], platform);
+            if (!record) {
+                sendNotFound(res, `${match[1]}.${match[2]}@${match[3]} not found`);
+                return;
+            }
+            await sendAsset(req, res, record, match[4]);
+            return;
+        }
+
+        if ((match = /^\/publishers\/([^/]+)\/vsextensions\/([^/]+)\/([^/]+)\/vspackage$/.exec(routePath))) {
+            const record = findRecord((await index.refresh()).extensions, match[1], match[2], match[3], platform);
+            if (!record) {
+                sendNotFound(res, `${match[1]}.${match[2]}@${match[3]} not found`);
+                return;
+            }
+            await sendAsset(req, res, record, ASSET_TYPES.vsix);
+            return;
+        }
+
+        if ((match = /^\/vscode\/([^/]+)\/([^/]+)\/latest$/.exec(routePath))) {
+            const key = `${match[1]}.${match[2]}`.toLowerCase();
+            const extension = (await index.refresh()).extensions.find(item => item.identifier.toLowerCase() === key);
+            if (!extension) {
+                sendNotFound(res, `${match[1]}.${match[2]} not found`);
+                return;
+            }
+            sendJson(res, 200, toGalleryExtension(extension, galleryUrl(req), VSIXGallery.QUERY_FLAGS.includeLatestVersionOnly));
+            return;
+        }
+
+        sendNotFound(res);
+    }
+
+    const server = http.createServer((req, res) => {
+        // Editors running in a browser (code-server, vscode.dev forks) call the gallery cross-origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.on('finish', () => log(`${req.method} ${req.url} ${res.statusCode}`));
+
+        route(req, res).catch(error => {
+            if (res.headersSent) {
+                res.destroy(error);
+            } else {
+                sendJson(res, 500, { message: error.message });
+            }
+        });
+    });
+
+    server.index = index;
+    return server;
+}
+
+module.exports = {
+    GALLERY_PATH,
+    FILTER_TYPE,
+    compareVersions,
+    createIndex,
+    runQuery,
+    createGalleryServer
+};
@@ -0,0 +1,611 @@
+#!/usr/bin/env node
+// Command-line interface for VSIX Downloader
+'use strict';
+
+/**
+ * vsix-dl: downloads VS Code extensions from the marketplace using the same
+ * URL, filename and version logic as the browser extension.
+ * - get:      download a VSIX (latest on a channel, or an exact version)
+ * - batch:    download every extension in a list file
+ * - versions: list every published version
+ * - info:     show extension metadata
+ * - serve:    serve a folder of VSIX files as an offline gallery
+ *
+ * Progress and diagnostics go to stderr; stdout carries only results
+ * (saved file paths, version lists, info), so the output can be piped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const VSIXCore = require('../browser-extension/shared/vsix-core.js');
+const VSIXGallery = require('../browser-extension/shared/gallery-client.js');
+const VSIXDependencies = require('../browser-extension/shared/dependency-resolver.js');
+const VSIXExtensionList = require('../browser-extension/shared/extension-list.js');
+const VSIXZip = require('../browser-extension/shared/zip.js');
+const { retryDelay, sleep, createRetryingFetch, downloadToFile } = require('./download.js');
+const { GALLERY_PATH, createGalleryServer } = require('./gallery-server.js');
+
+const EXIT_CODES = {
+    ok: 0,
+    failure: 1,
+    usage: 2,
+    notFound: 3,
+    network: 4
+};
+
+const USAGE = `Usage: vsix-dl <command> [options]
+
+Commands:
+  get <publisher.name[@version]>   Download a VSIX (latest version unless one is given)
+  batch <file>                     Download every extension in a list file (- for stdin):
+                                   \`code --list-extensions --show-versions\` output,
+                                   plain id or id@version lines, or JSON
+  versions <publisher.name>        List published versions, newest first
+  info <publisher.name>            Show extension details
+  serve <dir>                      Serve a folder of VSIX files as an offline gallery
+                                   (use the printed URL as extensionsGallery.serviceUrl)
+
+Options:
+  -p, --platform <target>   Target platform (${Object.keys(VSIXCore.TARGET_PLATFORMS).join(', ')})
+                            Defaults to this machine for platform-specific extensions
+  -o, --out <dir>           Output directory for get and batch (default: current directory)
+      --failed <file>       Where batch writes the items that failed
+                            (default: <out>/vsix-dl-failed.txt)
+  -c, --channel <channel>   stable or prerelease (default: stable)
+      --vscode-version <v>  Only pick releases whose engines.vscode accepts this
+                            VS Code version (default: $VSIX_DL_VSCODE_VERSION or any)
+  -f, --format <format>     vsix or vsixpackage (default: vsix)
+      --filename <template> Name for saved files, from ${VSIXCore.FILENAME_FIELDS.map(field => '{' + field + '}').join(' ')}
+                            (default: ${VSIXCore.DEFAULT_FILENAME_PATTERN})
+      --retries <n>         Retries for failed requests (default: 3)
+      --gallery-url <url>   Gallery API base URL (default: $VSIX_DL_GALLERY_URL or the marketplace)
+      --json                Machine-readable output for batch, versions and info
+      --port <n>            Port for serve (default: 8080)
+      --host <address>      Address serve listens on (default: 127.0.0.1)
+      --public-url <url>    Gallery URL serve advertises when behind a proxy
+  -q, --quiet               No progress output
+  -h, --help                Show this help
+  -v, --version             Show the vsix-dl version
+
+Exit codes:
+  0 success, 1 download failed (batch: at least one item failed), 2 usage error,
+  3 extension/version/build not found, 4 network or gallery error`;
+
+const OPTIONS = {
+    platform: { type: 'string', short: 'p' },
+    out: { type: 'string', short: 'o' },
+    failed: { type: 'string' },
+    channel: { type: 'string', short: 'c' },
+    'vscode-version': { type: 'string' },
+    format: { type: 'string', short: 'f' },
+    filename: { type: 'string' },
+    retries: { type: 'string' },
+    'gallery-url': { type: 'string' },
+    json: { type: 'boolean' },
+    port: { type: 'string' },
+    host: { type: 'string' },
+    'public-url': { type: 'string' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+    version: { type: 'boolean', short: 'v' }
+};
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.usage;
+    return error;
+}
+
+/**
+ * Maps an error to an exit code: explicit codes first, then HTTP 404 and
+ * "not found" results, then anything network-related.
+ */
+function exitCodeFor(error) {
+    if (error.exitCode !== undefined) {
+        return error.exitCode;
+    }
+    if (error.status === 404) {
+        return EXIT_CODES.notFound;
+    }
+    if (error.status || error.code === 'ETIMEDOUT' || error.name === 'TypeError') {
+        return EXIT_CODES.network;
+    }
+    return EXIT_CODES.failure;
+}
+
+function isNetworkError(error) {
+    return exitCodeFor(error) === EXIT_CODES.network;
+}
+
+/**
+ * Target platform of the machine running the CLI, or '' when it does not
+ * map onto a marketplace platform.
+ */
+function detectHostPlatform() {
+    const arch = { x64: 'x64', arm64: 'arm64', arm: 'armhf' }[process.arch];
+    let os = { win32: 'win32', linux: 'linux', darwin: 'darwin' }[process.platform];
+
+    if (os === 'linux' && fs.existsSync('/etc/alpine-release')) {
+        os = 'alpine';
+    }
+
+    const platform = os && arch ? `${os}-${arch}` : '';
+    return VSIXCore.isValidPlatform(platform) ? platform : '';
+}
+
+/**
+ * Splits "publisher.name[@version[@platform]]" into
+ * { identifier, version, platform? }.
+ */
+function parseSpec(spec) {
+    const parsed = VSIXExtensionList.parseSpec(spec);
+    if (!parsed) {
+        throw usageError(`Invalid extension "${spec}". Use publisher.name or publisher.name@version`);
+    }
+    return parsed;
+}
+
+function readOptions(values) {
+    const retries = values.retries !== undefined ? Number(values.retries) : 3;
+    if (!Number.isInteger(retries) || retries < 0) {
+        throw usageError('--retries must be a non-negative integer');
+    }
+
+    if (values.platform && !VSIXCore.isValidPlatform(values.platform)) {
+        throw usageError(`Unknown platform "${values.platform}"`);
+    }
+
+    if (values.channel && !Object.prototype.hasOwnProperty.call(VSIXGallery.CHANNELS, values.channel)) {
+        throw usageError('--channel must be stable or prerelease');
+    }
+
+    const engine = values['vscode-version'] || process.env.VSIX_DL_VSCODE_VERSION || '';
+    if (engine && !VSIXGallery.parseEngineVersion(engine)) {
+        throw usageError('--vscode-version must be a VS Code version such as 1.85.2');
+    }
+
+    if (values.format && !['vsix', 'vsixpackage'].includes(values.format)) {
+        throw usageError('--format must be vsix or vsixpackage');
+    }
+
+    const filenameProblem = values.filename !== undefined ? VSIXCore.checkFilenamePattern(values.filename) : '';
+    if (filenameProblem) {
+        throw usageError(`--filename: ${filenameProblem}`);
+    }
+
+    const port = values.port !== undefined ? Number(values.port) : 8080;
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw usageError('--port must be a port number');
+    }
+
+    if (values['public-url'] && !/^https?:\/\/[^/]/.test(values['public-url'])) {
+        throw usageError('--public-url must be an http or https URL');
+    }
+
+    return {
+        platform: values.platform,
+        out: values.out || '.',
+        failed: values.failed,
+        channel: values.channel || 'stable',
+        engine,
+        format: values.format || 'vsix',
+        filenamePattern: values.filename || VSIXCore.DEFAULT_FILENAME_PATTERN,
+        retries,
+        galleryUrl: values['gallery-url'] || process.env.VSIX_DL_GALLERY_URL || undefined,
+        json: !!values.json,
+        quiet: !!values.quiet,
+        port,
+        host: values.host || '127.0.0.1',
+        publicUrl: values['public-url']
+    };
+}
+
+/**
+ * Progress line on stderr: redrawn in place on terminals, reduced to
+ * start/finish lines otherwise so CI logs stay readable.
+ */
+function createReporter(io, quiet) {
+    const tty = !!io.stderr.isTTY;
+    let lastDraw = 0;
+
+    return {
+        info(message) {
+            if (!quiet) {
+                io.stderr.write(message + '\n');
+            }
+        },
+        warn(message) {
+            io.stderr.write(`warning: ${message}\n`);
+        },
+        progress(label, { received, total }) {
+            if (quiet || !tty) {
+                return;
+            }
+            const now = Date.now();
+            if (now - lastDraw < 100 && received !== total) {
+                return;
+            }
+            lastDraw = now;
+            const percent = total ? ` ${Math.floor((received / total) * 100)}%` : '';
+            const size = total ? `${VSIXZip.formatSize(received)} / ${VSIXZip.formatSize(total)}` : VSIXZip.formatSize(received);
+            io.stderr.write(`\r${label}${percent} (${size})\x1b[K`);
+        },
+        endProgress() {
+            if (!quiet && tty) {
+                io.stderr.write('\n');
+            }
+        }
+    };
+}
+
+/**
+ * Resolves and downloads one { identifier, version, platform? } spec.
+ * Resolves to { identifier, version, platform, path, size }.
+ */
+async function downloadExtension(spec, options, context) {
+    const { reporter, fetchImpl } = context;
+    const requested = spec.platform || options.platform;
+    const platform = requested !== undefined ? requested : detectHostPlatform();
+    let target;
+
+    try {
+        target = await VSIXDependencies.resolveTarget(
+            { identifier: spec.identifier, version: spec.version || undefined, platform },
+            {
+                channel: options.channel,
+                platform,
+                isCompatible: entry => VSIXGallery.isEngineCompatible(entry, options.engine),
+                fetch: fetchImpl,
+                galleryUrl: options.galleryUrl
+            }
+        );
+    } catch (error) {
+        // An exact version can still be fetched straight from the CDN
+        if (!spec.version || !isNetworkError(error)) {
+            throw error;
+        }
+        reporter.warn(`gallery lookup failed (${error.message}); downloading ${spec.version} directly`);
+        target = { identifier: spec.identifier, version: spec.version, platform: requested || '' };
+    }
+
+    const url = VSIXGallery.mapToGallery(VSIXCore.buildDownloadUrl(target, options.format), options);
+    const filename = VSIXCore.sanitizeFilename(VSIXCore.formatFilename(target, options.format, options.filenamePattern));
+    const destination = path.resolve(options.out, filename);
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    reporter.info(`Downloading ${filename}`);
+
+    // Retries cover interrupted transfers; the fetch wrapper already retries failed requests
+    let result;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            result = await downloadToFile(url, destination, {
+                fetch: fetchImpl,
+                onProgress: progress => reporter.progress(filename, progress)
+            });
+            break;
+        } catch (error) {
+            reporter.endProgress();
+            const delay = error.status ? null : retryDelay(error, attempt, options.retries);
+            if (delay === null) {
+                throw error;
+            }
+            reporter.warn(`${error.message}; retry ${attempt}/${options.retries} in ${Math.round(delay / 100) / 10}s`);
+            await sleep(delay);
+        }
+    }
+
+    reporter.endProgress();
+    reporter.info(`Saved ${result.path} (${VSIXZip.formatSize(result.size)})`);
+
+    return {
+        identifier: target.identifier,
+        version: target.version,
+        platform: target.platform,
+        path: result.path,
+        size: result.size
+    };
+}
+
+async function commandGet(args, options, context) {
+    if (args.length !== 1) {
+        throw usageError('get expects exactly one extension, e.g. vsix-dl get ms-python.python@2024.0.0');
+    }
+
+    const result = await downloadExtension(parseSpec(args[0]), options, context);
+    context.io.stdout.write(result.path + '\n');
+}
+
+async function readListFile(file) {
+    if (file === '-') {
+        const chunks = [];
+        for await (const chunk of process.stdin) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).toString('utf8');
+    }
+
+    try {
+        return await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+        throw usageError(`Cannot read list file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Downloads every list entry one after another. A failing item never stops
+ * the run; failures are summarized and written to a list file that can be
+ * passed straight back to batch.
+ */
+async function commandBatch(args, options, context) {
+    if (args.length !== 1) {
+        throw usageError('batch expects exactly one list file, e.g. vsix-dl batch extensions.txt');
+    }
+
+    const { reporter, io } = context;
+    const list = VSIXExtensionList.parseExtensionList(await readListFile(args[0]));
+
+    list.errors.forEach(error => {
+        reporter.warn(`${args[0]}${error.line ? ':' + error.line : ''}: ${error.reason}${error.text ? ` (${error.text})` : ''}`);
+    });
+
+    if (list.items.length === 0) {
+        throw usageError(`No extensions found in ${args[0]}`);
+    }
+
+    const results = [];
+    for (let i = 0; i < list.items.length; i++) {
+        const item = list.items[i];
+        reporter.info(`[${i + 1}/${list.items.length}] ${VSIXExtensionList.formatSpec(item)}`);
+
+        try {
+            const result = await downloadExtension(item, options, context);
+            results.push(Object.assign({ spec: item, success: true }, result));
+        } catch (error) {
+            const reason = (error.cause && error.cause.message) || error.message;
+            reporter.warn(`${item.identifier}: ${reason}`);
+            results.push({ spec: item, success: false, identifier: item.identifier, version: item.version, error: reason });
+        }
+    }
+
+    const failed = results.filter(result => !result.success);
+    let failedFile = null;
+
+    if (failed.length > 0) {
+        failedFile = path.resolve(options.failed || path.join(options.out, 'vsix-dl-failed.txt'));
+        const header = `Failed items from vsix-dl batch ${args[0]} on ${new Date().toISOString()}\nRetry with: vsix-dl batch ${failedFile}`;
+        const text = VSIXExtensionList.formatExtensionList(
+            failed.map(result => Object.assign({}, result.spec, { reason: result.error })),
+            header
+        );
+        await fs.promises.mkdir(path.dirname(failedFile), { recursive: true });
+        await fs.promises.writeFile(failedFile, text);
+    }
+
+    if (options.json) {
+        io.stdout.write(JSON.stringify({
+            succeeded: results.length - failed.length,
+            failed: failed.length,
+            failedFile,
+            items: results.map(result => ({
+                id: result.identifier,
+                version: result.version || null,
+                platform: result.platform || null,
+                success: result.success,
+                path: result.path || null,
+                error: result.error || null
+            }))
+        }, null, 2) + '\n');
+    } else {
+        results.forEach(result => {
+            const label = result.version ? `${result.identifier}@${result.version}` : result.identifier;
+            io.stdout.write(result.success ? `ok      ${label}  ${result.path}\n` : `failed  ${label}  ${result.error}\n`);
+        });
+        io.stdout.write(`\n${results.length - failed.length} downloaded, ${failed.length} failed\n`);
+        if (failedFile) {
+            io.stdout.write(`Failed items written to ${failedFile}\n`);
+        }
+    }
+
+    if (failed.length > 0) {
+        const error = new Error(`${failed.length} of ${results.length} downloads failed`);
+        error.exitCode = EXIT_CODES.failure;
+        throw error;
+    }
+}
+
+async function lookup(args, options, context, command) {
+    if (args.length !== 1) {
+        throw usageError(`${command} expects exactly one extension, e.g. vsix-dl ${command} ms-python.python`);
+    }
+
+    const spec = parseSpec(args[0]);
+    if (spec.version) {
+        throw usageError(`${command} does not take a version`);
+    }
+
+    const info = await VSIXGallery.getExtensionInfo(spec.identifier, {
+        fetch: context.fetchImpl,
+        galleryUrl: options.galleryUrl
+    });
+
+    if (!info) {
+        const error = new Error(`Extension not found: ${spec.identifier}`);
+        error.status = 404;
+        throw error;
+    }
+
+    return info;
+}
+
+async function commandVersions(args, options, context) {
+    const info = await lookup(args, options, context, 'versions');
+    const { stdout } = context.io;
+
+    if (options.json) {
+        stdout.write(JSON.stringify(info.versions.map(entry => ({
+            version: entry.version,
+            lastUpdated: entry.lastUpdated,
+            preRelease: entry.preRelease,
+            targetPlatforms: entry.targetPlatforms
+        })), null, 2) + '\n');
+        return;
+    }
+
+    info.versions.forEach(entry => stdout.write(VSIXGallery.formatVersionLabel(entry) + '\n'));
+}
+
+async function commandInfo(args, options, context) {
+    const info = await lookup(args, options, context, 'info');
+    const stable = VSIXGallery.pickLatest(info.versions, 'stable');
+    const prerelease = VSIXGallery.pickLatest(info.versions, 'prerelease');
+    const summary = {
+        identifier: info.identifier,
+        displayName: info.displayName,
+        description: info.description,
+        publisher: info.publisher,
+        publisherDisplayName: info.publisherDisplayName,
+        installs: info.installs,
+        latestStable: stable ? stable.version : null,
+        latestPreRelease: prerelease && prerelease.preRelease ? prerelease.version : null,
+        targetPlatforms: stable ? stable.targetPlatforms : [],
+        versionCount: info.versions.length
+    };
+
+    if (options.json) {
+        context.io.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+        return;
+    }
+
+    const rows = [
+        ['Name', `${summary.displayName} (${summary.identifier})`],
+        ['Publisher', `${summary.publisherDisplayName} (${summary.publisher})`],
+        ['Description', summary.description || '-'],
+        ['Installs', summary.installs !== null ? Number(summary.installs).toLocaleString('en-US') : '-'],
+        ['Latest', summary.latestStable || '-'],
+        ['Pre-release', summary.latestPreRelease || '-'],
+        ['Platforms', summary.targetPlatforms.length ? summary.targetPlatforms.join(', ') : 'universal'],
+        ['Versions', String(summary.versionCount)]
+    ];
+    rows.forEach(([label, value]) => context.io.stdout.write(`${(label + ':').padEnd(13)}${value}\n`));
+}
+
+/**
+ * Serves a directory of VSIX files until the process is stopped. The
+ * gallery URL goes to stdout; request logs go to stderr.
+ */
+async function commandServe(args, options, context) {
+    if (args.length !== 1) {
+        throw usageError('serve expects exactly one directory, e.g. vsix-dl serve ./extensions');
+    }
+
+    const { io, reporter } = context;
+    const dir = path.resolve(args[0]);
+    const stat = await fs.promises.stat(dir).catch(() => null);
+    if (!stat || !stat.isDirectory()) {
+        throw usageError(`${args[0]} is not a directory`);
+    }
+
+    const server = createGalleryServer({
+        dir,
+        publicUrl: options.publicUrl,
+        log: line => reporter.info(line)
+    });
+
+    const { extensions, skipped } = await server.index.refresh();
+    skipped.forEach(item => reporter.warn(`skipping ${item.file}: ${item.error}`));
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port, options.host, resolve);
+    });
+
+    const address = server.address();
+    const wildcard = address.address === '0.0.0.0' || address.address === '::';
+    const host = wildcard ? 'localhost' : (address.address.includes(':') ? `[${address.address}]` : address.address);
+    const url = options.publicUrl || `http://${host}:${address.port}${GALLERY_PATH}`;
+
+    reporter.info(`Serving ${extensions.length} extensions from ${dir}`);
+    io.stdout.write(url + '\n');
+
+    await new Promise(resolve => server.on('close', resolve));
+}
+
+const COMMANDS = {
+    get: commandGet,
+    batch: commandBatch,
+    versions: commandVersions,
+    info: commandInfo,
+    serve: commandServe
+};
+
+/**
+ * Runs the CLI and resolves to the exit code. io defaults to the process
+ * streams; fetch can be injected for embedding.
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }, fetchImpl = fetch) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        io.stderr.write(`vsix-dl: ${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+
+    const { values, positionals } = parsed;
+
+    if (values.version) {
+        io.stdout.write(require('../package.json').version + '\n');
+        return EXIT_CODES.ok;
+    }
+
+    if (values.help || positionals.length === 0) {
+        (values.help ? io.stdout : io.stderr).write(USAGE + '\n');
+        return values.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+
+    const [command, ...args] = positionals;
+    const handler = COMMANDS[command];
+
+    if (!handler) {
+        io.stderr.write(`vsix-dl: unknown command "${command}"\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+
+    try {
+        const options = readOptions(values);
+        const reporter = createReporter(io, options.quiet);
+        const context = {
+            io,
+            reporter,
+            fetchImpl: createRetryingFetch({
+                fetch: fetchImpl,
+                retries: options.retries,
+                onRetry: ({ attempt, delay, reason }) => {
+                    reporter.warn(`${reason}; retry ${attempt}/${options.retries} in ${Math.round(delay / 100) / 10}s`);
+                }
+            })
+        };
+
+        await handler(args, options, context);
+        return EXIT_CODES.ok;
+    } catch (error) {
+        io.stderr.write(`vsix-dl: ${(error.cause && error.cause.message) || error.message}\n`);
+        return exitCodeFor(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    EXIT_CODES,
+    main,
+    parseSpec,
+    detectHostPlatform
+};
@@ -1 +1 @@
-javascript:(function(){'use strict';const c={selectors:{metadata:['.ux-table-metadata tr','.metadata-table tr'],container:['.ms-Fabric.root-38','.vscode-moreinformation','.extension-details','main']},urls:{vsix:'https://${p}.gallery.vsassets.io/_apis/public/gallery/publisher/${p}/extension/${e}/${v}/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage',pkg:'https://marketplace.visualstudio.com/_apis/public/gallery/publishers/${p}/vsextensions/${e}/${v}/vspackage'}};const u={find(s){for(const sel of s){const el=document.querySelector(sel);if(el)return el}return null},notify(m,t='info'){const n=document.createElement('div');const colors={success:'#2ecc71',error:'#e74c3c',info:'#3498db'};Object.assign(n.style,{position:'fixed',top:'20px',right:'20px',padding:'16px 24px',background:colors[t],color:'white',borderRadius:'8px',boxShadow:'0 4px 12px rgba(0,0,0,0.2)',zIndex:'10000',fontFamily:'Segoe UI,sans-serif',fontSize:'14px',fontWeight:'500',maxWidth:'400px'});n.textContent=m;document.body.appendChild(n);setTimeout(()=>n.remove(),3000)},async copy(txt){try{await navigator.clipboard.writeText(txt);this.notify('✓ Copied!','success');return true}catch(e){return false}}};class Ext{constructor(){this.data={version:'',publisher:'',identifier:''}}extract(){const map={'Version':'version','Publisher':'publisher','Unique Identifier':'identifier'};const table=u.find(c.selectors.metadata.map(s=>s.replace(' tr','')));if(!table)throw new Error('Metadata not found');table.querySelectorAll('tr').forEach(row=>{const cells=row.querySelectorAll('td');if(cells.length>=2){const k=cells[0].innerText.trim();const v=cells[1].innerText.trim();if(map[k])this.data[map[k]]=v}});if(!this.data.identifier){const params=new URLSearchParams(window.location.search);this.data.identifier=params.get('itemName')||''}if(!this.data.version||!this.data.identifier||!this.data.identifier.includes('.'))throw new Error('Missing data');return this.data}getUrl(type='vsix'){const[p,e]=this.data.identifier.split('.');const tmpl=type==='pkg'?c.urls.pkg:c.urls.vsix;return tmpl.replace(/\$\{p\}/g,encodeURIComponent(p)).replace(/\$\{e\}/g,encodeURIComponent(e)).replace(/\$\{v\}/g,encodeURIComponent(this.data.version))}download(type='vsix'){const url=this.getUrl(type);const fn=`${encodeURIComponent(this.data.identifier)}_${encodeURIComponent(this.data.version)}.${type==='pkg'?'vsixpackage':'vsix'}`;u.notify(`⬇ Downloading...`,'info');const a=document.createElement('a');a.href=url;a.download=fn;a.click();setTimeout(()=>u.notify(`✓ Started: ${fn}`,'success'),500)}}class UI{constructor(ext){this.ext=ext}btn(txt,icon,onClick,v='p'){const b=document.createElement('button');const iconSpan=document.createElement('span');iconSpan.textContent=icon+' ';const textSpan=document.createElement('span');textSpan.textContent=txt;b.appendChild(iconSpan);b.appendChild(textSpan);Object.assign(b.style,{fontFamily:'Segoe UI,sans-serif',display:'inline-flex',alignItems:'center',gap:'8px',padding:'12px 24px',background:v==='p'?'linear-gradient(135deg,#2ecc71,#27ae60)':'linear-gradient(135deg,#3498db,#2980b9)',color:'white',fontWeight:'600',fontSize:'15px',margin:'8px 5px',border:'none',borderRadius:'8px',cursor:'pointer',transition:'all 0.3s',boxShadow:'0 4px 12px rgba(0,0,0,0.2)'});b.onmouseenter=()=>{b.style.transform='translateY(-2px)';b.style.boxShadow='0 6px 16px rgba(0,0,0,0.3)'};b.onmouseleave=()=>{b.style.transform='translateY(0)';b.style.boxShadow='0 4px 12px rgba(0,0,0,0.2)'};b.onclick=onClick;return b}render(){if(document.getElementById('vsix-dl'))return;const target=u.find(c.selectors.container);if(!target)throw new Error('Container not found');const div=document.createElement('div');div.id='vsix-dl';Object.assign(div.style,{display:'flex',flexWrap:'wrap',gap:'10px',margin:'16px 0',padding:'16px',background:'rgba(255,255,255,0.05)',borderRadius:'12px',border:'1px solid rgba(255,255,255,0.1)'});div.appendChild(this.btn('Download VSIX','📦',()=>this.ext.download('vsix'),'p'));div.appendChild(this.btn('Copy URL','📋',()=>u.copy(this.ext.getUrl('vsix')),'s'));div.appendChild(this.btn('Download Pkg','📥',()=>this.ext.download('pkg'),'s'));target.parentNode.insertBefore(div,target.nextSibling);u.notify('✓ Loaded!','success')}}function init(){try{const style=document.createElement('style');document.head.appendChild(style);const ext=new Ext();ext.extract();const ui=new UI(ext);ui.render()}catch(e){u.notify(`✗ ${e.message}`,'error')}}if(document.readyState==='loading'){document.addEventListener('DOMContentLoaded',init)}else{init()}})();
+javascript:(function(){'use strict';(function (root, factory) { const core = factory(); if (typeof module === 'object' && module.exports) { module.exports = core; } else { root.VSIXCore = core; } })(typeof globalThis !== 'undefined' ? globalThis : this, function () { const MARKETPLACE_HOST = 'marketplace.visualstudio.com'; const URL_TEMPLATES = { vsix: 'https://${publisher}.gallery.vsassets.io/_apis/public/gallery/publisher/${publisher}/extension/${extension}/${version}/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage', vsixpackage: 'https://marketplace.visualstudio.com/_apis/public/gallery/publishers/${publisher}/vsextensions/${extension}/${version}/vspackage' }; const ASSET_TYPES = { vsix: 'Microsoft.VisualStudio.Services.VSIXPackage', manifest: 'Microsoft.VisualStudio.Code.Manifest', signature: 'Microsoft.VisualStudio.Services.VsixSignature' }; const ASSET_URL_TEMPLATE = 'https://${publisher}.gallery.vsassets.io/_apis/public/gallery/publisher/${publisher}/extension/${extension}/${version}/assetbyname/${asset}'; const FILE_EXTENSIONS = { vsix: 'vsix', vsixpackage: 'vsixpackage' }; const DEFAULT_FILENAME_PATTERN = '{publisher}.{name}-{version}@{platform}'; const FILENAME_FIELDS = ['publisher', 'name', 'displayName', 'version', 'platform', 'date']; const EMPTY_FIELD = '\u0000'; const MAX_FILENAME_LENGTH = 200; const SAVED_EXTENSIONS = ['.vsix', '.vsixpackage', '.zip', '.sha256', '.sigzip']; const TARGET_PLATFORMS = { 'win32-x64': 'Windows x64', 'win32-arm64': 'Windows ARM64', 'linux-x64': 'Linux x64', 'linux-arm64': 'Linux ARM64', 'linux-armhf': 'Linux ARM32', 'alpine-x64': 'Alpine Linux x64', 'alpine-arm64': 'Alpine Linux ARM64', 'darwin-x64': 'macOS Intel', 'darwin-arm64': 'macOS Apple Silicon', 'web': 'Web' }; const IDENTIFIER_PART = /^[A-Za-z0-9][A-Za-z0-9_-]*$/; const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:\.\d+)?(?:[-+][0-9A-Za-z.-]+)?$/; function normalizeFormat(format) { const value = String(format || '').toLowerCase(); if (value === 'vsixpackage' || value === 'pkg' || value === 'package') { return 'vsixpackage'; } return 'vsix'; } function parseIdentifier(identifier) { if (typeof identifier !== 'string') { return null; } const trimmed = identifier.trim(); const dot = trimmed.indexOf('.'); if (dot <= 0 || dot === trimmed.length - 1) { return null; } const publisher = trimmed.slice(0, dot); const extension = trimmed.slice(dot + 1); const extensionParts = extension.split('.'); if (!IDENTIFIER_PART.test(publisher) || !extensionParts.every(part => IDENTIFIER_PART.test(part))) { return null; } return { publisher: publisher, extension: extension, identifier: publisher + '.' + extension }; } function parseMarketplaceUrl(url) { let parsed; try { parsed = new URL(url); } catch (e) { return null; } if (parsed.hostname !== MARKETPLACE_HOST) { return null; } return parseIdentifier(parsed.searchParams.get('itemName') || ''); } function isValidVersion(version) { return typeof version === 'string' && VERSION_PATTERN.test(version.trim()); } function isValidPlatform(platform) { return Object.prototype.hasOwnProperty.call(TARGET_PLATFORMS, platform); } function normalizePlatform(platform) { return isValidPlatform(platform) ? platform : ''; } function platformLabel(platform) { return isValidPlatform(platform) ? TARGET_PLATFORMS[platform] : 'Universal'; } function platformFromHints(os, arch) { const system = String(os || '').toLowerCase(); const isArm = /arm|aarch/.test(String(arch || '').toLowerCase()); if (system.includes('mac') || system.includes('darwin')) { return isArm ? 'darwin-arm64' : 'darwin-x64'; } if (system.includes('win')) { return isArm ? 'win32-arm64' : 'win32-x64'; } if (system.includes('linux') || system.includes('cros') || system.includes('chrome os')) { return isArm ? 'linux-arm64' : 'linux-x64'; } return ''; } function detectPlatform(nav) { if (!nav) { return ''; } const userAgent = nav.userAgent || ''; const os = (nav.userAgentData && nav.userAgentData.platform) || nav.platform || userAgent; const armMatch = userAgent.match(/\b(aarch64|arm64|armv8\w*)\b/i); return platformFromHints(os, armMatch ? armMatch[1] : ''); } async function detectPlatformAsync(nav) { const fallback = detectPlatform(nav); const uaData = nav && nav.userAgentData; if (!uaData || typeof uaData.getHighEntropyValues !== 'function') { return fallback; } try { const hints = await uaData.getHighEntropyValues(['architecture', 'bitness']); return platformFromHints(uaData.platform, hints.architecture) || fallback; } catch (e) { return fallback; } } function requireExtension(ext) { const parsed = ext && parseIdentifier(ext.identifier || (ext.publisher + '.' + (ext.extension || ext.name))); if (!parsed) { throw new Error('Invalid extension identifier format'); } if (!isValidVersion(ext.version)) { throw new Error('Invalid version format. Use format: x.x.x'); } if (ext.platform && !isValidPlatform(ext.platform)) { throw new Error('Unknown target platform: ' + ext.platform); } return { publisher: parsed.publisher, extension: parsed.extension, identifier: parsed.identifier, version: ext.version.trim(), platform: ext.platform || '' }; } function fillTemplate(template, data, asset) { const url = template .replace(/\$\{publisher\}/g, encodeURIComponent(data.publisher)) .replace(/\$\{extension\}/g, encodeURIComponent(data.extension)) .replace(/\$\{version\}/g, encodeURIComponent(data.version)) .replace(/\$\{asset\}/g, encodeURIComponent(asset || '')); return data.platform ? url + '?targetPlatform=' + encodeURIComponent(data.platform) : url; } function buildDownloadUrl(ext, format) { return fillTemplate(URL_TEMPLATES[normalizeFormat(format)], requireExtension(ext)); } function buildAssetUrl(ext, assetType) { const asset = ASSET_TYPES[assetType] || assetType; if (typeof asset !== 'string' || !/^[A-Za-z0-9.]+$/.test(asset)) { throw new Error('Invalid asset type'); } return fillTemplate(ASSET_URL_TEMPLATE, requireExtension(ext), asset); } function buildDownloadUrls(ext) { return { vsix: buildDownloadUrl(ext, 'vsix'), vsixpackage: buildDownloadUrl(ext, 'vsixpackage') }; } function checkFilenamePattern(pattern) { if (typeof pattern !== 'string' || !pattern.trim()) { return 'the pattern is empty'; } const unknown = (pattern.match(/\{[^}]*\}/g) || []) .map(placeholder => placeholder.slice(1, -1)) .filter(field => !FILENAME_FIELDS.includes(field)); if (unknown.length) { return 'unknown placeholder {' + unknown[0] + '}, use ' + FILENAME_FIELDS.map(field => '{' + field + '}').join(' '); } if (/[\\/]/.test(pattern)) { return 'use the download folder setting for subfolders, not / or \\'; } return ''; } function formatDate(now) { const date = now instanceof Date ? now : new Date(); const pad = number => String(number).padStart(2, '0'); return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()); } function formatFilename(ext, format, pattern, now) { const data = requireExtension(ext); const values = { publisher: data.publisher, name: data.extension, displayName: typeof ext.displayName === 'string' ? ext.displayName.trim() : '', version: data.version, platform: data.platform, date: formatDate(now) }; const name = (pattern || DEFAULT_FILENAME_PATTERN) .replace(/\{(\w+)\}/g, (match, field) => FILENAME_FIELDS.includes(field) ? values[field] || EMPTY_FIELD : match) .replace(/^\u0000[-_.@ ]?|[-_.@ ]?\u0000/g, ''); return name + '.' + FILE_EXTENSIONS[normalizeFormat(format)]; } function buildFilename(ext, format) { return formatFilename(ext, format, DEFAULT_FILENAME_PATTERN); } function sanitizeFilename(filename) { if (typeof filename !== 'string' || !filename.trim()) { return 'download.vsix'; } let sanitized = filename .replace(/\s+/g, ' ') .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_') .replace(/\.\./g, '_') .trim() .replace(/^\./, '_'); if (!SAVED_EXTENSIONS.some(extension => sanitized.endsWith(extension))) { sanitized += '.vsix'; } if (sanitized.length > MAX_FILENAME_LENGTH) { const extension = sanitized.substring(sanitized.lastIndexOf('.')); sanitized = sanitized.substring(0, MAX_FILENAME_LENGTH - extension.length).trim() + extension; } return sanitized; } function buildCopyText(ext) { const data = requireExtension(ext); const urls = buildDownloadUrls(data); const target = data.platform ? ' (' + data.platform + ')' : ''; return 'VSIX Download URLs for ' + data.identifier + ' v' + data.version + target + '\n\nVSIX URL:\n' + urls.vsix + '\n\nVSIXPackage URL:\n' + urls.vsixpackage; } return { MARKETPLACE_HOST: MARKETPLACE_HOST, URL_TEMPLATES: URL_TEMPLATES, ASSET_TYPES: ASSET_TYPES, TARGET_PLATFORMS: TARGET_PLATFORMS, DEFAULT_FILENAME_PATTERN: DEFAULT_FILENAME_PATTERN, FILENAME_FIELDS: FILENAME_FIELDS, normalizeFormat: normalizeFormat, isValidPlatform: isValidPlatform, normalizePlatform: normalizePlatform, platformLabel: platformLabel, platformFromHints: platformFromHints, detectPlatform: detectPlatform, detectPlatformAsync: detectPlatformAsync, parseIdentifier: parseIdentifier, parseMarketplaceUrl: parseMarketplaceUrl, isValidVersion: isValidVersion, buildDownloadUrl: buildDownloadUrl, buildDownloadUrls: buildDownloadUrls, buildAssetUrl: buildAssetUrl, checkFilenamePattern: checkFilenamePattern, formatFilename: formatFilename, buildFilename: buildFilename, sanitizeFilename: sanitizeFilename, buildCopyText: buildCopyText }; }); const c = { selectors: { metadata: ['.ux-table-metadata', '.metadata-table'], container: ['.ms-Fabric.root-38', '.vscode-moreinformation', '.extension-details', 'main'] } }; const u = { find(s) { for (const sel of s) { const el = document.querySelector(sel); if (el) return el; } return null; }, notify(m, t = 'info') { const n = document.createElement('div'); const colors = { success: '#2ecc71', error: '#e74c3c', info: '#3498db' }; Object.assign(n.style, { position: 'fixed', top: '20px', right: '20px', padding: '16px 24px', background: colors[t], color: 'white', borderRadius: '8px', boxShadow: '0 4px 12px rgba(0,0,0,0.2)', zIndex: '10000', fontFamily: 'Segoe UI,sans-serif', fontSize: '14px', fontWeight: '500', maxWidth: '400px' }); n.textContent = m; document.body.appendChild(n); setTimeout(() => n.remove(), 3000); }, async copy(txt) { try { await navigator.clipboard.writeText(txt); this.notify('✓ Copied!', 'success'); return true; } catch (e) { return false; } } }; class Ext { constructor() { this.data = { version: '', publisher: '', identifier: '' }; } extract() { const map = { 'Version': 'version', 'Publisher': 'publisher', 'Unique Identifier': 'identifier' }; const table = u.find(c.selectors.metadata); if (!table) throw new Error('Metadata not found'); table.querySelectorAll('tr').forEach(row => { const cells = row.querySelectorAll('td'); if (cells.length >= 2) { const k = cells[0].innerText.trim(); const v = cells[1].innerText.trim(); if (map[k]) this.data[map[k]] = v; } }); if (!this.data.identifier) { const params = new URLSearchParams(window.location.search); this.data.identifier = params.get('itemName') || ''; } if (!VSIXCore.isValidVersion(this.data.version) || !VSIXCore.parseIdentifier(this.data.identifier)) throw new Error('Missing data'); return this.data; } getUrl(type = 'vsix') { return VSIXCore.buildDownloadUrl(this.data, type); } download(type = 'vsix') { const url = this.getUrl(type); const fn = VSIXCore.buildFilename(this.data, type); u.notify('⬇ Downloading...', 'info'); const a = document.createElement('a'); a.href = url; a.download = fn; a.click(); setTimeout(() => u.notify(`✓ Started: ${fn}`, 'success'), 500); } } class UI { constructor(ext) { this.ext = ext; } btn(txt, icon, onClick, v = 'p') { const b = document.createElement('button'); const iconSpan = document.createElement('span'); iconSpan.textContent = icon + ' '; const textSpan = document.createElement('span'); textSpan.textContent = txt; b.appendChild(iconSpan); b.appendChild(textSpan); Object.assign(b.style, { fontFamily: 'Segoe UI,sans-serif', display: 'inline-flex', alignItems: 'center', gap: '8px', padding: '12px 24px', background: v === 'p' ? 'linear-gradient(135deg,#2ecc71,#27ae60)' : 'linear-gradient(135deg,#3498db,#2980b9)', color: 'white', fontWeight: '600', fontSize: '15px', margin: '8px 5px', border: 'none', borderRadius: '8px', cursor: 'pointer', transition: 'all 0.3s', boxShadow: '0 4px 12px rgba(0,0,0,0.2)' }); b.onmouseenter = () => { b.style.transform = 'translateY(-2px)'; b.style.boxShadow = '0 6px 16px rgba(0,0,0,0.3)'; }; b.onmouseleave = () => { b.style.transform = 'translateY(0)'; b.style.boxShadow = '0 4px 12px rgba(0,0,0,0.2)'; }; b.onclick = onClick; return b; } render() { if (document.getElementById('vsix-dl')) return; const target = u.find(c.selectors.container); if (!target) throw new Error('Container not found'); const div = document.createElement('div'); div.id = 'vsix-dl'; Object.assign(div.style, { display: 'flex', flexWrap: 'wrap', gap: '10px', margin: '16px 0', padding: '16px', background: 'rgba(255,255,255,0.05)', borderRadius: '12px', border: '1px solid rgba(255,255,255,0.1)' }); div.appendChild(this.btn('Download VSIX', '📦', () => this.ext.download('vsix'), 'p')); div.appendChild(this.btn('Copy URL', '📋', () => u.copy(this.ext.getUrl('vsix')), 's')); div.appendChild(this.btn('Download Pkg', '📥', () => this.ext.download('vsixpackage'), 's')); target.parentNode.insertBefore(div, target.nextSibling); u.notify('✓ Loaded!', 'success'); } } function init() { try { const ext = new Ext(); ext.extract(); const ui = new UI(ext); ui.render(); } catch (e) { u.notify(`✗ ${e.message}`, 'error'); } } if (document.readyState === 'loading') { document.addEventListener('DOMContentLoaded', init); } else { init(); }})();
\ No newline at end of file
@@ -7,6 +7,404 @@
 (function() {
     'use strict';
 
+    // @vsix-core:begin (generated from browser-extension/shared/vsix-core.js by scripts/build-standalone.js)
+    /**
+     * Single source of truth for every download surface:
+     * - Extension identifier parsing
+     * - Gallery URL construction
+     * - Filename rules
+     * - Version validation
+     * - Target platform detection
+     *
+     * Loaded as a content script, popup script, service worker import,
+     * plain <script> in index.html, CommonJS module in Node, and inlined
+     * into the standalone scripts and bookmarklet by scripts/build-standalone.js.
+     * Keep it free of trailing line comments and multi-line template literals
+     * so the bookmarklet build can collapse it safely.
+     */
+    (function (root, factory) {
+        const core = factory();
+
+        if (typeof module === 'object' && module.exports) {
+            module.exports = core;
+        } else {
+            root.VSIXCore = core;
+        }
+    })(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+
+        const MARKETPLACE_HOST = 'marketplace.visualstudio.com';
+
+        const URL_TEMPLATES = {
+            vsix: 'https://${publisher}.gallery.vsassets.io/_apis/public/gallery/publisher/${publisher}/extension/${extension}/${version}/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage',
+            vsixpackage: 'https://marketplace.visualstudio.com/_apis/public/gallery/publishers/${publisher}/vsextensions/${extension}/${version}/vspackage'
+        };
+
+        /**
+         * Named gallery assets, fetched through the CDN "assetbyname" endpoint.
+         */
+        const ASSET_TYPES = {
+            vsix: 'Microsoft.VisualStudio.Services.VSIXPackage',
+            manifest: 'Microsoft.VisualStudio.Code.Manifest',
+            signature: 'Microsoft.VisualStudio.Services.VsixSignature'
+        };
+
+        const ASSET_URL_TEMPLATE = 'https://${publisher}.gallery.vsassets.io/_apis/public/gallery/publisher/${publisher}/extension/${extension}/${version}/assetbyname/${asset}';
+
+        const FILE_EXTENSIONS = {
+            vsix: 'vsix',
+            vsixpackage: 'vsixpackage'
+        };
+
+        /**
+         * Filename patterns name the file without its extension. A placeholder
+         * with no value (the platform of a universal package) is dropped along
+         * with the separator in front of it. {date} is the download date.
+         */
+        const DEFAULT_FILENAME_PATTERN = '{publisher}.{name}-{version}@{platform}';
+        const FILENAME_FIELDS = ['publisher', 'name', 'displayName', 'version', 'platform', 'date'];
+        const EMPTY_FIELD = '\u0000';
+        const MAX_FILENAME_LENGTH = 200;
+        const SAVED_EXTENSIONS = ['.vsix', '.vsixpackage', '.zip', '.sha256', '.sigzip'];
+
+        /**
+         * Platform-specific VSIX targets published to the marketplace.
+         * An empty platform means the universal package.
+         */
+        const TARGET_PLATFORMS = {
+            'win32-x64': 'Windows x64',
+            'win32-arm64': 'Windows ARM64',
+            'linux-x64': 'Linux x64',
+            'linux-arm64': 'Linux ARM64',
+            'linux-armhf': 'Linux ARM32',
+            'alpine-x64': 'Alpine Linux x64',
+            'alpine-arm64': 'Alpine Linux ARM64',
+            'darwin-x64': 'macOS Intel',
+            'darwin-arm64': 'macOS Apple Silicon',
+            'web': 'Web'
+        };
+
+        const IDENTIFIER_PART = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+        const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:\.\d+)?(?:[-+][0-9A-Za-z.-]+)?$/;
+
+        /**
+         * Normalizes a download format name. Accepts the aliases used by
+         * older scripts ('vsixPackage', 'pkg') and falls back to 'vsix'.
+         */
+        function normalizeFormat(format) {
+            const value = String(format || '').toLowerCase();
+            if (value === 'vsixpackage' || value === 'pkg' || value === 'package') {
+                return 'vsixpackage';
+            }
+            return 'vsix';
+        }
+
+        /**
+         * Splits "publisher.extension" into its parts. The extension name keeps
+         * any further dots, so "a.b.c" yields publisher "a" and extension "b.c".
+         * Returns null for anything that is not a well-formed identifier.
+         */
+        function parseIdentifier(identifier) {
+            if (typeof identifier !== 'string') {
+                return null;
+            }
+
+            const trimmed = identifier.trim();
+            const dot = trimmed.indexOf('.');
+            if (dot <= 0 || dot === trimmed.length - 1) {
+                return null;
+            }
+
+            const publisher = trimmed.slice(0, dot);
+            const extension = trimmed.slice(dot + 1);
+            const extensionParts = extension.split('.');
+
+            if (!IDENTIFIER_PART.test(publisher) || !extensionParts.every(part => IDENTIFIER_PART.test(part))) {
+                return null;
+            }
+
+            return {
+                publisher: publisher,
+                extension: extension,
+                identifier: publisher + '.' + extension
+            };
+        }
+
+        /**
+         * Extracts the identifier from a marketplace item URL
+         * (https://marketplace.visualstudio.com/items?itemName=publisher.extension).
+         */
+        function parseMarketplaceUrl(url) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (e) {
+                return null;
+            }
+
+            if (parsed.hostname !== MARKETPLACE_HOST) {
+                return null;
+            }
+
+            return parseIdentifier(parsed.searchParams.get('itemName') || '');
+        }
+
+        function isValidVersion(version) {
+            return typeof version === 'string' && VERSION_PATTERN.test(version.trim());
+        }
+
+        function isValidPlatform(platform) {
+            return Object.prototype.hasOwnProperty.call(TARGET_PLATFORMS, platform);
+        }
+
+        function normalizePlatform(platform) {
+            return isValidPlatform(platform) ? platform : '';
+        }
+
+        function platformLabel(platform) {
+            return isValidPlatform(platform) ? TARGET_PLATFORMS[platform] : 'Universal';
+        }
+
+        /**
+         * Target platform for an OS name and CPU architecture hint, or ''
+         * (universal) when the OS is not one with platform builds.
+         */
+        function platformFromHints(os, arch) {
+            const system = String(os || '').toLowerCase();
+            const isArm = /arm|aarch/.test(String(arch || '').toLowerCase());
+
+            // Before the Windows check: "darwin" contains "win"
+            if (system.includes('mac') || system.includes('darwin')) {
+                return isArm ? 'darwin-arm64' : 'darwin-x64';
+            }
+            if (system.includes('win')) {
+                return isArm ? 'win32-arm64' : 'win32-x64';
+            }
+            if (system.includes('linux') || system.includes('cros') || system.includes('chrome os')) {
+                return isArm ? 'linux-arm64' : 'linux-x64';
+            }
+            return '';
+        }
+
+        /**
+         * Best-effort synchronous OS detection from a Navigator-like object.
+         * Returns '' (universal) when the OS cannot be recognised.
+         */
+        function detectPlatform(nav) {
+            if (!nav) {
+                return '';
+            }
+
+            const userAgent = nav.userAgent || '';
+            const os = (nav.userAgentData && nav.userAgentData.platform) || nav.platform || userAgent;
+            const armMatch = userAgent.match(/\b(aarch64|arm64|armv8\w*)\b/i);
+
+            return platformFromHints(os, armMatch ? armMatch[1] : '');
+        }
+
+        /**
+         * Like detectPlatform, but asks User-Agent Client Hints for the CPU
+         * architecture where available (Chromium), which tells Apple Silicon
+         * and Windows on ARM apart from x64.
+         */
+        async function detectPlatformAsync(nav) {
+            const fallback = detectPlatform(nav);
+            const uaData = nav && nav.userAgentData;
+
+            if (!uaData || typeof uaData.getHighEntropyValues !== 'function') {
+                return fallback;
+            }
+
+            try {
+                const hints = await uaData.getHighEntropyValues(['architecture', 'bitness']);
+                return platformFromHints(uaData.platform, hints.architecture) || fallback;
+            } catch (e) {
+                return fallback;
+            }
+        }
+
+        function requireExtension(ext) {
+            const parsed = ext && parseIdentifier(ext.identifier || (ext.publisher + '.' + (ext.extension || ext.name)));
+            if (!parsed) {
+                throw new Error('Invalid extension identifier format');
+            }
+            if (!isValidVersion(ext.version)) {
+                throw new Error('Invalid version format. Use format: x.x.x');
+            }
+            if (ext.platform && !isValidPlatform(ext.platform)) {
+                throw new Error('Unknown target platform: ' + ext.platform);
+            }
+            return {
+                publisher: parsed.publisher,
+                extension: parsed.extension,
+                identifier: parsed.identifier,
+                version: ext.version.trim(),
+                platform: ext.platform || ''
+            };
+        }
+
+        function fillTemplate(template, data, asset) {
+            const url = template
+                .replace(/\$\{publisher\}/g, encodeURIComponent(data.publisher))
+                .replace(/\$\{extension\}/g, encodeURIComponent(data.extension))
+                .replace(/\$\{version\}/g, encodeURIComponent(data.version))
+                .replace(/\$\{asset\}/g, encodeURIComponent(asset || ''));
+
+            return data.platform ? url + '?targetPlatform=' + encodeURIComponent(data.platform) : url;
+        }
+
+        /**
+         * Builds the download URL for an extension version.
+         * ext: { identifier } or { publisher, extension|name }, plus { version }
+         * and an optional { platform } for platform-specific packages.
+         */
+        function buildDownloadUrl(ext, format) {
+            return fillTemplate(URL_TEMPLATES[normalizeFormat(format)], requireExtension(ext));
+        }
+
+        /**
+         * Builds the CDN URL of a named asset (a key of ASSET_TYPES or a full
+         * asset type such as "Microsoft.VisualStudio.Code.Manifest").
+         */
+        function buildAssetUrl(ext, assetType) {
+            const asset = ASSET_TYPES[assetType] || assetType;
+            if (typeof asset !== 'string' || !/^[A-Za-z0-9.]+$/.test(asset)) {
+                throw new Error('Invalid asset type');
+            }
+            return fillTemplate(ASSET_URL_TEMPLATE, requireExtension(ext), asset);
+        }
+
+        function buildDownloadUrls(ext) {
+            return {
+                vsix: buildDownloadUrl(ext, 'vsix'),
+                vsixpackage: buildDownloadUrl(ext, 'vsixpackage')
+            };
+        }
+
+        /**
+         * Why a filename pattern cannot be used, or '' when it can.
+         */
+        function checkFilenamePattern(pattern) {
+            if (typeof pattern !== 'string' || !pattern.trim()) {
+                return 'the pattern is empty';
+            }
+            const unknown = (pattern.match(/\{[^}]*\}/g) || [])
+                .map(placeholder => placeholder.slice(1, -1))
+                .filter(field => !FILENAME_FIELDS.includes(field));
+            if (unknown.length) {
+                return 'unknown placeholder {' + unknown[0] + '}, use ' + FILENAME_FIELDS.map(field => '{' + field + '}').join(' ');
+            }
+            if (/[\\/]/.test(pattern)) {
+                return 'use the download folder setting for subfolders, not / or \\';
+            }
+            return '';
+        }
+
+        function formatDate(now) {
+            const date = now instanceof Date ? now : new Date();
+            const pad = number => String(number).padStart(2, '0');
+            return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+        }
+
+        /**
+         * Filename from a pattern such as "{name}-{version}" plus the format's
+         * file extension. {displayName} comes from ext.displayName and {date}
+         * is the local date of `now`. Values are inserted as-is; use
+         * sanitizeFilename before saving.
+         */
+        function formatFilename(ext, format, pattern, now) {
+            const data = requireExtension(ext);
+            const values = {
+                publisher: data.publisher,
+                name: data.extension,
+                displayName: typeof ext.displayName === 'string' ? ext.displayName.trim() : '',
+                version: data.version,
+                platform: data.platform,
+                date: formatDate(now)
+            };
+            const name = (pattern || DEFAULT_FILENAME_PATTERN)
+                .replace(/\{(\w+)\}/g, (match, field) => FILENAME_FIELDS.includes(field) ? values[field] || EMPTY_FIELD : match)
+                .replace(/^\u0000[-_.@ ]?|[-_.@ ]?\u0000/g, '');
+            return name + '.' + FILE_EXTENSIONS[normalizeFormat(format)];
+        }
+
+        /**
+         * Filename shared by every surface: publisher.extension-version.vsix,
+         * or publisher.extension-version@platform.vsix for platform builds
+         * (the same suffix VS Code uses for platform-specific packages).
+         */
+        function buildFilename(ext, format) {
+            return formatFilename(ext, format, DEFAULT_FILENAME_PATTERN);
+        }
+
+        /**
+         * A filename that is safe to save: characters invalid on Windows or
+         * Unix and path separators become "_", whitespace runs become one
+         * space, no leading dot, a known file extension and at most 200
+         * characters.
+         */
+        function sanitizeFilename(filename) {
+            if (typeof filename !== 'string' || !filename.trim()) {
+                return 'download.vsix';
+            }
+
+            let sanitized = filename
+                .replace(/\s+/g, ' ')
+                .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+                .replace(/\.\./g, '_')
+                .trim()
+                .replace(/^\./, '_');
+
+            if (!SAVED_EXTENSIONS.some(extension => sanitized.endsWith(extension))) {
+                sanitized += '.vsix';
+            }
+
+            if (sanitized.length > MAX_FILENAME_LENGTH) {
+                const extension = sanitized.substring(sanitized.lastIndexOf('.'));
+                sanitized = sanitized.substring(0, MAX_FILENAME_LENGTH - extension.length).trim() + extension;
+            }
+
+            return sanitized;
+        }
+
+        function buildCopyText(ext) {
+            const data = requireExtension(ext);
+            const urls = buildDownloadUrls(data);
+            const target = data.platform ? ' (' + data.platform + ')' : '';
+
+            return 'VSIX Download URLs for ' + data.identifier + ' v' + data.version + target +
+                '\n\nVSIX URL:\n' + urls.vsix +
+                '\n\nVSIXPackage URL:\n' + urls.vsixpackage;
+        }
+
+        return {
+            MARKETPLACE_HOST: MARKETPLACE_HOST,
+            URL_TEMPLATES: URL_TEMPLATES,
+            ASSET_TYPES: ASSET_TYPES,
+            TARGET_PLATFORMS: TARGET_PLATFORMS,
+            DEFAULT_FILENAME_PATTERN: DEFAULT_FILENAME_PATTERN,
+            FILENAME_FIELDS: FILENAME_FIELDS,
+            normalizeFormat: normalizeFormat,
+            isValidPlatform: isValidPlatform,
+            normalizePlatform: normalizePlatform,
+            platformLabel: platformLabel,
+            platformFromHints: platformFromHints,
+            detectPlatform: detectPlatform,
+            detectPlatformAsync: detectPlatformAsync,
+            parseIdentifier: parseIdentifier,
+            parseMarketplaceUrl: parseMarketplaceUrl,
+            isValidVersion: isValidVersion,
+            buildDownloadUrl: buildDownloadUrl,
+            buildDownloadUrls: buildDownloadUrls,
+            buildAssetUrl: buildAssetUrl,
+            checkFilenamePattern: checkFilenamePattern,
+            formatFilename: formatFilename,
+            buildFilename: buildFilename,
+            sanitizeFilename: sanitizeFilename,
+            buildCopyText: buildCopyText
+        };
+    });
+    // @vsix-core:end
+
     // Configuration
     const CONFIG = {
         selectors: {
@@ -14,10 +412,6 @@
             container: ['.ms-Fabric.root-38', '.vscode-moreinformation', '.extension-details', 'main'],
             versionHistory: ['#versionHistoryTab tbody tr .version-history-container-column', '.version-column']
         },
-        urls: {
-            vsix: 'https://${publisher}.gallery.vsassets.io/_apis/public/gallery/publisher/${publisher}/extension/${extension}/${version}/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage',
-            vsixPackage: 'https://marketplace.visualstudio.com/_apis/public/gallery/publishers/${publisher}/vsextensions/${extension}/${version}/vspackage'
-        },
         styles: {
             button: {
                 fontFamily: 'Segoe UI, system-ui, -apple-system, sans-serif',
@@ -122,9 +516,12 @@
             if (missing.length > 0) {
                 throw new Error(`Missing required fields: ${missing.join(', ')}`);
             }
-            if (!data.identifier.includes('.')) {
+            if (!VSIXCore.parseIdentifier(data.identifier)) {
                 throw new Error('Invalid extension identifier format');
             }
+            if (!VSIXCore.isValidVersion(data.version)) {
+                throw new Error('Invalid version format');
+            }
             
             return true;
         }
@@ -179,17 +576,11 @@
         }
 
         getDownloadUrl(type = 'vsix') {
-            const [publisher, extension] = this.data.identifier.split('.');
-            const template = CONFIG.urls[type] || CONFIG.urls.vsix;
-            
-            return template
-                .replace(/\$\{publisher\}/g, encodeURIComponent(publisher))
-                .replace(/\$\{extension\}/g, encodeURIComponent(extension))
-                .replace(/\$\{version\}/g, encodeURIComponent(this.data.version));
+            return VSIXCore.buildDownloadUrl(this.data, type);
         }
 
         getFileName(type = 'vsix') {
-            return `${this.data.identifier}_${this.data.version}.${type}`;
+            return VSIXCore.buildFilename(this.data, type);
         }
 
         async downloadFile(type = 'vsix') {
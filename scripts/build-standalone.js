@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Build script for the standalone scripts and bookmarklet
+'use strict';
+
+/**
+ * Inlines browser-extension/shared/vsix-core.js into every surface that
+ * cannot load it as a separate file:
+ * - downloadVSIX-enhanced.js and downloadVSIX-legacy-with-progress.js
+ *   (between the @vsix-core:begin / @vsix-core:end markers)
+ * - downloadVSIX-bookmarklet.js (core + scripts/bookmarklet.src.js, collapsed)
+ *
+ * Usage:
+ *   node scripts/build-standalone.js          Rewrite the generated files
+ *   node scripts/build-standalone.js --check  Exit 1 if any file is stale
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const CORE_FILE = path.join(ROOT, 'browser-extension', 'shared', 'vsix-core.js');
+const BOOKMARKLET_SOURCE = path.join(__dirname, 'bookmarklet.src.js');
+const BOOKMARKLET_FILE = path.join(ROOT, 'downloadVSIX-bookmarklet.js');
+const STANDALONE_FILES = [
+    path.join(ROOT, 'downloadVSIX-enhanced.js'),
+    path.join(ROOT, 'downloadVSIX-legacy-with-progress.js')
+];
+
+const BEGIN_MARKER = '// @vsix-core:begin';
+const END_MARKER = '// @vsix-core:end';
+
+/**
+ * Reads the core without its file header comment and 'use strict' directive;
+ * every host already runs in strict mode.
+ */
+function readCore() {
+    const lines = fs.readFileSync(CORE_FILE, 'utf8').split('\n');
+    while (lines.length && (/^\s*\/\//.test(lines[0]) || /^\s*'use strict';\s*$/.test(lines[0]) || !lines[0].trim())) {
+        lines.shift();
+    }
+    return lines.join('\n').trimEnd();
+}
+
+function inlineCore(file, core) {
+    const source = fs.readFileSync(file, 'utf8');
+    const begin = source.indexOf(BEGIN_MARKER);
+    const end = source.indexOf(END_MARKER);
+
+    if (begin === -1 || end === -1 || end < begin) {
+        throw new Error(`Missing ${BEGIN_MARKER} / ${END_MARKER} markers in ${path.basename(file)}`);
+    }
+
+    const lineStart = source.lastIndexOf('\n', begin) + 1;
+    const indent = source.slice(lineStart, begin);
+    const beginLineEnd = source.indexOf('\n', begin);
+    const endLineStart = source.lastIndexOf('\n', end) + 1;
+
+    const body = core
+        .split('\n')
+        .map(line => (line.trim() ? indent + line : ''))
+        .join('\n');
+
+    return source.slice(0, beginLineEnd + 1) + body + '\n' + source.slice(endLineStart);
+}
+
+/**
+ * Collapses source onto a single line. Relies on the conventions documented
+ * in vsix-core.js and bookmarklet.src.js: comments occupy whole lines and
+ * every statement ends with a semicolon.
+ */
+function collapse(source) {
+    const output = [];
+    let inBlockComment = false;
+
+    for (const rawLine of source.split('\n')) {
+        const line = rawLine.trim();
+
+        if (inBlockComment) {
+            inBlockComment = !line.includes('*/');
+            continue;
+        }
+        if (line.startsWith('/*')) {
+            inBlockComment = !line.includes('*/');
+            continue;
+        }
+        if (!line || line.startsWith('//') || line === '\'use strict\';') {
+            continue;
+        }
+
+        output.push(line);
+    }
+
+    return output.join(' ');
+}
+
+function buildBookmarklet(core) {
+    const body = collapse(core) + ' ' + collapse(fs.readFileSync(BOOKMARKLET_SOURCE, 'utf8'));
+    const code = `(function(){'use strict';${body}})();`;
+
+    if (code.includes('%')) {
+        throw new Error('Bookmarklet source must not contain "%" (browsers URL-decode bookmarklets)');
+    }
+
+    // Fails the build if collapsing produced invalid JavaScript
+    new vm.Script(code, { filename: 'downloadVSIX-bookmarklet.js' });
+
+    return `javascript:${code}`;
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const core = readCore();
+    const outputs = STANDALONE_FILES.map(file => [file, inlineCore(file, core)]);
+    outputs.push([BOOKMARKLET_FILE, buildBookmarklet(core)]);
+
+    const stale = [];
+    for (const [file, content] of outputs) {
+        if (fs.readFileSync(file, 'utf8') === content) {
+            continue;
+        }
+        stale.push(path.relative(ROOT, file));
+        if (!check) {
+            fs.writeFileSync(file, content);
+        }
+    }
+
+    if (check && stale.length > 0) {
+        console.error(`Out of date: ${stale.join(', ')}. Run: node scripts/build-standalone.js`);
+        process.exit(1);
+    }
+
+    console.log(stale.length > 0 ? `Updated: ${stale.join(', ')}` : 'All standalone files are up to date');
+}
+
+main();
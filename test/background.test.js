@@ -0,0 +1,290 @@
+// Tests for the background worker's download path
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const VSIXCore = require('../browser-extension/shared/vsix-core.js');
+const VSIXQueue = require('../browser-extension/shared/download-queue.js');
+const { loadWorker } = require('./helpers/extension-worker.js');
+
+const PACKAGE = 'VSIX acme.widgets@1.0.0';
+const URL = VSIXCore.buildDownloadUrl({ identifier: 'acme.widgets', version: '1.0.0' }, 'vsix');
+
+function request(fields) {
+    return Object.assign({ url: URL, filename: 'acme.widgets-1.0.0.vsix', identifier: 'acme.widgets', version: '1.0.0' }, fields);
+}
+
+// A response whose connection drops after the first chunk of the body
+function droppedResponse() {
+    const body = new ReadableStream({
+        start(controller) {
+            controller.enqueue(new TextEncoder().encode('VSIX'));
+            controller.error(new TypeError('network error'));
+        }
+    });
+    return new Response(body, { status: 200 });
+}
+
+// Resolves once check() is true, polling the worker's pending work
+async function until(check) {
+    for (let tries = 0; tries < 200; tries++) {
+        if (await check()) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Timed out waiting for the worker');
+}
+
+// Objects from the worker's context have its prototypes; copy them for deepStrictEqual
+async function history(evaluate) {
+    return JSON.parse(JSON.stringify(await evaluate('readHistory()')));
+}
+
+test('packages are fetched once and the browser saves those bytes', async () => {
+    let fetches = 0;
+    const { worker, downloads, evaluate } = await loadWorker({
+        fetch: async () => {
+            fetches++;
+            return new Response(PACKAGE);
+        }
+    });
+
+    const result = await worker.processDownload(request());
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.sha256, crypto.createHash('sha256').update(PACKAGE).digest('hex'));
+    assert.strictEqual(fetches, 1);
+    assert.strictEqual(downloads.calls.download.length, 1);
+    const saved = downloads.calls.download[0].url;
+    assert.match(saved, /^blob:/);
+    assert.strictEqual(await (await fetch(saved)).text(), PACKAGE);
+
+    const [entry] = await history(evaluate);
+    assert.strictEqual(entry.downloadId, result.downloadId);
+    assert.strictEqual(entry.url, URL);
+    assert.strictEqual(entry.sha256, result.sha256);
+    assert.strictEqual(entry.size, PACKAGE.length);
+    assert.strictEqual(entry.checksumError, '');
+});
+
+test('service workers hand the bytes to the offscreen document for a blob URL', async () => {
+    const { worker, downloads, caches, offscreen, evaluate } = await loadWorker({ fetch: async () => new Response(PACKAGE), offscreen: true });
+
+    const first = await worker.processDownload(request());
+    const second = await worker.processDownload(request());
+
+    assert.strictEqual(first.sha256, crypto.createHash('sha256').update(PACKAGE).digest('hex'));
+    assert.strictEqual(offscreen.documents, 1);
+    const urls = downloads.calls.download.map(call => call.url);
+    assert.strictEqual(urls.length, 2);
+    assert.ok(urls.every(url => url.startsWith('blob:')));
+    assert.strictEqual(await (await fetch(urls[0])).text(), PACKAGE);
+    assert.strictEqual(caches.stores.get('vsix-packages').size, 2);
+
+    // Saved packages are dropped once the browser is done with them
+    evaluate(`handleDownloadChanged({ id: ${first.downloadId}, state: { current: 'complete' } })`);
+    await until(() => caches.stores.get('vsix-packages').size === 1);
+    assert.strictEqual(second.success, true);
+});
+
+test('a connection dropped mid-package is retried before the browser starts', async () => {
+    const responses = [droppedResponse(), new Response(PACKAGE)];
+    const { worker, downloads, evaluate } = await loadWorker({ fetch: async () => responses.shift() });
+
+    const pending = worker.processDownload(request());
+    await until(() => evaluate("downloadQueue.items.some(item => item.status === 'queued' && item.attempts === 1)"));
+    assert.match(evaluate('downloadQueue.items[0].error'), /Download incomplete/);
+    assert.strictEqual(downloads.calls.download.length, 0);
+
+    // Skip the backoff
+    evaluate('downloadQueue.items[0].notBefore = 0; pumpQueue()');
+    const result = await pending;
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.sha256, crypto.createHash('sha256').update(PACKAGE).digest('hex'));
+    assert.strictEqual(downloads.calls.download.length, 1);
+    assert.strictEqual((await history(evaluate)).length, 1);
+});
+
+test('packages the worker cannot fetch are downloaded directly without a hash', async () => {
+    const { worker, downloads, evaluate } = await loadWorker();
+
+    const result = await worker.processDownload(request());
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.sha256, null);
+    assert.match(result.checksumError, /could not fetch the package/);
+    assert.deepStrictEqual(downloads.calls.download.map(call => call.url), [URL]);
+
+    const [entry] = await history(evaluate);
+    assert.strictEqual(entry.sha256, '');
+    assert.match(entry.checksumError, /could not fetch the package/);
+});
+
+test('a download keeps its queue slot until the browser has saved it', async () => {
+    const { worker, downloads, evaluate } = await loadWorker({
+        fetch: async () => new Response(PACKAGE),
+        sync: { maxConcurrentDownloads: 1 }
+    });
+
+    const first = await worker.processDownload(request());
+    const second = worker.processDownload(request({ filename: 'acme.widgets-1.0.0-copy.vsix' }));
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(downloads.calls.download.length, 1);
+    assert.strictEqual(evaluate('downloadQueue.items[0].downloadId'), first.downloadId);
+
+    evaluate(`handleDownloadChanged({ id: ${first.downloadId}, state: { current: 'complete' } })`);
+    assert.strictEqual((await second).success, true);
+    assert.strictEqual(downloads.calls.download.length, 2);
+});
+
+test('restored downloads the browser already started are attached, not downloaded again', async () => {
+    const item = (fields, downloadId) => Object.assign(VSIXQueue.createItem(request(fields)), { status: 'running', attempts: 1, downloadId });
+    const running = item({ filename: 'running.vsix' }, 5);
+    const finished = item({ filename: 'finished.vsix' }, 6);
+    const cutOff = item({ filename: 'cut-off.vsix' });
+
+    const { downloads, evaluate } = await loadWorker({
+        fetch: async () => new Response(PACKAGE),
+        local: { [VSIXQueue.STORAGE_KEY]: [running, finished, cutOff] },
+        downloads: [
+            { id: 5, url: 'blob:running', filename: 'running.vsix', state: 'in_progress', canResume: false, fileSize: 0 },
+            { id: 6, url: 'blob:finished', filename: 'finished.vsix', state: 'complete', canResume: false, fileSize: PACKAGE.length }
+        ]
+    });
+
+    await until(() => downloads.calls.download.length === 1);
+    assert.strictEqual(downloads.calls.download[0].filename, 'cut-off.vsix');
+
+    const queued = () => JSON.parse(JSON.stringify(evaluate('downloadQueue.items.map(entry => [entry.request.filename, entry.status])')));
+    await until(() => queued().length === 2 && evaluate('downloadQueue.items.every(entry => entry.downloadId)'));
+    assert.deepStrictEqual(queued(), [['running.vsix', 'running'], ['cut-off.vsix', 'running']]);
+
+    evaluate("handleDownloadChanged({ id: 5, state: { current: 'complete' } })");
+    await until(() => queued().length === 1);
+    assert.deepStrictEqual(queued(), [['cut-off.vsix', 'running']]);
+    assert.strictEqual(downloads.calls.download.length, 1);
+});
+
+test('extra hosts are refused until their host permission is granted', async () => {
+    const mirror = 'https://vsix.example.com/acme.widgets-1.0.0.vsix';
+    const fetched = [];
+    const fetch = async url => {
+        fetched.push(url);
+        return new Response(PACKAGE);
+    };
+    const sync = { allowedHosts: ['vsix.example.com'] };
+
+    const denied = await loadWorker({ fetch, sync });
+    const refused = await denied.worker.processDownload(request({ url: mirror }));
+    assert.strictEqual(refused.success, false);
+    assert.match(refused.error, /Access to vsix\.example\.com was not granted/);
+    assert.deepStrictEqual(fetched, []);
+    assert.strictEqual(denied.downloads.calls.download.length, 0);
+
+    const granted = await loadWorker({ fetch, sync, origins: ['https://vsix.example.com/*'] });
+    assert.strictEqual((await granted.worker.processDownload(request({ url: mirror }))).success, true);
+    assert.deepStrictEqual(fetched, [mirror]);
+
+    // The marketplace needs no optional permission
+    assert.strictEqual((await denied.worker.processDownload(request())).success, true);
+});
+
+test('HTTP errors fail before the browser starts a download', async () => {
+    const { worker, downloads, evaluate } = await loadWorker({ fetch: async () => new Response('', { status: 404 }) });
+
+    const result = await worker.processDownload(request());
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error, 'Server responded with HTTP 404');
+    assert.strictEqual(downloads.calls.download.length, 0);
+    assert.strictEqual((await history(evaluate))[0].result, 'failed');
+});
+
+test('interrupted downloads the browser kept are resumed', async () => {
+    const { worker, downloads, notifications, evaluate } = await loadWorker({ fetch: async () => new Response(PACKAGE) });
+    const { downloadId } = await worker.processDownload(request());
+    downloads.items.get(downloadId).canResume = true;
+
+    assert.strictEqual(await worker.handleDownloadInterrupted(downloadId, 'NETWORK_FAILED'), true);
+
+    assert.deepStrictEqual(downloads.calls.resume, [downloadId]);
+    assert.strictEqual(downloads.calls.download.length, 1);
+    const [entry] = await history(evaluate);
+    assert.strictEqual(entry.recoveries, 1);
+    assert.strictEqual(entry.result, 'in_progress');
+    assert.strictEqual(notifications.length, 0);
+});
+
+test('interrupted downloads without partial data are restarted after a backoff', async () => {
+    const { worker, downloads, evaluate } = await loadWorker({ fetch: async () => new Response(PACKAGE) });
+    const first = await worker.processDownload(request());
+    const historyId = (await history(evaluate))[0].id;
+
+    assert.strictEqual(await worker.handleDownloadInterrupted(first.downloadId, 'SERVER_FAILED'), true);
+    await until(() => evaluate('downloadQueue.items.length') === 1);
+
+    const queued = JSON.parse(JSON.stringify(await evaluate('downloadQueue.items[0]')));
+    assert.strictEqual(queued.request.url, URL);
+    assert.strictEqual(queued.request.historyId, historyId);
+    assert.strictEqual(queued.request.recoveries, 1);
+    assert.ok(queued.notBefore - queued.queuedAt >= 1500, 'the restart waits');
+    assert.strictEqual(downloads.calls.download.length, 1);
+
+    // Skip the wait
+    evaluate('downloadQueue.items[0].notBefore = 0; pumpQueue()');
+    await until(() => downloads.calls.download.length === 2);
+    await until(async () => (await history(evaluate))[0].downloadId !== first.downloadId);
+
+    assert.match(downloads.calls.download[1].url, /^blob:/);
+    const entries = await history(evaluate);
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].id, historyId);
+    assert.strictEqual(entries[0].recoveries, 1);
+});
+
+test('cancelled downloads and downloads out of recoveries are left to the user', async () => {
+    const { worker, downloads, notifications, evaluate } = await loadWorker({ fetch: async () => new Response(PACKAGE) });
+
+    const cancelled = await worker.processDownload(request());
+    await worker.handleDownloadInterrupted(cancelled.downloadId, 'USER_CANCELED');
+    assert.strictEqual((await history(evaluate))[0].result, 'interrupted');
+    assert.strictEqual((await history(evaluate))[0].error, 'Cancelled (USER_CANCELED)');
+    assert.strictEqual(notifications.length, 0);
+
+    const exhausted = await worker.processDownload(request({ recoveries: 3 }));
+    downloads.items.get(exhausted.downloadId).canResume = true;
+    await worker.handleDownloadInterrupted(exhausted.downloadId, 'NETWORK_FAILED');
+
+    const [entry] = await history(evaluate);
+    assert.strictEqual(entry.result, 'interrupted');
+    assert.strictEqual(entry.canResume, true);
+    assert.deepStrictEqual(downloads.calls.resume, []);
+    assert.strictEqual(notifications.length, 1);
+    assert.match(notifications[0].message, /Network error \(NETWORK_FAILED\)/);
+
+    assert.strictEqual(await worker.handleDownloadInterrupted(999, 'NETWORK_FAILED'), false);
+});
+
+test('settings stored unvalidated by an older schema are validated on load', async () => {
+    const { evaluate } = await loadWorker({
+        sync: {
+            maxConcurrentDownloads: 99,
+            defaultFormat: 'exe',
+            allowedHosts: ['https://evil.example.com/path'],
+            downloadLocation: 'vsix',
+            theme: 'dark'
+        }
+    });
+
+    const settings = JSON.parse(JSON.stringify(evaluate('state.settings')));
+    assert.strictEqual(settings.maxConcurrentDownloads, VSIXQueue.DEFAULT_CONCURRENCY);
+    assert.strictEqual(settings.defaultFormat, 'vsix');
+    assert.deepStrictEqual(settings.allowedHosts, []);
+    assert.strictEqual(settings.downloadLocation, 'vsix');
+    assert.strictEqual(settings.theme, undefined);
+});
@@ -0,0 +1,83 @@
+// Tests for ZIP archives and multi-extension bundles
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXZip = require('../browser-extension/shared/zip.js');
+const VSIXBundle = require('../browser-extension/shared/bundle.js');
+
+const decoder = new TextDecoder();
+
+test('archives read back with the same names, contents and CRC32', async () => {
+    const binary = Uint8Array.from({ length: 300 }, (_, index) => index % 256);
+    const files = [
+        { name: 'manifest.json', data: '{"ok":true}' },
+        { name: 'packages/ünïcode file.vsix', data: binary },
+        { name: 'empty.txt', data: new ArrayBuffer(0) }
+    ];
+
+    const archive = VSIXZip.createArchive(files, new Date(2026, 9, 19, 8, 30, 10));
+    const entries = VSIXZip.readEntries(archive);
+
+    assert.deepStrictEqual(entries.map(entry => entry.name), files.map(file => file.name));
+    assert.deepStrictEqual(entries.map(entry => entry.size), [11, 300, 0]);
+
+    for (const [index, entry] of entries.entries()) {
+        const data = await VSIXZip.extract(archive, entry);
+        const expected = typeof files[index].data === 'string' ? new TextEncoder().encode(files[index].data) : new Uint8Array(files[index].data);
+        assert.deepStrictEqual(Array.from(data), Array.from(expected), entry.name);
+        assert.strictEqual(entry.crc32, VSIXZip.crc32(data), entry.name);
+    }
+
+    assert.strictEqual(VSIXZip.crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+    assert.deepStrictEqual(await VSIXZip.readJson(archive, 'MANIFEST.JSON'), { ok: true });
+    assert.strictEqual(await VSIXZip.readText(archive, 'missing.txt'), null);
+    assert.throws(() => VSIXZip.createArchive([{ name: 'a', data: '' }, { name: 'a', data: '' }]), /Duplicate ZIP entry a/);
+    assert.throws(() => VSIXZip.readEntries(new Uint8Array(10)), /Not a ZIP archive/);
+});
+
+test('formatSize uses binary units', () => {
+    assert.strictEqual(VSIXZip.formatSize(512), '512 B');
+    assert.strictEqual(VSIXZip.formatSize(4300), '4.2 KB');
+    assert.strictEqual(VSIXZip.formatSize(5 * 1024 * 1024), '5.0 MB');
+});
+
+test('bundles name packages after the filename pattern and list them in manifest.json', async () => {
+    const fetch = async url => url.includes('/missing/')
+        ? new Response('', { status: 404 })
+        : new Response(`package from ${url}`, { status: 200 });
+    const progress = [];
+
+    const bundle = await VSIXBundle.createBundle([
+        { identifier: 'acme.widgets', displayName: 'Widgets', version: '1.0.0' },
+        { identifier: 'other.widgets', displayName: 'Widgets', version: '2.0.0', platform: 'linux-x64' },
+        { identifier: 'acme.missing', displayName: 'Missing', version: '1.0.0' }
+    ], {
+        fetch,
+        filenamePattern: '{displayName}',
+        onProgress: (done, total) => progress.push(`${done}/${total}`)
+    });
+
+    assert.deepStrictEqual(progress, ['1/3', '2/3', '3/3']);
+    assert.deepStrictEqual(bundle.failed, [{ identifier: 'acme.missing', version: '1.0.0', error: 'HTTP 404' }]);
+    assert.match(bundle.filename, /^vsix-bundle-\d{4}-\d{2}-\d{2}-2-extensions\.zip$/);
+
+    const entries = VSIXZip.readEntries(bundle.data);
+    assert.deepStrictEqual(entries.map(entry => entry.name), ['manifest.json', 'Widgets.vsix', 'Widgets (2).vsix']);
+
+    const manifest = await VSIXZip.readJson(bundle.data, VSIXBundle.MANIFEST_NAME);
+    assert.deepStrictEqual(manifest.extensions.map(entry => [entry.id, entry.platform, entry.file]), [
+        ['acme.widgets', 'universal', 'Widgets.vsix'],
+        ['other.widgets', 'linux-x64', 'Widgets (2).vsix']
+    ]);
+
+    const second = await VSIXZip.extract(bundle.data, entries[2]);
+    assert.match(decoder.decode(second), /^package from https:\/\/other\.gallery\.vsassets\.io\/.*\/2\.0\.0\/assetbyname\//);
+    assert.strictEqual(manifest.extensions[1].size, second.length);
+
+    const plain = await VSIXBundle.createBundle([{ identifier: 'acme.widgets', version: '1.0.0' }], { fetch });
+    assert.deepStrictEqual(VSIXZip.readEntries(plain.data).map(entry => entry.name), ['manifest.json', 'acme.widgets-1.0.0.vsix']);
+
+    await assert.rejects(VSIXBundle.createBundle([{ identifier: 'acme.missing', version: '1.0.0' }], { fetch }), /None of the selected extensions/);
+});
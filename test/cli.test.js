@@ -0,0 +1,246 @@
+// Tests for the vsix-dl command-line interface
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { main, EXIT_CODES } = require('../cli/vsix-dl.js');
+const { startMockGallery, packageBody } = require('./helpers/mock-gallery.js');
+
+const EXTENSIONS = [
+    {
+        publisher: 'acme',
+        name: 'widgets',
+        displayName: 'Acme Widgets',
+        description: 'Widgets for everyone',
+        installs: 1234,
+        versions: [
+            { version: '1.2.0', preRelease: true, lastUpdated: '2024-03-01T00:00:00Z' },
+            { version: '1.1.0', lastUpdated: '2024-02-01T00:00:00Z', properties: { 'Microsoft.VisualStudio.Code.Engine': '^1.90.0' } },
+            { version: '1.0.0', lastUpdated: '2024-01-01T00:00:00Z', properties: { 'Microsoft.VisualStudio.Code.Engine': '^1.80.0' } }
+        ]
+    },
+    {
+        publisher: 'acme',
+        name: 'native',
+        versions: [
+            { version: '2.0.0', targetPlatforms: ['linux-x64', 'linux-arm64', 'win32-x64'] }
+        ]
+    }
+];
+
+let gallery;
+let outDir;
+
+function capture() {
+    const io = { stdout: '', stderr: '' };
+    return {
+        io,
+        streams: {
+            stdout: { write: chunk => { io.stdout += chunk; } },
+            stderr: { write: chunk => { io.stderr += chunk; } }
+        }
+    };
+}
+
+async function run(args) {
+    const { io, streams } = capture();
+    const code = await main(args.concat(['--gallery-url', gallery.galleryUrl]), streams);
+    return { code, stdout: io.stdout, stderr: io.stderr };
+}
+
+before(async () => {
+    gallery = await startMockGallery(EXTENSIONS);
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vsix-dl-test-'));
+});
+
+after(async () => {
+    await gallery.close();
+    fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+test('get downloads the latest stable version', async () => {
+    const result = await run(['get', 'acme.widgets', '--out', outDir]);
+    const file = path.join(outDir, 'acme.widgets-1.1.0.vsix');
+
+    assert.strictEqual(result.code, EXIT_CODES.ok);
+    assert.strictEqual(result.stdout.trim(), file);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), packageBody('acme.widgets', '1.1.0'));
+    assert.ok(!fs.existsSync(file + '.part'));
+});
+
+test('get honours an explicit version and the pre-release channel', async () => {
+    const exact = await run(['get', 'acme.widgets@1.0.0', '--out', outDir]);
+    assert.strictEqual(exact.code, EXIT_CODES.ok);
+    assert.ok(fs.existsSync(path.join(outDir, 'acme.widgets-1.0.0.vsix')));
+
+    const prerelease = await run(['get', 'acme.widgets', '--channel', 'prerelease', '--out', outDir]);
+    assert.strictEqual(prerelease.code, EXIT_CODES.ok);
+    assert.ok(fs.existsSync(path.join(outDir, 'acme.widgets-1.2.0.vsix')));
+});
+
+test('get picks the newest release compatible with --vscode-version', async () => {
+    const result = await run(['get', 'acme.widgets', '--vscode-version', '1.85.2', '--out', outDir]);
+    assert.strictEqual(result.code, EXIT_CODES.ok);
+    assert.strictEqual(result.stdout.trim(), path.join(outDir, 'acme.widgets-1.0.0.vsix'));
+
+    assert.strictEqual((await run(['get', 'acme.widgets', '--vscode-version', '1.70.0', '--out', outDir])).code, EXIT_CODES.notFound);
+    assert.strictEqual((await run(['get', 'acme.widgets', '--vscode-version', 'latest', '--out', outDir])).code, EXIT_CODES.usage);
+});
+
+test('get names files after --filename', async () => {
+    const result = await run(['get', 'acme.widgets@1.0.0', '--filename', '{displayName} {version}@{platform}', '--out', outDir]);
+    assert.strictEqual(result.code, EXIT_CODES.ok);
+    assert.strictEqual(result.stdout.trim(), path.join(outDir, 'Acme Widgets 1.0.0.vsix'));
+
+    assert.strictEqual((await run(['get', 'acme.widgets', '--filename', '{name}-{build}', '--out', outDir])).code, EXIT_CODES.usage);
+});
+
+test('get downloads platform-specific builds', async () => {
+    const result = await run(['get', 'acme.native', '--platform', 'linux-arm64', '--out', outDir]);
+    const file = path.join(outDir, 'acme.native-2.0.0@linux-arm64.vsix');
+
+    assert.strictEqual(result.code, EXIT_CODES.ok);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), packageBody('acme.native', '2.0.0', 'linux-arm64'));
+    assert.ok(gallery.requests.some(req => req.search === '?targetPlatform=linux-arm64'));
+});
+
+test('get exits with the not-found code for missing extensions, versions and builds', async () => {
+    assert.strictEqual((await run(['get', 'acme.missing', '--out', outDir])).code, EXIT_CODES.notFound);
+    assert.strictEqual((await run(['get', 'acme.widgets@9.9.9', '--out', outDir])).code, EXIT_CODES.notFound);
+    assert.strictEqual((await run(['get', 'acme.native', '--platform', 'darwin-arm64', '--out', outDir])).code, EXIT_CODES.notFound);
+});
+
+test('usage errors exit with code 2', async () => {
+    assert.strictEqual((await run([])).code, EXIT_CODES.usage);
+    assert.strictEqual((await run(['fetch', 'acme.widgets'])).code, EXIT_CODES.usage);
+    assert.strictEqual((await run(['get', 'not-an-id'])).code, EXIT_CODES.usage);
+    assert.strictEqual((await run(['get', 'acme.widgets', '--platform', 'amiga'])).code, EXIT_CODES.usage);
+    assert.strictEqual((await run(['get', 'acme.widgets', '--bogus'])).code, EXIT_CODES.usage);
+});
+
+test('get retries failed requests and honours Retry-After', async () => {
+    gallery.failNext('/extensionquery', 1, 503, { 'Retry-After': '0' });
+    gallery.failNext('/assetbyname/', 2, 429, { 'Retry-After': '0' });
+
+    const result = await run(['get', 'acme.widgets@1.1.0', '--out', outDir]);
+
+    assert.strictEqual(result.code, EXIT_CODES.ok);
+    assert.match(result.stderr, /HTTP 503; retry 1\/3/);
+    assert.match(result.stderr, /HTTP 429; retry 2\/3/);
+});
+
+test('get gives up after the configured retries with the network code', async () => {
+    gallery.failNext('/assetbyname/', 3, 503, { 'Retry-After': '0' });
+
+    const result = await run(['get', 'acme.widgets@1.1.0', '--retries', '2', '--out', outDir]);
+
+    assert.strictEqual(result.code, EXIT_CODES.network);
+    assert.match(result.stderr, /HTTP 503/);
+});
+
+test('get retries a transfer cut off mid-body after a backoff', async () => {
+    let cuts = 1;
+    const cutOnce = async (url, init) => {
+        const response = await fetch(url, init);
+        if (cuts === 0 || !String(url).includes('/assetbyname/')) {
+            return response;
+        }
+        cuts--;
+        await response.arrayBuffer();
+        const body = new ReadableStream({
+            start(controller) {
+                controller.enqueue(new TextEncoder().encode('VSIX'));
+                controller.error(new TypeError('terminated'));
+            }
+        });
+        return new Response(body, { status: 200 });
+    };
+    const { io, streams } = capture();
+    const started = Date.now();
+
+    const code = await main(['get', 'acme.widgets@1.1.0', '--out', outDir, '--gallery-url', gallery.galleryUrl], streams, cutOnce);
+
+    assert.strictEqual(code, EXIT_CODES.ok);
+    assert.match(io.stderr, /terminated; retry 1\/3 in \d(\.\d)?s/);
+    assert.ok(Date.now() - started >= 1500, 'the second attempt waits for the backoff');
+    assert.strictEqual(fs.readFileSync(path.join(outDir, 'acme.widgets-1.1.0.vsix'), 'utf8'), packageBody('acme.widgets', '1.1.0'));
+});
+
+test('batch downloads a list and writes failed items for retry', async () => {
+    const batchDir = path.join(outDir, 'batch');
+    const listFile = path.join(outDir, 'extensions.txt');
+    fs.writeFileSync(listFile, [
+        '# code --list-extensions --show-versions',
+        'acme.widgets@1.0.0',
+        'acme.native',
+        'acme.missing@1.0.0',
+        'not an id'
+    ].join('\n'));
+
+    const result = await run(['batch', listFile, '--platform', 'win32-x64', '--out', batchDir]);
+    const failedFile = path.join(batchDir, 'vsix-dl-failed.txt');
+
+    assert.strictEqual(result.code, EXIT_CODES.failure);
+    assert.ok(fs.existsSync(path.join(batchDir, 'acme.widgets-1.0.0.vsix')));
+    assert.ok(fs.existsSync(path.join(batchDir, 'acme.native-2.0.0@win32-x64.vsix')));
+    assert.match(result.stdout, /2 downloaded, 1 failed/);
+    assert.match(result.stderr, /extensions\.txt:5/);
+
+    const retryList = fs.readFileSync(failedFile, 'utf8');
+    assert.match(retryList, /^acme\.missing@1\.0\.0$/m);
+    assert.doesNotMatch(retryList, /^acme\.widgets/m);
+});
+
+test('batch accepts JSON lists and reports a JSON summary', async () => {
+    const listFile = path.join(outDir, 'extensions.json');
+    fs.writeFileSync(listFile, JSON.stringify({ recommendations: ['acme.widgets', 'acme.native'] }));
+
+    const result = await run(['batch', listFile, '--platform', 'linux-x64', '--json', '--out', path.join(outDir, 'json')]);
+    const summary = JSON.parse(result.stdout);
+
+    assert.strictEqual(result.code, EXIT_CODES.ok);
+    assert.strictEqual(summary.succeeded, 2);
+    assert.strictEqual(summary.failedFile, null);
+    assert.deepStrictEqual(summary.items.map(item => item.version), ['1.1.0', '2.0.0']);
+});
+
+test('versions lists every version newest first', async () => {
+    const text = await run(['versions', 'acme.widgets']);
+    const lines = text.stdout.trim().split('\n');
+
+    assert.strictEqual(text.code, EXIT_CODES.ok);
+    assert.strictEqual(lines.length, 3);
+    assert.match(lines[0], /^1\.2\.0 \[pre-release\] — 2024-03-01 \(universal\)$/);
+
+    const json = JSON.parse((await run(['versions', 'acme.native', '--json'])).stdout);
+    assert.deepStrictEqual(json[0].targetPlatforms, ['linux-x64', 'linux-arm64', 'win32-x64']);
+});
+
+test('info reports metadata and latest versions', async () => {
+    const result = await run(['info', 'acme.widgets', '--json']);
+    const info = JSON.parse(result.stdout);
+
+    assert.strictEqual(result.code, EXIT_CODES.ok);
+    assert.strictEqual(info.displayName, 'Acme Widgets');
+    assert.strictEqual(info.latestStable, '1.1.0');
+    assert.strictEqual(info.latestPreRelease, '1.2.0');
+    assert.strictEqual(info.installs, 1234);
+
+    assert.strictEqual((await run(['info', 'acme.missing'])).code, EXIT_CODES.notFound);
+});
+
+test('the executable sets the process exit code', async () => {
+    const script = path.join(__dirname, '..', 'cli', 'vsix-dl.js');
+    const exitCode = await new Promise(resolve => {
+        execFile(process.execPath, [script, 'info', 'acme.missing', '--gallery-url', gallery.galleryUrl], error => {
+            resolve(error ? error.code : 0);
+        });
+    });
+
+    assert.strictEqual(exitCode, EXIT_CODES.notFound);
+});
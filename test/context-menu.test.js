@@ -0,0 +1,90 @@
+// Tests for the marketplace link context menu
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXCore = require('../browser-extension/shared/vsix-core.js');
+const VSIXContextMenu = require('../browser-extension/shared/context-menu.js');
+const { startMockGallery, packageBody } = require('./helpers/mock-gallery.js');
+const { loadWorker, galleryFetch } = require('./helpers/extension-worker.js');
+
+test('menu items are only shown on marketplace item links, parents first', () => {
+    const items = VSIXContextMenu.buildMenuItems();
+    const ids = new Set();
+
+    items.forEach(item => {
+        assert.deepStrictEqual(item.contexts, ['link']);
+        assert.deepStrictEqual(item.targetUrlPatterns, ['*://marketplace.visualstudio.com/items?itemName=*']);
+        if (item.parentId) {
+            assert.ok(ids.has(item.parentId), `${item.id} comes after its parent`);
+        }
+        assert.ok(!ids.has(item.id), `${item.id} is unique`);
+        ids.add(item.id);
+    });
+
+    assert.strictEqual(items[0].id, VSIXContextMenu.MENU_ID);
+    assert.strictEqual(items[0].title, 'Download VSIX');
+    assert.strictEqual(items[1].title, 'Latest version');
+
+    const platformCount = Object.keys(VSIXCore.TARGET_PLATFORMS).length;
+    assert.strictEqual(items.filter(item => item.parentId === 'vsix-link:vsix').length, platformCount + 2);
+    assert.strictEqual(items.filter(item => item.parentId === 'vsix-link:vsixpackage').length, platformCount + 2);
+});
+
+test('clicked item ids give the format and platform to download', () => {
+    assert.deepStrictEqual(VSIXContextMenu.parseMenuItemId('vsix-link:default:default'), { format: 'default', platform: 'default' });
+    assert.deepStrictEqual(VSIXContextMenu.parseMenuItemId('vsix-link:vsixpackage:universal'), { format: 'vsixpackage', platform: 'universal' });
+    assert.deepStrictEqual(VSIXContextMenu.parseMenuItemId('vsix-link:vsix:darwin-arm64'), { format: 'vsix', platform: 'darwin-arm64' });
+
+    // Parents, separators and foreign ids are not downloads
+    assert.strictEqual(VSIXContextMenu.parseMenuItemId('vsix-link'), null);
+    assert.strictEqual(VSIXContextMenu.parseMenuItemId('vsix-link:vsix'), null);
+    assert.strictEqual(VSIXContextMenu.parseMenuItemId('vsix-link-separator'), null);
+    assert.strictEqual(VSIXContextMenu.parseMenuItemId('vsix-link:zip:universal'), null);
+    assert.strictEqual(VSIXContextMenu.parseMenuItemId('vsix-link:vsix:amiga'), null);
+    assert.strictEqual(VSIXContextMenu.parseMenuItemId('other:vsix:universal'), null);
+
+    // Every leaf of the menu can be read back
+    VSIXContextMenu.buildMenuItems()
+        .filter(item => item.id.split(':').length === 3)
+        .forEach(item => assert.ok(VSIXContextMenu.parseMenuItemId(item.id), item.id));
+});
+
+test('clicking a menu item resolves the latest version and queues its download', async () => {
+    const gallery = await startMockGallery([
+        { publisher: 'acme', name: 'widgets', versions: [{ version: '1.1.0' }, { version: '1.0.0' }] }
+    ]);
+
+    try {
+        const { worker, downloads, notifications, evaluate } = await loadWorker({ fetch: galleryFetch(gallery.galleryUrl) });
+
+        await worker.handleContextMenuClick({
+            menuItemId: 'vsix-link:vsix:universal',
+            linkUrl: 'https://marketplace.visualstudio.com/items?itemName=acme.widgets'
+        });
+
+        assert.deepStrictEqual(downloads.calls.download.map(call => call.filename), ['acme.widgets-1.1.0.vsix']);
+        assert.strictEqual(await (await fetch(downloads.calls.download[0].url)).text(), packageBody('acme.widgets', '1.1.0', ''));
+        const [entry] = JSON.parse(JSON.stringify(await evaluate('readHistory()')));
+        assert.strictEqual(entry.version, '1.1.0');
+        assert.strictEqual(notifications.length, 0);
+
+        // Unknown extensions are reported, nothing is downloaded
+        await worker.handleContextMenuClick({
+            menuItemId: 'vsix-link:default:default',
+            linkUrl: 'https://marketplace.visualstudio.com/items?itemName=acme.missing'
+        });
+
+        assert.strictEqual(downloads.calls.download.length, 1);
+        assert.strictEqual(notifications.length, 1);
+        assert.strictEqual(notifications[0].title, 'Download Failed');
+        assert.match(notifications[0].message, /^acme\.missing: /);
+
+        // Links that are not marketplace items are ignored
+        await worker.handleContextMenuClick({ menuItemId: 'vsix-link:vsix:universal', linkUrl: 'https://example.com/items?itemName=acme.widgets' });
+        assert.strictEqual(notifications.length, 1);
+    } finally {
+        await gallery.close();
+    }
+});
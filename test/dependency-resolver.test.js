@@ -0,0 +1,139 @@
+// Tests for the extensionDependencies resolver
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXZip = require('../browser-extension/shared/zip.js');
+const VSIXDependencies = require('../browser-extension/shared/dependency-resolver.js');
+
+/**
+ * Catalog entries: { versions: [{ version, preRelease, targetPlatforms }],
+ * manifest, manifestAsset = true, vsix = true }. Without the manifest
+ * asset the package.json is served inside a generated VSIX.
+ */
+function fakeFetch(catalog) {
+    const requests = [];
+
+    const fetchImpl = async (url, init) => {
+        requests.push(url);
+
+        if (init && init.method === 'POST') {
+            const identifier = JSON.parse(init.body).filters[0].criteria[0].value;
+            const key = Object.keys(catalog).find(id => id.toLowerCase() === identifier.toLowerCase());
+            const extensions = key ? [toGalleryExtension(key, catalog[key])] : [];
+            return new Response(JSON.stringify({ results: [{ extensions }] }), { status: 200 });
+        }
+
+        const match = /\/publisher\/([^/]+)\/extension\/([^/]+)\/[^/]+\/assetbyname\/([A-Za-z.]+)/.exec(url);
+        const ext = match && catalog[`${match[1]}.${match[2]}`];
+        if (!ext) {
+            return new Response('', { status: 404 });
+        }
+
+        if (match[3] === 'Microsoft.VisualStudio.Code.Manifest' && ext.manifestAsset !== false) {
+            return new Response(JSON.stringify(ext.manifest), { status: 200 });
+        }
+        if (match[3] === 'Microsoft.VisualStudio.Services.VSIXPackage' && ext.vsix !== false) {
+            return new Response(VSIXZip.createArchive([{ name: 'extension/package.json', data: JSON.stringify(ext.manifest) }]), { status: 200 });
+        }
+        return new Response('', { status: 404 });
+    };
+
+    return { fetch: fetchImpl, requests };
+}
+
+function toGalleryExtension(identifier, ext) {
+    const [publisher, name] = identifier.split('.');
+    const versions = [];
+
+    (ext.versions || [{ version: '1.0.0' }]).forEach(entry => {
+        const properties = entry.preRelease ? [{ key: 'Microsoft.VisualStudio.Code.PreRelease', value: 'true' }] : [];
+        (entry.targetPlatforms || [undefined]).forEach(platform => {
+            versions.push({ version: entry.version, targetPlatform: platform, properties });
+        });
+    });
+
+    return { publisher: { publisherName: publisher }, extensionName: name, displayName: ext.displayName, versions };
+}
+
+test('dependencies come before dependents, with cycles and unresolved ids reported', async () => {
+    const { fetch } = fakeFetch({
+        'acme.app': { manifest: { displayName: 'App', extensionDependencies: ['acme.lib', 'acme.missing', 'not-an-id'] } },
+        'acme.lib': { manifest: { displayName: 'Lib', extensionDependencies: ['acme.util'] } },
+        'acme.util': { manifest: { extensionDependencies: ['ACME.lib'] } }
+    });
+    const progress = [];
+
+    const result = await VSIXDependencies.resolveDependencies({ identifier: 'acme.app' }, {
+        fetch,
+        onProgress: node => progress.push(node.identifier)
+    });
+
+    assert.deepStrictEqual(result.items.map(item => item.identifier), ['acme.util', 'acme.lib', 'acme.app']);
+    assert.deepStrictEqual(progress, ['acme.util', 'acme.lib', 'acme.app']);
+    assert.deepStrictEqual(result.items.map(item => item.displayName), ['acme.util', 'Lib', 'App']);
+    assert.deepStrictEqual(result.cycles, [['acme.lib', 'acme.util', 'ACME.lib']]);
+    assert.deepStrictEqual(result.unresolved, [
+        { identifier: 'acme.missing', requiredBy: 'acme.app', reason: 'Extension not found: acme.missing' },
+        { identifier: 'not-an-id', requiredBy: 'acme.app', reason: 'Invalid extension identifier' }
+    ]);
+
+    assert.match(VSIXDependencies.describeProblems(result), /^Cycles: acme\.lib → acme\.util → ACME\.lib\. Unresolved: acme\.missing/);
+});
+
+test('each dependency gets the newest version on the channel with a build for the platform', async () => {
+    const { fetch } = fakeFetch({
+        'acme.app': {
+            versions: [{ version: '2.0.0', preRelease: true }, { version: '1.0.0' }],
+            manifest: { extensionDependencies: ['acme.native'] }
+        },
+        'acme.native': {
+            versions: [{ version: '3.0.0', targetPlatforms: ['win32-x64'] }, { version: '2.5.0', targetPlatforms: ['win32-x64', 'linux-x64'] }],
+            manifest: {}
+        }
+    });
+
+    const stable = await VSIXDependencies.resolveDependencies({ identifier: 'acme.app' }, { fetch, platform: 'linux-x64' });
+    assert.deepStrictEqual(stable.items.map(item => [item.identifier, item.version, item.platform]), [
+        ['acme.native', '2.5.0', 'linux-x64'],
+        ['acme.app', '1.0.0', '']
+    ]);
+
+    const prerelease = await VSIXDependencies.resolveDependencies({ identifier: 'acme.app' }, { fetch, channel: 'prerelease', platform: 'darwin-arm64' });
+    assert.deepStrictEqual(prerelease.items.map(item => [item.identifier, item.version]), [['acme.app', '2.0.0']]);
+    assert.deepStrictEqual(prerelease.unresolved.map(item => item.reason), ['No compatible version for macOS Apple Silicon']);
+
+    // Like VSIXGallery.pickLatest in the popup: without any stable release the newest pre-release is used
+    const { fetch: previewFetch } = fakeFetch({
+        'acme.preview': { versions: [{ version: '0.3.0', preRelease: true }, { version: '0.2.0', preRelease: true }], manifest: {} }
+    });
+    const preview = await VSIXDependencies.resolveTarget({ identifier: 'acme.preview' }, { fetch: previewFetch, channel: 'stable' });
+    assert.strictEqual(preview.version, '0.3.0');
+
+    // With a stable release that does not fit, the error names the channel instead of the platform
+    const { fetch: betaFetch } = fakeFetch({
+        'acme.beta': { versions: [{ version: '2.0.0', preRelease: true }, { version: '1.0.0', targetPlatforms: ['win32-x64'] }], manifest: {} }
+    });
+    await assert.rejects(
+        VSIXDependencies.resolveTarget({ identifier: 'acme.beta' }, { fetch: betaFetch, channel: 'stable', platform: 'linux-x64' }),
+        { status: 404, message: 'No compatible stable version for Linux x64; choose the pre-release channel for 2.0.0' }
+    );
+});
+
+test('the manifest is read from the VSIX when the manifest asset is missing', async () => {
+    const { fetch, requests } = fakeFetch({
+        'acme.legacy': { manifestAsset: false, manifest: { displayName: 'Legacy', extensionDependencies: ['acme.gone'] } },
+        'acme.gone': { manifestAsset: false, vsix: false, manifest: {} }
+    });
+
+    const target = { publisher: 'acme', extension: 'legacy', identifier: 'acme.legacy', version: '1.0.0' };
+    const manifest = await VSIXDependencies.fetchManifest(target, { fetch });
+    assert.strictEqual(manifest.displayName, 'Legacy');
+    assert.ok(requests.some(url => url.endsWith('/assetbyname/Microsoft.VisualStudio.Code.Manifest')));
+    assert.ok(requests.some(url => url.endsWith('/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage')));
+
+    const result = await VSIXDependencies.resolveDependencies({ identifier: 'acme.legacy' }, { fetch });
+    assert.deepStrictEqual(result.items.map(item => item.identifier), ['acme.legacy']);
+    assert.deepStrictEqual(result.unresolved, [{ identifier: 'acme.gone', requiredBy: 'acme.legacy', reason: 'Manifest unavailable (HTTP 404)' }]);
+});
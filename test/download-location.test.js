@@ -0,0 +1,75 @@
+// Tests for the download location settings
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXLocation = require('../browser-extension/shared/download-location.js');
+const VSIXSettings = require('../browser-extension/shared/settings.js');
+
+const FILENAME = 'ms-python.python-2024.2.1@linux-x64.vsix';
+const URL = 'data:application/octet-stream;base64,AA==';
+
+// Records every call the way chrome.downloads.download would receive it
+function mockDownloads() {
+    const calls = [];
+    return {
+        calls,
+        download(options) {
+            calls.push(options);
+            return Promise.resolve(calls.length);
+        }
+    };
+}
+
+function settings(changes) {
+    return Object.assign({}, VSIXSettings.DEFAULTS, changes);
+}
+
+test('the default location saves into the download folder without asking', async () => {
+    const downloads = mockDownloads();
+
+    const id = await VSIXLocation.startDownload(downloads, URL, FILENAME, settings(), { identifier: 'ms-python.python' });
+
+    assert.strictEqual(id, 1);
+    assert.deepStrictEqual(downloads.calls, [{ url: URL, filename: FILENAME, saveAs: false, conflictAction: 'uniquify' }]);
+});
+
+test('a subfolder and the per-extension layout prefix the path', async () => {
+    const downloads = mockDownloads();
+    const subfolder = settings({ downloadLocation: 'vsix/extensions' });
+    const perExtension = settings({ downloadLocation: 'vsix', downloadLayout: 'extension' });
+
+    await VSIXLocation.startDownload(downloads, URL, FILENAME, subfolder, { identifier: 'ms-python.python' });
+    await VSIXLocation.startDownload(downloads, URL, FILENAME, perExtension, { identifier: 'ms-python.python' });
+    await VSIXLocation.startDownload(downloads, URL, FILENAME, settings({ downloadLayout: 'extension' }), { identifier: 'acme.widgets.pro' });
+    await VSIXLocation.startDownload(downloads, URL, 'pack-bundle.zip', perExtension, { identifier: '' });
+
+    assert.deepStrictEqual(downloads.calls.map(call => call.filename), [
+        'vsix/extensions/' + FILENAME,
+        'vsix/ms-python/python/' + FILENAME,
+        'acme/widgets.pro/' + FILENAME,
+        'vsix/pack-bundle.zip'
+    ]);
+    assert.ok(downloads.calls.every(call => call.saveAs === false));
+});
+
+test('ask every time opens Save As for packages but not for checksum and signature files', async () => {
+    const downloads = mockDownloads();
+    const ask = settings({ downloadLocation: 'vsix', downloadLayout: 'extension', askWhereToSave: true });
+
+    await VSIXLocation.startDownload(downloads, URL, FILENAME, ask, { identifier: 'ms-python.python' });
+    await VSIXLocation.startDownload(downloads, URL, FILENAME + '.sha256', ask, { identifier: 'ms-python.python', sidecar: true, conflictAction: 'overwrite' });
+
+    assert.deepStrictEqual(downloads.calls, [
+        { url: URL, filename: 'vsix/ms-python/python/' + FILENAME, saveAs: true, conflictAction: 'uniquify' },
+        { url: URL, filename: 'vsix/ms-python/python/' + FILENAME + '.sha256', saveAs: false, conflictAction: 'overwrite' }
+    ]);
+});
+
+test('download location settings are validated', () => {
+    assert.strictEqual(VSIXSettings.validateSetting('downloadLayout', 'extension'), 'extension');
+    assert.strictEqual(VSIXSettings.validateSetting('askWhereToSave', true), true);
+    assert.throws(() => VSIXSettings.validateSetting('downloadLayout', '{publisher}'), /Invalid downloadLayout/);
+    assert.throws(() => VSIXSettings.validateSetting('askWhereToSave', 'always'), /true or false/);
+});
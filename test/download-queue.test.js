@@ -0,0 +1,124 @@
+// Tests for the download queue scheduling rules
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const VSIXQueue = require('../browser-extension/shared/download-queue.js');
+
+function item(id, priority, queuedAt, fields) {
+    return Object.assign(VSIXQueue.createItem({ url: 'https://example.test/' + id }, { priority, now: queuedAt }), { id }, fields);
+}
+
+test('runnable items respect priority, order, backoff and the concurrency limit', () => {
+    const items = [
+        item('a', 'normal', 1),
+        item('b', 'low', 2),
+        item('c', 'high', 3),
+        item('d', 'normal', 4),
+        item('e', 'high', 5, { notBefore: 2000 })
+    ];
+
+    assert.deepStrictEqual(VSIXQueue.takeRunnable(items, 3, 1000).map(entry => entry.id), ['c', 'a', 'd']);
+    assert.deepStrictEqual(VSIXQueue.takeRunnable(items, 3, 2000).map(entry => entry.id), ['c', 'e', 'a']);
+
+    items[0].status = 'running';
+    items[2].status = 'running';
+    assert.deepStrictEqual(VSIXQueue.takeRunnable(items, 3, 1000).map(entry => entry.id), ['d']);
+    assert.deepStrictEqual(VSIXQueue.takeRunnable(items, 2, 1000), []);
+
+    assert.strictEqual(VSIXQueue.nextWakeTime(items, 1000), 2000);
+    assert.strictEqual(VSIXQueue.nextWakeTime(items, 2000), null);
+
+    assert.strictEqual(VSIXQueue.normalizePriority('urgent'), 'normal');
+    assert.strictEqual(VSIXQueue.normalizeConcurrency('4'), 4);
+    assert.strictEqual(VSIXQueue.normalizeConcurrency(0), VSIXQueue.DEFAULT_CONCURRENCY);
+    assert.strictEqual(VSIXQueue.normalizeConcurrency(99), VSIXQueue.DEFAULT_CONCURRENCY);
+});
+
+test('items cut off by a restart are queued again', () => {
+    const restored = VSIXQueue.restoreItems([
+        item('a', 'normal', 1, { status: 'running', attempts: 2 }),
+        item('b', 'normal', 2, { attempts: 1 }),
+        item('c', 'normal', 3, { status: 'running', attempts: 1, downloadId: 7 }),
+        { id: 'broken' }
+    ]);
+
+    assert.deepStrictEqual(restored.map(entry => [entry.id, entry.status, entry.attempts]), [['a', 'queued', 1], ['b', 'queued', 1], ['c', 'running', 1]]);
+    assert.strictEqual(restored[2].downloadId, 7);
+    assert.deepStrictEqual(VSIXQueue.restoreItems(null), []);
+});
+
+test('retries back off exponentially and honour Retry-After', () => {
+    const options = { random: () => 0.5, now: Date.parse('2026-10-19T08:00:00Z') };
+    const serverError = Object.assign(new Error('HTTP 503'), { status: 503 });
+
+    assert.strictEqual(VSIXQueue.getRetryDelay(serverError, 1, options), 2000);
+    assert.strictEqual(VSIXQueue.getRetryDelay(serverError, 2, options), 4000);
+    assert.strictEqual(VSIXQueue.getRetryDelay(serverError, 3, options), 8000);
+    assert.strictEqual(VSIXQueue.getRetryDelay(serverError, 4, options), null);
+    assert.strictEqual(VSIXQueue.getRetryDelay(serverError, 10, Object.assign({ maxAttempts: 20 }, options)), 60000);
+    assert.strictEqual(VSIXQueue.getRetryDelay(serverError, 1, Object.assign({}, options, { random: () => 0 })), 1500);
+
+    const rateLimited = Object.assign(new Error('HTTP 429'), { status: 429, retryAfter: '120' });
+    assert.strictEqual(VSIXQueue.getRetryDelay(rateLimited, 1, options), 120000);
+    rateLimited.retryAfter = 'Mon, 19 Oct 2026 08:00:30 GMT';
+    assert.strictEqual(VSIXQueue.getRetryDelay(rateLimited, 1, options), 30000);
+    rateLimited.retryAfter = 'soon';
+    assert.strictEqual(VSIXQueue.getRetryDelay(rateLimited, 1, options), 2000);
+
+    assert.strictEqual(VSIXQueue.getRetryDelay(Object.assign(new Error('HTTP 404'), { status: 404 }), 1, options), null);
+    assert.strictEqual(VSIXQueue.getRetryDelay(new Error('The browser did not start the download: Invalid filename'), 1, options), null);
+    assert.strictEqual(VSIXQueue.isRetryable(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' })), true);
+});
+
+test('a connection dropped while reading the body is retried', async () => {
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': '1024' });
+        res.write('VSIX');
+        setTimeout(() => res.socket.destroy(), 20);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/package.vsix`);
+        assert.strictEqual(response.ok, true);
+        const error = await response.arrayBuffer().then(() => null, caught => caught);
+
+        assert.ok(error instanceof TypeError, 'the body read rejects with a TypeError');
+        assert.strictEqual(error.status, undefined);
+        assert.strictEqual(VSIXQueue.isRetryable(error), true);
+        assert.strictEqual(VSIXQueue.getRetryDelay(error, 1, { random: () => 0.5 }), 2000);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    assert.strictEqual(VSIXQueue.isRetryable(new TypeError('Failed to fetch')), true);
+    assert.strictEqual(VSIXQueue.isRetryable(new TypeError('NetworkError when attempting to fetch resource.')), true);
+    assert.strictEqual(VSIXQueue.isRetryable(new TypeError('response.headers.get is not a function')), false);
+    assert.strictEqual(VSIXQueue.isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+    assert.strictEqual(VSIXQueue.isRetryable(Object.assign(new Error('disk full'), { code: 'ENOSPC' })), false);
+});
+
+test('interrupted downloads are resumed, restarted or left to the user', () => {
+    assert.deepStrictEqual(VSIXQueue.classifyInterrupt('NETWORK_DISCONNECTED'), { kind: 'network', transient: true });
+    assert.deepStrictEqual(VSIXQueue.classifyInterrupt('SERVER_FORBIDDEN'), { kind: 'server', transient: false });
+    assert.deepStrictEqual(VSIXQueue.classifyInterrupt('USER_CANCELED'), { kind: 'user', transient: false });
+    assert.deepStrictEqual(VSIXQueue.classifyInterrupt('FILE_NO_SPACE'), { kind: 'file', transient: false });
+    assert.deepStrictEqual(VSIXQueue.classifyInterrupt('CRASH'), { kind: 'crash', transient: true });
+    assert.deepStrictEqual(VSIXQueue.classifyInterrupt(''), { kind: 'unknown', transient: false });
+
+    assert.strictEqual(VSIXQueue.getRecoveryAction('NETWORK_FAILED', { canResume: true, recoveries: 0 }), 'resume');
+    assert.strictEqual(VSIXQueue.getRecoveryAction('NETWORK_FAILED', { canResume: false, recoveries: 2 }), 'restart');
+    assert.strictEqual(VSIXQueue.getRecoveryAction('SERVER_NO_RANGE', { canResume: true }), 'restart');
+    assert.strictEqual(VSIXQueue.getRecoveryDelay(1, { random: () => 0.5 }), 2000);
+    assert.strictEqual(VSIXQueue.getRecoveryDelay(3, { random: () => 0.5 }), 8000);
+    assert.strictEqual(VSIXQueue.getRecoveryAction('NETWORK_FAILED', { canResume: true, recoveries: 3 }), null);
+    assert.strictEqual(VSIXQueue.getRecoveryAction('USER_CANCELED', { canResume: true }), null);
+    assert.strictEqual(VSIXQueue.getRecoveryAction('USER_SHUTDOWN', { canResume: true }), 'resume');
+
+    assert.strictEqual(VSIXQueue.describeInterrupt('NETWORK_TIMEOUT'), 'Network error (NETWORK_TIMEOUT)');
+    assert.strictEqual(VSIXQueue.describeInterrupt('USER_SHUTDOWN'), 'Browser closed (USER_SHUTDOWN)');
+    assert.strictEqual(VSIXQueue.describeInterrupt(''), 'Interrupted');
+});
@@ -0,0 +1,67 @@
+// Tests for the shared extension list parser
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXExtensionList = require('../browser-extension/shared/extension-list.js');
+
+test('parses code --list-extensions --show-versions output', () => {
+    const list = VSIXExtensionList.parseExtensionList('ms-python.python@2024.0.0\r\nesbenp.prettier-vscode@10.1.0\r\n');
+
+    assert.deepStrictEqual(list.items, [
+        { identifier: 'ms-python.python', version: '2024.0.0' },
+        { identifier: 'esbenp.prettier-vscode', version: '10.1.0' }
+    ]);
+    assert.deepStrictEqual(list.errors, []);
+});
+
+test('parses plain lists with comments, bare ids, platforms and duplicates', () => {
+    const list = VSIXExtensionList.parseExtensionList([
+        '# team extensions',
+        'dbaeumer.vscode-eslint   # latest',
+        'rust-lang.rust-analyzer@0.3.1850@linux-x64',
+        'dbaeumer.vscode-eslint',
+        'eslint'
+    ].join('\n'));
+
+    assert.deepStrictEqual(list.items, [
+        { identifier: 'dbaeumer.vscode-eslint', version: '' },
+        { identifier: 'rust-lang.rust-analyzer', version: '0.3.1850', platform: 'linux-x64' }
+    ]);
+    assert.deepStrictEqual(list.errors.map(error => error.line), [5]);
+});
+
+test('parses JSON arrays, extensions.json and bundle manifests', () => {
+    const array = VSIXExtensionList.parseExtensionList('["a.b@1.0.0", { "id": "c.d", "platform": "win32-x64" }]');
+    assert.deepStrictEqual(array.items, [
+        { identifier: 'a.b', version: '1.0.0' },
+        { identifier: 'c.d', version: '', platform: 'win32-x64' }
+    ]);
+
+    const recommendations = VSIXExtensionList.parseExtensionList('{\n  // shared\n  "recommendations": ["a.b"]\n}');
+    assert.deepStrictEqual(recommendations.items, [{ identifier: 'a.b', version: '' }]);
+
+    const manifest = VSIXExtensionList.parseExtensionList(JSON.stringify({
+        extensions: [{ id: 'a.b', version: '1.0.0', platform: 'universal' }]
+    }));
+    assert.deepStrictEqual(manifest.items, [{ identifier: 'a.b', version: '1.0.0' }]);
+
+    assert.match(VSIXExtensionList.parseExtensionList('{ nope').errors[0].reason, /^Invalid JSON/);
+});
+
+test('formatted retry lists parse back to the same items', () => {
+    const items = [
+        { identifier: 'a.b', version: '1.0.0', reason: 'HTTP 404' },
+        { identifier: 'c.d', version: '2.0.0', platform: 'darwin-arm64' },
+        { identifier: 'e.f', version: '' }
+    ];
+    const text = VSIXExtensionList.formatExtensionList(items, 'Failed items');
+
+    assert.match(text, /^# Failed items\n# HTTP 404\na\.b@1\.0\.0\n/);
+    assert.deepStrictEqual(VSIXExtensionList.parseExtensionList(text).items, [
+        { identifier: 'a.b', version: '1.0.0' },
+        { identifier: 'c.d', version: '2.0.0', platform: 'darwin-arm64' },
+        { identifier: 'e.f', version: '' }
+    ]);
+});
@@ -0,0 +1,84 @@
+// Tests for extension pack expansion
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXGallery = require('../browser-extension/shared/gallery-client.js');
+const VSIXDependencies = require('../browser-extension/shared/dependency-resolver.js');
+const { startMockGallery } = require('./helpers/mock-gallery.js');
+
+function pack(name, members) {
+    return {
+        publisher: 'acme',
+        name,
+        displayName: `Acme ${name}`,
+        manifest: { displayName: `Acme ${name}`, extensionPack: members },
+        versions: [{ version: '1.0.0', properties: { 'Microsoft.VisualStudio.Code.ExtensionPack': members.join(', ') } }]
+    };
+}
+
+function extension(name, versions) {
+    return { publisher: 'acme', name, manifest: { displayName: `Acme ${name}` }, versions: versions || [{ version: '1.0.0' }] };
+}
+
+const EXTENSIONS = [
+    pack('pack', ['acme.one', 'acme.inner', 'acme.missing']),
+    // Nested pack that lists its parent again
+    pack('inner', ['acme.two', 'ACME.pack']),
+    extension('one', [{ version: '2.0.0', preRelease: true }, { version: '1.5.0' }]),
+    extension('two'),
+    // Published, but neither the manifest asset nor a readable VSIX
+    { publisher: 'acme', name: 'broken', versions: [{ version: '1.0.0' }] }
+];
+
+let gallery;
+
+before(async () => {
+    gallery = await startMockGallery(EXTENSIONS);
+});
+
+after(async () => {
+    await gallery.close();
+});
+
+test('pack members are read from the ExtensionPack property', async () => {
+    const info = await VSIXGallery.getExtensionInfo('acme.pack', { galleryUrl: gallery.galleryUrl });
+    assert.deepStrictEqual(VSIXGallery.listPackMembers(info.versions[0]), ['acme.one', 'acme.inner', 'acme.missing']);
+
+    const member = await VSIXGallery.getExtensionInfo('acme.two', { galleryUrl: gallery.galleryUrl });
+    assert.deepStrictEqual(VSIXGallery.listPackMembers(member.versions[0]), []);
+    assert.deepStrictEqual(VSIXGallery.listPackMembers(null), []);
+});
+
+test('nested packs expand into their members, with cycles and missing members reported', async () => {
+    const result = await VSIXDependencies.resolvePack({ identifier: 'acme.pack' }, { galleryUrl: gallery.galleryUrl });
+
+    assert.strictEqual(result.pack.identifier, 'acme.pack');
+    assert.strictEqual(result.pack.displayName, 'Acme pack');
+    assert.deepStrictEqual(result.members.map(item => [item.identifier, item.version]), [
+        ['acme.one', '1.5.0'],
+        ['acme.two', '1.0.0'],
+        ['acme.inner', '1.0.0']
+    ]);
+    assert.deepStrictEqual(result.members[2].dependencies, ['acme.two', 'ACME.pack']);
+    assert.deepStrictEqual(result.cycles, [['acme.pack', 'acme.inner', 'ACME.pack']]);
+    assert.deepStrictEqual(result.unresolved, [
+        { identifier: 'acme.missing', requiredBy: 'acme.pack', reason: 'Extension not found: acme.missing' }
+    ]);
+
+    const prerelease = await VSIXDependencies.resolvePack({ identifier: 'acme.pack' }, { galleryUrl: gallery.galleryUrl, channel: 'prerelease' });
+    assert.strictEqual(prerelease.members[0].version, '2.0.0');
+});
+
+test('packs whose own manifest cannot be read resolve to nothing', async () => {
+    const result = await VSIXDependencies.resolvePack({ identifier: 'acme.broken' }, { galleryUrl: gallery.galleryUrl });
+
+    assert.strictEqual(result.pack, null);
+    assert.deepStrictEqual(result.members, []);
+    assert.deepStrictEqual(result.unresolved.map(item => [item.identifier, item.requiredBy]), [['acme.broken', null]]);
+    assert.match(result.unresolved[0].reason, /Not a ZIP archive/);
+
+    const unknown = await VSIXDependencies.resolvePack({ identifier: 'acme.nothing' }, { galleryUrl: gallery.galleryUrl });
+    assert.deepStrictEqual(unknown.unresolved.map(item => item.reason), ['Extension not found: acme.nothing']);
+});
@@ -0,0 +1,161 @@
+// Tests for the gallery client's version selection
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXGallery = require('../browser-extension/shared/gallery-client.js');
+const { startMockGallery } = require('./helpers/mock-gallery.js');
+
+const EXTENSIONS = [
+    {
+        publisher: 'acme',
+        name: 'widgets',
+        displayName: 'Acme Widgets',
+        description: 'Widgets for everyone',
+        installs: 1234,
+        versions: [
+            { version: '2.0.0', preRelease: true, targetPlatforms: ['linux-x64', 'win32-x64'], lastUpdated: '2024-03-01T00:00:00Z' },
+            { version: '1.0.0', lastUpdated: '2024-01-01T00:00:00Z', properties: { 'Microsoft.VisualStudio.Code.Engine': '^1.80.0' } }
+        ]
+    }
+];
+
+let gallery;
+
+before(async () => {
+    gallery = await startMockGallery(EXTENSIONS);
+});
+
+after(async () => {
+    await gallery.close();
+});
+
+function entry(version, engine, preRelease) {
+    return {
+        version,
+        preRelease: !!preRelease,
+        targetPlatforms: [],
+        properties: engine ? { [VSIXGallery.ENGINE_PROPERTY]: engine } : {}
+    };
+}
+
+test('satisfiesEngine follows the engines.vscode rules VS Code applies', () => {
+    const cases = [
+        ['^1.80.0', '1.85.2', true],
+        ['^1.80.0', '1.79.9', false],
+        ['^1.80.0', '2.0.0', false],
+        ['^1.85.0-insider', '1.85', true],
+        ['>=1.80.0', '2.1.0', true],
+        ['>=1.80.0', '1.79.0', false],
+        ['1.80.x', '1.80.5', true],
+        ['1.80.x', '1.81.0', false],
+        ['1.85.0', '1.85.1', false],
+        ['^0.10.0', '0.10.5', true],
+        ['^0.10.0', '0.11.0', false],
+        ['^1.0.0', '1.90.0', true],
+        ['*', '1.0.0', true]
+    ];
+
+    for (const [range, version, expected] of cases) {
+        assert.strictEqual(VSIXGallery.satisfiesEngine(range, version), expected, `${range} with ${version}`);
+    }
+
+    assert.strictEqual(VSIXGallery.satisfiesEngine('~1.80', '1.80.0'), null);
+    assert.strictEqual(VSIXGallery.satisfiesEngine('^1.80.0', 'insiders'), null);
+});
+
+test('pickLatest skips releases the target VS Code version cannot install', () => {
+    const versions = [
+        entry('3.0.0', '^1.95.0', true),
+        entry('2.0.0', '^1.90.0'),
+        entry('1.5.0', '^1.80.0'),
+        entry('1.0.0')
+    ];
+
+    assert.strictEqual(VSIXGallery.pickLatest(versions, 'stable').version, '2.0.0');
+    assert.strictEqual(VSIXGallery.pickLatest(versions, 'stable', '1.85.2').version, '1.5.0');
+    assert.strictEqual(VSIXGallery.pickLatest(versions, 'prerelease', '1.96.0').version, '3.0.0');
+    assert.strictEqual(VSIXGallery.pickLatest(versions, 'stable', '1.70.0').version, '1.0.0');
+    assert.strictEqual(VSIXGallery.pickLatest(versions.slice(0, 3), 'stable', '1.70.0'), null);
+    assert.strictEqual(VSIXGallery.pickLatest([entry('3.0.0', '', true), entry('2.0.0', '^1.90.0')], 'stable', '1.70.0'), null);
+    assert.strictEqual(VSIXGallery.pickLatest([entry('0.2.0', '', true), entry('0.1.0', '', true)], 'stable').version, '0.2.0');
+
+    assert.ok(VSIXGallery.isEngineCompatible(versions[3], '1.70.0'));
+    assert.ok(!VSIXGallery.isEngineCompatible(versions[1], '1.85.2'));
+    assert.ok(VSIXGallery.isEngineCompatible(versions[1], ''));
+});
+
+test('searchExtensions posts a search text query and normalizes the results', async () => {
+    let body;
+    const fetch = async (url, init) => {
+        body = JSON.parse(init.body);
+        return {
+            ok: true,
+            json: async () => ({
+                results: [{
+                    extensions: [{
+                        publisher: { publisherName: 'ms-python', displayName: 'Microsoft' },
+                        extensionName: 'python',
+                        displayName: 'Python',
+                        statistics: [{ statisticName: 'install', value: 42 }],
+                        versions: [{ version: '2024.2.1', properties: [] }]
+                    }]
+                }]
+            })
+        };
+    };
+
+    const results = await VSIXGallery.searchExtensions(' python ', { fetch, pageSize: 5 });
+
+    assert.deepStrictEqual(body.filters[0].criteria[0], { filterType: 10, value: 'python' });
+    assert.strictEqual(body.filters[0].pageSize, 5);
+    assert.ok(body.flags & VSIXGallery.QUERY_FLAGS.includeLatestVersionOnly);
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].identifier, 'ms-python.python');
+    assert.strictEqual(results[0].displayName, 'Python');
+    assert.strictEqual(results[0].installs, 42);
+    assert.strictEqual(results[0].versions[0].version, '2024.2.1');
+
+    assert.deepStrictEqual(await VSIXGallery.searchExtensions('  ', { fetch: () => assert.fail('no request for empty text') }), []);
+});
+
+test('getExtensionInfo sends an extensionquery and groups the versions', async () => {
+    const info = await VSIXGallery.getExtensionInfo('ACME.widgets', { galleryUrl: gallery.galleryUrl });
+    const query = gallery.requests[gallery.requests.length - 1];
+
+    assert.strictEqual(query.method, 'POST');
+    assert.ok(query.path.endsWith('/_apis/public/gallery/extensionquery'));
+    assert.deepStrictEqual(query.body.filters[0].criteria, [
+        { filterType: 7, value: 'ACME.widgets' },
+        { filterType: 8, value: 'Microsoft.VisualStudio.Code' }
+    ]);
+    assert.strictEqual(query.body.filters[0].pageSize, 1);
+    assert.strictEqual(query.body.flags & VSIXGallery.QUERY_FLAGS.includeVersions, VSIXGallery.QUERY_FLAGS.includeVersions);
+
+    assert.strictEqual(info.identifier, 'acme.widgets');
+    assert.strictEqual(info.displayName, 'Acme Widgets');
+    assert.strictEqual(info.description, 'Widgets for everyone');
+    assert.strictEqual(info.installs, 1234);
+    assert.deepStrictEqual(info.versions.map(entry => [entry.version, entry.preRelease, entry.targetPlatforms]), [
+        ['2.0.0', true, ['linux-x64', 'win32-x64']],
+        ['1.0.0', false, []]
+    ]);
+    assert.strictEqual(VSIXGallery.getEngineRange(info.versions[1]), '^1.80.0');
+    assert.strictEqual(VSIXGallery.pickLatest(info.versions, 'stable').version, '1.0.0');
+});
+
+test('unknown extensions, empty answers and HTTP errors are told apart', async () => {
+    const options = { galleryUrl: gallery.galleryUrl };
+
+    assert.strictEqual(await VSIXGallery.getExtensionInfo('acme.missing', options), null);
+    await assert.rejects(VSIXGallery.getVersions('acme.missing', options), error => error.status === 404);
+
+    const empty = { fetch: async () => ({ ok: true, json: async () => ({}) }) };
+    assert.strictEqual(await VSIXGallery.queryExtension('acme.widgets', empty), null);
+
+    gallery.failNext('extensionquery', 1, 503);
+    await assert.rejects(VSIXGallery.getExtensionInfo('acme.widgets', options), error => error.status === 503 && /HTTP 503/.test(error.message));
+
+    await assert.rejects(VSIXGallery.getExtensionInfo('widgets', options), /Invalid extension identifier/);
+});
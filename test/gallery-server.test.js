@@ -0,0 +1,180 @@
+// Tests for the offline gallery server
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const VSIXZip = require('../browser-extension/shared/zip.js');
+const { createGalleryServer, compareVersions, FILTER_TYPE } = require('../cli/gallery-server.js');
+const { main, EXIT_CODES } = require('../cli/vsix-dl.js');
+
+let server;
+let galleryUrl;
+let packageDir;
+let outDir;
+
+function writeVsix(dir, ext) {
+    const identifier = `${ext.publisher}.${ext.name}`;
+    const properties = (ext.properties || []).map(([key, value]) => `      <Property Id="${key}" Value="${value}" />`).join('\n');
+    const manifest = `<?xml version="1.0" encoding="utf-8"?>
+<PackageManifest Version="2.0.0" xmlns="http://schemas.microsoft.com/developer/vsx-schema/2011">
+  <Metadata>
+    <Identity Language="en-US" Id="${ext.name}" Version="${ext.version}" Publisher="${ext.publisher}"${ext.targetPlatform ? ` TargetPlatform="${ext.targetPlatform}"` : ''}/>
+    <DisplayName>${ext.displayName || ext.name}</DisplayName>
+    <Description xml:space="preserve">${ext.description || ''}</Description>
+    <Tags>${(ext.tags || []).join(',')}</Tags>
+    <Categories>Other</Categories>
+    <Properties>
+${properties}
+    </Properties>
+  </Metadata>
+  <Assets>
+    <Asset Type="Microsoft.VisualStudio.Code.Manifest" Path="extension/package.json" Addressable="true" />
+    <Asset Type="Microsoft.VisualStudio.Services.Content.Details" Path="extension/README.md" Addressable="true" />
+  </Assets>
+</PackageManifest>`;
+
+    const data = VSIXZip.createArchive([
+        { name: 'extension.vsixmanifest', data: manifest },
+        { name: 'extension/package.json', data: JSON.stringify({ publisher: ext.publisher, name: ext.name, version: ext.version }) },
+        { name: 'extension/README.md', data: `# ${identifier}` }
+    ]);
+    const file = path.join(dir, `${identifier}-${ext.version}${ext.targetPlatform ? '@' + ext.targetPlatform : ''}.vsix`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, data);
+    return file;
+}
+
+async function query(criteria, extra) {
+    const response = await fetch(`${galleryUrl}/extensionquery`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ filters: [Object.assign({ criteria }, extra)], flags: 0x93 })
+    });
+    assert.strictEqual(response.status, 200);
+    return (await response.json()).results[0];
+}
+
+async function run(args) {
+    const io = { stdout: '', stderr: '' };
+    const streams = {
+        stdout: { write: chunk => { io.stdout += chunk; } },
+        stderr: { write: chunk => { io.stderr += chunk; } }
+    };
+    const code = await main(args.concat(['--gallery-url', galleryUrl, '--quiet']), streams);
+    return { code, stdout: io.stdout, stderr: io.stderr };
+}
+
+before(async () => {
+    packageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vsix-gallery-test-'));
+    outDir = path.join(packageDir, '..', path.basename(packageDir) + '-out');
+
+    writeVsix(packageDir, { publisher: 'acme', name: 'widgets', version: '1.0.0', displayName: 'Acme Widgets', tags: ['widgets'] });
+    writeVsix(packageDir, { publisher: 'acme', name: 'widgets', version: '1.10.0', displayName: 'Acme Widgets', tags: ['widgets'] });
+    writeVsix(packageDir, {
+        publisher: 'acme',
+        name: 'widgets',
+        version: '1.11.0',
+        displayName: 'Acme Widgets',
+        properties: [['Microsoft.VisualStudio.Code.PreRelease', 'true']]
+    });
+    writeVsix(path.join(packageDir, 'native'), { publisher: 'acme', name: 'native', version: '2.0.0', targetPlatform: 'linux-x64', description: 'Native bits' });
+    writeVsix(path.join(packageDir, 'native'), { publisher: 'acme', name: 'native', version: '2.0.0', targetPlatform: 'win32-x64', description: 'Native bits' });
+    fs.writeFileSync(path.join(packageDir, 'broken.vsix'), 'not a zip');
+
+    server = createGalleryServer({ dir: packageDir });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    galleryUrl = `http://127.0.0.1:${server.address().port}/_apis/public/gallery`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(packageDir, { recursive: true, force: true });
+    fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+test('compareVersions orders numerically with pre-release tags first', () => {
+    assert.ok(compareVersions('1.10.0', '1.9.0') > 0);
+    assert.ok(compareVersions('2.0.0-beta', '2.0.0') < 0);
+    assert.strictEqual(compareVersions('1.0', '1.0.0'), 0);
+});
+
+test('extensionquery finds extensions by name with versions newest first', async () => {
+    const result = await query([{ filterType: FILTER_TYPE.extensionName, value: 'ACME.widgets' }]);
+    const ext = result.extensions[0];
+
+    assert.strictEqual(result.extensions.length, 1);
+    assert.strictEqual(ext.displayName, 'Acme Widgets');
+    assert.strictEqual(ext.publisher.publisherName, 'acme');
+    assert.deepStrictEqual(ext.versions.map(version => version.version), ['1.11.0', '1.10.0', '1.0.0']);
+    assert.strictEqual(ext.versions[0].assetUri, `${galleryUrl}/publisher/acme/extension/widgets/1.11.0/assetbyname`);
+    assert.deepStrictEqual(ext.versions[0].properties, [{ key: 'Microsoft.VisualStudio.Code.PreRelease', value: 'true' }]);
+});
+
+test('extensionquery supports search text, ids, alternatives and paging', async () => {
+    const search = await query([{ filterType: FILTER_TYPE.searchText, value: 'native' }]);
+    assert.deepStrictEqual(search.extensions.map(ext => ext.extensionName), ['native']);
+    assert.deepStrictEqual(search.extensions[0].versions.map(version => version.targetPlatform), ['linux-x64', 'win32-x64']);
+
+    const byId = await query([{ filterType: FILTER_TYPE.extensionId, value: search.extensions[0].extensionId }]);
+    assert.strictEqual(byId.extensions[0].extensionName, 'native');
+
+    const both = await query([
+        { filterType: FILTER_TYPE.extensionName, value: 'acme.widgets' },
+        { filterType: FILTER_TYPE.extensionName, value: 'acme.native' },
+        { filterType: FILTER_TYPE.target, value: 'Microsoft.VisualStudio.Code' }
+    ], { pageNumber: 2, pageSize: 1 });
+    assert.strictEqual(both.resultMetadata[0].metadataItems[0].count, 2);
+    assert.strictEqual(both.extensions.length, 1);
+    assert.strictEqual(both.extensions[0].extensionName, 'native');
+});
+
+test('serves packages and assets at the URL template paths', async () => {
+    const base = `${galleryUrl}/publisher/acme/extension/widgets/1.0.0/assetbyname`;
+
+    const vsix = await fetch(`${base}/Microsoft.VisualStudio.Services.VSIXPackage`);
+    assert.strictEqual(vsix.status, 200);
+    assert.deepStrictEqual(Buffer.from(await vsix.arrayBuffer()), fs.readFileSync(path.join(packageDir, 'acme.widgets-1.0.0.vsix')));
+
+    const manifest = await fetch(`${base}/Microsoft.VisualStudio.Code.Manifest`);
+    assert.strictEqual((await manifest.json()).version, '1.0.0');
+
+    const readme = await fetch(`${base}/Microsoft.VisualStudio.Services.Content.Details`);
+    assert.strictEqual(await readme.text(), '# acme.widgets');
+
+    assert.strictEqual((await fetch(`${base}/Microsoft.VisualStudio.Services.Icons.Default`)).status, 404);
+    assert.strictEqual((await fetch(`${galleryUrl}/publishers/acme/vsextensions/native/2.0.0/vspackage?targetPlatform=darwin-arm64`)).status, 404);
+
+    const malformed = await fetch(`${galleryUrl}/publisher/acme/extension/widgets/%E0%A4%A/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage`);
+    assert.strictEqual(malformed.status, 400);
+    assert.match((await malformed.json()).message, /percent-encoding/);
+
+    const latest = await (await fetch(`${galleryUrl}/vscode/acme/widgets/latest`)).json();
+    assert.deepStrictEqual(latest.versions.map(version => version.version), ['1.11.0']);
+});
+
+test('vsix-dl downloads from the local gallery', async () => {
+    const stable = await run(['get', 'acme.widgets', '--out', outDir]);
+    assert.strictEqual(stable.code, EXIT_CODES.ok);
+    assert.strictEqual(stable.stdout.trim(), path.join(outDir, 'acme.widgets-1.10.0.vsix'));
+
+    const native = await run(['get', 'acme.native', '--platform', 'win32-x64', '--format', 'vsixpackage', '--out', outDir]);
+    assert.strictEqual(native.code, EXIT_CODES.ok);
+    assert.deepStrictEqual(
+        fs.readFileSync(path.join(outDir, 'acme.native-2.0.0@win32-x64.vsixpackage')),
+        fs.readFileSync(path.join(packageDir, 'native', 'acme.native-2.0.0@win32-x64.vsix'))
+    );
+});
+
+test('new packages appear without a restart and broken ones are skipped', async () => {
+    writeVsix(packageDir, { publisher: 'acme', name: 'widgets', version: '1.12.0', displayName: 'Acme Widgets' });
+
+    const result = await query([{ filterType: FILTER_TYPE.extensionName, value: 'acme.widgets' }]);
+    assert.strictEqual(result.extensions[0].versions[0].version, '1.12.0');
+
+    const { skipped } = server.index.current();
+    assert.deepStrictEqual(skipped.map(item => path.basename(item.file)), ['broken.vsix']);
+});
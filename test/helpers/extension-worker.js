@@ -0,0 +1,273 @@
+// Background worker harness for VSIX Downloader tests
+'use strict';
+
+/**
+ * Runs browser-extension/background/background.js in its own VM context:
+ * - A chrome.* stand-in with in-memory storage, a scripted
+ *   chrome.downloads (download, search, resume), granted host permissions
+ *   and recorded notifications
+ * - importScripts() loading the shared modules from the extension folder
+ * - fetch supplied by the test
+ * - With `offscreen`, Chrome's service worker limits: no URL.createObjectURL,
+ *   an in-memory Cache Storage and chrome.offscreen running
+ *   offscreen/offscreen.js in a context of its own
+ *
+ * Top-level functions of the worker are properties of `worker`; `evaluate`
+ * reads anything else (e.g. the `state` object).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const VSIXGallery = require('../../browser-extension/shared/gallery-client.js');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..', 'browser-extension');
+const ORIGIN = 'chrome-extension://vsix-downloader-test';
+
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners,
+        addListener(listener) {
+            listeners.push(listener);
+        }
+    };
+}
+
+function createStorageArea(initial) {
+    const data = Object.assign({}, initial);
+    return {
+        data,
+        async get(keys) {
+            if (keys === null || keys === undefined) {
+                return JSON.parse(JSON.stringify(data));
+            }
+            const defaults = typeof keys === 'string' ? { [keys]: undefined } : keys;
+            const result = {};
+            Object.keys(defaults).forEach(key => {
+                const value = key in data ? data[key] : defaults[key];
+                if (value !== undefined) {
+                    result[key] = JSON.parse(JSON.stringify(value));
+                }
+            });
+            return result;
+        },
+        async set(items) {
+            Object.assign(data, JSON.parse(JSON.stringify(items)));
+        },
+        async remove(keys) {
+            [].concat(keys).forEach(key => delete data[key]);
+        }
+    };
+}
+
+/**
+ * downloads.items maps download ids to what chrome.downloads.search
+ * returns, starting with `initial`; downloads.calls records download()
+ * options and resume() ids.
+ */
+function createDownloads(initial) {
+    const items = new Map((initial || []).map(item => [item.id, item]));
+    const calls = { download: [], resume: [] };
+    let nextId = Math.max(0, ...items.keys()) + 1;
+
+    return {
+        items,
+        calls,
+        onChanged: createEvent(),
+        onCreated: createEvent(),
+        async download(options) {
+            const id = nextId++;
+            calls.download.push(options);
+            items.set(id, { id, url: options.url, filename: options.filename, state: 'in_progress', canResume: false, fileSize: 0 });
+            return id;
+        },
+        async search(query) {
+            return items.has(query.id) ? [Object.assign({}, items.get(query.id))] : [];
+        },
+        async resume(id) {
+            calls.resume.push(id);
+        }
+    };
+}
+
+// Cache Storage shared by the worker and the offscreen document
+function createCaches() {
+    const stores = new Map();
+    const keyOf = request => typeof request === 'string' ? request : request.url;
+
+    return {
+        stores,
+        async open(name) {
+            if (!stores.has(name)) {
+                stores.set(name, new Map());
+            }
+            const store = stores.get(name);
+            return {
+                async put(request, response) {
+                    store.set(keyOf(request), response);
+                },
+                async match(request) {
+                    const response = store.get(keyOf(request));
+                    return response ? response.clone() : undefined;
+                },
+                async delete(request) {
+                    return store.delete(keyOf(request));
+                },
+                async keys() {
+                    return [...store.keys()].map(url => ({ url }));
+                }
+            };
+        }
+    };
+}
+
+/**
+ * chrome.offscreen and the runtime calls the worker uses to reach the
+ * offscreen document. `documents` counts createDocument() calls.
+ */
+function createOffscreen(caches) {
+    const listeners = [];
+    const offscreen = { documents: 0 };
+
+    offscreen.api = {
+        async createDocument(options) {
+            offscreen.documents++;
+            const context = vm.createContext({
+                chrome: { runtime: { onMessage: { addListener: listener => listeners.push(listener) } } },
+                caches,
+                URL,
+                console
+            });
+            // Runs the scripts the document loads
+            const page = path.join(EXTENSION_DIR, options.url);
+            const scripts = fs.readFileSync(page, 'utf8').match(/<script src="[^"]+"/g) || [];
+            scripts.forEach(tag => {
+                const filename = path.join(path.dirname(page), tag.slice(13, -1));
+                vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+            });
+        }
+    };
+    offscreen.getContexts = async () => (offscreen.documents > 0 ? [{ contextType: 'OFFSCREEN_DOCUMENT' }] : []);
+    offscreen.sendMessage = message => new Promise(resolve => {
+        const pending = listeners.some(listener => listener(message, {}, resolve) === true);
+        if (!pending) {
+            resolve(undefined);
+        }
+    });
+    return offscreen;
+}
+
+// URL without blob: support, as in a service worker
+class WorkerURL extends URL {}
+WorkerURL.createObjectURL = undefined;
+WorkerURL.revokeObjectURL = undefined;
+
+/**
+ * Loads the worker. options: { fetch, sync, local, downloads, origins,
+ * offscreen } with the initial storage contents, browser downloads and
+ * granted optional host permissions. Resolves once its settings and queue
+ * are loaded.
+ */
+async function loadWorker(options) {
+    const opts = options || {};
+    const notifications = [];
+    const downloads = createDownloads(opts.downloads);
+    const caches = createCaches();
+    const offscreen = opts.offscreen ? createOffscreen(caches) : null;
+
+    const chrome = {
+        runtime: {
+            onInstalled: createEvent(),
+            onMessage: createEvent(),
+            lastError: undefined,
+            getContexts: offscreen ? offscreen.getContexts : undefined,
+            sendMessage: offscreen ? offscreen.sendMessage : undefined
+        },
+        offscreen: offscreen ? offscreen.api : undefined,
+        permissions: {
+            async contains(query) {
+                return query.origins.every(origin => (opts.origins || []).includes(origin));
+            }
+        },
+        downloads,
+        alarms: { onAlarm: createEvent(), create: async () => {}, clear: async () => true },
+        contextMenus: { onClicked: createEvent(), create: () => {}, removeAll: async () => {} },
+        omnibox: { onInputChanged: createEvent(), onInputEntered: createEvent(), setDefaultSuggestion: () => {} },
+        notifications: {
+            async create(options) {
+                notifications.push(options);
+            }
+        },
+        storage: {
+            sync: createStorageArea(opts.sync),
+            local: createStorageArea(opts.local),
+            onChanged: createEvent()
+        }
+    };
+
+    const context = vm.createContext({
+        chrome,
+        console,
+        fetch: opts.fetch || (async () => {
+            throw new TypeError('fetch failed');
+        }),
+        Response,
+        Blob,
+        AbortController,
+        TextEncoder,
+        TextDecoder,
+        URL: offscreen ? WorkerURL : URL,
+        caches,
+        crypto: globalThis.crypto,
+        btoa,
+        atob,
+        navigator: { userAgent: 'Mozilla/5.0 (X11; Linux x86_64)', platform: 'Linux x86_64' },
+        // Worker timers must not keep the test process alive
+        setTimeout: (fn, ms) => {
+            const timer = setTimeout(fn, ms);
+            timer.unref();
+            return timer;
+        },
+        clearTimeout
+    });
+
+    context.self = context;
+    context.self.location = { origin: ORIGIN };
+    context.importScripts = (...files) => {
+        files.forEach(file => {
+            const filename = path.join(EXTENSION_DIR, file);
+            vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+        });
+    };
+
+    const filename = path.join(EXTENSION_DIR, 'background', 'background.js');
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+
+    const evaluate = expression => vm.runInContext(expression, context);
+    await evaluate('downloadQueue.ready');
+
+    return { worker: context, chrome, downloads, notifications, caches, offscreen, evaluate };
+}
+
+/**
+ * A fetch for the worker that sends marketplace and CDN requests to a mock
+ * gallery (see mock-gallery.js) and fails everything else, like an offline
+ * browser would.
+ */
+function galleryFetch(galleryUrl) {
+    return async (url, init) => {
+        const mapped = VSIXGallery.mapToGallery(String(url), { galleryUrl });
+        if (mapped === String(url)) {
+            throw new TypeError('fetch failed');
+        }
+        return fetch(mapped, init);
+    };
+}
+
+module.exports = {
+    ORIGIN,
+    galleryFetch,
+    loadWorker
+};
@@ -0,0 +1,166 @@
+// Mock marketplace gallery for VSIX Downloader tests
+'use strict';
+
+/**
+ * Local HTTP stand-in for the marketplace:
+ * - POST <gallery>/extensionquery answers filterType 7 (extension name);
+ *   the parsed query is kept on the request record as `body`
+ * - GET <gallery>/publisher/.../assetbyname/<asset> and
+ *   <gallery>/publishers/.../vspackage serve generated package bodies;
+ *   the Microsoft.VisualStudio.Code.Manifest asset serves `manifest`
+ * - failNext() injects error responses to exercise retries
+ *
+ * Extensions are described as:
+ *   { publisher, name, displayName, manifest, versions: [{ version, preRelease, targetPlatforms, lastUpdated, properties }] }
+ * with versions listed newest first, like the real gallery.
+ */
+
+const http = require('http');
+
+const GALLERY_PATH = '/_apis/public/gallery';
+
+function packageBody(identifier, version, platform) {
+    return `VSIX ${identifier}@${version}${platform ? '@' + platform : ''}`;
+}
+
+function toGalleryExtension(ext) {
+    const versions = [];
+
+    ext.versions.forEach(entry => {
+        const properties = [];
+        if (entry.preRelease) {
+            properties.push({ key: 'Microsoft.VisualStudio.Code.PreRelease', value: 'true' });
+        }
+        Object.entries(entry.properties || {}).forEach(([key, value]) => properties.push({ key, value }));
+
+        const platforms = entry.targetPlatforms && entry.targetPlatforms.length ? entry.targetPlatforms : [undefined];
+        platforms.forEach(platform => {
+            versions.push({
+                version: entry.version,
+                targetPlatform: platform,
+                lastUpdated: entry.lastUpdated || '2024-01-01T00:00:00Z',
+                properties
+            });
+        });
+    });
+
+    return {
+        publisher: { publisherName: ext.publisher, displayName: ext.publisherDisplayName || ext.publisher },
+        extensionName: ext.name,
+        displayName: ext.displayName || ext.name,
+        shortDescription: ext.description || '',
+        statistics: [{ statisticName: 'install', value: ext.installs || 0 }],
+        versions
+    };
+}
+
+/**
+ * Starts the server on a random local port. Resolves to
+ * { galleryUrl, requests, failNext(match, count, status, headers), close() }.
+ */
+async function startMockGallery(extensions) {
+    const requests = [];
+    const failures = [];
+
+    function findExtension(identifier) {
+        return extensions.find(ext => `${ext.publisher}.${ext.name}`.toLowerCase() === String(identifier).toLowerCase());
+    }
+
+    function sendPackage(res, publisher, name, version, platform) {
+        const ext = findExtension(`${publisher}.${name}`);
+        const entry = ext && ext.versions.find(item => item.version === version);
+        const platforms = entry ? entry.targetPlatforms || [] : [];
+
+        if (!entry || (platforms.length && !platforms.includes(platform))) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        const body = Buffer.from(packageBody(`${ext.publisher}.${ext.name}`, version, platforms.length ? platform : ''));
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': body.length });
+        res.end(body);
+    }
+
+    function sendManifest(res, publisher, name, version) {
+        const ext = findExtension(`${publisher}.${name}`);
+        if (!ext || !ext.manifest || !ext.versions.some(item => item.version === version)) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(ext.manifest));
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const record = { method: req.method, path: url.pathname, search: url.search };
+        requests.push(record);
+
+        const failure = failures.find(item => item.count > 0 && url.pathname.includes(item.match));
+        if (failure) {
+            failure.count--;
+            res.writeHead(failure.status, failure.headers);
+            res.end();
+            return;
+        }
+
+        const route = url.pathname.startsWith(GALLERY_PATH) ? url.pathname.slice(GALLERY_PATH.length) : null;
+        let match;
+
+        if (req.method === 'POST' && route === '/extensionquery') {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const query = JSON.parse(body);
+                record.body = query;
+                const criterion = query.filters[0].criteria.find(item => item.filterType === 7);
+                const ext = criterion && findExtension(criterion.value);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ results: [{ extensions: ext ? [toGalleryExtension(ext)] : [] }] }));
+            });
+            return;
+        }
+
+        if (route && (match = /^\/publisher\/([^/]+)\/extension\/([^/]+)\/([^/]+)\/assetbyname\/Microsoft\.VisualStudio\.Services\.VSIXPackage$/.exec(route))) {
+            sendPackage(res, match[1], match[2], match[3], url.searchParams.get('targetPlatform') || '');
+            return;
+        }
+
+        if (route && (match = /^\/publisher\/([^/]+)\/extension\/([^/]+)\/([^/]+)\/assetbyname\/Microsoft\.VisualStudio\.Code\.Manifest$/.exec(route))) {
+            sendManifest(res, match[1], match[2], match[3]);
+            return;
+        }
+
+        if (route && (match = /^\/publishers\/([^/]+)\/vsextensions\/([^/]+)\/([^/]+)\/vspackage$/.exec(route))) {
+            sendPackage(res, match[1], match[2], match[3], url.searchParams.get('targetPlatform') || '');
+            return;
+        }
+
+        res.writeHead(404);
+        res.end();
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        galleryUrl: `http://127.0.0.1:${port}${GALLERY_PATH}`,
+        requests,
+        failNext(match, count, status, headers) {
+            failures.push({ match, count, status, headers: headers || {} });
+        },
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = {
+    packageBody,
+    startMockGallery
+};
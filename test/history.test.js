@@ -0,0 +1,69 @@
+// Tests for the download history helpers
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXHistory = require('../browser-extension/shared/history.js');
+
+const NOW = new Date('2026-10-19T08:30:00.000Z');
+
+function entry(fields) {
+    return VSIXHistory.createEntry(fields, NOW);
+}
+
+test('entries are added newest first, capped and updated by download id', () => {
+    const first = entry({ id: 'a', downloadId: 1, identifier: 'acme.widgets', version: '1.0.0', filename: 'acme.widgets-1.0.0.vsix' });
+    const second = entry({ id: 'b', downloadId: 2, identifier: 'acme.gadgets', version: '2.0.0', platform: 'linux-x64' });
+
+    assert.strictEqual(first.time, '2026-10-19T08:30:00.000Z');
+    assert.strictEqual(first.result, 'in_progress');
+    assert.strictEqual(first.size, null);
+
+    let history = VSIXHistory.addEntry([], first);
+    history = VSIXHistory.addEntry(history, second);
+    assert.deepStrictEqual(history.map(item => item.id), ['b', 'a']);
+    assert.deepStrictEqual(VSIXHistory.addEntry(history, entry({ id: 'c' }), 2).map(item => item.id), ['c', 'b']);
+
+    const updated = VSIXHistory.updateEntry(history, 1, { result: 'complete', size: 2048 });
+    assert.strictEqual(VSIXHistory.findEntry(updated, 'a').result, 'complete');
+    assert.strictEqual(VSIXHistory.findEntry(updated, 'a').size, 2048);
+    assert.strictEqual(VSIXHistory.findEntry(history, 'a').result, 'in_progress');
+    assert.deepStrictEqual(VSIXHistory.updateEntry(history, 99, { result: 'complete' }), history);
+
+    const restarted = VSIXHistory.replaceEntry(updated, entry({ id: 'a', downloadId: 3, recoveries: 1 }));
+    assert.deepStrictEqual(restarted.map(item => [item.id, item.downloadId, item.recoveries]), [['a', 3, 1], ['b', 2, 0]]);
+});
+
+test('search matches every word across the entry fields', () => {
+    const history = [
+        entry({ id: 'a', identifier: 'acme.widgets', version: '1.0.0', platform: 'linux-x64', sha256: 'abc123', result: 'complete' }),
+        entry({ id: 'b', identifier: 'acme.gadgets', version: '2.0.0', result: 'interrupted' })
+    ];
+
+    assert.deepStrictEqual(VSIXHistory.searchHistory(history, 'ACME').map(item => item.id), ['a', 'b']);
+    assert.deepStrictEqual(VSIXHistory.searchHistory(history, 'acme linux').map(item => item.id), ['a']);
+    assert.deepStrictEqual(VSIXHistory.searchHistory(history, 'interrupted').map(item => item.id), ['b']);
+    assert.deepStrictEqual(VSIXHistory.searchHistory(history, 'abc1').map(item => item.id), ['a']);
+    assert.strictEqual(VSIXHistory.searchHistory(history, '  ').length, 2);
+
+    assert.strictEqual(VSIXHistory.canRedownload(history[0]), false);
+    assert.strictEqual(VSIXHistory.canRedownload(entry({ url: 'https://open-vsx.org/api/acme/widgets/1.0.0/file/acme.widgets-1.0.0.vsix' })), true);
+    assert.strictEqual(VSIXHistory.canRedownload(entry({ url: 'blob:chrome-extension://id/uuid' })), false);
+});
+
+test('history exports as JSON and CSV', () => {
+    const history = [
+        entry({ id: 'a', identifier: 'acme.widgets', version: '1.0.0', filename: 'acme.widgets-1.0.0.vsix', size: 10, result: 'failed', error: 'Server responded with "HTTP 500", try again' })
+    ];
+
+    assert.deepStrictEqual(JSON.parse(VSIXHistory.toJSON(history)), history);
+
+    const lines = VSIXHistory.toCSV(history).split('\r\n');
+    assert.strictEqual(lines[0], 'time,identifier,version,platform,filename,size,sha256,signature,result,error,url');
+    assert.strictEqual(lines[1], '2026-10-19T08:30:00.000Z,acme.widgets,1.0.0,,acme.widgets-1.0.0.vsix,10,,,failed,"Server responded with ""HTTP 500"", try again",');
+    assert.strictEqual(lines[2], '');
+
+    assert.strictEqual(VSIXHistory.buildExportFilename('csv', NOW), 'vsix-history-2026-10-19.csv');
+    assert.strictEqual(VSIXHistory.buildExportFilename('json', NOW), 'vsix-history-2026-10-19.json');
+});
@@ -0,0 +1,89 @@
+// Tests for the VSIX inspector
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXZip = require('../browser-extension/shared/zip.js');
+const VSIXInspector = require('../browser-extension/shared/inspector.js');
+
+const MANIFEST = `<?xml version="1.0" encoding="utf-8"?>
+<PackageManifest Version="2.0.0" xmlns="http://schemas.microsoft.com/developer/vsx-schema/2011">
+  <Metadata>
+    <Identity Language="en-US" Id="widgets" Version="1.2.0" Publisher="acme" TargetPlatform="linux-x64"/>
+    <DisplayName>Acme &amp; Widgets</DisplayName>
+    <Description xml:space="preserve">Widgets for everyone</Description>
+    <Tags>widgets,tools</Tags>
+    <Categories>Other</Categories>
+    <Properties>
+      <Property Id="Microsoft.VisualStudio.Code.Engine" Value="^1.80.0" />
+    </Properties>
+  </Metadata>
+  <Assets>
+    <Asset Type="Microsoft.VisualStudio.Code.Manifest" Path="extension/package.json" Addressable="true" />
+  </Assets>
+</PackageManifest>`;
+
+const PACKAGE_JSON = {
+    name: 'widgets',
+    publisher: 'acme',
+    version: '1.2.0',
+    engines: { vscode: '^1.80.0' },
+    main: './out/main.js',
+    activationEvents: ['onLanguage:widget', 'onCommand:widgets.run'],
+    contributes: { commands: [{ command: 'widgets.run' }, { command: 'widgets.stop' }], configuration: { title: 'Widgets' } },
+    extensionDependencies: ['acme.core'],
+    dependencies: { 'left-pad': '1.3.0' }
+};
+
+function createVsix() {
+    return VSIXZip.createArchive([
+        { name: 'extension.vsixmanifest', data: MANIFEST },
+        { name: 'extension/package.json', data: JSON.stringify(PACKAGE_JSON) },
+        { name: 'extension/out/main.js', data: 'exports.activate = () => {};' },
+        { name: 'extension/README.md', data: '# Widgets' }
+    ]);
+}
+
+test('inspectPackage reads the manifest and the install-relevant package.json fields', async () => {
+    const report = await VSIXInspector.inspectPackage(createVsix());
+
+    assert.deepStrictEqual(report.problems, []);
+    assert.strictEqual(report.files, 4);
+    assert.strictEqual(report.manifest.displayName, 'Acme & Widgets');
+    assert.strictEqual(report.manifest.targetPlatform, 'linux-x64');
+    assert.deepStrictEqual(report.manifest.tags, ['widgets', 'tools']);
+
+    const pkg = report.packageJson;
+    assert.deepStrictEqual(pkg.engines, { vscode: '^1.80.0' });
+    assert.strictEqual(pkg.main, './out/main.js');
+    assert.strictEqual(pkg.browser, '');
+    assert.deepStrictEqual(pkg.activationEvents, ['onLanguage:widget', 'onCommand:widgets.run']);
+    assert.deepStrictEqual(pkg.contributionCounts, [{ point: 'commands', count: 2 }, { point: 'configuration', count: 1 }]);
+    assert.deepStrictEqual(pkg.extensionDependencies, ['acme.core']);
+    assert.deepStrictEqual(pkg.dependencies, { 'left-pad': '1.3.0' });
+});
+
+test('buildFileTree nests files with summed directory sizes, directories first', async () => {
+    const { tree } = await VSIXInspector.inspectPackage(createVsix());
+    const extension = tree.children[0];
+
+    assert.deepStrictEqual(tree.children.map(node => node.name), ['extension', 'extension.vsixmanifest']);
+    assert.deepStrictEqual(extension.children.map(node => node.name), ['out', 'package.json', 'README.md']);
+    assert.strictEqual(extension.children[0].children[0].path, 'extension/out/main.js');
+    assert.strictEqual(extension.size, JSON.stringify(PACKAGE_JSON).length + 28 + 9);
+    assert.strictEqual(tree.size, extension.size + MANIFEST.length);
+});
+
+test('missing metadata is reported instead of failing', async () => {
+    const report = await VSIXInspector.inspectPackage(VSIXZip.createArchive([
+        { name: 'extension/package.json', data: '{ not json' }
+    ]));
+
+    assert.strictEqual(report.manifest, null);
+    assert.strictEqual(report.packageJson, null);
+    assert.strictEqual(report.problems[0], 'extension.vsixmanifest not found');
+    assert.match(report.problems[1], /^extension\/package\.json is not valid JSON/);
+
+    await assert.rejects(VSIXInspector.inspectPackage(new Uint8Array(10)), /Not a ZIP archive/);
+});
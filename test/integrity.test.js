@@ -0,0 +1,29 @@
+// Tests for the checksum helpers
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXIntegrity = require('../browser-extension/shared/integrity.js');
+
+test('sha256 hashes strings and byte arrays as lowercase hex', async () => {
+    const expected = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+
+    assert.strictEqual(await VSIXIntegrity.sha256(new TextEncoder().encode('abc')), expected);
+    assert.strictEqual(await VSIXIntegrity.sha256(Buffer.from('abc')), expected);
+    assert.strictEqual(
+        await VSIXIntegrity.sha256(new Uint8Array(0)),
+        'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    );
+});
+
+test('checksum files use the sha256sum format', () => {
+    assert.strictEqual(VSIXIntegrity.buildChecksumFilename('acme.widgets-1.0.0.vsix'), 'acme.widgets-1.0.0.vsix.sha256');
+    assert.strictEqual(
+        VSIXIntegrity.formatChecksumFile([
+            { sha256: 'a'.repeat(64), filename: 'acme.widgets-1.0.0.vsix' },
+            { sha256: 'b'.repeat(64), filename: 'acme.native-2.0.0@linux-x64.vsix' }
+        ]),
+        `${'a'.repeat(64)}  acme.widgets-1.0.0.vsix\n${'b'.repeat(64)}  acme.native-2.0.0@linux-x64.vsix\n`
+    );
+});
@@ -0,0 +1,99 @@
+// Tests for the address bar keyword
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXHistory = require('../browser-extension/shared/history.js');
+const VSIXOmnibox = require('../browser-extension/shared/omnibox.js');
+const { startMockGallery, packageBody } = require('./helpers/mock-gallery.js');
+const { loadWorker, galleryFetch } = require('./helpers/extension-worker.js');
+
+const HISTORY = [
+    VSIXHistory.createEntry({ identifier: 'ms-python.python', version: '2024.2.1', platform: 'linux-x64' }, new Date('2026-10-18T10:00:00Z')),
+    VSIXHistory.createEntry({ identifier: 'ms-python.python', version: '2024.2.0' }, new Date('2026-10-17T10:00:00Z')),
+    VSIXHistory.createEntry({ identifier: 'esbenp.prettier-vscode', version: '10.1.0' }, new Date('2026-10-16T10:00:00Z')),
+    VSIXHistory.createEntry({ identifier: '', version: '', filename: 'bundle.zip' }, new Date('2026-10-15T10:00:00Z'))
+];
+
+test('typed ids are read with an optional version and platform', () => {
+    assert.deepStrictEqual(VSIXOmnibox.parseInput(' ms-python.python '), { identifier: 'ms-python.python', version: '' });
+    assert.deepStrictEqual(VSIXOmnibox.parseInput('ms-python.python@2024.2.0'), { identifier: 'ms-python.python', version: '2024.2.0' });
+    assert.deepStrictEqual(VSIXOmnibox.parseInput('ms-python.python@2024.2.0@linux-x64'), { identifier: 'ms-python.python', version: '2024.2.0', platform: 'linux-x64' });
+    assert.strictEqual(VSIXOmnibox.parseInput('python'), null);
+    assert.strictEqual(VSIXOmnibox.parseInput('ms-python.python@latest'), null);
+
+    assert.match(VSIXOmnibox.describeInput('ms-python.python'), /<match>ms-python\.python<\/match> <dim>latest version<\/dim>/);
+    assert.match(VSIXOmnibox.describeInput('ms-python.python@2024.2.0'), /<dim>version 2024\.2\.0<\/dim>/);
+    assert.match(VSIXOmnibox.describeInput('python'), /^Download a VS Code extension/);
+    assert.strictEqual(VSIXOmnibox.escapeXml('<a & "b">'), '&lt;a &amp; &quot;b&quot;&gt;');
+});
+
+test('the gallery is only searched for an id without a version', () => {
+    assert.strictEqual(VSIXOmnibox.searchText(' pyth '), 'pyth');
+    assert.strictEqual(VSIXOmnibox.searchText('p'), '');
+    assert.strictEqual(VSIXOmnibox.searchText('ms-python.python@2024'), '');
+});
+
+test('history suggests ids, then downloaded versions after an @', () => {
+    assert.deepStrictEqual(VSIXOmnibox.historySuggestions(HISTORY, 'PY').map(item => item.content), ['ms-python.python']);
+    assert.deepStrictEqual(VSIXOmnibox.historySuggestions(HISTORY, '').map(item => item.content), ['ms-python.python', 'esbenp.prettier-vscode']);
+    assert.deepStrictEqual(
+        VSIXOmnibox.historySuggestions(HISTORY, 'ms-python.python@').map(item => item.content),
+        ['ms-python.python@2024.2.1@linux-x64', 'ms-python.python@2024.2.0']
+    );
+    assert.match(VSIXOmnibox.historySuggestions(HISTORY, 'prettier')[0].description, /last downloaded 10\.1\.0/);
+    assert.deepStrictEqual(VSIXOmnibox.historySuggestions(null, 'py'), []);
+});
+
+test('suggestions put history first and drop duplicates and the typed text', () => {
+    const extensions = [
+        { identifier: 'ms-python.python', displayName: 'Python', versions: [{ version: '2024.2.1' }] },
+        { identifier: 'ms-python.vscode-pylance', displayName: 'Pylance <fast>', versions: [{ version: '2024.2.2' }] },
+        { identifier: 'ms-python.debugpy', displayName: 'Python Debugger', versions: [] }
+    ];
+
+    const suggestions = VSIXOmnibox.buildSuggestions('ms-python', HISTORY, extensions);
+    assert.deepStrictEqual(suggestions.map(item => item.content), ['ms-python.python', 'ms-python.vscode-pylance', 'ms-python.debugpy']);
+    assert.strictEqual(suggestions[1].description, '<match>ms-python.vscode-pylance</match> <dim>Pylance &lt;fast&gt; 2024.2.2</dim>');
+    assert.strictEqual(suggestions[2].description, '<match>ms-python.debugpy</match> <dim>Python Debugger</dim>');
+
+    assert.deepStrictEqual(VSIXOmnibox.buildSuggestions('ms-python.python', HISTORY, extensions).map(item => item.content), ['ms-python.vscode-pylance', 'ms-python.debugpy']);
+
+    const many = Array.from({ length: 10 }, (_, index) => ({ identifier: `acme.tool${index}`, displayName: 'Tool', versions: [] }));
+    assert.strictEqual(VSIXOmnibox.buildSuggestions('tool', [], many).length, VSIXOmnibox.MAX_SUGGESTIONS);
+});
+
+test('entered ids are resolved and queued, and failures are notified', async () => {
+    const gallery = await startMockGallery([
+        { publisher: 'acme', name: 'widgets', versions: [{ version: '1.1.0' }, { version: '1.0.0' }] }
+    ]);
+
+    try {
+        const { worker, downloads, notifications } = await loadWorker({
+            fetch: galleryFetch(gallery.galleryUrl),
+            sync: { defaultPlatform: 'universal' }
+        });
+
+        await worker.handleOmniboxEntered(' acme.widgets@1.0.0 ');
+        assert.deepStrictEqual(downloads.calls.download.map(call => call.filename), ['acme.widgets-1.0.0.vsix']);
+        assert.strictEqual(await (await fetch(downloads.calls.download[0].url)).text(), packageBody('acme.widgets', '1.0.0', ''));
+
+        await worker.handleOmniboxEntered('acme.widgets');
+        assert.strictEqual(downloads.calls.download[1].filename, 'acme.widgets-1.1.0.vsix');
+        assert.strictEqual(notifications.length, 0);
+
+        await worker.handleOmniboxEntered('acme.widgets@9.9.9');
+        await worker.handleOmniboxEntered('not an id');
+        assert.strictEqual(downloads.calls.download.length, 2);
+        assert.deepStrictEqual(notifications.map(item => item.title), ['Download Failed', 'Download Failed']);
+        assert.match(notifications[0].message, /^acme\.widgets: /);
+        assert.match(notifications[1].message, /"not an id" is not an extension id/);
+
+        // The downloads are suggested from the history afterwards
+        const suggested = await new Promise(resolve => worker.handleOmniboxInput('acme', resolve));
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(suggested)).map(item => item.content), ['acme.widgets']);
+    } finally {
+        await gallery.close();
+    }
+});
@@ -0,0 +1,79 @@
+// Tests for the Open VSX registry client
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXOpenVSX = require('../browser-extension/shared/openvsx-client.js');
+
+const RUST = {
+    namespace: 'rust-lang',
+    name: 'rust-analyzer',
+    version: '0.4.2',
+    targetPlatform: 'linux-x64',
+    displayName: 'rust-analyzer',
+    allVersions: {
+        latest: 'https://open-vsx.org/api/rust-lang/rust-analyzer/linux-x64/latest',
+        '0.4.2': 'https://open-vsx.org/api/rust-lang/rust-analyzer/linux-x64/0.4.2',
+        '0.4.1': 'https://open-vsx.org/api/rust-lang/rust-analyzer/linux-x64/0.4.1'
+    }
+};
+
+function fakeFetch(routes, requested) {
+    return async url => {
+        requested.push(url);
+        const body = routes[url];
+        return {
+            ok: !!body,
+            status: body ? 200 : 404,
+            json: async () => body
+        };
+    };
+}
+
+test('getExtension prefers the platform build and lists versions', async () => {
+    const requested = [];
+    const fetch = fakeFetch({ 'https://open-vsx.org/api/rust-lang/rust-analyzer/linux-x64': RUST }, requested);
+    const extension = await VSIXOpenVSX.getExtension('rust-lang.rust-analyzer', { platform: 'linux-x64', fetch });
+
+    assert.strictEqual(extension.identifier, 'rust-lang.rust-analyzer');
+    assert.strictEqual(extension.platform, 'linux-x64');
+    assert.deepStrictEqual(extension.versions, ['0.4.2', '0.4.1']);
+    assert.strictEqual(extension.url, 'https://open-vsx.org/extension/rust-lang/rust-analyzer');
+    assert.strictEqual(VSIXOpenVSX.describeAvailability(extension), '0.4.2 (latest of 2 versions)');
+});
+
+test('getExtension falls back to the universal package and resolves null when missing', async () => {
+    const requested = [];
+    const universal = { namespace: 'acme', name: 'widgets', version: '1.0.0', targetPlatform: 'universal' };
+    const fetch = fakeFetch({ 'https://open-vsx.org/api/acme/widgets': universal }, requested);
+
+    const extension = await VSIXOpenVSX.getExtension('acme.widgets', { platform: 'win32-x64', fetch });
+    assert.deepStrictEqual(requested, ['https://open-vsx.org/api/acme/widgets/win32-x64', 'https://open-vsx.org/api/acme/widgets']);
+    assert.strictEqual(extension.platform, '');
+    assert.deepStrictEqual(extension.versions, ['1.0.0']);
+
+    assert.strictEqual(await VSIXOpenVSX.getExtension('acme.missing', { fetch }), null);
+});
+
+test('getExtension reports server errors with their status', async () => {
+    const fetch = async () => ({ ok: false, status: 503 });
+    await assert.rejects(VSIXOpenVSX.getExtension('acme.widgets', { fetch }), error => error.status === 503);
+});
+
+test('download URLs are built, picked and recognised', () => {
+    const extension = { identifier: 'rust-lang.rust-analyzer', version: '0.4.2', platform: 'linux-x64', versions: ['0.4.2', '0.4.1'] };
+
+    assert.deepStrictEqual(VSIXOpenVSX.pickDownload(extension, '0.4.1').version, '0.4.1');
+    assert.deepStrictEqual(VSIXOpenVSX.pickDownload(extension, '9.9.9').version, '0.4.2');
+
+    const url = VSIXOpenVSX.buildDownloadUrl(VSIXOpenVSX.pickDownload(extension, '0.4.1'));
+    assert.strictEqual(url, 'https://open-vsx.org/api/rust-lang/rust-analyzer/linux-x64/0.4.1/file/rust-lang.rust-analyzer-0.4.1@linux-x64.vsix');
+    assert.ok(VSIXOpenVSX.isDownloadUrl(url));
+    assert.ok(VSIXOpenVSX.isDownloadUrl('https://open-vsx.org/api/acme/widgets/1.0.0/file/acme.widgets-1.0.0.vsix'));
+
+    assert.ok(!VSIXOpenVSX.isDownloadUrl('https://open-vsx.org/api/acme/widgets'));
+    assert.ok(!VSIXOpenVSX.isDownloadUrl('https://open-vsx.org/user-settings/tokens'));
+    assert.ok(!VSIXOpenVSX.isDownloadUrl('http://open-vsx.org/api/acme/widgets/1.0.0/file/acme.widgets-1.0.0.vsix'));
+    assert.ok(!VSIXOpenVSX.isDownloadUrl('https://evil.example/api/acme/widgets/1.0.0/file/acme.widgets-1.0.0.vsix'));
+});
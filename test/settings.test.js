@@ -0,0 +1,118 @@
+// Tests for the browser extension settings schema
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXCore = require('../browser-extension/shared/vsix-core.js');
+const VSIXSettings = require('../browser-extension/shared/settings.js');
+
+test('settings are validated and normalized key by key', () => {
+    const result = VSIXSettings.validateSettings({
+        autoInject: false,
+        defaultFormat: 'vsixpackage',
+        defaultPlatform: 'universal',
+        downloadLocation: ' \\vsix\\extensions/ ',
+        allowedHosts: 'Gallery.Example.com\n\nmirror.example.org, gallery.example.com',
+        maxConcurrentDownloads: 9,
+        defaultChannel: 'nightly',
+        unknownKey: true
+    });
+
+    assert.deepStrictEqual(result.settings, {
+        autoInject: false,
+        downloadLocation: 'vsix/extensions',
+        defaultFormat: 'vsixpackage',
+        defaultPlatform: 'universal',
+        allowedHosts: ['gallery.example.com', 'mirror.example.org']
+    });
+    assert.deepStrictEqual(Object.keys(result.errors), ['defaultChannel', 'maxConcurrentDownloads']);
+    assert.deepStrictEqual(VSIXSettings.validateSettings(null), { settings: {}, errors: {} });
+
+    assert.strictEqual(VSIXSettings.validateSetting('downloadLocation', ''), 'default');
+    assert.strictEqual(VSIXSettings.validateSetting('targetVSCodeVersion', ' 1.85.2 '), '1.85.2');
+    assert.throws(() => VSIXSettings.validateSetting('downloadLocation', '../outside'), /inside the download folder/);
+    assert.throws(() => VSIXSettings.validateSetting('allowedHosts', ['https://example.com/path']), /not a host name/);
+    assert.throws(() => VSIXSettings.validateSetting('defaultPlatform', 'amiga'), /Invalid defaultPlatform/);
+    assert.throws(() => VSIXSettings.validateSetting('showNotifications', 'yes'), /true or false/);
+    assert.throws(() => VSIXSettings.validateSetting('theme', 'dark'), /Unknown setting: theme/);
+
+    assert.deepStrictEqual(VSIXSettings.hostOrigins(['gallery.example.com', 'mirror.example.org']), ['https://gallery.example.com/*', 'https://mirror.example.org/*']);
+});
+
+test('filename patterns are checked and drop empty placeholders', () => {
+    const ext = { publisher: 'acme', extension: 'widgets', version: '1.2.3' };
+
+    assert.strictEqual(VSIXCore.formatFilename(ext, 'vsix'), 'acme.widgets-1.2.3.vsix');
+    assert.strictEqual(VSIXCore.formatFilename(Object.assign({ platform: 'linux-x64' }, ext), 'vsix'), 'acme.widgets-1.2.3@linux-x64.vsix');
+    assert.strictEqual(VSIXCore.formatFilename(ext, 'vsixpackage', '{name}_{platform}_{version}'), 'widgets_1.2.3.vsixpackage');
+    assert.strictEqual(VSIXCore.formatFilename(ext, 'vsix', '{platform}-{name}'), 'widgets.vsix');
+    assert.strictEqual(VSIXCore.formatFilename(Object.assign({ displayName: 'Acme Widgets' }, ext), 'vsix', '{displayName} {version} {date}', new Date(2026, 9, 5)), 'Acme Widgets 1.2.3 2026-10-05.vsix');
+    assert.strictEqual(VSIXCore.formatFilename(ext, 'vsix', '{name}-{displayName}'), 'widgets.vsix');
+
+    assert.strictEqual(VSIXCore.checkFilenamePattern('{name}-{version}'), '');
+    assert.match(VSIXCore.checkFilenamePattern('{name}-{build}'), /unknown placeholder \{build\}/);
+    assert.match(VSIXCore.checkFilenamePattern('vsix/{name}'), /download folder/);
+    assert.strictEqual(VSIXSettings.validateSetting('filenamePattern', ' {name} '), '{name}');
+    assert.throws(() => VSIXSettings.validateSetting('filenamePattern', '  '), /Invalid filenamePattern: the pattern is empty/);
+});
+
+test('filenames are sanitized once, keeping spaces', () => {
+    assert.strictEqual(VSIXCore.sanitizeFilename('C/C++ Themes 1.0.0.vsix'), 'C_C++ Themes 1.0.0.vsix');
+    assert.strictEqual(VSIXCore.sanitizeFilename(' ..\\secret\t file '), '__secret file.vsix');
+    assert.strictEqual(VSIXCore.sanitizeFilename('.hidden.zip'), '_hidden.zip');
+    assert.strictEqual(VSIXCore.sanitizeFilename(''), 'download.vsix');
+    assert.strictEqual(VSIXCore.sanitizeFilename('a'.repeat(300) + '.vsixpackage').length, 200);
+    assert.ok(VSIXCore.sanitizeFilename('a'.repeat(300) + '.vsixpackage').endsWith('a.vsixpackage'));
+
+    const name = VSIXCore.sanitizeFilename('acme.widgets-1.2.3@linux-x64.vsix');
+    assert.strictEqual(VSIXCore.sanitizeFilename(name), name);
+});
+
+test('stored settings are migrated step by step to the current schema', () => {
+    const legacy = VSIXSettings.migrateSettings({
+        autoInject: false,
+        downloadLocation: '/vsix/',
+        maxConcurrentDownloads: '4',
+        theme: 'dark'
+    });
+
+    assert.strictEqual(legacy.version, VSIXSettings.SCHEMA_VERSION);
+    assert.deepStrictEqual(legacy.settings, { autoInject: false, downloadLocation: 'vsix' });
+    assert.deepStrictEqual(legacy.removed, ['maxConcurrentDownloads', 'theme']);
+
+    const current = { autoInject: true, [VSIXSettings.VERSION_KEY]: VSIXSettings.SCHEMA_VERSION };
+    assert.deepStrictEqual(VSIXSettings.migrateSettings(current), { settings: { autoInject: true }, version: VSIXSettings.SCHEMA_VERSION, removed: [] });
+    assert.deepStrictEqual(VSIXSettings.migrateSettings(null), { settings: {}, version: VSIXSettings.SCHEMA_VERSION, removed: [] });
+});
+
+test('settings export as JSON and import with validation', () => {
+    const now = new Date('2026-10-19T08:30:00.000Z');
+    const text = VSIXSettings.exportSettings({ defaultFormat: 'vsixpackage', allowedHosts: ['gallery.example.com'], settingsVersion: 2 }, now);
+    const data = JSON.parse(text);
+
+    assert.strictEqual(data.format, 'vsix-downloader-settings');
+    assert.strictEqual(data.schemaVersion, VSIXSettings.SCHEMA_VERSION);
+    assert.strictEqual(data.exportedAt, '2026-10-19T08:30:00.000Z');
+    assert.deepStrictEqual(Object.keys(data.settings), Object.keys(VSIXSettings.DEFAULTS));
+    assert.strictEqual(data.settings.defaultFormat, 'vsixpackage');
+    assert.strictEqual(data.settings.autoInject, true);
+
+    assert.deepStrictEqual(VSIXSettings.importSettings(text), { settings: data.settings, errors: {} });
+
+    const partial = JSON.stringify({ format: 'vsix-downloader-settings', schemaVersion: 2, settings: { defaultChannel: 'nightly', autoInject: false } });
+    assert.deepStrictEqual(Object.keys(VSIXSettings.importSettings(partial).errors), ['defaultChannel']);
+
+    // Version 1 files go through the migration, which drops invalid values; they are still reported
+    const legacy = JSON.stringify({ format: 'vsix-downloader-settings', settings: { defaultChannel: 'nightly', autoInject: false, removedSetting: true } });
+    const imported = VSIXSettings.importSettings(legacy);
+    assert.deepStrictEqual(imported.settings, { autoInject: false });
+    assert.deepStrictEqual(Object.keys(imported.errors), ['defaultChannel']);
+    assert.strictEqual(imported.errors.defaultChannel, VSIXSettings.importSettings(partial).errors.defaultChannel);
+
+    assert.throws(() => VSIXSettings.importSettings('{'), /not valid JSON/);
+    assert.throws(() => VSIXSettings.importSettings('{"autoInject": false}'), /Not a settings file/);
+    assert.throws(() => VSIXSettings.importSettings(JSON.stringify({ format: 'vsix-downloader-settings', schemaVersion: 99, settings: {} })), /newer version/);
+
+    assert.strictEqual(VSIXSettings.buildExportFilename(now), 'vsix-downloader-settings-2026-10-19.json');
+});
@@ -0,0 +1,88 @@
+// Tests for the marketplace signature checks
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const VSIXZip = require('../browser-extension/shared/zip.js');
+const VSIXSignature = require('../browser-extension/shared/signature.js');
+
+const FILES = [
+    { name: 'extension.vsixmanifest', data: '<PackageManifest />' },
+    { name: 'extension/package.json', data: '{"name":"widgets"}' },
+    { name: 'extension/out/main.js', data: 'exports.activate = () => {};' }
+];
+
+function digest(data) {
+    return { sha256: crypto.createHash('sha256').update(data).digest('base64') };
+}
+
+function createSigzip(vsix, files, options) {
+    const entries = {};
+    for (const file of files) {
+        entries[Buffer.from(file.name).toString('base64')] = { size: Buffer.byteLength(file.data), digests: digest(file.data) };
+    }
+    const manifest = { package: { size: vsix.length, digests: digest(vsix) }, entries };
+    const archive = [{ name: '.signature.manifest', data: JSON.stringify(manifest) }];
+    if (!options || options.p7s !== false) {
+        archive.push({ name: '.signature.p7s', data: 'signature' });
+    }
+    return VSIXZip.createArchive(archive);
+}
+
+test('a package matching its signature manifest is signed', async () => {
+    const vsix = VSIXZip.createArchive(FILES);
+    const result = await VSIXSignature.verifyPackage(vsix, createSigzip(vsix, FILES));
+
+    assert.deepStrictEqual(result, { status: 'signed', files: 3, problems: [] });
+    assert.strictEqual(VSIXSignature.describeResult(result), 'Signed: 3 files match the marketplace signature');
+});
+
+test('modified, added and missing files are reported as a mismatch', async () => {
+    const original = VSIXZip.createArchive(FILES);
+    const sigzip = createSigzip(original, FILES);
+    const tampered = VSIXZip.createArchive([
+        FILES[0],
+        { name: 'extension/package.json', data: '{"name":"gadgets"}' },
+        { name: 'extension/out/extra.js', data: 'evil()' }
+    ]);
+
+    const result = await VSIXSignature.verifyPackage(tampered, sigzip);
+    assert.strictEqual(result.status, 'mismatch');
+    assert.strictEqual(result.files, 1);
+    assert.deepStrictEqual(result.problems, [
+        'Package digest does not match',
+        'extension/package.json does not match its signed digest',
+        'extension/out/main.js is signed but missing from the package',
+        'extension/out/extra.js is not covered by the signature'
+    ]);
+    assert.strictEqual(VSIXSignature.describeResult(result), 'Mismatch: Package digest does not match (+3 more)');
+
+    const unsignedArchive = await VSIXSignature.verifyPackage(original, createSigzip(original, FILES, { p7s: false }));
+    assert.deepStrictEqual(unsignedArchive.problems, ['Signature archive has no .signature.p7s']);
+});
+
+test('packages without a signature are unsigned', async () => {
+    const result = await VSIXSignature.verifyPackage(VSIXZip.createArchive(FILES), null);
+    assert.strictEqual(result.status, 'unsigned');
+
+    await assert.rejects(
+        VSIXSignature.verifyPackage(VSIXZip.createArchive(FILES), VSIXZip.createArchive([{ name: 'other.txt', data: '' }])),
+        /no \.signature\.manifest/
+    );
+});
+
+test('signature URLs and filenames follow the package', () => {
+    assert.strictEqual(
+        VSIXSignature.buildSignatureUrl('https://acme.gallery.vsassets.io/_apis/public/gallery/publisher/acme/extension/widgets/1.0.0/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage?targetPlatform=linux-x64'),
+        'https://acme.gallery.vsassets.io/_apis/public/gallery/publisher/acme/extension/widgets/1.0.0/assetbyname/Microsoft.VisualStudio.Services.VsixSignature?targetPlatform=linux-x64'
+    );
+    assert.strictEqual(
+        VSIXSignature.buildSignatureUrl('https://marketplace.visualstudio.com/_apis/public/gallery/publishers/acme/vsextensions/widgets/1.0.0/vspackage'),
+        'https://acme.gallery.vsassets.io/_apis/public/gallery/publisher/acme/extension/widgets/1.0.0/assetbyname/Microsoft.VisualStudio.Services.VsixSignature'
+    );
+    assert.strictEqual(VSIXSignature.buildSignatureUrl('https://open-vsx.org/api/acme/widgets/1.0.0/file/acme.widgets-1.0.0.vsix'), null);
+
+    assert.strictEqual(VSIXSignature.buildSignatureFilename('acme.widgets-1.0.0@linux-x64.vsix'), 'acme.widgets-1.0.0@linux-x64.sigzip');
+});
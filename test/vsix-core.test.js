@@ -0,0 +1,95 @@
+// Tests for the shared marketplace core
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const VSIXCore = require('../browser-extension/shared/vsix-core.js');
+
+test('identifiers split at the first dot and reject malformed parts', () => {
+    assert.deepStrictEqual(VSIXCore.parseIdentifier(' ms-python.python '), { publisher: 'ms-python', extension: 'python', identifier: 'ms-python.python' });
+    assert.deepStrictEqual(VSIXCore.parseIdentifier('a.b.c'), { publisher: 'a', extension: 'b.c', identifier: 'a.b.c' });
+
+    ['', 'python', '.python', 'ms-python.', 'ms python.python', 'ms-python..python', '-ms.python', 'ms.py/thon', 'ms.py?x=1'].forEach(identifier => {
+        assert.strictEqual(VSIXCore.parseIdentifier(identifier), null, identifier);
+    });
+    assert.strictEqual(VSIXCore.parseIdentifier(null), null);
+
+    assert.strictEqual(VSIXCore.parseMarketplaceUrl('https://marketplace.visualstudio.com/items?itemName=ms-python.python').identifier, 'ms-python.python');
+    assert.strictEqual(VSIXCore.parseMarketplaceUrl('https://example.com/items?itemName=ms-python.python'), null);
+    assert.strictEqual(VSIXCore.parseMarketplaceUrl('not a url'), null);
+});
+
+test('download URLs encode every path part and the target platform', () => {
+    assert.strictEqual(
+        VSIXCore.buildDownloadUrl({ identifier: 'ms-python.python', version: '2024.2.1' }, 'vsix'),
+        'https://ms-python.gallery.vsassets.io/_apis/public/gallery/publisher/ms-python/extension/python/2024.2.1/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage'
+    );
+    assert.strictEqual(
+        VSIXCore.buildDownloadUrl({ publisher: 'acme', name: 'widgets', version: '1.0.0+build.7', platform: 'linux-x64' }, 'pkg'),
+        'https://marketplace.visualstudio.com/_apis/public/gallery/publishers/acme/vsextensions/widgets/1.0.0%2Bbuild.7/vspackage?targetPlatform=linux-x64'
+    );
+    assert.strictEqual(
+        VSIXCore.buildAssetUrl({ identifier: 'acme.widgets', version: '1.0.0' }, 'manifest'),
+        'https://acme.gallery.vsassets.io/_apis/public/gallery/publisher/acme/extension/widgets/1.0.0/assetbyname/Microsoft.VisualStudio.Code.Manifest'
+    );
+
+    assert.throws(() => VSIXCore.buildDownloadUrl({ identifier: 'acme/x.widgets', version: '1.0.0' }), /Invalid extension identifier/);
+    assert.throws(() => VSIXCore.buildDownloadUrl({ identifier: 'acme.widgets', version: '1.0/../2' }), /Invalid version format/);
+    assert.throws(() => VSIXCore.buildDownloadUrl({ identifier: 'acme.widgets', version: '1.0.0', platform: 'beos-x64' }), /Unknown target platform: beos-x64/);
+    assert.throws(() => VSIXCore.buildAssetUrl({ identifier: 'acme.widgets', version: '1.0.0' }, '../secret'), /Invalid asset type/);
+});
+
+test('filenames carry the platform suffix only for platform packages', () => {
+    const ext = { identifier: 'acme.widgets', version: '1.0.0' };
+
+    assert.strictEqual(VSIXCore.buildFilename(ext, 'vsix'), 'acme.widgets-1.0.0.vsix');
+    assert.strictEqual(VSIXCore.buildFilename(Object.assign({ platform: 'darwin-arm64' }, ext), 'vsix'), 'acme.widgets-1.0.0@darwin-arm64.vsix');
+    assert.strictEqual(VSIXCore.buildFilename(Object.assign({ platform: 'win32-x64' }, ext), 'vsixpackage'), 'acme.widgets-1.0.0@win32-x64.vsixpackage');
+
+    assert.strictEqual(VSIXCore.sanitizeFilename('a<b>:c.vsix'), 'a_b__c.vsix');
+    assert.strictEqual(VSIXCore.sanitizeFilename('../evil'), '__evil.vsix');
+    assert.strictEqual(VSIXCore.sanitizeFilename(''), 'download.vsix');
+});
+
+test('platform hints map every OS and architecture, anything else is universal', () => {
+    const cases = [
+        ['Windows', 'x86', 'win32-x64'],
+        ['Win32', 'arm', 'win32-arm64'],
+        ['macOS', '', 'darwin-x64'],
+        ['MacIntel', 'arm64', 'darwin-arm64'],
+        ['Darwin', 'aarch64', 'darwin-arm64'],
+        ['Linux x86_64', '', 'linux-x64'],
+        ['Linux', 'aarch64', 'linux-arm64'],
+        ['CrOS', 'armv8l', 'linux-arm64'],
+        ['Chrome OS', 'x86', 'linux-x64'],
+        ['FreeBSD', 'x86', ''],
+        ['', 'arm', ''],
+        [undefined, undefined, '']
+    ];
+    cases.forEach(([os, arch, platform]) => {
+        assert.strictEqual(VSIXCore.platformFromHints(os, arch), platform, `${os} / ${arch}`);
+    });
+});
+
+test('platform detection reads the navigator and prefers client hints', async () => {
+    assert.strictEqual(VSIXCore.detectPlatform({ userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)', platform: 'Win32' }), 'win32-x64');
+    assert.strictEqual(VSIXCore.detectPlatform({ userAgent: 'Mozilla/5.0 (X11; Linux aarch64)', platform: 'Linux aarch64' }), 'linux-arm64');
+    assert.strictEqual(VSIXCore.detectPlatform({ userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0)', userAgentData: { platform: 'macOS' } }), 'darwin-x64');
+    assert.strictEqual(VSIXCore.detectPlatform({ userAgent: 'Mozilla/5.0 (PlayStation 5)', platform: '' }), '');
+    assert.strictEqual(VSIXCore.detectPlatform(null), '');
+
+    const appleSilicon = {
+        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0)',
+        userAgentData: { platform: 'macOS', getHighEntropyValues: async () => ({ architecture: 'arm', bitness: '64' }) }
+    };
+    assert.strictEqual(await VSIXCore.detectPlatformAsync(appleSilicon), 'darwin-arm64');
+
+    const refused = {
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
+        userAgentData: { platform: 'Windows', getHighEntropyValues: async () => { throw new Error('NotAllowedError'); } }
+    };
+    assert.strictEqual(await VSIXCore.detectPlatformAsync(refused), 'win32-x64');
+    assert.strictEqual(await VSIXCore.detectPlatformAsync({ userAgent: 'Mozilla/5.0 (Windows NT 10.0)', platform: 'Win32' }), 'win32-x64');
+    assert.strictEqual(await VSIXCore.detectPlatformAsync({ userAgent: 'Mozilla/5.0', platform: 'SunOS' }), '');
+});